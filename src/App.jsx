@@ -1,23 +1,108 @@
-import { lazy, Suspense } from 'react';
+import { lazy, Suspense, useState, useCallback } from 'react';
 import BoardProvider from './context/BoardProvider';
 import Header from './components/Header';
 import Toolbar from './components/Toolbar';
 import Board from './components/Board';
+import FilterBar from './components/FilterBar';
 import ErrorToast from './components/ErrorToast';
 import SyncIndicator from './components/SyncIndicator';
 import LoadingFallback from './components/LoadingFallback';
+import { getCurrentUser } from './services/currentUser';
+import { useViewState } from './hooks/useViewState';
+import { useSavedViews } from './hooks/useSavedViews';
+import { toggleCollapsed } from './utils/viewState';
 
 // Lazy load conflict resolution modal (only needed when conflicts occur)
 const ConflictResolutionModal = lazy(() => import('./components/ConflictResolutionModal'));
+const HistoryPanel = lazy(() => import('./components/HistoryPanel'));
+const ArchivePanel = lazy(() => import('./components/ArchivePanel'));
+const TableView = lazy(() => import('./components/TableView'));
+const CalendarView = lazy(() => import('./components/CalendarView'));
+const TimelineView = lazy(() => import('./components/TimelineView'));
+const AnalyticsView = lazy(() => import('./components/AnalyticsView'));
 
 function App() {
+  // The side panel shown: 'history', 'archive' or null
+  const [panel, setPanel] = useState(null);
+  const [myCardsOnly, setMyCardsOnly] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Filter, sort and collapsed lists live in the URL (see useViewState)
+  const { view, updateView } = useViewState();
+  const { views: savedViews, saveView, deleteView } = useSavedViews();
+
+  const togglePanel = (name) => setPanel((open) => (open === name ? null : name));
+
+  const handleFilterChange = useCallback((filter) => updateView({ filter }, { typing: true }), [updateView]);
+  const handleSortChange = useCallback((sort) => updateView({ sort }), [updateView]);
+  const handleToggleCollapsed = useCallback(
+    (listId) => updateView({ collapsed: toggleCollapsed(view.collapsed, listId) }),
+    [updateView, view.collapsed]
+  );
+
   return (
     <BoardProvider>
       <div className="app flex flex-col h-screen bg-gray-50">
-        <Header />
-        <Toolbar />
-        <main className="flex-1 overflow-hidden">
-          <Board />
+        <Header searchQuery={searchQuery} onSearchChange={setSearchQuery} />
+        <Toolbar
+          isHistoryOpen={panel === 'history'}
+          onToggleHistory={() => togglePanel('history')}
+          isArchiveOpen={panel === 'archive'}
+          onToggleArchive={() => togglePanel('archive')}
+          isMyCardsOnly={myCardsOnly}
+          onToggleMyCards={() => setMyCardsOnly((on) => !on)}
+          view={view}
+          savedViews={savedViews}
+          onApplyView={updateView}
+          onSaveView={(name) => saveView(name, view)}
+          onDeleteView={deleteView}
+        />
+        <FilterBar
+          query={view.filter}
+          onQueryChange={handleFilterChange}
+          sort={view.sort}
+          onSortChange={handleSortChange}
+        />
+        <main className="flex-1 overflow-hidden relative">
+          {view.layout === 'table' && (
+            <Suspense fallback={<LoadingFallback message="Loading table..." />}>
+              <TableView searchQuery={searchQuery} filterQuery={view.filter} />
+            </Suspense>
+          )}
+          {view.layout === 'calendar' && (
+            <Suspense fallback={<LoadingFallback message="Loading calendar..." />}>
+              <CalendarView searchQuery={searchQuery} filterQuery={view.filter} />
+            </Suspense>
+          )}
+          {view.layout === 'timeline' && (
+            <Suspense fallback={<LoadingFallback message="Loading timeline..." />}>
+              <TimelineView searchQuery={searchQuery} filterQuery={view.filter} />
+            </Suspense>
+          )}
+          {view.layout === 'analytics' && (
+            <Suspense fallback={<LoadingFallback message="Loading analytics..." />}>
+              <AnalyticsView searchQuery={searchQuery} filterQuery={view.filter} />
+            </Suspense>
+          )}
+          {view.layout === 'board' && (
+            <Board
+              focusMemberId={myCardsOnly ? getCurrentUser().id : null}
+              searchQuery={searchQuery}
+              filterQuery={view.filter}
+              sort={view.sort}
+              collapsedListIds={view.collapsed}
+              onToggleCollapsed={handleToggleCollapsed}
+            />
+          )}
+          {panel === 'history' && (
+            <Suspense fallback={<LoadingFallback message="Loading history..." size="small" />}>
+              <HistoryPanel onClose={() => setPanel(null)} />
+            </Suspense>
+          )}
+          {panel === 'archive' && (
+            <Suspense fallback={<LoadingFallback message="Loading archived items..." size="small" />}>
+              <ArchivePanel onClose={() => setPanel(null)} />
+            </Suspense>
+          )}
         </main>
         <SyncIndicator />
         <ErrorToast />
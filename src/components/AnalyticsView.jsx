@@ -0,0 +1,268 @@
+import { useState, useMemo } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { useCardMatcher } from '../hooks/useCardFilter';
+import { useNow } from '../hooks/useNow';
+import {
+  ANALYTICS_PERIODS,
+  PERCENTILES,
+  getCumulativeFlow,
+  getWeeklyThroughput,
+  getFlowTimes,
+  formatDuration,
+} from '../utils/analytics';
+import { addDays } from '../utils/calendar';
+
+const SERIES_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#db2777', '#7c3aed', '#0891b2', '#dc2626', '#65a30d'];
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 240;
+const MARGIN = { top: 12, right: 12, bottom: 28, left: 36 };
+
+const formatShortDay = (timestamp) =>
+  new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+const seriesColor = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+
+// Stacked areas, the last list at the bottom as finished work usually is
+function CumulativeFlowChart({ flow }) {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const { days, series } = flow;
+  const totals = days.map((_, i) => series.reduce((sum, s) => sum + s.counts[i], 0));
+  const max = Math.max(1, ...totals);
+  const x = (i) => MARGIN.left + (days.length > 1 ? (i / (days.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => MARGIN.top + plotHeight - (value / max) * plotHeight;
+
+  const lower = days.map(() => 0);
+  const areas = [...series].reverse().map((s) => {
+    const bottom = [...lower];
+    s.counts.forEach((count, i) => {
+      lower[i] += count;
+    });
+    const top = days.map((_, i) => `${x(i)},${y(lower[i])}`);
+    const base = days.map((_, i) => `${x(i)},${y(bottom[i])}`).reverse();
+    return { list: s.list, points: [...top, ...base].join(' ') };
+  });
+  const latest = series.map((s) => `${s.list.title} ${s.counts[s.counts.length - 1]}`).join(', ');
+  const labelDays = [0, Math.floor((days.length - 1) / 2), days.length - 1];
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-labelledby="cfd-title cfd-desc"
+    >
+      <title id="cfd-title">Cumulative flow</title>
+      <desc id="cfd-desc">Cards per list each day from {formatShortDay(days[0])}. Today: {latest}.</desc>
+      {areas.map((area) => (
+        <polygon
+          key={area.list.id}
+          points={area.points}
+          fill={seriesColor(series.findIndex((s) => s.list.id === area.list.id))}
+          fillOpacity="0.85"
+        />
+      ))}
+      <line x1={MARGIN.left} x2={MARGIN.left} y1={MARGIN.top} y2={MARGIN.top + plotHeight} stroke="#9ca3af" />
+      <line
+        x1={MARGIN.left}
+        x2={MARGIN.left + plotWidth}
+        y1={MARGIN.top + plotHeight}
+        y2={MARGIN.top + plotHeight}
+        stroke="#9ca3af"
+      />
+      {[0, max].map((value) => (
+        <text key={value} x={MARGIN.left - 6} y={y(value) + 4} textAnchor="end" className="fill-gray-500 text-xs">
+          {value}
+        </text>
+      ))}
+      {[...new Set(labelDays)].map((i) => (
+        <text key={i} x={x(i)} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-500 text-xs">
+          {formatShortDay(days[i])}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+function ThroughputChart({ weeks }) {
+  const plotWidth = CHART_WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = CHART_HEIGHT - MARGIN.top - MARGIN.bottom;
+  const max = Math.max(1, ...weeks.map((week) => week.count));
+  const slot = plotWidth / weeks.length;
+  const barWidth = Math.min(48, slot * 0.7);
+  const summary = weeks.map((week) => `${formatShortDay(week.start)}: ${week.count}`).join(', ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-labelledby="throughput-title throughput-desc"
+    >
+      <title id="throughput-title">Weekly throughput</title>
+      <desc id="throughput-desc">Cards finished per week, by week start. {summary}.</desc>
+      {weeks.map((week, i) => {
+        const height = (week.count / max) * plotHeight;
+        const cx = MARGIN.left + slot * i + slot / 2;
+        return (
+          <g key={week.start}>
+            <rect
+              x={cx - barWidth / 2}
+              y={MARGIN.top + plotHeight - height}
+              width={barWidth}
+              height={height}
+              rx="3"
+              fill="#2563eb"
+            />
+            <text x={cx} y={MARGIN.top + plotHeight - height - 4} textAnchor="middle" className="fill-gray-700 text-xs">
+              {week.count}
+            </text>
+            <text x={cx} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-500 text-xs">
+              {formatShortDay(week.start)}
+            </text>
+          </g>
+        );
+      })}
+      <line
+        x1={MARGIN.left}
+        x2={MARGIN.left + plotWidth}
+        y1={MARGIN.top + plotHeight}
+        y2={MARGIN.top + plotHeight}
+        stroke="#9ca3af"
+      />
+    </svg>
+  );
+}
+
+/**
+ * Flow analytics built from the list transitions cards record: a cumulative
+ * flow diagram, cards finished per week, and per-list cycle and lead time
+ * percentiles. Charts are plain SVG.
+ */
+function AnalyticsView({ searchQuery = '', filterQuery = '' }) {
+  const { state } = useBoardState();
+  const now = useNow();
+  const [period, setPeriod] = useState(30);
+  const [doneListId, setDoneListId] = useState(null);
+  const include = useCardMatcher(searchQuery, filterQuery);
+
+  const activeLists = useMemo(() => state.lists.filter((list) => !list.archived), [state.lists]);
+  // Finished work is the last column unless another one is picked
+  const doneList = activeLists.find((list) => list.id === doneListId) || activeLists[activeLists.length - 1];
+
+  const board = useMemo(() => ({ lists: state.lists, cards: state.cards }), [state.lists, state.cards]);
+  const flow = useMemo(() => getCumulativeFlow(board, { days: period, now, include }), [board, period, now, include]);
+  const weeks = useMemo(
+    () => (doneList ? getWeeklyThroughput(board, doneList.id, { weeks: Math.ceil(period / 7), now, include }) : []),
+    [board, doneList, period, now, include]
+  );
+  const flowTimes = useMemo(
+    () => getFlowTimes(board, { since: addDays(now, -(period - 1)), include }),
+    [board, period, now, include]
+  );
+
+  if (activeLists.length === 0) {
+    return <p className="p-6 text-center text-sm text-gray-500">Add lists and cards to see how work flows.</p>;
+  }
+
+  return (
+    <div className="analytics-view h-full overflow-y-auto p-4">
+      <div className="max-w-4xl mx-auto space-y-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Period
+            <select
+              value={period}
+              onChange={(e) => setPeriod(Number(e.target.value))}
+              className="px-2 py-1 bg-white border border-gray-300 rounded text-sm"
+            >
+              {Object.entries(ANALYTICS_PERIODS).map(([days, label]) => (
+                <option key={days} value={days}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            Finished list
+            <select
+              value={doneList.id}
+              onChange={(e) => setDoneListId(e.target.value)}
+              className="px-2 py-1 bg-white border border-gray-300 rounded text-sm"
+            >
+              {activeLists.map((list) => (
+                <option key={list.id} value={list.id}>
+                  {list.title}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <section className="bg-white border border-gray-200 rounded-xl shadow-sm p-4" aria-labelledby="cfd-heading">
+          <h2 id="cfd-heading" className="font-semibold text-gray-900 mb-2">
+            Cumulative flow
+          </h2>
+          <CumulativeFlowChart flow={flow} />
+          <ul className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm text-gray-700" aria-label="Legend">
+            {flow.series.map((s, i) => (
+              <li key={s.list.id} className="flex items-center gap-1.5">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: seriesColor(i) }} aria-hidden="true" />
+                {s.list.title}
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="bg-white border border-gray-200 rounded-xl shadow-sm p-4" aria-labelledby="throughput-heading">
+          <h2 id="throughput-heading" className="font-semibold text-gray-900 mb-2">
+            Weekly throughput <span className="text-sm font-normal text-gray-500">(cards reaching {doneList.title})</span>
+          </h2>
+          <ThroughputChart weeks={weeks} />
+        </section>
+
+        <section className="bg-white border border-gray-200 rounded-xl shadow-sm p-4" aria-labelledby="flow-times-heading">
+          <h2 id="flow-times-heading" className="font-semibold text-gray-900">
+            Time per list
+          </h2>
+          <p className="text-xs text-gray-500 mb-2">
+            Cycle time is how long cards stayed in a list; lead time is how long after creation they reached it.
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase tracking-wide text-gray-500 border-b border-gray-200">
+                <th scope="col" className="py-2 pr-2">List</th>
+                {PERCENTILES.map((p) => (
+                  <th key={`cycle-${p}`} scope="col" className="py-2 px-2">Cycle p{p}</th>
+                ))}
+                {PERCENTILES.map((p) => (
+                  <th key={`lead-${p}`} scope="col" className="py-2 px-2">Lead p{p}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {flowTimes.map(({ list, cycle, lead }) => (
+                <tr key={list.id} className="border-b border-gray-100">
+                  <th scope="row" className="py-2 pr-2 text-left font-medium text-gray-900">
+                    {list.title}
+                    <span className="block text-xs font-normal text-gray-500">
+                      {cycle.count} {cycle.count === 1 ? 'stay' : 'stays'}, {lead.count} {lead.count === 1 ? 'arrival' : 'arrivals'}
+                    </span>
+                  </th>
+                  {PERCENTILES.map((p) => (
+                    <td key={`cycle-${p}`} className="py-2 px-2 tabular-nums">{formatDuration(cycle[`p${p}`])}</td>
+                  ))}
+                  {PERCENTILES.map((p) => (
+                    <td key={`lead-${p}`} className="py-2 px-2 tabular-nums">{formatDuration(lead[`p${p}`])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsView;
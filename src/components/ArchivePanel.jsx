@@ -0,0 +1,132 @@
+import { useMemo, useState } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { useNow } from '../hooks/useNow';
+import { formatDate } from '../utils/helpers';
+import { resolveStep } from '../utils/compensation';
+import { getArchivedItems, searchArchivedItems, getRestoreListId } from '../utils/archive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where a card will land when restored: archived cards stay in their list,
+// deleted ones go back to theirs or to a fallback list
+const restoreTarget = (item, lists) => {
+  if (item.kind !== 'card' || !item.deleted) {
+    return { listId: item.listId ?? null, fallback: false };
+  }
+  const listId = getRestoreListId(lists, item.listId);
+  return { listId, fallback: listId !== null && listId !== item.listId };
+};
+
+// Archived cards and lists, and deleted ones still in the trash, with search
+// and restore
+function ArchivePanel({ onClose }) {
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const now = useNow();
+  const [query, setQuery] = useState('');
+
+  const items = useMemo(
+    () => searchArchivedItems(getArchivedItems(state, now), query),
+    [state, now, query]
+  );
+
+  const handleRestore = (item) => {
+    const action = item.kind === 'list' ?
+      { type: ACTIONS.RESTORE_LIST, payload: { listId: item.id } } :
+      { type: ACTIONS.RESTORE_CARD, payload: { listId: item.listId, cardId: item.id } };
+    // Pairs the action with its server call and picks the fallback list
+    const step = resolveStep(state, action);
+    if (step) {
+      dispatchWithOptimistic(step.action, step.operation);
+    }
+  };
+
+  return (
+    <aside
+      className="archive-panel absolute top-0 right-0 bottom-0 w-80 bg-white border-l border-gray-200 shadow-xl z-40 flex flex-col"
+      aria-label="Archived items"
+    >
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h2 className="font-bold text-gray-900">Archived items</h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-900 rounded"
+          aria-label="Close archived items"
+        >
+          ✕
+        </button>
+      </div>
+      <div className="px-4 py-2 border-b border-gray-100">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search archived items"
+          aria-label="Search archived items"
+          className="w-full px-3 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      {items.length === 0 ? (
+        <p className="px-4 py-6 text-sm text-gray-500 text-center" role="status">
+          {query ? 'No archived items match.' : 'Nothing is archived or deleted.'}
+        </p>
+      ) : (
+        <ul className="flex-1 overflow-y-auto">
+          {items.map((item) => {
+            const target = restoreTarget(item, state.lists);
+            const fallbackTitle = target.fallback &&
+              state.lists.find((list) => list.id === target.listId)?.title;
+            return (
+              <li
+                key={`${item.kind}-${item.id}`}
+                className="px-4 py-3 border-b border-gray-100"
+              >
+                <div className="flex items-start justify-between gap-2">
+                  <div className="min-w-0">
+                    <span className="block text-sm font-medium text-gray-900 truncate">
+                      {item.title}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {item.kind === 'list' ?
+                        `List · ${item.cardCount} ${item.cardCount === 1 ? 'card' : 'cards'}` :
+                        `Card${item.listTitle ? ` in ${item.listTitle}` : ' from a deleted list'}`}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(item)}
+                    disabled={item.kind === 'card' && target.listId === null}
+                    title={item.kind === 'card' && target.listId === null ? 'Add a list to restore this card into' : undefined}
+                    aria-label={`Restore ${item.title}`}
+                    className="flex-shrink-0 px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Restore
+                  </button>
+                </div>
+                <span className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                  {item.at !== null ? (
+                    <time dateTime={new Date(item.at).toISOString()}>
+                      {item.deleted ? 'Deleted' : 'Archived'} {formatDate(item.at)}
+                    </time>
+                  ) : (
+                    <span>Archived</span>
+                  )}
+                  {item.deleted && (
+                    <span>
+                      Removed in {Math.max(1, Math.ceil((item.expiresAt - now) / DAY_MS))}d
+                    </span>
+                  )}
+                </span>
+                {fallbackTitle && (
+                  <p className="mt-1 text-xs text-amber-700">
+                    Restores to {fallbackTitle}
+                  </p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default ArchivePanel;
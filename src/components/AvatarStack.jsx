@@ -0,0 +1,34 @@
+import MemberAvatar from './MemberAvatar';
+
+/**
+ * Overlapping avatars for a card's assignees, capped at `max` with a "+N" chip
+ */
+function AvatarStack({ members, max = 3 }) {
+  if (members.length === 0) return null;
+
+  const shown = members.slice(0, max);
+  const hidden = members.slice(max);
+
+  return (
+    <div
+      className="avatar-stack flex -space-x-1.5"
+      role="group"
+      aria-label={`Assigned to ${members.map((member) => member.name).join(', ')}`}
+    >
+      {shown.map((member) => (
+        <MemberAvatar key={member.id} member={member} />
+      ))}
+      {hidden.length > 0 && (
+        <span
+          className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-gray-200 text-gray-700 text-[10px] font-semibold ring-2 ring-white"
+          title={hidden.map((member) => member.name).join(', ')}
+          aria-hidden="true"
+        >
+          +{hidden.length}
+        </span>
+      )}
+    </div>
+  );
+}
+
+export default AvatarStack;
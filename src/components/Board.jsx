@@ -1,15 +1,44 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useDeferredValue } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
+import { useCardFilter } from '../hooks/useCardFilter';
 import ListColumn from './ListColumn';
 import { validateListTitle } from '../utils/validators';
-import { api } from '../services/api';
+import { operations } from '../services/operations';
 import { generateId } from '../utils/helpers';
+import { positionForIndex } from '../utils/positionKeys';
+import { searchCards } from '../utils/search';
+import { DEFAULT_AGING_DAYS, DEFAULT_STALE_DAYS } from '../utils/aging';
 
-function Board() {
+// Shared so lists without matches keep a stable prop between renders
+const NO_MATCHES = new Set();
+const NO_LISTS = [];
+
+// `focusMemberId` dims every card not assigned to that member;
+// `searchQuery` and `filterQuery` narrow every list to the cards matching them.
+// `sort`, `collapsedListIds` and `onToggleCollapsed` come from the board view
+// (utils/viewState.js).
+function Board({
+  focusMemberId = null,
+  searchQuery = '',
+  filterQuery = '',
+  sort,
+  collapsedListIds = NO_LISTS,
+  onToggleCollapsed,
+}) {
   const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
   const [newListTitle, setNewListTitle] = useState('');
   const [isAddingList, setIsAddingList] = useState(false);
 
+  // Keep typing responsive on big boards: results follow the input
+  // at a lower priority
+  const query = useDeferredValue(searchQuery.trim());
+  const results = useMemo(
+    () => searchCards(state.searchIndex, query),
+    [state.searchIndex, query]
+  );
+
+  const cardFilter = useCardFilter(filterQuery);
+
   // Memoize filtered lists to avoid recalculation on every render
   const activeLists = useMemo(
     () => state.lists.filter((list) => !list.archived),
@@ -28,22 +57,26 @@ function Board() {
     const newList = {
       id: generateId(),
       title: newListTitle,
-      order: state.lists.length,
+      position: positionForIndex(state.lists, state.lists.length),
       archived: false,
+      wipLimit: null,
+      wipMode: 'off',
+      agingDays: DEFAULT_AGING_DAYS,
+      staleDays: DEFAULT_STALE_DAYS,
       createdAt: Date.now(),
     };
 
     dispatchWithOptimistic(
       {
         type: ACTIONS.ADD_LIST,
-        payload: { title: newListTitle },
+        payload: { id: newList.id, title: newListTitle, position: newList.position },
       },
-      () => api.addList(newList)
+      operations.addList(newList)
     );
 
     setNewListTitle('');
     setIsAddingList(false);
-  }, [newListTitle, state.lists.length, dispatchWithOptimistic, ACTIONS]);
+  }, [newListTitle, state.lists, dispatchWithOptimistic, ACTIONS]);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Enter') {
@@ -56,9 +89,29 @@ function Board() {
 
   return (
     <div className="board h-full overflow-x-auto overflow-y-hidden">
+      <p id="list-move-hint" className="sr-only">
+        Use the left and right arrow keys to move the list, Home or End to move it to either end.
+      </p>
+      {results && (
+        <p role="status" className="search-status px-4 pt-3 text-sm font-medium text-gray-700">
+          {results.total === 0
+            ? `No cards match "${query}"`
+            : `${results.total} ${results.total === 1 ? 'card matches' : 'cards match'} "${query}"`}
+        </p>
+      )}
       <div className="flex gap-4 p-4 h-full min-w-max">
         {activeLists.map((list) => (
-          <ListColumn key={list.id} list={list} />
+          <ListColumn
+            key={list.id}
+            list={list}
+            focusMemberId={focusMemberId}
+            searchQuery={results ? query : ''}
+            matchedCardIds={results ? results.byList.get(list.id) ?? NO_MATCHES : null}
+            cardFilter={cardFilter}
+            sort={sort}
+            isCollapsed={collapsedListIds.includes(list.id)}
+            onToggleCollapsed={onToggleCollapsed}
+          />
         ))}
 
         {/* Add new list */}
@@ -0,0 +1,40 @@
+import { activeCards } from '../utils/archive';
+
+// Read-only rendering of a board snapshot, used by the history panel
+function BoardPreview({ board, caption }) {
+  const lists = board.lists.filter((list) => !list.archived);
+
+  return (
+    <div
+      className="board-preview absolute inset-0 bg-gray-50/95 overflow-auto z-30 pointer-events-none"
+      aria-label="Board preview (read-only)"
+      role="region"
+    >
+      <div className="sticky top-0 bg-amber-100 border-b border-amber-300 text-amber-900 text-sm px-4 py-2">
+        Preview (read-only): {caption}
+      </div>
+      <div className="flex gap-4 p-4 min-w-max">
+        {lists.map((list) => (
+          <div
+            key={list.id}
+            className="flex-shrink-0 w-72 bg-gradient-to-b from-gray-50 to-gray-100 rounded-xl p-4 shadow-sm border border-gray-200"
+          >
+            <h3 className="font-bold text-gray-900 text-lg px-3 py-2 mb-3">{list.title}</h3>
+            <div className="flex flex-col gap-2">
+              {activeCards(board.cards[list.id]).map((card) => (
+                <div
+                  key={card.id}
+                  className="bg-white rounded-lg p-4 shadow-md border border-gray-100"
+                >
+                  <p className="font-semibold text-gray-900 text-base">{card.title}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BoardPreview;
@@ -0,0 +1,220 @@
+import { useState, useMemo, useCallback } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { useCardMatcher } from '../hooks/useCardFilter';
+import { useNow } from '../hooks/useNow';
+import Card from './Card';
+import { operations } from '../services/operations';
+import {
+  CALENDAR_MODES,
+  toDayKey,
+  getCalendarDays,
+  shiftAnchor,
+  moveToDay,
+  groupCardsByDay,
+} from '../utils/calendar';
+
+const formatDayLabel = (day) =>
+  new Date(day).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+const formatPageTitle = (days, anchor, mode) => {
+  if (mode === 'month') {
+    return new Date(anchor).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const format = (day) => new Date(day).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return `${format(days[0])} – ${format(days[days.length - 1])}, ${new Date(days[days.length - 1]).getFullYear()}`;
+};
+
+// Reads the card payload set by Card's drag start
+const readDraggedCard = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData('application/json'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Drop target for cards; `onDropCard` gets the dragged { cardId, sourceListId }
+function DropZone({ onDropCard, className, activeClassName, children, ...props }) {
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  return (
+    <div
+      {...props}
+      className={`${className} ${isDragOver ? activeClassName : ''}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setIsDragOver(true);
+      }}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsDragOver(false);
+        const data = readDraggedCard(e);
+        if (data?.cardId) onDropCard(data);
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Cards placed on their due dates in a month or week calendar. Dropping a
+ * card on a day moves its due date there; undated cards wait in a sidebar,
+ * and dropping a card back on the sidebar clears its due date.
+ */
+function CalendarView({ searchQuery = '', filterQuery = '' }) {
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const now = useNow();
+  const [mode, setMode] = useState('month');
+  // null follows today; paging pins the calendar to a date
+  const [anchor, setAnchor] = useState(null);
+  const pageAnchor = anchor ?? now;
+  const include = useCardMatcher(searchQuery, filterQuery);
+
+  const { byDay, undated } = useMemo(
+    () => groupCardsByDay({ lists: state.lists, cards: state.cards }, include),
+    [state.lists, state.cards, include]
+  );
+  const days = useMemo(() => getCalendarDays(pageAnchor, mode), [pageAnchor, mode]);
+  const todayKey = toDayKey(now);
+  const pageMonth = new Date(pageAnchor).getMonth();
+
+  const setDueDate = useCallback(({ cardId, sourceListId }, getDueDate) => {
+    const card = (state.cards[sourceListId] || []).find((c) => c.id === cardId);
+    if (!card) return;
+    const dueDate = getDueDate(card);
+    if (dueDate === (card.dueDate ?? null)) return;
+    const updates = { dueDate };
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.UPDATE_CARD,
+        payload: { listId: sourceListId, cardId, updates },
+      },
+      operations.updateCard(sourceListId, cardId, updates, card.version)
+    );
+  }, [state.cards, dispatchWithOptimistic, ACTIONS]);
+
+  const renderCard = ({ card, list }) => (
+    <li key={card.id}>
+      <Card
+        card={card}
+        listId={list.id}
+        labels={state.labels}
+        members={state.members}
+        searchQuery={searchQuery}
+        compact
+      />
+    </li>
+  );
+
+  return (
+    <div className="calendar-view h-full flex gap-4 p-4">
+      <div className="flex-1 min-w-0 flex flex-col gap-2">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setAnchor(shiftAnchor(pageAnchor, mode, -1))}
+            aria-label={`Previous ${mode}`}
+            className="px-2 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50"
+          >
+            <span aria-hidden="true">‹</span>
+          </button>
+          <button
+            onClick={() => setAnchor(null)}
+            className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => setAnchor(shiftAnchor(pageAnchor, mode, 1))}
+            aria-label={`Next ${mode}`}
+            className="px-2 py-1 bg-white border border-gray-300 rounded hover:bg-gray-50"
+          >
+            <span aria-hidden="true">›</span>
+          </button>
+          <h2 className="flex-1 text-lg font-semibold text-gray-900" aria-live="polite">
+            {formatPageTitle(days, pageAnchor, mode)}
+          </h2>
+          <div className="flex" role="group" aria-label="Calendar range">
+            {Object.entries(CALENDAR_MODES).map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setMode(key)}
+                aria-pressed={mode === key}
+                className={`px-3 py-1 border text-sm first:rounded-l last:rounded-r -ml-px first:ml-0 ${
+                  mode === key
+                    ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                    : 'bg-white border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-7 gap-1" aria-hidden="true">
+          {days.slice(0, 7).map((day) => (
+            <div key={day} className="px-2 text-xs font-semibold uppercase tracking-wide text-gray-500">
+              {new Date(day).toLocaleDateString(undefined, { weekday: 'short' })}
+            </div>
+          ))}
+        </div>
+        <ol className="flex-1 min-h-0 grid grid-cols-7 auto-rows-fr gap-1 overflow-y-auto" aria-label="Calendar">
+          {days.map((day) => {
+            const key = toDayKey(day);
+            const entries = byDay.get(key) || [];
+            const isToday = key === todayKey;
+            const isOtherMonth = mode === 'month' && new Date(day).getMonth() !== pageMonth;
+            return (
+              <li key={key} className="min-h-0">
+                <DropZone
+                  onDropCard={(data) => setDueDate(data, (card) => moveToDay(card.dueDate, day))}
+                  aria-label={`${formatDayLabel(day)}, ${entries.length} ${entries.length === 1 ? 'card' : 'cards'}`}
+                  role="group"
+                  className={`calendar-day h-full flex flex-col rounded-lg border p-1 ${
+                    isOtherMonth ? 'bg-gray-50 border-gray-100' : 'bg-white border-gray-200'
+                  } ${mode === 'week' ? 'min-h-96' : 'min-h-28'}`}
+                  activeClassName="ring-2 ring-blue-400"
+                >
+                  <span
+                    className={`self-start px-1.5 text-xs font-semibold rounded-full ${
+                      isToday ? 'bg-blue-600 text-white' : isOtherMonth ? 'text-gray-400' : 'text-gray-700'
+                    }`}
+                    aria-hidden="true"
+                  >
+                    {new Date(day).getDate()}
+                  </span>
+                  {entries.length > 0 && (
+                    <ul className="mt-1 space-y-1 overflow-y-auto">{entries.map(renderCard)}</ul>
+                  )}
+                </DropZone>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+
+      <aside className="w-64 flex-shrink-0 flex flex-col" aria-labelledby="undated-cards-heading">
+        <DropZone
+          onDropCard={(data) => setDueDate(data, () => null)}
+          className="flex-1 min-h-0 flex flex-col rounded-xl border border-gray-200 bg-gray-50 p-3"
+          activeClassName="ring-2 ring-blue-400"
+        >
+          <h2 id="undated-cards-heading" className="font-semibold text-gray-900">
+            No due date <span className="text-sm font-normal text-gray-500">({undated.length})</span>
+          </h2>
+          <p className="text-xs text-gray-500 mb-2">Drag a card onto a day to schedule it, or back here to clear its date.</p>
+          {undated.length > 0 ? (
+            <ul className="flex-1 min-h-0 overflow-y-auto space-y-2">{undated.map(renderCard)}</ul>
+          ) : (
+            <p className="text-sm text-gray-500">Every card has a due date</p>
+          )}
+        </DropZone>
+      </aside>
+    </div>
+  );
+}
+
+export default CalendarView;
@@ -1,11 +1,47 @@
 import { memo, useState, lazy, Suspense } from 'react';
 import LoadingFallback from './LoadingFallback';
+import DueDateBadge from './DueDateBadge';
+import LabelBadge from './LabelBadge';
+import AvatarStack from './AvatarStack';
+import Highlight from './Highlight';
+import { getChecklistProgress } from '../utils/checklists';
+import { getCardLabels } from '../utils/labels';
+import { getCardAssignees } from '../utils/members';
+import { getMatchedFields } from '../utils/search';
+import { getCardAge, AGING_LEVELS } from '../utils/aging';
+import { useNow } from '../hooks/useNow';
 
 const CardDetailModal = lazy(() => import('./CardDetailModal'));
 
-function Card({ card, listId }) {
+// Search fields not shown as text on the card; matches there are named instead
+const HIDDEN_FIELDS = ['labels', 'comments'];
+
+const AGE_STYLES = {
+  [AGING_LEVELS.AGING]: { card: 'opacity-75 hover:opacity-100 focus:opacity-100', badge: 'bg-gray-100 text-gray-600 border-gray-200' },
+  [AGING_LEVELS.STALE]: {
+    card: 'opacity-60 saturate-50 hover:opacity-100 hover:saturate-100 focus:opacity-100',
+    badge: 'bg-amber-100 text-amber-800 border-amber-300',
+  },
+};
+
+// `labels` and `members` are the board registries; cards only store ids.
+// `dimmed` fades cards outside the "My cards" focus. `searchQuery` marks the
+// matched text. `compact` drops the description for tight spots such as
+// calendar days. Given the `list` it sits in, the card fades and shows how
+// long it has been there once that passes the list's aging thresholds.
+function Card({ card, listId, list = null, labels, members, dimmed = false, searchQuery = '', compact = false }) {
   const [showModal, setShowModal] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
+  const checklistProgress = getChecklistProgress(card.checklists);
+  const commentCount = card.comments?.length || 0;
+  const now = useNow();
+  const age = list ? getCardAge(card, list, now) : null;
+  const ageStyle = age && AGE_STYLES[age.level];
+  const cardLabels = getCardLabels(labels, card.labelIds);
+  const assignees = getCardAssignees(members, card.assignees);
+  const hiddenMatches = searchQuery
+    ? getMatchedFields(card, labels, searchQuery).filter((field) => HIDDEN_FIELDS.includes(field))
+    : [];
 
   const handleDragStart = (e) => {
     setIsDragging(true);
@@ -27,9 +63,13 @@ function Card({ card, listId }) {
         onDragStart={handleDragStart}
         onDragEnd={handleDragEnd}
         onClick={() => setShowModal(true)}
-        className={`card bg-white rounded-lg p-4 shadow-md hover:shadow-xl cursor-pointer transition-all duration-200 border border-gray-100 hover:border-blue-200 ${
+        className={`card bg-white rounded-lg ${compact ? 'p-2' : 'p-4'} shadow-md hover:shadow-xl cursor-pointer transition-all duration-200 border border-gray-100 hover:border-blue-200 ${
           isDragging ? 'opacity-50 rotate-2 scale-95' : 'hover:-translate-y-0.5'
+        } ${dimmed && !isDragging ? 'opacity-40 hover:opacity-100 focus:opacity-100' : ''} ${
+          ageStyle && !dimmed && !isDragging ? ageStyle.card : ''
         }`}
+        data-dimmed={dimmed || undefined}
+        data-age={ageStyle ? age.level : undefined}
         role="button"
         tabIndex={0}
         onKeyDown={(e) => {
@@ -40,22 +80,66 @@ function Card({ card, listId }) {
         }}
         aria-label={`Card: ${card.title}`}
       >
-        <h3 className="font-semibold text-gray-900 mb-2 text-base">{card.title}</h3>
-        {card.description && (
+        <h3 className={`font-semibold text-gray-900 mb-2 ${compact ? 'text-sm' : 'text-base'}`}>
+          <Highlight text={card.title} query={searchQuery} />
+        </h3>
+        {card.description && !compact && (
           <p className="text-sm text-gray-600 line-clamp-2 mb-3 leading-relaxed">
-            {card.description}
+            <Highlight text={card.description} query={searchQuery} />
+          </p>
+        )}
+        {hiddenMatches.length > 0 && (
+          <p className="search-hint text-xs text-gray-500 mb-2">
+            Matches in {hiddenMatches.join(' and ')}
           </p>
         )}
-        {card.tags && card.tags.length > 0 && (
-          <div className="flex flex-wrap gap-1.5 mt-auto">
-            {card.tags.map((tag) => (
+        {(card.dueDate != null || checklistProgress.total > 0 || commentCount > 0 || ageStyle) && (
+          <div className="flex flex-wrap gap-1.5 mb-2">
+            {card.dueDate != null && <DueDateBadge dueDate={card.dueDate} />}
+            {ageStyle && (
+              <span
+                className={`age-badge inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border ${ageStyle.badge}`}
+                title={`In ${list.title} for ${age.days} ${age.days === 1 ? 'day' : 'days'}${
+                  age.level === AGING_LEVELS.STALE ? ' (stale)' : ''
+                }`}
+              >
+                <span aria-hidden="true">⏳</span>
+                <span className="sr-only">{age.level === AGING_LEVELS.STALE ? 'Stale, in list for' : 'In list for'}</span>
+                {age.days}d
+              </span>
+            )}
+            {checklistProgress.total > 0 && (
+              <span
+                className={`checklist-badge inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border ${
+                  checklistProgress.done === checklistProgress.total
+                    ? 'bg-green-100 text-green-700 border-green-300'
+                    : 'bg-gray-100 text-gray-600 border-gray-200'
+                }`}
+                title={`Checklist: ${checklistProgress.done} of ${checklistProgress.total} done`}
+              >
+                <span aria-hidden="true">☑</span>
+                {checklistProgress.done}/{checklistProgress.total}
+              </span>
+            )}
+            {commentCount > 0 && (
               <span
-                key={`${card.id}-${tag}`}
-                className="px-3 py-1 bg-gradient-to-r from-blue-50 to-blue-100 text-blue-700 text-xs font-medium rounded-full border border-blue-200"
+                className="comment-badge inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border bg-gray-100 text-gray-600 border-gray-200"
+                title={`${commentCount} ${commentCount === 1 ? 'comment' : 'comments'}`}
               >
-                {tag}
+                <span aria-hidden="true">💬</span>
+                {commentCount}
               </span>
-            ))}
+            )}
+          </div>
+        )}
+        {(cardLabels.length > 0 || assignees.length > 0) && (
+          <div className="flex items-end justify-between gap-2 mt-auto">
+            <div className="flex flex-wrap gap-1.5">
+              {cardLabels.map((label) => (
+                <LabelBadge key={label.id} label={label} />
+              ))}
+            </div>
+            <AvatarStack members={assignees} />
           </div>
         )}
       </div>
@@ -1,14 +1,32 @@
 import { useState, useEffect, useRef } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
-import { validateCardTitle, validateTag } from '../utils/validators';
-import { api } from '../services/api';
+import {
+  validateCardTitle,
+  validateLabelName,
+  validateDueDate,
+  validateStartDate,
+  validateDateRange,
+} from '../utils/validators';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dueDate';
+import { createLabel, findLabelByName, getCardLabels, resolveLabelIds } from '../utils/labels';
+import { resolveMemberIds } from '../utils/members';
+import { TRASH_RETENTION_DAYS } from '../utils/archive';
+import ChecklistEditor from './ChecklistEditor';
+import CommentThread from './CommentThread';
+import LabelBadge from './LabelBadge';
+import MemberAvatar from './MemberAvatar';
+import { operations } from '../services/operations';
 
 function CardDetailModal({ card, listId, onClose }) {
-  const { dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
   const [title, setTitle] = useState(card.title);
   const [description, setDescription] = useState(card.description || '');
-  const [tags, setTags] = useState(card.tags || []);
-  const [newTag, setNewTag] = useState('');
+  const [labelIds, setLabelIds] = useState(() => resolveLabelIds(state.labels, card.labelIds));
+  const [newLabel, setNewLabel] = useState('');
+  const [assignees, setAssignees] = useState(() => resolveMemberIds(state.members, card.assignees));
+  const [checklists, setChecklists] = useState(card.checklists || []);
+  const [startDateInput, setStartDateInput] = useState(toDateTimeInputValue(card.startDate));
+  const [dueDateInput, setDueDateInput] = useState(toDateTimeInputValue(card.dueDate));
   const modalRef = useRef(null);
 
   useEffect(() => {
@@ -30,63 +48,104 @@ function CardDetailModal({ card, listId, onClose }) {
       return;
     }
 
+    const startDate = fromDateTimeInputValue(startDateInput);
+    const dueDate = fromDateTimeInputValue(dueDateInput);
+    const dateValidation = [
+      validateStartDate(startDate),
+      validateDueDate(dueDate),
+      validateDateRange(startDate, dueDate),
+    ].find((result) => !result.valid);
+    if (dateValidation) {
+      alert(dateValidation.error);
+      return;
+    }
+
+    const updates = { title, description, labelIds, assignees, startDate, dueDate, checklists };
+
     dispatchWithOptimistic(
       {
         type: ACTIONS.UPDATE_CARD,
         payload: {
           listId,
           cardId: card.id,
-          updates: { title, description, tags },
+          updates,
         },
       },
-      () => api.updateCard(listId, card.id, { title, description, tags })
+      operations.updateCard(listId, card.id, updates, card.version)
     );
 
     onClose();
   };
 
+  // Archived cards leave the board but stay in their list, and can be
+  // restored from the Archived items drawer
+  const handleArchive = () => {
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.ARCHIVE_CARD,
+        payload: { listId, cardId: card.id },
+      },
+      operations.updateCard(listId, card.id, { archived: true }, card.version)
+    );
+    onClose();
+  };
+
   const handleDelete = () => {
-    if (window.confirm('Delete this card?')) {
+    if (window.confirm(`Delete this card? It can be restored from Archived items for ${TRASH_RETENTION_DAYS} days.`)) {
       dispatchWithOptimistic(
         {
           type: ACTIONS.DELETE_CARD,
           payload: { listId, cardId: card.id },
         },
-        () => api.deleteCard(listId, card.id)
+        operations.deleteCard(listId, card.id, card.version)
       );
       onClose();
     }
   };
 
-  const handleAddTag = () => {
-    if (!newTag.trim()) return;
+  // Typing an existing name (in any case) picks that label; a new name
+  // creates it in the board registry straight away
+  const handleAddLabel = () => {
+    if (!newLabel.trim()) return;
 
-    const validation = validateTag(newTag);
-    if (!validation.valid) {
-      alert(validation.error);
+    const existing = findLabelByName(state.labels, newLabel);
+    if (existing) {
+      setLabelIds((ids) => (ids.includes(existing.id) ? ids : [...ids, existing.id]));
+      setNewLabel('');
       return;
     }
 
-    if (tags.includes(newTag.trim())) {
-      alert('Tag already exists');
+    const validation = validateLabelName(newLabel, state.labels);
+    if (!validation.valid) {
+      alert(validation.error);
       return;
     }
 
-    setTags([...tags, newTag.trim()]);
-    setNewTag('');
-  };
-
-  const handleRemoveTag = (index) => {
-    setTags(tags.filter((_, i) => i !== index));
+    const label = createLabel({ name: newLabel });
+    dispatchWithOptimistic(
+      { type: ACTIONS.ADD_LABEL, payload: { label } },
+      operations.addLabel(label)
+    );
+    setLabelIds((ids) => [...ids, label.id]);
+    setNewLabel('');
   };
 
-  const handleTagKeyDown = (e) => {
+  const handleLabelKeyDown = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
-      handleAddTag();
+      handleAddLabel();
     }
   };
 
+  const toggleAssignee = (memberId) => {
+    setAssignees((ids) => (
+      ids.includes(memberId) ? ids.filter((id) => id !== memberId) : [...ids, memberId]
+    ));
+  };
+
+  const selectedLabels = getCardLabels(state.labels, labelIds);
+  const availableLabels = state.labels.filter((label) => !labelIds.includes(label.id));
+
   return (
     <div
       className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
@@ -151,26 +210,82 @@ function CardDetailModal({ card, listId, onClose }) {
             />
           </div>
 
-          {/* Tags */}
+          {/* Start date */}
+          <div className="mb-4">
+            <label
+              htmlFor="card-start-date"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Start date
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="card-start-date"
+                type="datetime-local"
+                value={startDateInput}
+                onChange={(e) => setStartDateInput(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {startDateInput && (
+                <button
+                  onClick={() => setStartDateInput('')}
+                  type="button"
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Due date */}
+          <div className="mb-4">
+            <label
+              htmlFor="card-due-date"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Due date
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="card-due-date"
+                type="datetime-local"
+                value={dueDateInput}
+                onChange={(e) => setDueDateInput(e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              {dueDateInput && (
+                <button
+                  onClick={() => setDueDateInput('')}
+                  type="button"
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Labels */}
           <div className="mb-6">
             <label
-              htmlFor="card-tags"
+              htmlFor="card-labels"
               className="block text-sm font-medium text-gray-700 mb-2"
             >
-              Tags
+              Labels
             </label>
             <div className="flex gap-2 mb-2">
               <input
-                id="card-tags"
+                id="card-labels"
                 type="text"
-                value={newTag}
-                onChange={(e) => setNewTag(e.target.value)}
-                onKeyDown={handleTagKeyDown}
-                placeholder="Add a tag..."
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+                onKeyDown={handleLabelKeyDown}
+                placeholder="Add or create a label..."
                 className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
               <button
-                onClick={handleAddTag}
+                onClick={handleAddLabel}
                 type="button"
                 className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
               >
@@ -178,34 +293,108 @@ function CardDetailModal({ card, listId, onClose }) {
               </button>
             </div>
             <div className="flex flex-wrap gap-2">
-              {tags.map((tag) => (
-                <span
-                  key={tag}
-                  className="px-3 py-1 bg-blue-100 text-blue-700 rounded-full flex items-center gap-2"
-                >
-                  {tag}
+              {selectedLabels.map((label) => (
+                <LabelBadge
+                  key={label.id}
+                  label={label}
+                  size="medium"
+                  onRemove={() => setLabelIds((ids) => ids.filter((id) => id !== label.id))}
+                />
+              ))}
+            </div>
+            {availableLabels.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 mt-2">
+                <span className="text-sm text-gray-500">Available:</span>
+                {availableLabels.map((label) => (
                   <button
-                    onClick={() => handleRemoveTag(tags.indexOf(tag))}
+                    key={label.id}
+                    onClick={() => setLabelIds((ids) => [...ids, label.id])}
                     type="button"
-                    className="text-blue-700 hover:text-blue-900 font-bold"
-                    aria-label={`Remove tag ${tag}`}
+                    className="px-2 py-0.5 text-xs font-medium rounded-full border-2 hover:bg-gray-50"
+                    style={{ borderColor: label.color, color: label.color }}
+                    title={label.description || `Add label ${label.name}`}
                   >
-                    ×
+                    + {label.name}
                   </button>
-                </span>
-              ))}
-            </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Assignees */}
+          <div className="mb-6">
+            <span id="card-assignees" className="block text-sm font-medium text-gray-700 mb-2">
+              Assignees
+            </span>
+            {state.members.length > 0 ? (
+              <div className="flex flex-wrap gap-2" role="group" aria-labelledby="card-assignees">
+                {state.members.map((member) => {
+                  const isAssigned = assignees.includes(member.id);
+                  return (
+                    <button
+                      key={member.id}
+                      onClick={() => toggleAssignee(member.id)}
+                      type="button"
+                      aria-pressed={isAssigned}
+                      className={`inline-flex items-center gap-2 pl-1 pr-3 py-1 text-sm rounded-full border ${
+                        isAssigned
+                          ? 'bg-blue-50 border-blue-500 text-blue-900'
+                          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      <MemberAvatar member={member} />
+                      <span aria-hidden="true">{member.name}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                No board members yet. Add them from the Members button in the toolbar.
+              </p>
+            )}
+          </div>
+
+          {/* Checklists */}
+          <div className="mb-6">
+            <label
+              htmlFor="card-checklist"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Checklists
+            </label>
+            <ChecklistEditor checklists={checklists} onChange={setChecklists} />
+          </div>
+
+          {/* Comments */}
+          <div className="mb-6">
+            <label
+              htmlFor="card-comment"
+              className="block text-sm font-medium text-gray-700 mb-2"
+            >
+              Comments
+            </label>
+            <CommentThread card={card} listId={listId} />
           </div>
 
           {/* Actions */}
           <div className="flex justify-between">
-            <button
-              onClick={handleDelete}
-              type="button"
-              className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600"
-            >
-              Delete Card
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={handleArchive}
+                type="button"
+                className="px-4 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-md hover:bg-gray-200"
+              >
+                Archive Card
+              </button>
+              <button
+                onClick={handleDelete}
+                type="button"
+                className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600"
+              >
+                Delete Card
+              </button>
+            </div>
             <div className="flex gap-2">
               <button
                 onClick={onClose}
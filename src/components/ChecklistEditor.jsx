@@ -0,0 +1,198 @@
+import { useState } from 'react';
+import { validateChecklistTitle, validateChecklistItem } from '../utils/validators';
+import {
+  createChecklist,
+  createChecklistItem,
+  getChecklistProgress,
+  updateChecklist,
+  updateChecklistItem,
+  removeChecklistItem,
+  moveChecklistItem,
+} from '../utils/checklists';
+
+function Checklist({ checklist, onChange, onDelete }) {
+  const [newItemText, setNewItemText] = useState('');
+  const { done, total } = getChecklistProgress([checklist]);
+
+  const handleAddItem = () => {
+    if (!newItemText.trim()) return;
+
+    const validation = validateChecklistItem(newItemText);
+    if (!validation.valid) {
+      alert(validation.error);
+      return;
+    }
+
+    onChange((checklists) =>
+      updateChecklist(checklists, checklist.id, (current) => ({
+        ...current,
+        items: [...current.items, createChecklistItem(newItemText)],
+      }))
+    );
+    setNewItemText('');
+  };
+
+  return (
+    <div className="checklist mb-4 border border-gray-200 rounded-md p-3">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-800">
+          {checklist.title}{' '}
+          <span className="text-sm font-normal text-gray-500">
+            {done}/{total}
+          </span>
+        </h4>
+        <button
+          onClick={onDelete}
+          type="button"
+          className="text-sm text-red-600 hover:text-red-800"
+          aria-label={`Delete checklist ${checklist.title}`}
+        >
+          Delete
+        </button>
+      </div>
+
+      <ul className="mb-2">
+        {checklist.items.map((item, index) => (
+          <li key={item.id} className="flex items-center gap-2 py-1">
+            <input
+              id={`checklist-item-${item.id}`}
+              type="checkbox"
+              checked={item.done}
+              onChange={(e) =>
+                onChange((checklists) =>
+                  updateChecklistItem(checklists, checklist.id, item.id, {
+                    done: e.target.checked,
+                  })
+                )
+              }
+              className="h-4 w-4"
+            />
+            <label
+              htmlFor={`checklist-item-${item.id}`}
+              className={`flex-1 text-sm ${item.done ? 'line-through text-gray-500' : 'text-gray-800'}`}
+            >
+              {item.text}
+            </label>
+            <button
+              onClick={() =>
+                onChange((checklists) => moveChecklistItem(checklists, checklist.id, item.id, -1))
+              }
+              disabled={index === 0}
+              type="button"
+              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              aria-label={`Move ${item.text} up`}
+            >
+              ↑
+            </button>
+            <button
+              onClick={() =>
+                onChange((checklists) => moveChecklistItem(checklists, checklist.id, item.id, 1))
+              }
+              disabled={index === checklist.items.length - 1}
+              type="button"
+              className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+              aria-label={`Move ${item.text} down`}
+            >
+              ↓
+            </button>
+            <button
+              onClick={() =>
+                onChange((checklists) => removeChecklistItem(checklists, checklist.id, item.id))
+              }
+              type="button"
+              className="px-1 text-red-600 hover:text-red-800 font-bold"
+              aria-label={`Delete ${item.text}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newItemText}
+          onChange={(e) => setNewItemText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddItem();
+            }
+          }}
+          placeholder="Add an item..."
+          aria-label={`New item for ${checklist.title}`}
+          className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={handleAddItem}
+          type="button"
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Edits a card's checklists. `onChange` receives an updater function
+ * (checklists => checklists), like a state setter.
+ */
+function ChecklistEditor({ checklists, onChange }) {
+  const [newTitle, setNewTitle] = useState('');
+
+  const handleAddChecklist = () => {
+    if (!newTitle.trim()) return;
+
+    const validation = validateChecklistTitle(newTitle);
+    if (!validation.valid) {
+      alert(validation.error);
+      return;
+    }
+
+    onChange((current) => [...current, createChecklist(newTitle)]);
+    setNewTitle('');
+  };
+
+  return (
+    <div>
+      {checklists.map((checklist) => (
+        <Checklist
+          key={checklist.id}
+          checklist={checklist}
+          onChange={onChange}
+          onDelete={() =>
+            onChange((current) => current.filter((other) => other.id !== checklist.id))
+          }
+        />
+      ))}
+      <div className="flex gap-2">
+        <input
+          id="card-checklist"
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddChecklist();
+            }
+          }}
+          placeholder="New checklist title..."
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={handleAddChecklist}
+          type="button"
+          className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+        >
+          Add checklist
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChecklistEditor;
@@ -0,0 +1,29 @@
+/**
+ * Swatch picker for a fixed palette, as a radio group of named colors.
+ * `name` must be unique on the page (it groups the radio inputs).
+ */
+function ColorPicker({ colors, value, onChange, name, label = 'Color' }) {
+  return (
+    <div className="flex flex-wrap gap-1" role="radiogroup" aria-label={label}>
+      {colors.map((color) => (
+        <label key={color.value} className="cursor-pointer" title={color.name}>
+          <input
+            type="radio"
+            name={name}
+            value={color.value}
+            checked={value === color.value}
+            onChange={() => onChange(color.value)}
+            className="sr-only peer"
+          />
+          <span
+            className="block w-6 h-6 rounded-full border-2 border-transparent peer-checked:border-gray-900 peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500"
+            style={{ backgroundColor: color.value }}
+          />
+          <span className="sr-only">{color.name}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+export default ColorPicker;
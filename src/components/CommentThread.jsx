@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { validateComment } from '../utils/validators';
+import { createComment, commentEdit } from '../utils/comments';
+import { formatDate } from '../utils/helpers';
+import { getCurrentUser, setCurrentUserName } from '../services/currentUser';
+import { operations } from '../services/operations';
+import Markdown from './Markdown';
+
+function Comment({ comment, isOwn, onEdit, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(comment.body);
+
+  const handleSave = () => {
+    if (draft.trim() === comment.body) {
+      setIsEditing(false);
+      return;
+    }
+    if (onEdit(draft)) {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <li className="comment border border-gray-200 rounded-md p-3">
+      <div className="flex items-baseline justify-between gap-2 mb-1">
+        <div className="text-sm">
+          <span className="font-medium text-gray-800">{comment.author}</span>{' '}
+          <time
+            dateTime={new Date(comment.createdAt).toISOString()}
+            className="text-gray-500"
+          >
+            {formatDate(comment.createdAt)}
+          </time>
+          {comment.edited && (
+            <span
+              className="ml-1 text-gray-400 italic"
+              title={comment.editedAt ? `Edited ${formatDate(comment.editedAt)}` : 'Edited'}
+            >
+              (edited)
+            </span>
+          )}
+        </div>
+        {isOwn && !isEditing && (
+          <div className="flex gap-2 text-sm">
+            <button
+              onClick={() => {
+                setDraft(comment.body);
+                setIsEditing(true);
+              }}
+              type="button"
+              className="text-gray-500 hover:text-gray-800"
+            >
+              Edit
+            </button>
+            <button
+              onClick={onDelete}
+              type="button"
+              className="text-red-600 hover:text-red-800"
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {isEditing ? (
+        <div>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows="3"
+            aria-label="Edit comment"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+          />
+          <div className="flex justify-end gap-2 mt-1">
+            <button
+              onClick={() => setIsEditing(false)}
+              type="button"
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              type="button"
+              className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <Markdown source={comment.body} className="text-sm text-gray-800" />
+      )}
+    </li>
+  );
+}
+
+/**
+ * Comment thread for a card. Unlike the other card fields, comments are
+ * posted straight away rather than on Save, each as its own operation.
+ */
+function CommentThread({ card, listId }) {
+  const { dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const [user, setUser] = useState(getCurrentUser);
+  const [body, setBody] = useState('');
+  const comments = card.comments || [];
+
+  const validate = (text) => {
+    const validation = validateComment(text);
+    if (!validation.valid) {
+      alert(validation.error);
+    }
+    return validation.valid;
+  };
+
+  const handleAdd = () => {
+    if (!validate(body)) return;
+
+    const comment = createComment(body, user);
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.ADD_COMMENT,
+        payload: { listId, cardId: card.id, comment },
+      },
+      operations.addComment(listId, card.id, comment)
+    );
+    setBody('');
+  };
+
+  const handleEdit = (comment, text) => {
+    if (!validate(text)) return false;
+
+    const updates = commentEdit(text);
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.UPDATE_COMMENT,
+        payload: { listId, cardId: card.id, commentId: comment.id, updates },
+      },
+      operations.updateComment(listId, card.id, comment.id, updates)
+    );
+    return true;
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.DELETE_COMMENT,
+        payload: { listId, cardId: card.id, commentId: comment.id },
+      },
+      operations.deleteComment(listId, card.id, comment.id)
+    );
+  };
+
+  return (
+    <div>
+      {comments.length > 0 ? (
+        <ul className="space-y-2 mb-3">
+          {comments.map((comment) => (
+            <Comment
+              key={comment.id}
+              comment={comment}
+              isOwn={comment.authorId === user.id}
+              onEdit={(text) => handleEdit(comment, text)}
+              onDelete={() => handleDelete(comment)}
+            />
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 mb-3">No comments yet.</p>
+      )}
+
+      <textarea
+        id="card-comment"
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            handleAdd();
+          }
+        }}
+        rows="3"
+        placeholder="Write a comment... (markdown supported)"
+        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+      />
+      <div className="flex items-center justify-between gap-2 mt-1">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          Commenting as
+          <input
+            type="text"
+            defaultValue={user.name}
+            onBlur={(e) => setUser(setCurrentUserName(e.target.value))}
+            className="w-32 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        <button
+          onClick={handleAdd}
+          type="button"
+          className="px-4 py-2 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+        >
+          Comment
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CommentThread;
@@ -1,6 +1,19 @@
 import { useState } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
 
+// Conflict types for board-level registries, and the state key each lives in
+const REGISTRIES = { label: 'labels', member: 'members' };
+
+// Put the chosen copy in place. A change the server refused can have no copy
+// on one side (a card it never added), and picking that side removes it.
+const replaceOrRemove = (items, index, copy) => {
+  if (copy) {
+    items[index] = copy;
+  } else {
+    items.splice(index, 1);
+  }
+};
+
 function ConflictResolutionModal() {
   const { state, dispatch, ACTIONS } = useBoardState();
   const { conflicts } = state;
@@ -16,27 +29,43 @@ function ConflictResolutionModal() {
     });
   };
 
+  // Resolutions apply to the merged board, which already has the changes
+  // that merged cleanly (and cards moved out of deleted lists)
+  const board = state.pendingMerge ?? state;
+  const trash = state.pendingMerge ? { trash: state.pendingMerge.trash } : {};
+
   const handleApplyAll = () => {
     // Build merged state based on resolutions
-    const mergedState = { ...state };
-    const newLists = [...state.lists];
-    const newCards = { ...state.cards };
+    const newLists = [...board.lists];
+    const newCards = { ...board.cards };
+    const newRegistries = {
+      labels: [...(board.labels || [])],
+      members: [...(board.members || [])],
+    };
 
     conflicts.forEach((conflict, index) => {
       const resolution = resolutions[index] || 'server';
 
+      const chosen = resolution === 'local' ? conflict.local : conflict.server;
+
       if (conflict.type === 'list') {
         const listIndex = newLists.findIndex((l) => l.id === conflict.id);
         if (listIndex !== -1) {
-          newLists[listIndex] = resolution === 'local' ? conflict.local : conflict.server;
+          replaceOrRemove(newLists, listIndex, chosen);
         }
       } else if (conflict.type === 'card') {
-        const cards = newCards[conflict.listId] || [];
+        const cards = [...(newCards[conflict.listId] || [])];
         const cardIndex = cards.findIndex((c) => c.id === conflict.id);
         if (cardIndex !== -1) {
-          cards[cardIndex] = resolution === 'local' ? conflict.local : conflict.server;
+          replaceOrRemove(cards, cardIndex, chosen);
           newCards[conflict.listId] = cards;
         }
+      } else if (REGISTRIES[conflict.type]) {
+        const entries = newRegistries[REGISTRIES[conflict.type]];
+        const entryIndex = entries.findIndex((e) => e.id === conflict.id);
+        if (entryIndex !== -1) {
+          replaceOrRemove(entries, entryIndex, chosen);
+        }
       }
     });
 
@@ -46,6 +75,8 @@ function ConflictResolutionModal() {
         mergedState: {
           lists: newLists,
           cards: newCards,
+          ...newRegistries,
+          ...trash,
         },
       },
     });
@@ -60,18 +91,33 @@ function ConflictResolutionModal() {
             .filter((c) => c.type === 'list')
             .reduce((lists, conflict) => {
               const idx = lists.findIndex((l) => l.id === conflict.id);
-              if (idx !== -1) lists[idx] = conflict.server;
+              if (idx !== -1) replaceOrRemove(lists, idx, conflict.server);
               return lists;
-            }, [...state.lists]),
+            }, [...board.lists]),
           cards: conflicts
             .filter((c) => c.type === 'card')
             .reduce((cards, conflict) => {
-              const listCards = cards[conflict.listId] || [];
+              const listCards = [...(cards[conflict.listId] || [])];
               const cardIdx = listCards.findIndex((c) => c.id === conflict.id);
-              if (cardIdx !== -1) listCards[cardIdx] = conflict.server;
-              cards[conflict.listId] = listCards;
+              if (cardIdx !== -1) {
+                replaceOrRemove(listCards, cardIdx, conflict.server);
+                cards[conflict.listId] = listCards;
+              }
               return cards;
-            }, { ...state.cards }),
+            }, { ...board.cards }),
+          ...Object.fromEntries(
+            Object.entries(REGISTRIES).map(([type, collection]) => [
+              collection,
+              conflicts
+                .filter((c) => c.type === type)
+                .reduce((entries, conflict) => {
+                  const idx = entries.findIndex((e) => e.id === conflict.id);
+                  if (idx !== -1) replaceOrRemove(entries, idx, conflict.server);
+                  return entries;
+                }, [...(board[collection] || [])]),
+            ])
+          ),
+          ...trash,
         },
       },
     });
@@ -94,11 +140,11 @@ function ConflictResolutionModal() {
               <div className="flex items-start justify-between mb-3">
                 <div>
                   <span className="font-semibold text-gray-800">
-                    {conflict.type === 'list' ? 'List' : 'Card'} Conflict
+                    {{ list: 'List', card: 'Card', label: 'Label', member: 'Member' }[conflict.type]} Conflict
                   </span>
                   <span className="ml-2 text-sm text-gray-500">
-                    {conflict.type === 'list'
-                      ? conflict.local?.title || conflict.server?.title
+                    {REGISTRIES[conflict.type]
+                      ? conflict.local?.name || conflict.server?.name
                       : conflict.local?.title || conflict.server?.title}
                   </span>
                 </div>
@@ -0,0 +1,37 @@
+import { useNow } from '../hooks/useNow';
+import { getDueStatus, formatDueDate, DUE_STATUS } from '../utils/dueDate';
+
+const STATUS_STYLES = {
+  [DUE_STATUS.OVERDUE]: 'bg-red-100 text-red-700 border-red-300',
+  [DUE_STATUS.DUE_SOON]: 'bg-amber-100 text-amber-800 border-amber-300',
+  [DUE_STATUS.UPCOMING]: 'bg-gray-100 text-gray-600 border-gray-200',
+};
+
+const STATUS_LABELS = {
+  [DUE_STATUS.OVERDUE]: 'Overdue',
+  [DUE_STATUS.DUE_SOON]: 'Due soon',
+  [DUE_STATUS.UPCOMING]: 'Due',
+};
+
+function DueDateBadge({ dueDate }) {
+  const now = useNow();
+  const status = getDueStatus(dueDate, now);
+
+  if (!status) return null;
+
+  const label = formatDueDate(dueDate);
+
+  return (
+    <span
+      className={`due-date-badge inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full border ${STATUS_STYLES[status]}`}
+      data-status={status}
+      title={`${STATUS_LABELS[status]}: ${label}`}
+    >
+      <span aria-hidden="true">🕒</span>
+      <span className="sr-only">{STATUS_LABELS[status]}:</span>
+      {label}
+    </span>
+  );
+}
+
+export default DueDateBadge;
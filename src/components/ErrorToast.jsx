@@ -3,7 +3,7 @@ import { useBoardState } from '../hooks/useBoardState';
 
 function ErrorToast() {
   const { state, dispatch, ACTIONS } = useBoardState();
-  const { error } = state;
+  const { error, errorTitle } = state;
 
   useEffect(() => {
     if (error) {
@@ -38,7 +38,7 @@ function ErrorToast() {
         />
       </svg>
       <div className="flex-1">
-        <p className="font-semibold">Sync Failed</p>
+        <p className="font-semibold">{errorTitle || 'Sync Failed'}</p>
         <p className="text-sm">{error}</p>
       </div>
       <button
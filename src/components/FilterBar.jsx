@@ -0,0 +1,104 @@
+import { useMemo } from 'react';
+import { parseFilterQuery, removeFilterTerm, toggleFilterTerm } from '../utils/filterQuery';
+import { CARD_SORTS, DEFAULT_VIEW } from '../utils/viewState';
+
+/**
+ * Filter query input (utils/filterQuery.js) with a chip per active filter
+ * and the parse errors of the terms that were left out. "Stale cards"
+ * toggles the `is:stale` term. Pass `onSortChange` to also pick how cards
+ * are sorted.
+ */
+const STALE_TERM = 'is:stale';
+
+function FilterBar({ query = '', onQueryChange, sort = DEFAULT_VIEW.sort, onSortChange }) {
+  const { filters, errors } = useMemo(() => parseFilterQuery(query), [query]);
+  const staleOnly = filters.some((filter) => filter.raw.toLowerCase() === STALE_TERM);
+
+  return (
+    <div className="filter-bar bg-white border-b border-gray-200">
+      <div className="container mx-auto px-4 py-2 flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && onQueryChange('')}
+          placeholder="Filter, e.g. tag:bug assignee:me due:<7d -list:Done"
+          aria-label="Filter cards"
+          aria-describedby={errors.length > 0 ? 'filter-errors' : undefined}
+          aria-invalid={errors.length > 0}
+          spellCheck={false}
+          className={`flex-1 min-w-64 px-3 py-1 border rounded text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+            errors.length > 0 ? 'border-red-400' : 'border-gray-300'
+          }`}
+        />
+        {filters.length > 0 && (
+          <ul className="flex flex-wrap gap-1" aria-label="Active filters">
+            {filters.map((filter) => (
+              <li
+                key={filter.start}
+                className={`filter-chip inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                  filter.negated ? 'bg-red-100 text-red-800' : 'bg-blue-100 text-blue-800'
+                }`}
+              >
+                {filter.raw}
+                <button
+                  type="button"
+                  onClick={() => onQueryChange(removeFilterTerm(query, filter))}
+                  className="font-bold hover:opacity-75"
+                  aria-label={`Remove filter ${filter.raw}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <button
+          type="button"
+          onClick={() => onQueryChange(toggleFilterTerm(query, STALE_TERM))}
+          aria-pressed={staleOnly}
+          title="Cards that have sat in their list past its stale threshold"
+          className={`px-2 py-1 border rounded text-sm ${
+            staleOnly
+              ? 'bg-amber-500 border-amber-500 text-white hover:bg-amber-600'
+              : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          ⏳ Stale cards
+        </button>
+        {onSortChange && (
+          <select
+            value={sort}
+            onChange={(e) => onSortChange(e.target.value)}
+            aria-label="Sort cards"
+            className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(CARD_SORTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        {query && (
+          <button
+            type="button"
+            onClick={() => onQueryChange('')}
+            className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <ul id="filter-errors" aria-live="polite" className="container mx-auto px-4">
+        {errors.map((error) => (
+          <li key={error.start} className="filter-error pb-1 text-xs text-red-700">
+            <code>{error.raw}</code>: {error.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FilterBar;
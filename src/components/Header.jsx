@@ -1,16 +1,56 @@
+import { useEffect, useRef } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
 
-function Header() {
+// Keys typed here belong to the field, not to the `/` shortcut
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
+function Header({ searchQuery = '', onSearchChange }) {
   const { state } = useBoardState();
+  const searchInputRef = useRef(null);
+
+  // `/` jumps to the search box from anywhere on the board
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) {
+        return;
+      }
+      e.preventDefault();
+      searchInputRef.current?.focus();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onSearchChange?.('');
+      e.currentTarget.blur();
+    }
+  };
 
   return (
     <header className="header bg-gradient-to-r from-blue-600 to-blue-700 text-white shadow-lg">
-      <div className="container mx-auto px-6 py-5 flex items-center justify-between">
+      <div className="container mx-auto px-6 py-5 flex items-center justify-between gap-4">
         <h1 className="text-3xl font-bold tracking-tight">📋 {state.boardTitle}</h1>
-        <div className="flex items-center gap-2 bg-blue-500/30 px-4 py-2 rounded-full backdrop-blur-sm">
-          <span className="text-sm font-medium">
-            {state.lists.filter((l) => !l.archived).length} lists
-          </span>
+        <div className="flex items-center gap-3">
+          <input
+            ref={searchInputRef}
+            type="search"
+            value={searchQuery}
+            onChange={(e) => onSearchChange?.(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+            placeholder="Search cards (press /)"
+            aria-label="Search cards"
+            aria-keyshortcuts="/"
+            className="search-input w-64 px-3 py-1.5 rounded-lg text-sm text-gray-900 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-white"
+          />
+          <div className="flex items-center gap-2 bg-blue-500/30 px-4 py-2 rounded-full backdrop-blur-sm">
+            <span className="text-sm font-medium">
+              {state.lists.filter((l) => !l.archived).length} lists
+            </span>
+          </div>
         </div>
       </div>
     </header>
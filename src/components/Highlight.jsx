@@ -0,0 +1,21 @@
+import { splitMatches } from '../utils/search';
+
+/**
+ * Text with the terms of a search query marked. Renders the plain text when
+ * there is no query.
+ */
+function Highlight({ text, query }) {
+  if (!query) return text;
+
+  return splitMatches(text, query).map((part) =>
+    part.match ? (
+      <mark key={part.offset} className="search-match bg-yellow-200 text-inherit rounded-sm">
+        {part.text}
+      </mark>
+    ) : (
+      part.text
+    )
+  );
+}
+
+export default Highlight;
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import BoardPreview from './BoardPreview';
+import { formatDate } from '../utils/helpers';
+
+// Board as it was at a history index. Index 0 is the session start, which
+// is the board before the first recorded change.
+const boardAt = (entries, index) =>
+  index === 0 ? entries[1]?.state.previous : entries[index]?.state.board;
+
+function HistoryPanel({ onClose }) {
+  const { historyEntries, historyIndex, jumpToHistory } = useBoardState();
+  const [previewIndex, setPreviewIndex] = useState(null);
+
+  const previewBoard =
+    previewIndex === null || previewIndex === historyIndex
+      ? null
+      : boardAt(historyEntries, previewIndex);
+
+  const handleRestore = (index) => {
+    setPreviewIndex(null);
+    jumpToHistory(index);
+  };
+
+  // Newest first
+  const items = historyEntries
+    .map((entry, index) => ({ entry, index }))
+    .reverse();
+
+  return (
+    <>
+      {previewBoard && (
+        <BoardPreview
+          board={previewBoard}
+          caption={
+            previewIndex === 0
+              ? 'start of session'
+              : historyEntries[previewIndex].state.label
+          }
+        />
+      )}
+      <aside
+        className="history-panel absolute top-0 right-0 bottom-0 w-80 bg-white border-l border-gray-200 shadow-xl z-40 flex flex-col"
+        aria-label="Board history"
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+          <h2 className="font-bold text-gray-900">History</h2>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-900 rounded"
+            aria-label="Close history"
+          >
+            ✕
+          </button>
+        </div>
+        <p className="px-4 py-2 text-xs text-gray-500 border-b border-gray-100">
+          Hover an entry to preview the board, click to restore it.
+        </p>
+        <ol className="flex-1 overflow-y-auto">
+          {items.map(({ entry, index }) => {
+            const isCurrent = index === historyIndex;
+            const isUndone = index > historyIndex;
+            return (
+              <li key={`${index}-${entry.timestamp}`}>
+                <button
+                  onClick={() => handleRestore(index)}
+                  onMouseEnter={() => setPreviewIndex(index)}
+                  onMouseLeave={() => setPreviewIndex(null)}
+                  onFocus={() => setPreviewIndex(index)}
+                  onBlur={() => setPreviewIndex(null)}
+                  aria-current={isCurrent ? 'step' : undefined}
+                  className={`block w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-blue-50 transition-colors ${
+                    isCurrent ? 'bg-blue-50 border-l-4 border-l-blue-500' : ''
+                  } ${isUndone ? 'opacity-50' : ''}`}
+                >
+                  <span className="block text-sm font-medium text-gray-900">
+                    {index === 0 ? 'Start of session' : entry.state.label}
+                  </span>
+                  <span className="flex items-center justify-between mt-1 text-xs text-gray-500">
+                    <time dateTime={new Date(entry.timestamp).toISOString()}>
+                      {formatDate(entry.timestamp)}
+                    </time>
+                    {index > 0 && (
+                      <code className="px-1.5 py-0.5 bg-gray-100 rounded text-gray-600">
+                        {entry.state.type}
+                      </code>
+                    )}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      </aside>
+    </>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,28 @@
+/**
+ * A label chip in the label's color. Pass `onRemove` to show a remove button.
+ */
+function LabelBadge({ label, size = 'small', onRemove }) {
+  const sizeClasses = size === 'small' ? 'px-2 py-0.5 text-xs' : 'px-3 py-1 text-sm';
+
+  return (
+    <span
+      className={`label-badge inline-flex items-center gap-1 font-medium rounded-full text-white ${sizeClasses}`}
+      style={{ backgroundColor: label.color }}
+      title={label.description || label.name}
+    >
+      {label.name}
+      {onRemove && (
+        <button
+          onClick={onRemove}
+          type="button"
+          className="font-bold hover:opacity-75"
+          aria-label={`Remove label ${label.name}`}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
+
+export default LabelBadge;
@@ -0,0 +1,326 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { validateLabelName, validateLabelColor } from '../utils/validators';
+import { LABEL_COLORS, createLabel, resolveLabelIds } from '../utils/labels';
+import { operations } from '../services/operations';
+import LabelBadge from './LabelBadge';
+import ColorPicker from './ColorPicker';
+
+function LabelRow({ label, labels, usage, onUpdate, onMerge, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(label.name);
+  const [color, setColor] = useState(label.color);
+  const [description, setDescription] = useState(label.description || '');
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const otherLabels = labels.filter((other) => other.id !== label.id);
+
+  const handleSave = () => {
+    if (onUpdate({ name, color, description })) {
+      setIsEditing(false);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="border border-gray-200 rounded-md p-3 space-y-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          aria-label="Label name"
+          className="w-full px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <ColorPicker
+          colors={LABEL_COLORS}
+          value={color}
+          onChange={setColor}
+          name={`label-color-${label.id}`}
+          label="Label color"
+        />
+        <input
+          type="text"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          placeholder="Description (optional)"
+          aria-label="Label description"
+          className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setIsEditing(false)}
+            type="button"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            type="button"
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Save
+          </button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="border border-gray-200 rounded-md p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <LabelBadge label={label} size="medium" />
+          <span className="ml-2 text-sm text-gray-500">
+            {usage} {usage === 1 ? 'card' : 'cards'}
+          </span>
+          {label.description && (
+            <p className="mt-1 text-sm text-gray-600">{label.description}</p>
+          )}
+        </div>
+        <div className="flex gap-2 text-sm shrink-0">
+          <button
+            onClick={() => {
+              setName(label.name);
+              setColor(label.color);
+              setDescription(label.description || '');
+              setIsEditing(true);
+            }}
+            type="button"
+            className="text-gray-600 hover:text-gray-900"
+            aria-label={`Edit label ${label.name}`}
+          >
+            Edit
+          </button>
+          <button
+            onClick={onDelete}
+            type="button"
+            className="text-red-600 hover:text-red-800"
+            aria-label={`Delete label ${label.name}`}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+      {otherLabels.length > 0 && (
+        <div className="flex gap-2 mt-2">
+          <select
+            value={mergeTargetId}
+            onChange={(e) => setMergeTargetId(e.target.value)}
+            aria-label={`Merge ${label.name} into`}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">Merge into…</option>
+            {otherLabels.map((other) => (
+              <option key={other.id} value={other.id}>
+                {other.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => onMerge(mergeTargetId)}
+            disabled={!mergeTargetId}
+            type="button"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Merge
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
+
+/**
+ * Board label registry: create, edit (rename, recolor, describe), merge and
+ * delete labels. Cards reference labels by id, so a rename shows up on every
+ * card at once.
+ */
+function LabelManager({ onClose }) {
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const { labels } = state;
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(LABEL_COLORS[0].value);
+  const [description, setDescription] = useState('');
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // How many cards use each label
+  const usage = useMemo(() => {
+    const counts = {};
+    Object.values(state.cards).flat().forEach((card) => {
+      resolveLabelIds(labels, card.labelIds).forEach((id) => {
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [state.cards, labels]);
+
+  const validate = (fields, exceptId) => {
+    const validation = [
+      validateLabelName(fields.name, labels, exceptId),
+      validateLabelColor(fields.color),
+    ].find((result) => !result.valid);
+    if (validation) {
+      alert(validation.error);
+      return false;
+    }
+    return true;
+  };
+
+  const handleCreate = () => {
+    if (!validate({ name, color })) return;
+
+    const label = createLabel({ name, color, description });
+    dispatchWithOptimistic(
+      { type: ACTIONS.ADD_LABEL, payload: { label } },
+      operations.addLabel(label)
+    );
+    setName('');
+    setDescription('');
+  };
+
+  const handleUpdate = (label, fields) => {
+    if (!validate(fields, label.id)) return false;
+
+    const updates = {
+      name: fields.name.trim().replace(/\s+/g, ' '),
+      color: fields.color,
+      description: fields.description.trim(),
+    };
+    dispatchWithOptimistic(
+      { type: ACTIONS.UPDATE_LABEL, payload: { labelId: label.id, updates } },
+      operations.updateLabel(label.id, updates, label.version)
+    );
+    return true;
+  };
+
+  const handleMerge = (source, targetId) => {
+    const target = labels.find((label) => label.id === targetId);
+    if (!target) return;
+    if (!window.confirm(`Merge '${source.name}' into '${target.name}'? Cards labelled '${source.name}' will be labelled '${target.name}'.`)) {
+      return;
+    }
+
+    dispatchWithOptimistic(
+      { type: ACTIONS.MERGE_LABELS, payload: { sourceId: source.id, targetId } },
+      operations.mergeLabels(source.id, targetId)
+    );
+  };
+
+  const handleDelete = (label) => {
+    const count = usage[label.id] || 0;
+    const message = count > 0 ?
+      `Delete label '${label.name}'? It will be removed from ${count} ${count === 1 ? 'card' : 'cards'}.` :
+      `Delete label '${label.name}'?`;
+    if (!window.confirm(message)) return;
+
+    dispatchWithOptimistic(
+      { type: ACTIONS.DELETE_LABEL, payload: { labelId: label.id } },
+      operations.deleteLabel(label.id)
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="presentation"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto m-4 p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="label-manager-title"
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h2 id="label-manager-title" className="text-2xl font-bold text-gray-800">
+            Labels
+          </h2>
+          <button
+            onClick={onClose}
+            type="button"
+            className="text-gray-500 hover:text-gray-700 text-2xl"
+            aria-label="Close labels"
+          >
+            ×
+          </button>
+        </div>
+
+        {/* New label */}
+        <div className="mb-6 space-y-2">
+          <label htmlFor="new-label-name" className="block text-sm font-medium text-gray-700">
+            New label
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="new-label-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleCreate();
+                }
+              }}
+              placeholder="Label name"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              onClick={handleCreate}
+              type="button"
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+            >
+              Create
+            </button>
+          </div>
+          <ColorPicker
+            colors={LABEL_COLORS}
+            value={color}
+            onChange={setColor}
+            name="new-label-color"
+            label="Label color"
+          />
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Description (optional)"
+            aria-label="New label description"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        {labels.length > 0 ? (
+          <ul className="space-y-2">
+            {labels.map((label) => (
+              <LabelRow
+                key={label.id}
+                label={label}
+                labels={labels}
+                usage={usage[label.id] || 0}
+                onUpdate={(fields) => handleUpdate(label, fields)}
+                onMerge={(targetId) => handleMerge(label, targetId)}
+                onDelete={() => handleDelete(label)}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No labels yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LabelManager;
@@ -2,16 +2,41 @@ import { useState, useCallback, useMemo, memo, useEffect, useRef } from 'react';
 // import { FixedSizeList } from 'react-window';
 import { useBoardState } from '../hooks/useBoardState';
 import Card from './Card';
-import { validateListTitle, validateCardTitle } from '../utils/validators';
-import { api } from '../services/api';
+import { validateListTitle, validateCardTitle, validateWipLimit, validateAgingThresholds } from '../utils/validators';
+import { operations } from '../services/operations';
 import { generateId } from '../utils/helpers';
+import { positionForIndex, placeAtIndex } from '../utils/positionKeys';
+import { resolveMemberIds } from '../utils/members';
+import { WIP_MODES, checkWipLimit, getWipStatus } from '../utils/wipLimits';
+import { getAgingThresholds } from '../utils/aging';
+import { activeCards, TRASH_RETENTION_DAYS } from '../utils/archive';
+import { DEFAULT_VIEW, sortCards } from '../utils/viewState';
 
 // Threshold for virtualization - lists with >30 cards will use react-window
 const VIRTUALIZATION_THRESHOLD = 30;
 const USE_VIRTUALIZATION = false; // Temporarily disabled
 
-function ListColumn({ list }) {
-  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+// Lists are dragged by their header handle under their own data type, so
+// card drop zones can tell the two kinds of drag apart
+const LIST_DRAG_TYPE = 'application/x-kanban-list';
+const isListDrag = (e) => Array.from(e.dataTransfer?.types || []).includes(LIST_DRAG_TYPE);
+
+// Cards not assigned to `focusMemberId` are dimmed ("My cards" mode).
+// While searching, only the cards in `matchedCardIds` are shown, and
+// `cardFilter(card, list)` (utils/filterQuery.js) hides the cards it rejects.
+// `sort` orders the cards shown (utils/viewState.js); a collapsed list shows
+// only its title and card count.
+function ListColumn({
+  list,
+  focusMemberId = null,
+  searchQuery = '',
+  matchedCardIds = null,
+  cardFilter = null,
+  sort = DEFAULT_VIEW.sort,
+  isCollapsed = false,
+  onToggleCollapsed,
+}) {
+  const { state, dispatch, dispatchWithOptimistic, ACTIONS } = useBoardState();
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [listTitle, setListTitle] = useState(list.title);
   const [isAddingCard, setIsAddingCard] = useState(false);
@@ -19,7 +44,32 @@ function ListColumn({ list }) {
   const [showMenu, setShowMenu] = useState(false);
   const [isDragOver, setIsDragOver] = useState(false);
   const [dropIndex, setDropIndex] = useState(null);
+  const [isListDropTarget, setIsListDropTarget] = useState(false);
+  const [isDraggingList, setIsDraggingList] = useState(false);
+  const [isEditingWip, setIsEditingWip] = useState(false);
+  const [wipLimitInput, setWipLimitInput] = useState('');
+  const [wipModeInput, setWipModeInput] = useState(WIP_MODES.OFF);
+  const [isEditingAging, setIsEditingAging] = useState(false);
+  const [agingInput, setAgingInput] = useState({ agingDays: '', staleDays: '' });
   const menuRef = useRef(null);
+  const columnRef = useRef(null);
+  const handleRef = useRef(null);
+  const movedByKeyboard = useRef(false);
+
+  // Position among the lists shown on the board
+  const visibleListIds = useMemo(
+    () => state.lists.filter((l) => !l.archived).map((l) => l.id),
+    [state.lists]
+  );
+  const position = visibleListIds.indexOf(list.id);
+
+  // Keep focus on the handle when the column moves under it
+  useEffect(() => {
+    if (movedByKeyboard.current) {
+      movedByKeyboard.current = false;
+      handleRef.current?.focus();
+    }
+  }, [position]);
 
   // Close menu when clicking outside
   useEffect(() => {
@@ -35,25 +85,54 @@ function ListColumn({ list }) {
     }
   }, [showMenu]);
 
-  // Memoize cards array to prevent recreating on every render
-  const cards = useMemo(() => state.cards[list.id] || [], [state.cards, list.id]);
+  // Memoize cards array to prevent recreating on every render; archived
+  // cards are hidden
+  const cards = useMemo(() => activeCards(state.cards[list.id]), [state.cards, list.id]);
+  const isFiltered = matchedCardIds !== null || cardFilter !== null;
+  const isSorted = sort !== DEFAULT_VIEW.sort;
+  const visibleCards = useMemo(() => {
+    const shown = isFiltered
+      ? cards.filter(
+        (card) => (!matchedCardIds || matchedCardIds.has(card.id)) && (!cardFilter || cardFilter(card, list))
+      )
+      : cards;
+    return sortCards(shown, sort);
+  }, [cards, isFiltered, matchedCardIds, cardFilter, list, sort]);
+  const wip = getWipStatus(list, cards.length);
+  const isWarning = wip.limited && wip.isOver;
+  const isBlocked = wip.mode === WIP_MODES.BLOCK && wip.isFull;
   
+  const isDimmed = useCallback(
+    (card) => focusMemberId != null &&
+      !resolveMemberIds(state.members, card.assignees).includes(focusMemberId),
+    [focusMemberId, state.members]
+  );
+
   // Determine if we should use virtualization
-  const shouldVirtualize = USE_VIRTUALIZATION && cards.length > VIRTUALIZATION_THRESHOLD;
+  const shouldVirtualize = USE_VIRTUALIZATION && visibleCards.length > VIRTUALIZATION_THRESHOLD;
 
   // Row renderer for virtualized list
   const Row = useCallback(
     ({ index, style }) => {
-      const card = cards[index];
+      const card = visibleCards[index];
       return (
         <div style={style}>
           <div className="px-1">
-            <Card key={card.id} card={card} listId={list.id} />
+            <Card
+              key={card.id}
+              card={card}
+              listId={list.id}
+              list={list}
+              labels={state.labels}
+              members={state.members}
+              dimmed={isDimmed(card)}
+              searchQuery={searchQuery}
+            />
           </div>
         </div>
       );
     },
-    [cards, list.id]
+    [visibleCards, list, state.labels, state.members, isDimmed, searchQuery]
   );
 
   const handleRenameList = useCallback(() => {
@@ -75,10 +154,10 @@ function ListColumn({ list }) {
         type: ACTIONS.RENAME_LIST,
         payload: { listId: list.id, title: listTitle.trim() },
       },
-      () => api.updateList(list.id, { title: listTitle.trim() })
+      operations.updateList(list.id, { title: listTitle.trim() }, list.version)
     );
     setIsEditingTitle(false);
-  }, [listTitle, list.title, list.id, dispatchWithOptimistic, ACTIONS]);
+  }, [listTitle, list.title, list.id, list.version, dispatchWithOptimistic, ACTIONS]);
 
   const handleArchiveList = useCallback(() => {
     if (window.confirm(`Archive "${list.title}"?`)) {
@@ -87,24 +166,90 @@ function ListColumn({ list }) {
           type: ACTIONS.ARCHIVE_LIST,
           payload: { listId: list.id },
         },
-        () => api.updateList(list.id, { archived: true })
+        operations.updateList(list.id, { archived: true }, list.version)
       );
     }
     setShowMenu(false);
-  }, [list.title, list.id, dispatchWithOptimistic, ACTIONS]);
+  }, [list.title, list.id, list.version, dispatchWithOptimistic, ACTIONS]);
 
   const handleDeleteList = useCallback(() => {
-    if (window.confirm(`Delete "${list.title}" and all its cards? This cannot be undone.`)) {
+    if (window.confirm(`Delete "${list.title}" and all its cards? It can be restored from Archived items for ${TRASH_RETENTION_DAYS} days.`)) {
       dispatchWithOptimistic(
         {
           type: ACTIONS.DELETE_LIST,
           payload: { listId: list.id },
         },
-        () => api.deleteList(list.id)
+        operations.deleteList(list.id, list.version)
       );
     }
     setShowMenu(false);
-  }, [list.title, list.id, dispatchWithOptimistic, ACTIONS]);
+  }, [list.title, list.id, list.version, dispatchWithOptimistic, ACTIONS]);
+
+  const openWipEditor = useCallback(() => {
+    setWipLimitInput(list.wipLimit ? String(list.wipLimit) : '');
+    setWipModeInput(list.wipMode || WIP_MODES.OFF);
+    setIsEditingWip(true);
+    setShowMenu(false);
+  }, [list.wipLimit, list.wipMode]);
+
+  const handleSaveWipLimit = useCallback(() => {
+    let wipLimit = null;
+    if (wipModeInput !== WIP_MODES.OFF) {
+      wipLimit = Number(wipLimitInput);
+      const validation = validateWipLimit(wipLimit);
+      if (!validation.valid) {
+        alert(validation.error);
+        return;
+      }
+    }
+
+    if (wipLimit !== (list.wipLimit ?? null) || wipModeInput !== (list.wipMode || WIP_MODES.OFF)) {
+      const updates = { wipLimit, wipMode: wipModeInput };
+      dispatchWithOptimistic(
+        {
+          type: ACTIONS.SET_WIP_LIMIT,
+          payload: { listId: list.id, ...updates },
+        },
+        operations.updateList(list.id, updates, list.version)
+      );
+    }
+    setIsEditingWip(false);
+  }, [wipLimitInput, wipModeInput, list.id, list.wipLimit, list.wipMode, list.version, dispatchWithOptimistic, ACTIONS]);
+
+  const openAgingEditor = useCallback(() => {
+    const { agingDays, staleDays } = getAgingThresholds(list);
+    setAgingInput({
+      agingDays: agingDays === null ? '' : String(agingDays),
+      staleDays: staleDays === null ? '' : String(staleDays),
+    });
+    setIsEditingAging(true);
+    setShowMenu(false);
+  }, [list]);
+
+  const handleSaveAging = useCallback(() => {
+    // An empty field turns that level off
+    const toDays = (value) => (value.trim() === '' ? null : Number(value));
+    const agingDays = toDays(agingInput.agingDays);
+    const staleDays = toDays(agingInput.staleDays);
+    const validation = validateAgingThresholds(agingDays, staleDays);
+    if (!validation.valid) {
+      alert(validation.error);
+      return;
+    }
+
+    const current = getAgingThresholds(list);
+    if (agingDays !== current.agingDays || staleDays !== current.staleDays) {
+      const updates = { agingDays, staleDays };
+      dispatchWithOptimistic(
+        {
+          type: ACTIONS.SET_LIST_AGING,
+          payload: { listId: list.id, ...updates },
+        },
+        operations.updateList(list.id, updates, list.version)
+      );
+    }
+    setIsEditingAging(false);
+  }, [agingInput, list, dispatchWithOptimistic, ACTIONS]);
 
   const handleAddCard = useCallback(() => {
     if (!newCardTitle.trim()) return;
@@ -115,11 +260,19 @@ function ListColumn({ list }) {
       return;
     }
 
+    // Placed after archived cards too, which keep their keys
+    const allCards = state.cards[list.id] || [];
     const newCard = {
       id: generateId(),
       title: newCardTitle.trim(),
+      position: positionForIndex(allCards, allCards.length),
       description: '',
-      tags: [],
+      labelIds: [],
+      assignees: [],
+      startDate: null,
+      dueDate: null,
+      checklists: [],
+      comments: [],
       createdAt: Date.now(),
     };
 
@@ -131,12 +284,12 @@ function ListColumn({ list }) {
           card: newCard,
         },
       },
-      () => api.addCard(list.id, newCard)
+      operations.addCard(list.id, newCard)
     );
 
     setNewCardTitle('');
     setIsAddingCard(false);
-  }, [newCardTitle, list.id, dispatchWithOptimistic, ACTIONS]);
+  }, [newCardTitle, list.id, state.cards, dispatchWithOptimistic, ACTIONS]);
 
   const handleCardKeyDown = (e) => {
     if (e.key === 'Enter') {
@@ -157,33 +310,121 @@ function ListColumn({ list }) {
     }
   };
 
+  // Move a list to `target` among the visible lists. Archived lists keep
+  // their place, so the new key is placed among all lists.
+  const moveList = useCallback((listId, target) => {
+    const others = state.lists.filter((l) => l.id !== listId);
+    const visible = others.filter((l) => !l.archived);
+    const destinationIndex = target >= visible.length ?
+      others.length :
+      others.indexOf(visible[Math.max(0, target)]);
+    if (destinationIndex === state.lists.findIndex((l) => l.id === listId)) return;
+    const { position, rebalanced } = placeAtIndex(state.lists, destinationIndex, listId);
+
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.REORDER_LIST,
+        payload: { listId, position, rebalanced },
+      },
+      operations.moveList(listId, position, rebalanced)
+    );
+  }, [state.lists, dispatchWithOptimistic, ACTIONS]);
+
+  const handleListDragStart = (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData(LIST_DRAG_TYPE, list.id);
+    if (columnRef.current && e.dataTransfer.setDragImage) {
+      e.dataTransfer.setDragImage(columnRef.current, 24, 24);
+    }
+    setIsDraggingList(true);
+  };
+
+  // Arrow keys move the list one place, Home/End to either end
+  const handleListHandleKeyDown = (e) => {
+    const target = {
+      ArrowLeft: position - 1,
+      ArrowRight: position + 1,
+      Home: 0,
+      End: visibleListIds.length - 1,
+    }[e.key];
+    if (target === undefined) return;
+
+    e.preventDefault();
+    if (target < 0 || target >= visibleListIds.length || target === position) return;
+    movedByKeyboard.current = true;
+    moveList(list.id, target);
+  };
+
+  // Drop zones sit between the cards shown; while searching, a drop after
+  // the last match lands right after it in the whole list. A sorted list has
+  // no manual order to drop into, so cards join at the end.
+  const toCardIndex = (visibleIndex) => {
+    if (isSorted) {
+      return cards.length;
+    }
+    if (visibleIndex < visibleCards.length) {
+      return cards.indexOf(visibleCards[visibleIndex]);
+    }
+    return visibleCards.length > 0 ?
+      cards.indexOf(visibleCards[visibleCards.length - 1]) + 1 :
+      cards.length;
+  };
+
   // Drag and drop handlers
   const handleDragOver = (e) => {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
+    if (isListDrag(e)) {
+      setIsListDropTarget(true);
+      return;
+    }
     setIsDragOver(true);
   };
 
   const handleDragLeave = () => {
     setIsDragOver(false);
+    setIsListDropTarget(false);
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragOver(false);
+    setIsListDropTarget(false);
+
+    // A dropped list takes this column's place
+    if (isListDrag(e)) {
+      const draggedListId = e.dataTransfer.getData(LIST_DRAG_TYPE);
+      if (draggedListId && draggedListId !== list.id) {
+        moveList(draggedListId, position);
+      }
+      return;
+    }
     
-    const finalDropIndex = dropIndex !== null ? dropIndex : cards.length;
+    const finalDropIndex = toCardIndex(dropIndex !== null ? dropIndex : visibleCards.length);
     setDropIndex(null);
 
     try {
       const data = JSON.parse(e.dataTransfer.getData('application/json'));
       const { cardId, sourceListId } = data;
+      const move = {
+        type: ACTIONS.MOVE_CARD,
+        payload: { sourceListId, destinationListId: list.id, cardId },
+      };
+
+      // A full list in block mode refuses cards from other lists; the
+      // reducer turns the refused move into an explanatory toast
+      if (!checkWipLimit(state, list.id, cardId).valid) {
+        dispatch(move);
+        return;
+      }
 
       // Calculate the actual destination index
       let destinationIndex = finalDropIndex;
       
       // If moving within the same list, adjust index if moving down
       if (sourceListId === list.id) {
+        if (isSorted) return;
+
         const sourceIndex = cards.findIndex(c => c.id === cardId);
         if (sourceIndex === -1) return;
         
@@ -198,28 +439,71 @@ function ListColumn({ list }) {
         }
       }
 
+      // Only the moved card gets a new key, between its new neighbours.
+      // Archived cards keep their place, so the key is placed among all
+      // cards of the list, like lists are among archived lists.
+      const allCards = state.cards[list.id] || [];
+      const others = allCards.filter((c) => c.id !== cardId);
+      const shown = cards.filter((c) => c.id !== cardId);
+      const index = destinationIndex >= shown.length ?
+        others.length :
+        others.indexOf(shown[destinationIndex]);
+      const { position, rebalanced } = placeAtIndex(allCards, index, cardId);
+      // The board and the server record the same list entry
+      const transition = sourceListId === list.id ? null : { listId: list.id, at: Date.now() };
       dispatchWithOptimistic(
-        {
-          type: ACTIONS.MOVE_CARD,
-          payload: {
-            sourceListId,
-            destinationListId: list.id,
-            cardId,
-            destinationIndex,
-          },
-        },
-        () => api.moveCard(sourceListId, list.id, cardId, destinationIndex)
+        { ...move, payload: { ...move.payload, position, rebalanced, transition } },
+        operations.moveCard(sourceListId, list.id, cardId, position, null, { rebalanced, transition })
       );
     } catch (error) {
       // Error handling for drop
     }
   };
 
+  if (isCollapsed) {
+    return (
+      <div
+        ref={columnRef}
+        className={`list-column list-column-collapsed flex-shrink-0 w-12 rounded-xl py-3 flex flex-col items-center gap-3 max-h-full shadow-sm border bg-gradient-to-b from-gray-50 to-gray-100 border-gray-200 ${
+          isDragOver ? (isBlocked ? 'ring-2 ring-red-400' : 'ring-2 ring-blue-400') : ''
+        }`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
+        <button
+          type="button"
+          onClick={() => onToggleCollapsed?.(list.id)}
+          aria-expanded={false}
+          aria-label={`Expand list ${list.title}`}
+          title="Expand list"
+          className="p-1 rounded text-gray-600 hover:bg-white/50 hover:text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <span aria-hidden="true">▸</span>
+        </button>
+        <span className="wip-count px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">
+          {isFiltered ? `${visibleCards.length}/${cards.length}` : cards.length}
+        </span>
+        <span className="font-bold text-gray-900 [writing-mode:vertical-rl]">{list.title}</span>
+      </div>
+    );
+  }
+
   return (
     <div
-      className={`list-column flex-shrink-0 w-72 bg-gradient-to-b from-gray-50 to-gray-100 rounded-xl p-4 flex flex-col max-h-full shadow-sm border border-gray-200 transition-all duration-200 ${
-        isDragOver ? 'ring-2 ring-blue-400 shadow-lg scale-[1.02]' : ''
-      }`}
+      ref={columnRef}
+      className={`list-column flex-shrink-0 w-72 rounded-xl p-4 flex flex-col max-h-full shadow-sm border transition-all duration-200 ${
+        isWarning
+          ? 'bg-gradient-to-b from-amber-50 to-amber-100 border-amber-400'
+          : 'bg-gradient-to-b from-gray-50 to-gray-100 border-gray-200'
+      } ${
+        isDragOver
+          ? isBlocked
+            ? 'ring-2 ring-red-400'
+            : 'ring-2 ring-blue-400 shadow-lg scale-[1.02]'
+          : ''
+      } ${isListDropTarget ? 'ring-2 ring-indigo-500' : ''} ${isDraggingList ? 'opacity-50' : ''}`}
+      data-wip-status={isWarning ? 'over' : isBlocked ? 'full' : undefined}
       onDragOver={handleDragOver}
       onDragLeave={handleDragLeave}
       onDrop={handleDrop}
@@ -239,12 +523,52 @@ function ListColumn({ list }) {
           />
         ) : (
           <>
+            <button
+              ref={handleRef}
+              type="button"
+              draggable
+              onDragStart={handleListDragStart}
+              onDragEnd={() => setIsDraggingList(false)}
+              onKeyDown={handleListHandleKeyDown}
+              className="list-drag-handle shrink-0 px-1 py-2 text-gray-400 hover:text-gray-700 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label={`Move list ${list.title}, position ${position + 1} of ${visibleListIds.length}`}
+              aria-describedby="list-move-hint"
+              title="Drag to reorder, or use the arrow keys"
+            >
+              <span aria-hidden="true">⠿</span>
+            </button>
             <button
               onClick={() => setIsEditingTitle(true)}
               className="flex-1 font-bold text-gray-900 text-left hover:bg-white/50 px-3 py-2 rounded-lg transition-colors text-lg"
             >
               {list.title}
             </button>
+            <span
+              className={`wip-count shrink-0 px-2 py-0.5 mr-1 text-xs font-semibold rounded-full ${
+                isWarning || isBlocked
+                  ? 'bg-red-100 text-red-700'
+                  : 'bg-gray-200 text-gray-700'
+              }`}
+              title={
+                wip.limited
+                  ? `${cards.length} of ${wip.limit} cards (WIP limit, ${wip.mode})`
+                  : `${cards.length} ${cards.length === 1 ? 'card' : 'cards'}`
+              }
+            >
+              {wip.limited ? `${cards.length}/${wip.limit}` : cards.length}
+            </span>
+            {onToggleCollapsed && (
+              <button
+                type="button"
+                onClick={() => onToggleCollapsed(list.id)}
+                aria-expanded
+                aria-label={`Collapse list ${list.title}`}
+                title="Collapse list"
+                className="p-2 hover:bg-white/50 rounded-lg transition-colors text-gray-600 hover:text-gray-900"
+              >
+                <span aria-hidden="true">◂</span>
+              </button>
+            )}
             <div className="relative" ref={menuRef}>
               <button
                 onClick={() => setShowMenu(!showMenu)}
@@ -258,6 +582,24 @@ function ListColumn({ list }) {
                   className="absolute right-0 mt-2 w-48 bg-white rounded-lg shadow-xl border border-gray-200 z-50 overflow-hidden"
                   onClick={(e) => e.stopPropagation()}
                 >
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      openWipEditor();
+                    }}
+                    className="block w-full text-left px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+                  >
+                    🚦 WIP Limit…
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      openAgingEditor();
+                    }}
+                    className="block w-full text-left px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+                  >
+                    ⏳ Card Aging…
+                  </button>
                   <button
                     onClick={(e) => {
                       e.stopPropagation();
@@ -283,12 +625,123 @@ function ListColumn({ list }) {
         )}
       </div>
 
+      {isEditingWip && (
+        <div className="wip-editor mb-3 p-3 bg-white rounded-lg border border-gray-200 space-y-2">
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <label htmlFor={`wip-mode-${list.id}`} className="block text-xs font-medium text-gray-700 mb-1">
+                WIP mode
+              </label>
+              <select
+                id={`wip-mode-${list.id}`}
+                value={wipModeInput}
+                onChange={(e) => setWipModeInput(e.target.value)}
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value={WIP_MODES.OFF}>Off</option>
+                <option value={WIP_MODES.WARN}>Warn when over</option>
+                <option value={WIP_MODES.BLOCK}>Block when full</option>
+              </select>
+            </div>
+            <div className="w-20">
+              <label htmlFor={`wip-limit-${list.id}`} className="block text-xs font-medium text-gray-700 mb-1">
+                Limit
+              </label>
+              <input
+                id={`wip-limit-${list.id}`}
+                type="number"
+                min="1"
+                max="999"
+                value={wipLimitInput}
+                onChange={(e) => setWipLimitInput(e.target.value)}
+                disabled={wipModeInput === WIP_MODES.OFF}
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setIsEditingWip(false)}
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSaveWipLimit}
+              className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isEditingAging && (
+        <div className="aging-editor mb-3 p-3 bg-white rounded-lg border border-gray-200 space-y-2">
+          <div className="flex gap-2">
+            <div className="flex-1">
+              <label htmlFor={`aging-days-${list.id}`} className="block text-xs font-medium text-gray-700 mb-1">
+                Fade after (days)
+              </label>
+              <input
+                id={`aging-days-${list.id}`}
+                type="number"
+                min="1"
+                max="365"
+                value={agingInput.agingDays}
+                onChange={(e) => setAgingInput((input) => ({ ...input, agingDays: e.target.value }))}
+                placeholder="Off"
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="flex-1">
+              <label htmlFor={`stale-days-${list.id}`} className="block text-xs font-medium text-gray-700 mb-1">
+                Stale after (days)
+              </label>
+              <input
+                id={`stale-days-${list.id}`}
+                type="number"
+                min="1"
+                max="365"
+                value={agingInput.staleDays}
+                onChange={(e) => setAgingInput((input) => ({ ...input, staleDays: e.target.value }))}
+                placeholder="Off"
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">Counted from when a card entered this list. Leave empty to turn off.</p>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setIsEditingAging(false)}
+              className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSaveAging}
+              className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isFiltered && (
+        <p className="search-count mb-2 px-1 text-xs font-medium text-blue-800">
+          {visibleCards.length === 0
+            ? 'No matching cards'
+            : `${visibleCards.length} of ${cards.length} ${cards.length === 1 ? 'card matches' : 'cards match'}`}
+        </p>
+      )}
+
       {/* Cards */}
       <div className="flex-1 overflow-y-auto mb-3">
         {shouldVirtualize ? (
           <FixedSizeList
             height={600}
-            itemCount={cards.length}
+            itemCount={visibleCards.length}
             itemSize={130}
             width="100%"
           >
@@ -296,13 +749,14 @@ function ListColumn({ list }) {
           </FixedSizeList>
         ) : (
           <>
-            {cards.map((card, index) => (
+            {visibleCards.map((card, index) => (
               <div key={card.id}>
                 <div
                   className={`h-2 transition-colors ${
                     dropIndex === index ? 'bg-blue-400' : 'transparent'
                   }`}
                   onDragOver={(e) => {
+                    if (isListDrag(e) || isSorted) return;
                     e.preventDefault();
                     e.stopPropagation();
                     setDropIndex(index);
@@ -316,18 +770,27 @@ function ListColumn({ list }) {
                     handleDrop(e);
                   }}
                 />
-                <Card card={card} listId={list.id} />
+                <Card
+                  card={card}
+                  listId={list.id}
+                  list={list}
+                  labels={state.labels}
+                  members={state.members}
+                  dimmed={isDimmed(card)}
+                  searchQuery={searchQuery}
+                />
               </div>
             ))}
             {/* Drop zone at the end */}
             <div
               className={`h-2 transition-colors ${
-                dropIndex === cards.length ? 'bg-blue-400' : 'transparent'
+                dropIndex === visibleCards.length ? 'bg-blue-400' : 'transparent'
               }`}
               onDragOver={(e) => {
+                if (isListDrag(e)) return;
                 e.preventDefault();
                 e.stopPropagation();
-                setDropIndex(cards.length);
+                setDropIndex(visibleCards.length);
                 setIsDragOver(true);
               }}
               onDragLeave={(e) => {
@@ -375,10 +838,11 @@ function ListColumn({ list }) {
       ) : (
         <button
           onClick={() => setIsAddingCard(true)}
-          className="mt-auto w-full bg-gray-200 hover:bg-gray-300 text-gray-700 py-2 rounded transition-colors"
-          aria-label="Add card"
+          disabled={isBlocked}
+          className="mt-auto w-full bg-gray-200 hover:bg-gray-300 text-gray-700 py-2 rounded transition-colors disabled:opacity-60 disabled:cursor-not-allowed disabled:hover:bg-gray-200"
+          aria-label={isBlocked ? `Add card (${list.title} is at its WIP limit)` : 'Add card'}
         >
-          + Add Card
+          {isBlocked ? `List full (${wip.limit})` : '+ Add Card'}
         </button>
       )}
     </div>
@@ -387,10 +851,16 @@ function ListColumn({ list }) {
 
 // Memoize ListColumn to prevent unnecessary re-renders
 export default memo(ListColumn, (prevProps, nextProps) => {
-  // Custom comparison: only re-render if the list object has changed
+  // Custom comparison: only re-render if the list object or the view props have changed.
+  // The list is compared whole, since its handlers send `list.version` as the base version
   return (
-    prevProps.list.id === nextProps.list.id &&
-    prevProps.list.title === nextProps.list.title &&
-    prevProps.list.archived === nextProps.list.archived
+    prevProps.list === nextProps.list &&
+    prevProps.focusMemberId === nextProps.focusMemberId &&
+    prevProps.searchQuery === nextProps.searchQuery &&
+    prevProps.matchedCardIds === nextProps.matchedCardIds &&
+    prevProps.cardFilter === nextProps.cardFilter &&
+    prevProps.sort === nextProps.sort &&
+    prevProps.isCollapsed === nextProps.isCollapsed &&
+    prevProps.onToggleCollapsed === nextProps.onToggleCollapsed
   );
 });
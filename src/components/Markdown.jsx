@@ -0,0 +1,77 @@
+import { Fragment, useMemo } from 'react';
+import { parseMarkdown } from '../utils/markdown';
+
+function InlineNodes({ nodes }) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'strong':
+        return (
+          <strong key={node.offset}>
+            <InlineNodes nodes={node.children} />
+          </strong>
+        );
+      case 'em':
+        return (
+          <em key={node.offset}>
+            <InlineNodes nodes={node.children} />
+          </em>
+        );
+      case 'code':
+        return (
+          <code key={node.offset} className="px-1 bg-gray-100 rounded text-sm">
+            {node.value}
+          </code>
+        );
+      case 'link':
+        return (
+          <a
+            key={node.offset}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-blue-600 underline hover:text-blue-800"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <InlineNodes nodes={node.children} />
+          </a>
+        );
+      default:
+        return <Fragment key={node.offset}>{node.value}</Fragment>;
+    }
+  });
+}
+
+/**
+ * Renders the markdown subset supported by utils/markdown. Output is built
+ * from React elements, never injected HTML.
+ */
+function Markdown({ source, className = '' }) {
+  const blocks = useMemo(() => parseMarkdown(source), [source]);
+
+  return (
+    <div className={`markdown ${className}`}>
+      {blocks.map((block) =>
+        block.type === 'list' ? (
+          <ul key={block.offset} className="list-disc pl-5 mb-2 last:mb-0">
+            {block.items.map((item) => (
+              <li key={item.offset}>
+                <InlineNodes nodes={item.nodes} />
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p key={block.offset} className="mb-2 last:mb-0">
+            {block.lines.map((line, lineIndex) => (
+              <Fragment key={line.offset}>
+                {lineIndex > 0 && <br />}
+                <InlineNodes nodes={line.nodes} />
+              </Fragment>
+            ))}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+export default Markdown;
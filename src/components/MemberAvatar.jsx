@@ -0,0 +1,22 @@
+const SIZE_CLASSES = {
+  small: 'w-6 h-6 text-[10px]',
+  medium: 'w-8 h-8 text-xs',
+};
+
+/**
+ * Round avatar showing a member's initials in their color
+ */
+function MemberAvatar({ member, size = 'small', className = '' }) {
+  return (
+    <span
+      className={`member-avatar inline-flex items-center justify-center rounded-full font-semibold text-white ring-2 ring-white ${SIZE_CLASSES[size]} ${className}`}
+      style={{ backgroundColor: member.color }}
+      title={member.email ? `${member.name} <${member.email}>` : member.name}
+    >
+      <span aria-hidden="true">{member.initials}</span>
+      <span className="sr-only">{member.name}</span>
+    </span>
+  );
+}
+
+export default MemberAvatar;
@@ -0,0 +1,332 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import {
+  validateMemberName,
+  validateMemberInitials,
+  validateEmail,
+} from '../utils/validators';
+import { AVATAR_COLORS, createMember, getInitials, resolveMemberIds } from '../utils/members';
+import { getCurrentUser, setCurrentUserName } from '../services/currentUser';
+import { operations } from '../services/operations';
+import MemberAvatar from './MemberAvatar';
+import ColorPicker from './ColorPicker';
+
+// Returns the first validation error for a member's fields, if any
+const findMemberError = ({ name, initials, email }) =>
+  [
+    validateMemberName(name),
+    initials === undefined ? { valid: true } : validateMemberInitials(initials),
+    validateEmail(email),
+  ].find((result) => !result.valid)?.error;
+
+function MemberRow({ member, isCurrentUser, assignedCount, onUpdate, onDelete }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [fields, setFields] = useState(member);
+
+  const setField = (field) => (e) => setFields((current) => ({ ...current, [field]: e.target.value }));
+
+  const handleSave = () => {
+    if (onUpdate(fields)) {
+      setIsEditing(false);
+    }
+  };
+
+  if (isEditing) {
+    return (
+      <li className="border border-gray-200 rounded-md p-3 space-y-2">
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={fields.name}
+            onChange={setField('name')}
+            aria-label="Member name"
+            className="flex-1 px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={fields.initials}
+            onChange={setField('initials')}
+            maxLength={3}
+            aria-label="Initials"
+            className="w-16 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <input
+          type="email"
+          value={fields.email}
+          onChange={setField('email')}
+          placeholder="Email (optional)"
+          aria-label="Member email"
+          className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <ColorPicker
+          colors={AVATAR_COLORS}
+          value={fields.color}
+          onChange={(color) => setFields((current) => ({ ...current, color }))}
+          name={`member-color-${member.id}`}
+          label="Avatar color"
+        />
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setIsEditing(false)}
+            type="button"
+            className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            type="button"
+            className="px-3 py-1 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600"
+          >
+            Save
+          </button>
+        </div>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex items-center gap-3 border border-gray-200 rounded-md p-3">
+      <MemberAvatar member={member} size="medium" />
+      <div className="flex-1 min-w-0">
+        <div className="font-medium text-gray-800 truncate">
+          {member.name}
+          {isCurrentUser && <span className="ml-1 text-sm font-normal text-gray-500">(you)</span>}
+        </div>
+        <div className="text-sm text-gray-500 truncate">
+          {member.email || 'No email'} · {assignedCount} {assignedCount === 1 ? 'card' : 'cards'}
+        </div>
+      </div>
+      <div className="flex gap-2 text-sm shrink-0">
+        <button
+          onClick={() => {
+            setFields(member);
+            setIsEditing(true);
+          }}
+          type="button"
+          className="text-gray-600 hover:text-gray-900"
+          aria-label={`Edit member ${member.name}`}
+        >
+          Edit
+        </button>
+        <button
+          onClick={onDelete}
+          type="button"
+          className="text-red-600 hover:text-red-800"
+          aria-label={`Remove member ${member.name}`}
+        >
+          Remove
+        </button>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Board member roster: add, edit and remove members, and join the board as
+ * the current user (whose member id is the local user id).
+ */
+function MemberManager({ onClose }) {
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const { members } = state;
+  const [currentUser, setCurrentUser] = useState(getCurrentUser);
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [color, setColor] = useState(AVATAR_COLORS[0].value);
+  const isMember = members.some((member) => member.id === currentUser.id);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // How many cards each member is assigned to
+  const assignedCounts = useMemo(() => {
+    const counts = {};
+    Object.values(state.cards).flat().forEach((card) => {
+      resolveMemberIds(members, card.assignees).forEach((id) => {
+        counts[id] = (counts[id] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [state.cards, members]);
+
+  const addMember = (member) => {
+    dispatchWithOptimistic(
+      { type: ACTIONS.ADD_MEMBER, payload: { member } },
+      operations.addMember(member)
+    );
+  };
+
+  const handleJoin = () => {
+    addMember(createMember({ id: currentUser.id, name: currentUser.name }));
+  };
+
+  const handleAdd = () => {
+    const error = findMemberError({ name, email });
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    addMember(createMember({ name, email, color }));
+    setName('');
+    setEmail('');
+  };
+
+  const handleUpdate = (member, fields) => {
+    const error = findMemberError(fields);
+    if (error) {
+      alert(error);
+      return false;
+    }
+
+    const updates = {
+      name: fields.name.trim().replace(/\s+/g, ' '),
+      initials: fields.initials.trim().toUpperCase(),
+      email: fields.email.trim(),
+      color: fields.color,
+    };
+    dispatchWithOptimistic(
+      { type: ACTIONS.UPDATE_MEMBER, payload: { memberId: member.id, updates } },
+      operations.updateMember(member.id, updates, member.version)
+    );
+    // New comments should carry the same name
+    if (member.id === currentUser.id) {
+      setCurrentUser(setCurrentUserName(updates.name));
+    }
+    return true;
+  };
+
+  const handleDelete = (member) => {
+    const count = assignedCounts[member.id] || 0;
+    const message = count > 0 ?
+      `Remove ${member.name} from the board? They will be unassigned from ${count} ${count === 1 ? 'card' : 'cards'}.` :
+      `Remove ${member.name} from the board?`;
+    if (!window.confirm(message)) return;
+
+    dispatchWithOptimistic(
+      { type: ACTIONS.DELETE_MEMBER, payload: { memberId: member.id } },
+      operations.deleteMember(member.id)
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+      role="presentation"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto m-4 p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="member-manager-title"
+      >
+        <div className="flex justify-between items-start mb-4">
+          <h2 id="member-manager-title" className="text-2xl font-bold text-gray-800">
+            Members
+          </h2>
+          <button
+            onClick={onClose}
+            type="button"
+            className="text-gray-500 hover:text-gray-700 text-2xl"
+            aria-label="Close members"
+          >
+            ×
+          </button>
+        </div>
+
+        {!isMember && (
+          <div className="mb-6 flex items-center justify-between gap-2 p-3 bg-blue-50 border border-blue-200 rounded-md">
+            <p className="text-sm text-blue-900">
+              You are not on this board yet. Join to get cards assigned to you.
+            </p>
+            <button
+              onClick={handleJoin}
+              type="button"
+              className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 shrink-0"
+            >
+              Join as {currentUser.name}
+            </button>
+          </div>
+        )}
+
+        {/* New member */}
+        <div className="mb-6 space-y-2">
+          <label htmlFor="new-member-name" className="block text-sm font-medium text-gray-700">
+            Add member
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="new-member-name"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <span
+              className="inline-flex items-center justify-center w-10 h-10 rounded-full text-sm font-semibold text-white shrink-0"
+              style={{ backgroundColor: color }}
+              aria-hidden="true"
+            >
+              {getInitials(name)}
+            </span>
+          </div>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email (optional)"
+            aria-label="New member email"
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex items-center justify-between gap-2">
+            <ColorPicker
+              colors={AVATAR_COLORS}
+              value={color}
+              onChange={setColor}
+              name="new-member-color"
+              label="Avatar color"
+            />
+            <button
+              onClick={handleAdd}
+              type="button"
+              className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+            >
+              Add
+            </button>
+          </div>
+        </div>
+
+        {members.length > 0 ? (
+          <ul className="space-y-2">
+            {members.map((member) => (
+              <MemberRow
+                key={member.id}
+                member={member}
+                isCurrentUser={member.id === currentUser.id}
+                assignedCount={assignedCounts[member.id] || 0}
+                onUpdate={(fields) => handleUpdate(member, fields)}
+                onDelete={() => handleDelete(member)}
+              />
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">No members yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MemberManager;
@@ -1,35 +1,13 @@
-import { useState, useEffect } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
-import { getQueueLength } from '../services/syncQueue';
+import { useOfflineSync } from '../hooks/useOfflineSync';
+import { SYNC_STATUS } from '../services/syncEngine';
 
 function SyncIndicator() {
   const { state } = useBoardState();
   const { syncing } = state;
-  const [isOnline, setIsOnline] = useState(navigator.onLine);
-  const [queueLength, setQueueLength] = useState(0);
+  const { status, isOnline, queueLength } = useOfflineSync();
 
-  useEffect(() => {
-    const handleOnline = () => setIsOnline(true);
-    const handleOffline = () => setIsOnline(false);
-
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-    };
-  }, []);
-
-  useEffect(() => {
-    const interval = setInterval(() => {
-      setQueueLength(getQueueLength());
-    }, 1000);
-
-    return () => clearInterval(interval);
-  }, []);
-
-  if (syncing) {
+  if (syncing || status === SYNC_STATUS.SYNCING) {
     return (
       <div
         className="fixed top-4 right-4 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-lg flex items-center gap-2 z-50"
@@ -92,6 +70,23 @@ function SyncIndicator() {
     );
   }
 
+  if (status === SYNC_STATUS.BACKOFF) {
+    return (
+      <div
+        className="fixed top-4 right-4 bg-yellow-600 text-white px-4 py-2 rounded-lg shadow-lg flex items-center gap-2 z-50"
+        role="status"
+        aria-live="polite"
+      >
+        <span>Sync failed, retrying...</span>
+        {queueLength > 0 && (
+          <span className="ml-1 bg-yellow-700 px-2 py-0.5 rounded-full text-xs">
+            {queueLength} pending
+          </span>
+        )}
+      </div>
+    );
+  }
+
   if (queueLength > 0) {
     return (
       <div
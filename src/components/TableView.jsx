@@ -0,0 +1,325 @@
+import { useState, useMemo, useCallback, useRef } from 'react';
+import { List } from 'react-window';
+import { useBoardState } from '../hooks/useBoardState';
+import { useCardMatcher } from '../hooks/useCardFilter';
+import LabelBadge from './LabelBadge';
+import AvatarStack from './AvatarStack';
+import { operations } from '../services/operations';
+import { validateCardTitle, validateDueDate } from '../utils/validators';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dueDate';
+import { positionForIndex } from '../utils/positionKeys';
+import { checkWipLimit } from '../utils/wipLimits';
+import { TABLE_COLUMNS, getCardRows, sortCardRows, cardRowsToCsv } from '../utils/cardTable';
+
+const ROW_HEIGHT = 52;
+const GRID_COLUMNS = 'minmax(14rem, 2fr) 10rem 12rem 10rem 13rem 8rem 8rem';
+
+const formatDay = (timestamp) => (timestamp ? new Date(timestamp).toLocaleDateString() : '—');
+
+// Text input that commits on Enter or blur and reverts on Escape
+function TitleCell({ card, onCommit }) {
+  const [draft, setDraft] = useState(card.title);
+  const cancelled = useRef(false);
+
+  const handleBlur = () => {
+    if (cancelled.current) {
+      cancelled.current = false;
+      setDraft(card.title);
+      return;
+    }
+    const title = draft.trim();
+    if (title === card.title) return;
+    const validation = validateCardTitle(title);
+    if (!validation.valid) {
+      alert(validation.error);
+      setDraft(card.title);
+      return;
+    }
+    onCommit({ title });
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={handleBlur}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') cancelled.current = true;
+        if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+      }}
+      aria-label={`Title of ${card.title}`}
+      className="w-full px-2 py-1 rounded border border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none font-medium text-gray-900"
+    />
+  );
+}
+
+function DueDateCell({ card, onCommit }) {
+  const [draft, setDraft] = useState(toDateTimeInputValue(card.dueDate));
+
+  const handleBlur = () => {
+    const dueDate = fromDateTimeInputValue(draft);
+    if (dueDate === (card.dueDate ?? null)) return;
+    const validation = validateDueDate(dueDate);
+    if (!validation.valid) {
+      alert(validation.error);
+      setDraft(toDateTimeInputValue(card.dueDate));
+      return;
+    }
+    onCommit({ dueDate });
+  };
+
+  return (
+    <input
+      type="datetime-local"
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={handleBlur}
+      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+      aria-label={`Due date of ${card.title}`}
+      className="w-full px-2 py-1 rounded border border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none text-sm"
+    />
+  );
+}
+
+// Checkbox menu for the ids in a card field (labels, assignees)
+function PickerCell({ label, options, selectedIds, summary, onChange }) {
+  const toggle = (id) =>
+    onChange(selectedIds.includes(id) ? selectedIds.filter((other) => other !== id) : [...selectedIds, id]);
+
+  return (
+    <details className="relative w-full">
+      <summary
+        className="flex items-center gap-1 min-h-8 px-2 py-1 rounded cursor-pointer list-none overflow-hidden hover:bg-gray-100"
+        aria-label={label}
+      >
+        {summary}
+      </summary>
+      <fieldset className="absolute z-20 mt-1 w-56 max-h-60 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-xl p-2 space-y-1">
+        <legend className="sr-only">{label}</legend>
+        {options.length === 0 && <p className="text-xs text-gray-500 px-1">Nothing to pick yet</p>}
+        {options.map((option) => (
+          <label key={option.id} className="flex items-center gap-2 px-1 py-0.5 text-sm rounded hover:bg-gray-50">
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(option.id)}
+              onChange={() => toggle(option.id)}
+            />
+            {option.name}
+          </label>
+        ))}
+      </fieldset>
+    </details>
+  );
+}
+
+// One card; the cells are keyed by card version so drafts reset when the
+// card changes underneath them
+function CardRow({ index, style, rows, lists, labels, members, onUpdate, onMove }) {
+  const row = rows[index];
+  const { card, list } = row;
+  const cellKey = `${card.id}:${card.version || 1}`;
+
+  return (
+    <div
+      role="row"
+      aria-rowindex={index + 2}
+      style={{ ...style, display: 'grid', gridTemplateColumns: GRID_COLUMNS }}
+      className="card-row items-center gap-2 px-2 border-b border-gray-100 hover:bg-blue-50/40"
+    >
+      <div role="cell">
+        <TitleCell key={cellKey} card={card} onCommit={(updates) => onUpdate(row, updates)} />
+      </div>
+      <div role="cell">
+        <select
+          value={list.id}
+          onChange={(e) => onMove(row, e.target.value)}
+          aria-label={`List of ${card.title}`}
+          className="w-full px-2 py-1 text-sm bg-transparent rounded border border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+        >
+          {lists.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.title}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div role="cell">
+        <PickerCell
+          label={`Labels of ${card.title}`}
+          options={labels}
+          selectedIds={row.labels.map((l) => l.id)}
+          summary={row.labels.length ? row.labels.map((l) => <LabelBadge key={l.id} label={l} />) : '—'}
+          onChange={(labelIds) => onUpdate(row, { labelIds })}
+        />
+      </div>
+      <div role="cell">
+        <PickerCell
+          label={`Assignees of ${card.title}`}
+          options={members}
+          selectedIds={row.assignees.map((m) => m.id)}
+          summary={row.assignees.length ? <AvatarStack members={row.assignees} /> : '—'}
+          onChange={(assignees) => onUpdate(row, { assignees })}
+        />
+      </div>
+      <div role="cell">
+        <DueDateCell key={cellKey} card={card} onCommit={(updates) => onUpdate(row, updates)} />
+      </div>
+      <div role="cell" className="text-sm text-gray-600">{formatDay(card.createdAt)}</div>
+      <div role="cell" className="text-sm text-gray-600">{formatDay(card.lastModifiedAt)}</div>
+    </div>
+  );
+}
+
+/**
+ * Every card of the board as a table row, narrowed by the same search and
+ * filter query as the board. Columns sort from their headers, cells edit the
+ * card in place, and the rows shown export to CSV.
+ */
+function TableView({ searchQuery = '', filterQuery = '' }) {
+  const { state, dispatch, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const [sortBy, setSortBy] = useState({ column: null, direction: 'asc' });
+
+  const include = useCardMatcher(searchQuery, filterQuery);
+
+  const activeLists = useMemo(() => state.lists.filter((list) => !list.archived), [state.lists]);
+  const rows = useMemo(() => {
+    const board = { lists: state.lists, cards: state.cards, labels: state.labels, members: state.members };
+    return sortCardRows(getCardRows(board, include), sortBy.column, sortBy.direction);
+  }, [state.lists, state.cards, state.labels, state.members, include, sortBy]);
+
+  const handleUpdate = useCallback((row, updates) => {
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.UPDATE_CARD,
+        payload: { listId: row.list.id, cardId: row.card.id, updates },
+      },
+      operations.updateCard(row.list.id, row.card.id, updates, row.card.version)
+    );
+  }, [dispatchWithOptimistic, ACTIONS]);
+
+  // Cards moved from the table join the end of their new list
+  const handleMove = useCallback((row, destinationListId) => {
+    const { card, list } = row;
+    if (destinationListId === list.id) return;
+    const move = {
+      type: ACTIONS.MOVE_CARD,
+      payload: { sourceListId: list.id, destinationListId, cardId: card.id },
+    };
+
+    // The reducer turns a move refused by a WIP limit into a toast
+    if (!checkWipLimit(state, destinationListId, card.id).valid) {
+      dispatch(move);
+      return;
+    }
+    const destination = state.cards[destinationListId] || [];
+    const position = positionForIndex(destination, destination.length);
+    // The board and the server record the same list entry
+    const transition = { listId: destinationListId, at: Date.now() };
+    dispatchWithOptimistic(
+      { ...move, payload: { ...move.payload, position, transition } },
+      operations.moveCard(list.id, destinationListId, card.id, position, null, { transition })
+    );
+  }, [state, dispatch, dispatchWithOptimistic, ACTIONS]);
+
+  // Click once for ascending, again for descending, a third time for board order
+  const handleSort = (column) => {
+    setSortBy((current) => {
+      if (current.column !== column) return { column, direction: 'asc' };
+      if (current.direction === 'asc') return { column, direction: 'desc' };
+      return { column: null, direction: 'asc' };
+    });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([cardRowsToCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${state.boardTitle.trim().replace(/[^\w-]+/g, '-').toLowerCase() || 'board'}-cards.csv`;
+    link.click();
+    // Some browsers start the download after click() returns, so the URL is
+    // released on the next tick rather than straight away
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const rowProps = useMemo(
+    () => ({
+      rows,
+      lists: activeLists,
+      labels: state.labels,
+      members: state.members,
+      onUpdate: handleUpdate,
+      onMove: handleMove,
+    }),
+    [rows, activeLists, state.labels, state.members, handleUpdate, handleMove]
+  );
+
+  return (
+    <div className="table-view h-full flex flex-col p-4 gap-2">
+      <div className="flex items-center justify-between">
+        <p role="status" className="text-sm font-medium text-gray-700">
+          {rows.length} {rows.length === 1 ? 'card' : 'cards'}
+        </p>
+        <button
+          onClick={handleExport}
+          disabled={rows.length === 0}
+          className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Export CSV
+        </button>
+      </div>
+      <div
+        role="table"
+        aria-label="Cards"
+        aria-rowcount={rows.length + 1}
+        className="flex-1 min-h-0 flex flex-col bg-white border border-gray-200 rounded-xl shadow-sm overflow-x-auto"
+      >
+        <div role="rowgroup">
+          <div
+            role="row"
+            aria-rowindex={1}
+            style={{ display: 'grid', gridTemplateColumns: GRID_COLUMNS }}
+            className="gap-2 px-2 border-b border-gray-200 bg-gray-50 rounded-t-xl"
+          >
+            {TABLE_COLUMNS.map((column) => {
+              const isSorted = sortBy.column === column.key;
+              return (
+                <div
+                  key={column.key}
+                  role="columnheader"
+                  aria-sort={isSorted ? (sortBy.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                >
+                  <button
+                    type="button"
+                    onClick={() => handleSort(column.key)}
+                    className="w-full flex items-center gap-1 px-2 py-2 text-left text-xs font-semibold uppercase tracking-wide text-gray-600 hover:text-gray-900"
+                  >
+                    {column.label}
+                    <span aria-hidden="true">{isSorted ? (sortBy.direction === 'asc' ? '▲' : '▼') : ''}</span>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+        {rows.length === 0 ? (
+          <p className="p-6 text-center text-sm text-gray-500">No cards to show</p>
+        ) : (
+          <List
+            role="rowgroup"
+            className="flex-1"
+            rowComponent={CardRow}
+            rowCount={rows.length}
+            rowHeight={ROW_HEIGHT}
+            rowProps={rowProps}
+            defaultHeight={ROW_HEIGHT * 10}
+            overscanCount={5}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TableView;
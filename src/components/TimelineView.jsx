@@ -0,0 +1,252 @@
+import { useState, useMemo, useCallback, lazy, Suspense } from 'react';
+import { useBoardState } from '../hooks/useBoardState';
+import { useCardMatcher } from '../hooks/useCardFilter';
+import { useNow } from '../hooks/useNow';
+import LoadingFallback from './LoadingFallback';
+import { operations } from '../services/operations';
+import {
+  TIMELINE_ZOOMS,
+  TIMELINE_GROUPS,
+  daysBetween,
+  resizeCardSpan,
+  getTimelineGroups,
+  getTimelineRange,
+  getTimelineTicks,
+} from '../utils/timeline';
+
+const CardDetailModal = lazy(() => import('./CardDetailModal'));
+
+const TITLE_WIDTH = 224;
+const ROW_HEIGHT = 36;
+const BAR_COLOR = '#2563eb';
+
+const formatDay = (timestamp) =>
+  new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Arrow keys move an edge a day; with Shift, a week
+const KEY_STEPS = { ArrowLeft: -1, ArrowRight: 1 };
+
+// One card's bar. Its edges drag by whole days; the bar previews the new
+// dates while dragging and commits them on release.
+function TimelineBar({ item, range, dayWidth, color, onResize }) {
+  const [drag, setDrag] = useState(null);
+  const length = daysBetween(item.start, item.end);
+  let startOffset = daysBetween(range.start, item.start);
+  let endOffset = startOffset + length;
+  if (drag?.edge === 'start') startOffset += Math.min(drag.days, length);
+  if (drag?.edge === 'end') endOffset += Math.max(drag.days, -length);
+
+  const handleProps = (edge) => ({
+    role: 'slider',
+    tabIndex: 0,
+    'aria-label': `${edge === 'start' ? 'Start' : 'End'} of ${item.card.title}`,
+    'aria-valuemin': 0,
+    'aria-valuemax': range.days - 1,
+    'aria-valuenow': edge === 'start' ? startOffset : endOffset,
+    'aria-valuetext': formatDay(edge === 'start' ? item.start : item.end),
+    onPointerDown: (e) => {
+      e.preventDefault();
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      setDrag({ edge, originX: e.clientX, days: 0 });
+    },
+    onPointerMove: (e) => {
+      if (!drag) return;
+      setDrag({ ...drag, days: Math.round((e.clientX - drag.originX) / dayWidth) });
+    },
+    onPointerUp: () => {
+      if (!drag) return;
+      onResize(item, drag.edge, drag.days);
+      setDrag(null);
+    },
+    onPointerCancel: () => setDrag(null),
+    onKeyDown: (e) => {
+      const step = KEY_STEPS[e.key];
+      if (!step) return;
+      e.preventDefault();
+      onResize(item, edge, e.shiftKey ? step * 7 : step);
+    },
+    className:
+      'absolute top-0 bottom-0 w-2 cursor-ew-resize rounded hover:bg-black/20 focus:outline-none focus:ring-2 focus:ring-blue-300',
+  });
+
+  return (
+    <div
+      className={`timeline-bar absolute top-1.5 bottom-1.5 rounded shadow-sm text-white ${drag ? 'opacity-80' : ''}`}
+      style={{
+        left: startOffset * dayWidth,
+        width: Math.max(1, endOffset - startOffset + 1) * dayWidth,
+        backgroundColor: color || BAR_COLOR,
+      }}
+      title={`${item.card.title}: ${formatDay(item.start)} – ${formatDay(item.end)}`}
+    >
+      <div {...handleProps('start')} style={{ left: 0 }} />
+      <div {...handleProps('end')} style={{ right: 0 }} />
+    </div>
+  );
+}
+
+/**
+ * Cards with a start or due date as bars on a horizontal timeline, grouped by
+ * list or by label. Dragging a bar's edges (or arrow keys on them) moves its
+ * start or due date, with the same optimistic updates as the board.
+ */
+function TimelineView({ searchQuery = '', filterQuery = '' }) {
+  const { state, dispatchWithOptimistic, ACTIONS } = useBoardState();
+  const now = useNow();
+  const [zoom, setZoom] = useState('week');
+  const [groupBy, setGroupBy] = useState('list');
+  // { listId, cardId } of the card whose details are open
+  const [openCard, setOpenCard] = useState(null);
+  const include = useCardMatcher(searchQuery, filterQuery);
+
+  const { groups, undatedCount } = useMemo(
+    () => getTimelineGroups({ lists: state.lists, cards: state.cards, labels: state.labels }, groupBy, include),
+    [state.lists, state.cards, state.labels, groupBy, include]
+  );
+  const range = useMemo(() => getTimelineRange(groups, zoom, now), [groups, zoom, now]);
+  const ticks = useMemo(() => getTimelineTicks(range, zoom), [range, zoom]);
+  const { dayWidth } = TIMELINE_ZOOMS[zoom];
+  const todayOffset = daysBetween(range.start, now);
+
+  const handleResize = useCallback((item, edge, days) => {
+    const updates = resizeCardSpan(item.card, edge, days);
+    if (!updates) return;
+    dispatchWithOptimistic(
+      {
+        type: ACTIONS.UPDATE_CARD,
+        payload: { listId: item.list.id, cardId: item.card.id, updates },
+      },
+      operations.updateCard(item.list.id, item.card.id, updates, item.card.version)
+    );
+  }, [dispatchWithOptimistic, ACTIONS]);
+
+  const datedCount = groups.reduce((count, group) => count + group.items.length, 0);
+  const detailCard = openCard && (state.cards[openCard.listId] || []).find((c) => c.id === openCard.cardId);
+
+  return (
+    <div className="timeline-view h-full flex flex-col p-4 gap-2">
+      <div className="flex items-center gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Group by
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="px-2 py-1 bg-white border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(TIMELINE_GROUPS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex" role="group" aria-label="Zoom">
+          {Object.entries(TIMELINE_ZOOMS).map(([key, { label }]) => (
+            <button
+              key={key}
+              onClick={() => setZoom(key)}
+              aria-pressed={zoom === key}
+              className={`px-3 py-1 border text-sm first:rounded-l last:rounded-r -ml-px first:ml-0 ${
+                zoom === key
+                  ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                  : 'bg-white border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p role="status" className="flex-1 text-right text-sm text-gray-600">
+          {undatedCount > 0
+            ? `${undatedCount} ${undatedCount === 1 ? 'card has' : 'cards have'} no dates and ${undatedCount === 1 ? "isn't" : "aren't"} shown`
+            : ''}
+        </p>
+      </div>
+
+      <div className="flex-1 min-h-0 overflow-auto bg-white border border-gray-200 rounded-xl shadow-sm">
+        {datedCount === 0 ? (
+          <p className="p-6 text-center text-sm text-gray-500">
+            No cards with a start or due date yet. Give a card dates in its details to place it here.
+          </p>
+        ) : (
+          <div className="relative" style={{ width: TITLE_WIDTH + range.days * dayWidth }}>
+            <div className="sticky top-0 z-20 flex bg-gray-50 border-b border-gray-200" style={{ height: ROW_HEIGHT }}>
+              <div
+                className="sticky left-0 z-10 flex-shrink-0 px-3 flex items-center bg-gray-50 text-xs font-semibold uppercase tracking-wide text-gray-600 border-r border-gray-200"
+                style={{ width: TITLE_WIDTH }}
+              >
+                Card
+              </div>
+              <div className="relative flex-1" aria-hidden="true">
+                {ticks.map((tick) => (
+                  <span
+                    key={tick.day}
+                    className="absolute top-0 bottom-0 pl-1 flex items-center border-l border-gray-200 text-xs text-gray-500 whitespace-nowrap"
+                    style={{ left: tick.offset * dayWidth }}
+                  >
+                    {tick.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+
+            <div
+              className="timeline-today absolute top-0 bottom-0 w-px bg-red-500 z-10 pointer-events-none"
+              style={{ left: TITLE_WIDTH + (todayOffset + 0.5) * dayWidth }}
+              aria-hidden="true"
+            />
+
+            {groups.map((group) => (
+              <section key={group.id ?? 'none'} aria-label={group.title}>
+                <h3
+                  className="sticky left-0 px-3 py-1 text-sm font-semibold text-gray-900 bg-gray-100 border-b border-gray-200 flex items-center gap-2"
+                  style={{ width: TITLE_WIDTH }}
+                >
+                  {group.color && (
+                    <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: group.color }} aria-hidden="true" />
+                  )}
+                  {group.title}
+                  <span className="font-normal text-gray-500">({group.items.length})</span>
+                </h3>
+                <ul>
+                  {group.items.map((item) => (
+                    <li key={item.card.id} className="flex border-b border-gray-100" style={{ height: ROW_HEIGHT }}>
+                      <div
+                        className="sticky left-0 z-10 flex-shrink-0 px-3 flex items-center bg-white border-r border-gray-200"
+                        style={{ width: TITLE_WIDTH }}
+                      >
+                        <button
+                          onClick={() => setOpenCard({ listId: item.list.id, cardId: item.card.id })}
+                          className="truncate text-left text-sm text-gray-900 hover:text-blue-700 hover:underline"
+                        >
+                          {item.card.title}
+                        </button>
+                      </div>
+                      <div className="relative flex-1">
+                        <TimelineBar
+                          item={item}
+                          range={range}
+                          dayWidth={dayWidth}
+                          color={group.color}
+                          onResize={handleResize}
+                        />
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {detailCard && (
+        <Suspense fallback={<LoadingFallback message="Loading card details..." size="medium" />}>
+          <CardDetailModal card={detailCard} listId={openCard.listId} onClose={() => setOpenCard(null)} />
+        </Suspense>
+      )}
+    </div>
+  );
+}
+
+export default TimelineView;
@@ -1,17 +1,238 @@
+import { useEffect, useState, lazy, Suspense } from 'react';
 import { useBoardState } from '../hooks/useBoardState';
+import LoadingFallback from './LoadingFallback';
+import { getCurrentUser } from '../services/currentUser';
+import { validateViewName } from '../utils/validators';
+import { DEFAULT_VIEW, LAYOUTS, isSameView } from '../utils/viewState';
 
-function Toolbar() {
-  const { dispatch, ACTIONS } = useBoardState();
+const LabelManager = lazy(() => import('./LabelManager'));
+const MemberManager = lazy(() => import('./MemberManager'));
+
+// Leave Ctrl+Z alone while typing so inputs keep their native text undo
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+const ALL_CARDS = 'all';
+const UNSAVED = 'unsaved';
+
+// `view` is the board view shown (utils/viewState.js); `savedViews` are the
+// named views to switch between
+function Toolbar({
+  isHistoryOpen = false,
+  onToggleHistory,
+  isArchiveOpen = false,
+  onToggleArchive,
+  isMyCardsOnly = false,
+  onToggleMyCards,
+  view = DEFAULT_VIEW,
+  savedViews = [],
+  onApplyView,
+  onSaveView,
+  onDeleteView,
+}) {
+  const { state, undo, redo, canUndo, canRedo, actions } = useBoardState();
+  const [showLabels, setShowLabels] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  // "My cards" needs the current user to have joined the board as a member
+  const hasJoined = state.members.some((member) => member.id === getCurrentUser().id);
+
+  // Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Cmd+Shift+Z (or Ctrl+Y) to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+      const key = e.key.toLowerCase();
+
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const activeView = savedViews.find((saved) => isSameView(saved, view));
+  let selectedView = UNSAVED;
+  if (activeView) {
+    selectedView = activeView.id;
+  } else if (isSameView(view, DEFAULT_VIEW)) {
+    selectedView = ALL_CARDS;
+  }
+
+  const handleSelectView = (e) => {
+    const { value } = e.target;
+    const saved = savedViews.find((v) => v.id === value);
+    if (saved) {
+      onApplyView({
+        layout: saved.layout || DEFAULT_VIEW.layout,
+        filter: saved.filter,
+        sort: saved.sort,
+        collapsed: saved.collapsed,
+      });
+    } else if (value === ALL_CARDS) {
+      onApplyView(DEFAULT_VIEW);
+    }
+  };
+
+  const handleSaveView = () => {
+    const name = window.prompt('Name this view', activeView?.name || '');
+    if (name === null) return;
+
+    const validation = validateViewName(name);
+    if (!validation.valid) {
+      alert(validation.error);
+      return;
+    }
+    const existing = savedViews.find((v) => v.name.toLowerCase() === name.trim().toLowerCase());
+    if (existing && existing !== activeView && !window.confirm(`Replace the view "${existing.name}"?`)) {
+      return;
+    }
+    onSaveView(name);
+  };
+
+  const handleDeleteView = () => {
+    if (window.confirm(`Delete the view "${activeView.name}"?`)) {
+      onDeleteView(activeView.id);
+    }
+  };
 
   const handleClearBoard = () => {
     if (window.confirm('Clear all board data? This cannot be undone.')) {
-      dispatch({ type: ACTIONS.CLEAR_BOARD });
+      actions.clearBoard();
     }
   };
 
   return (
     <div className="toolbar bg-gray-100 border-b border-gray-300">
       <div className="container mx-auto px-4 py-2 flex gap-2">
+        {onApplyView && (
+          <div className="layout-switcher flex" role="group" aria-label="Layout">
+            {Object.entries(LAYOUTS).map(([layout, label]) => (
+              <button
+                key={layout}
+                onClick={() => onApplyView({ layout })}
+                aria-pressed={view.layout === layout}
+                className={`px-3 py-1 border text-sm first:rounded-l last:rounded-r -ml-px first:ml-0 ${
+                  view.layout === layout
+                    ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                    : 'bg-white border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        <button
+          onClick={undo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Undo
+        </button>
+        <button
+          onClick={redo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Redo
+        </button>
+        {onToggleHistory && (
+          <button
+            onClick={onToggleHistory}
+            aria-pressed={isHistoryOpen}
+            className={`px-3 py-1 border text-sm rounded ${
+              isHistoryOpen
+                ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                : 'bg-white border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            History
+          </button>
+        )}
+        {onToggleArchive && (
+          <button
+            onClick={onToggleArchive}
+            aria-pressed={isArchiveOpen}
+            className={`px-3 py-1 border text-sm rounded ${
+              isArchiveOpen
+                ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                : 'bg-white border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            Archived items
+          </button>
+        )}
+        <button
+          onClick={() => setShowLabels(true)}
+          className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50"
+        >
+          Labels
+        </button>
+        <button
+          onClick={() => setShowMembers(true)}
+          className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50"
+        >
+          Members
+        </button>
+        {onToggleMyCards && (
+          <button
+            onClick={onToggleMyCards}
+            aria-pressed={isMyCardsOnly}
+            disabled={!hasJoined && !isMyCardsOnly}
+            title={hasJoined ? 'Dim cards not assigned to you' : 'Join the board from Members to use this'}
+            className={`px-3 py-1 border text-sm rounded disabled:opacity-50 disabled:cursor-not-allowed ${
+              isMyCardsOnly
+                ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                : 'bg-white border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            My cards
+          </button>
+        )}
+        {onApplyView && (
+          <div className="saved-views flex gap-2">
+            <select
+              value={selectedView}
+              onChange={handleSelectView}
+              aria-label="Saved views"
+              className="px-2 py-1 bg-white border border-gray-300 text-sm rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value={ALL_CARDS}>All cards</option>
+              {savedViews.map((saved) => (
+                <option key={saved.id} value={saved.id}>
+                  {saved.name}
+                </option>
+              ))}
+              {selectedView === UNSAVED && (
+                <option value={UNSAVED} disabled>
+                  Unsaved view
+                </option>
+              )}
+            </select>
+            <button
+              onClick={handleSaveView}
+              className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50"
+            >
+              Save view
+            </button>
+            {activeView && (
+              <button
+                onClick={handleDeleteView}
+                className="px-3 py-1 bg-white border border-gray-300 text-sm rounded hover:bg-gray-50"
+                aria-label={`Delete view ${activeView.name}`}
+              >
+                Delete view
+              </button>
+            )}
+          </div>
+        )}
         <button
           onClick={handleClearBoard}
           className="px-3 py-1 bg-red-500 text-white text-sm rounded hover:bg-red-600"
@@ -19,6 +240,17 @@ function Toolbar() {
           Clear Board
         </button>
       </div>
+
+      {showLabels && (
+        <Suspense fallback={<LoadingFallback message="Loading labels..." size="medium" />}>
+          <LabelManager onClose={() => setShowLabels(false)} />
+        </Suspense>
+      )}
+      {showMembers && (
+        <Suspense fallback={<LoadingFallback message="Loading members..." size="medium" />}>
+          <MemberManager onClose={() => setShowMembers(false)} />
+        </Suspense>
+      )}
     </div>
   );
 }
@@ -0,0 +1,67 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import AnalyticsView from '../AnalyticsView';
+
+jest.mock('../../services/api');
+
+const HOUR = 60 * 60 * 1000;
+const created = Date.now() - 72 * HOUR;
+
+const renderAnalytics = (props = {}) =>
+    render(
+        <BoardProvider>
+            <AnalyticsView {...props} />
+        </BoardProvider>
+    );
+
+describe('AnalyticsView Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [
+                { id: '1', title: 'To Do', archived: false },
+                { id: '2', title: 'Done', archived: false },
+            ],
+            cards: {
+                '1': [{ id: 'a', title: 'Write docs', createdAt: created, labelIds: [], version: 1 }],
+                '2': [{
+                    id: 'b',
+                    title: 'Fix login',
+                    createdAt: created,
+                    transitions: [{ listId: '1', at: created }, { listId: '2', at: created + 26 * HOUR }],
+                    labelIds: [],
+                    version: 1,
+                }],
+            },
+        }));
+    });
+
+    test('draws the charts with text alternatives', async() => {
+        renderAnalytics();
+
+        const flow = await screen.findByRole('img', { name: /Cumulative flow/ });
+        expect(flow).toHaveAccessibleName(/To Do 1, Done 1/);
+        expect(screen.getByRole('img', { name: /Weekly throughput/ })).toBeInTheDocument();
+        expect(within(screen.getByRole('list', { name: 'Legend' })).getAllByRole('listitem')).toHaveLength(2);
+    });
+
+    test('shows cycle and lead times per list', async() => {
+        renderAnalytics();
+
+        const todo = await screen.findByRole('row', { name: /To Do/ });
+        expect(within(todo).getAllByRole('cell')[0]).toHaveTextContent('1d 2h');
+        const done = screen.getByRole('row', { name: /Done/ });
+        expect(within(done).getAllByRole('cell')[3]).toHaveTextContent('1d 2h');
+    });
+
+    test('the finished list and the filter change what is counted', async() => {
+        renderAnalytics({ searchQuery: 'docs' });
+
+        expect(await screen.findByRole('img', { name: /Cumulative flow/ })).toHaveAccessibleName(/To Do 1, Done 0/);
+
+        fireEvent.change(screen.getByLabelText('Finished list'), { target: { value: '1' } });
+        expect(screen.getByRole('heading', { name: /cards reaching To Do/ })).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,83 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import Board from '../Board';
+import ArchivePanel from '../ArchivePanel';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+const seedBoard = () => {
+    localStorage.setItem('kanban_board_data', JSON.stringify({
+        lists: [
+            { id: '1', title: 'To Do', archived: false },
+            { id: '2', title: 'Done', archived: false },
+        ],
+        cards: {
+            '1': [
+                { id: 'a', title: 'Write docs', version: 1, archived: true, lastModifiedAt: Date.now() },
+                { id: 'b', title: 'Add tests', version: 1 },
+            ],
+            '2': [],
+        },
+        trash: [
+            {
+                kind: 'card',
+                id: 'c',
+                listId: 'gone',
+                item: { id: 'c', title: 'Ship it', position: 'a0', version: 1 },
+                deletedAt: Date.now() - 1000,
+            },
+        ],
+    }));
+};
+
+const renderWithPanel = () =>
+    render(
+        <BoardProvider>
+            <Board />
+            <ArchivePanel onClose={() => {}} />
+        </BoardProvider>
+    );
+
+describe('ArchivePanel Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        seedBoard();
+    });
+
+    test('lists archived and deleted cards, and search narrows them', () => {
+        renderWithPanel();
+
+        const panel = screen.getByRole('complementary', { name: 'Archived items' });
+        expect(within(panel).getByText('Card in To Do')).toBeInTheDocument();
+        expect(within(panel).getByText('Card from a deleted list')).toBeInTheDocument();
+        expect(within(panel).getByText('Restores to To Do')).toBeInTheDocument();
+        // Archived cards are only in the drawer, not on the board
+        expect(screen.getAllByText('Write docs')).toHaveLength(1);
+
+        fireEvent.change(within(panel).getByRole('searchbox', { name: 'Search archived items' }), {
+            target: { value: 'ship' },
+        });
+        expect(within(panel).queryByText('Write docs')).not.toBeInTheDocument();
+        expect(within(panel).getByText('Ship it')).toBeInTheDocument();
+
+        fireEvent.change(within(panel).getByRole('searchbox'), { target: { value: 'nothing' } });
+        expect(within(panel).getByRole('status')).toHaveTextContent('No archived items match.');
+    });
+
+    test('restoring puts cards back on the board, deleted ones in a fallback list', async() => {
+        renderWithPanel();
+
+        const panel = screen.getByRole('complementary', { name: 'Archived items' });
+        fireEvent.click(within(panel).getByRole('button', { name: 'Restore Write docs' }));
+        fireEvent.click(within(panel).getByRole('button', { name: 'Restore Ship it' }));
+
+        await waitFor(() => {
+            expect(within(panel).getByRole('status')).toHaveTextContent('Nothing is archived or deleted.');
+        });
+        expect(screen.getByText('Write docs')).toBeInTheDocument();
+        expect(screen.getByText('Ship it')).toBeInTheDocument();
+    });
+});
@@ -105,4 +105,178 @@ describe('Board Component', () => {
 
         alertSpy.mockRestore();
     });
-});
\ No newline at end of file
+
+    test('shows WIP limits on list headers', async() => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [
+                { id: '1', title: 'Doing', archived: false, wipLimit: 2, wipMode: 'block' },
+                { id: '2', title: 'Review', archived: false, wipLimit: 1, wipMode: 'warn' },
+            ],
+            cards: {
+                '1': [{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }],
+                '2': [{ id: 'c', title: 'C' }, { id: 'd', title: 'D' }],
+            },
+        }));
+
+        const { container } = render(
+            <BoardProvider>
+                <Board />
+            </BoardProvider>
+        );
+
+        await waitFor(() => {
+            expect(screen.getByTitle('2 of 2 cards (WIP limit, block)')).toHaveTextContent('2/2');
+        });
+        expect(screen.getByRole('button', { name: 'Add card (Doing is at its WIP limit)' })).toBeDisabled();
+        expect(container.querySelector('[data-wip-status="over"]')).toHaveTextContent('Review');
+    });
+
+    test('moves a list with the arrow keys on its drag handle', async() => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [
+                { id: '1', title: 'To Do', archived: false },
+                { id: '2', title: 'Doing', archived: false },
+            ],
+            cards: { '1': [], '2': [] },
+        }));
+
+        render(
+            <BoardProvider>
+                <Board />
+            </BoardProvider>
+        );
+
+        const handle = await screen.findByRole('button', { name: 'Move list To Do, position 1 of 2' });
+        fireEvent.keyDown(handle, { key: 'ArrowRight' });
+
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: 'Move list To Do, position 2 of 2' })).toHaveFocus();
+        });
+        const titles = screen.getAllByRole('button', { name: /^Move list/ }).map((button) => button.getAttribute('aria-label'));
+        expect(titles).toEqual(['Move list Doing, position 1 of 2', 'Move list To Do, position 2 of 2']);
+    });
+
+    test('narrows lists to cards matching the search and marks the matches', async() => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [
+                { id: '1', title: 'To Do', archived: false },
+                { id: '2', title: 'Done', archived: false },
+            ],
+            cards: {
+                '1': [
+                    { id: 'a', title: 'Fix login bug' },
+                    { id: 'b', title: 'Write docs', comments: [{ id: 'c1', body: 'Mention the login flow' }] },
+                    { id: 'c', title: 'Release notes' },
+                ],
+                '2': [{ id: 'd', title: 'Set up CI' }],
+            },
+        }));
+
+        const { container } = render(
+            <BoardProvider>
+                <Board searchQuery="login" />
+            </BoardProvider>
+        );
+
+        expect(await screen.findByRole('status')).toHaveTextContent('2 cards match "login"');
+        expect(screen.queryByText('Release notes')).not.toBeInTheDocument();
+        expect(screen.getByText('2 of 3 cards match')).toBeInTheDocument();
+        expect(screen.getByText('No matching cards')).toBeInTheDocument();
+        expect(container.querySelector('mark.search-match')).toHaveTextContent('login');
+        expect(screen.getByText('Matches in comments')).toBeInTheDocument();
+    });
+
+    test('hides cards rejected by the filter query', async() => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            labels: [{ id: 'bug', name: 'Bug', color: '#b91c1c', aliases: [] }],
+            lists: [
+                { id: '1', title: 'To Do', archived: false },
+                { id: '2', title: 'Done', archived: false },
+            ],
+            cards: {
+                '1': [{ id: 'a', title: 'Crash on save', labelIds: ['bug'] }, { id: 'b', title: 'Docs' }],
+                '2': [{ id: 'c', title: 'Old crash', labelIds: ['bug'] }],
+            },
+        }));
+
+        render(
+            <BoardProvider>
+                <Board filterQuery="tag:bug -list:Done" />
+            </BoardProvider>
+        );
+
+        expect(await screen.findByText('Crash on save')).toBeInTheDocument();
+        expect(screen.queryByText('Docs')).not.toBeInTheDocument();
+        expect(screen.queryByText('Old crash')).not.toBeInTheDocument();
+        expect(screen.getByText('1 of 2 cards match')).toBeInTheDocument();
+    });
+
+    test('sorts cards and collapses lists from the board view', async() => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [
+                { id: '1', title: 'To Do', archived: false },
+                { id: '2', title: 'Done', archived: false },
+            ],
+            cards: {
+                '1': [{ id: 'a', title: 'Zebra' }, { id: 'b', title: 'Apple' }],
+                '2': [{ id: 'c', title: 'Shipped' }],
+            },
+        }));
+        const onToggleCollapsed = jest.fn();
+
+        render(
+            <BoardProvider>
+                <Board sort="title" collapsedListIds={['2']} onToggleCollapsed={onToggleCollapsed} />
+            </BoardProvider>
+        );
+
+        const titles = (await screen.findAllByRole('heading', { level: 3 })).map((heading) => heading.textContent);
+        expect(titles).toEqual(['Apple', 'Zebra']);
+        expect(screen.queryByText('Shipped')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Expand list Done' }));
+        expect(onToggleCollapsed).toHaveBeenCalledWith('2');
+        fireEvent.click(screen.getByRole('button', { name: 'Collapse list To Do' }));
+        expect(onToggleCollapsed).toHaveBeenCalledWith('1');
+    });
+
+    test('ages cards by their list thresholds, which the list menu edits', async() => {
+        const daysAgo = (days) => Date.now() - days * 24 * 60 * 60 * 1000;
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [{ id: '1', title: 'Doing', archived: false, agingDays: 3, staleDays: 7 }],
+            cards: {
+                '1': [
+                    { id: 'a', title: 'Stuck', transitions: [{ listId: '1', at: daysAgo(10.5) }] },
+                    { id: 'b', title: 'Fresh', transitions: [{ listId: '1', at: daysAgo(1) }] },
+                ],
+            },
+        }));
+
+        const { rerender } = render(
+            <BoardProvider>
+                <Board />
+            </BoardProvider>
+        );
+
+        const stuck = await screen.findByRole('button', { name: 'Card: Stuck' });
+        expect(stuck).toHaveAttribute('data-age', 'stale');
+        expect(screen.getByRole('button', { name: 'Card: Fresh' })).not.toHaveAttribute('data-age');
+
+        rerender(
+            <BoardProvider>
+                <Board filterQuery="is:stale" />
+            </BoardProvider>
+        );
+        await waitFor(() => expect(screen.queryByText('Fresh')).not.toBeInTheDocument());
+        expect(screen.getByText('Stuck')).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole('button', { name: 'List options' }));
+        fireEvent.click(screen.getByRole('button', { name: /Card Aging/ }));
+        expect(screen.getByLabelText('Stale after (days)')).toHaveValue(7);
+        fireEvent.change(screen.getByLabelText('Stale after (days)'), { target: { value: '14' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+        // Ten days in is no longer stale, only aging
+        await waitFor(() => expect(screen.getByText('No matching cards')).toBeInTheDocument());
+    });
+});
@@ -0,0 +1,92 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import CalendarView from '../CalendarView';
+import { toDayKey, addDays } from '../../utils/calendar';
+
+jest.mock('../../services/api');
+
+const today = new Date();
+today.setHours(10, 15, 0, 0);
+
+const dayLabel = (timestamp) =>
+    new Date(timestamp).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+const getDay = (timestamp) => screen.getByRole('group', { name: new RegExp(`^${dayLabel(timestamp)},`) });
+
+// A drop carrying the payload Card's drag start sets
+const dropCard = (target, cardId, sourceListId = '1') =>
+    fireEvent.drop(target, {
+        dataTransfer: { getData: () => JSON.stringify({ cardId, sourceListId }) },
+    });
+
+const renderCalendar = () =>
+    render(
+        <BoardProvider>
+            <CalendarView />
+        </BoardProvider>
+    );
+
+describe('CalendarView Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [{ id: '1', title: 'To Do', archived: false }],
+            cards: {
+                '1': [
+                    { id: 'a', title: 'Release 1.0', dueDate: today.getTime(), version: 1 },
+                    { id: 'b', title: 'Write changelog', version: 1 },
+                ],
+            },
+        }));
+    });
+
+    test('places dated cards on their day and undated ones in the sidebar', async() => {
+        renderCalendar();
+
+        await waitFor(() => {
+            expect(within(getDay(today)).getByRole('button', { name: 'Card: Release 1.0' })).toBeInTheDocument();
+        });
+        const sidebar = screen.getByRole('complementary', { name: /No due date/ });
+        expect(within(sidebar).getByRole('button', { name: 'Card: Write changelog' })).toBeInTheDocument();
+    });
+
+    test('dropping a card on a day moves its due date and keeps the time', async() => {
+        renderCalendar();
+        await screen.findByRole('button', { name: 'Card: Release 1.0' });
+
+        // Tomorrow may be on the next month's page; the week page always shows it
+        fireEvent.click(screen.getByRole('button', { name: 'Week' }));
+        const tomorrow = addDays(today.getTime(), 1);
+        if (toDayKey(tomorrow) > toDayKey(addDays(today.getTime(), 6 - today.getDay()))) {
+            fireEvent.click(screen.getByRole('button', { name: 'Next week' }));
+        }
+        dropCard(getDay(tomorrow), 'a');
+
+        await waitFor(() => {
+            expect(within(getDay(tomorrow)).getByRole('button', { name: 'Card: Release 1.0' })).toBeInTheDocument();
+        });
+        const stored = JSON.parse(localStorage.getItem('kanban_board_data'));
+        const card = stored.cards['1'].find((c) => c.id === 'a');
+        expect(new Date(card.dueDate).getHours()).toBe(10);
+        expect(toDayKey(card.dueDate)).toBe(toDayKey(tomorrow));
+    });
+
+    test('schedules undated cards dropped from the sidebar and unschedules dropped back', async() => {
+        renderCalendar();
+        await screen.findByRole('button', { name: 'Card: Write changelog' });
+
+        dropCard(getDay(today), 'b');
+        await waitFor(() => {
+            expect(within(getDay(today)).getByRole('button', { name: 'Card: Write changelog' })).toBeInTheDocument();
+        });
+        expect(screen.getByText('Every card has a due date')).toBeInTheDocument();
+
+        const sidebar = screen.getByRole('complementary', { name: /No due date/ });
+        dropCard(within(sidebar).getByText(/Drag a card onto a day/), 'a');
+        await waitFor(() => {
+            expect(within(sidebar).getByRole('button', { name: 'Card: Release 1.0' })).toBeInTheDocument();
+        });
+    });
+});
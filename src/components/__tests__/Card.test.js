@@ -8,10 +8,15 @@ describe('Card Component', () => {
         id: 'card-1',
         title: 'Test Card',
         description: 'Test description',
-        tags: ['test', 'feature'],
+        labelIds: ['label-1', 'label-2'],
         priority: 'high',
     };
 
+    const labels = [
+        { id: 'label-1', name: 'test', color: '#1d4ed8' },
+        { id: 'label-2', name: 'feature', color: '#15803d', aliases: ['label-old'] },
+    ];
+
     beforeEach(() => {
         jest.clearAllMocks();
     });
@@ -29,18 +34,26 @@ describe('Card Component', () => {
         expect(screen.getByText('Test Card')).toBeInTheDocument();
     });
 
-    test('displays card tags', () => {
-        render( <
-            BoardProvider >
-            <
-            Card card = { mockCard }
-            listId = "list-1" / >
-            <
-            /BoardProvider>
+    test('displays card labels from the registry', () => {
+        render(
+            <BoardProvider>
+                <Card card={mockCard} listId="list-1" labels={labels} />
+            </BoardProvider>
+        );
+
+        expect(screen.getByText('test')).toHaveStyle({ backgroundColor: '#1d4ed8' });
+        expect(screen.getByText('feature')).toBeInTheDocument();
+    });
+
+    test('shows labels referenced by a merged-away id', () => {
+        render(
+            <BoardProvider>
+                <Card card={{ ...mockCard, labelIds: ['label-old'] }} listId="list-1" labels={labels} />
+            </BoardProvider>
         );
 
-        expect(screen.getByText('test')).toBeInTheDocument();
         expect(screen.getByText('feature')).toBeInTheDocument();
+        expect(screen.queryByText('test')).not.toBeInTheDocument();
     });
 
     test('opens modal on click', async() => {
@@ -116,4 +129,129 @@ describe('Card Component', () => {
         // Should be the same element (memoized)
         expect(firstRender).toBe(secondRender);
     });
-});
\ No newline at end of file
+
+    test('shows a red badge for overdue cards', () => {
+        const overdue = { ...mockCard, dueDate: Date.now() - 60 * 60 * 1000 };
+        const { container } = render(
+            <BoardProvider>
+                <Card card={overdue} listId="list-1" />
+            </BoardProvider>
+        );
+
+        const badge = container.querySelector('.due-date-badge');
+        expect(badge).toHaveAttribute('data-status', 'overdue');
+        expect(badge).toHaveClass('bg-red-100');
+    });
+
+    test('shows an amber badge for cards due soon', () => {
+        const dueSoon = { ...mockCard, dueDate: Date.now() + 60 * 60 * 1000 };
+        const { container } = render(
+            <BoardProvider>
+                <Card card={dueSoon} listId="list-1" />
+            </BoardProvider>
+        );
+
+        const badge = container.querySelector('.due-date-badge');
+        expect(badge).toHaveAttribute('data-status', 'due-soon');
+        expect(badge).toHaveClass('bg-amber-100');
+    });
+
+    test('shows checklist progress', () => {
+        const withChecklist = {
+            ...mockCard,
+            checklists: [{
+                id: 'cl-1',
+                title: 'QA',
+                items: [
+                    { id: 'i-1', text: 'One', done: true },
+                    { id: 'i-2', text: 'Two', done: false },
+                    { id: 'i-3', text: 'Three', done: true },
+                ],
+            }],
+        };
+        render(
+            <BoardProvider>
+                <Card card={withChecklist} listId="list-1" />
+            </BoardProvider>
+        );
+
+        expect(screen.getByTitle('Checklist: 2 of 3 done')).toHaveTextContent('2/3');
+    });
+
+    test('shows the comment count', () => {
+        const withComments = {
+            ...mockCard,
+            comments: [
+                { id: 'c-1', author: 'Ann', body: 'One', createdAt: 1 },
+                { id: 'c-2', author: 'Bob', body: 'Two', createdAt: 2 },
+            ],
+        };
+        render(
+            <BoardProvider>
+                <Card card={withComments} listId="list-1" />
+            </BoardProvider>
+        );
+
+        expect(screen.getByTitle('2 comments')).toHaveTextContent('2');
+    });
+
+    test('shows assignee avatars with a +N overflow', () => {
+        const members = ['Ada Lovelace', 'Alan Turing', 'Grace Hopper', 'Linus'].map((name, index) => ({
+            id: `m-${index}`,
+            name,
+            initials: name.slice(0, 2).toUpperCase(),
+            color: '#1d4ed8',
+        }));
+        render(
+            <BoardProvider>
+                <Card
+                    card={{ ...mockCard, assignees: ['m-0', 'm-1', 'm-2', 'm-3', 'gone'] }}
+                    listId="list-1"
+                    members={members}
+                />
+            </BoardProvider>
+        );
+
+        const stack = screen.getByRole('group', {
+            name: 'Assigned to Ada Lovelace, Alan Turing, Grace Hopper, Linus',
+        });
+        expect(stack.querySelectorAll('.member-avatar')).toHaveLength(3);
+        expect(stack).toHaveTextContent('+1');
+    });
+
+    test('dims cards outside the My cards focus', () => {
+        render(
+            <BoardProvider>
+                <Card card={mockCard} listId="list-1" dimmed />
+            </BoardProvider>
+        );
+
+        const card = screen.getByRole('button', { name: 'Card: Test Card' });
+        expect(card).toHaveClass('opacity-40');
+        expect(card).toHaveAttribute('data-dimmed', 'true');
+    });
+
+    test('fades and shows its age once past the list aging thresholds', () => {
+        const day = 24 * 60 * 60 * 1000;
+        const list = { id: 'list-1', title: 'Doing', agingDays: 3, staleDays: 7 };
+        const inListFor = (days) => ({ ...mockCard, transitions: [{ listId: 'list-1', at: Date.now() - days * day }] });
+
+        const { rerender } = render(
+            <BoardProvider>
+                <Card card={inListFor(1)} listId="list-1" list={list} />
+            </BoardProvider>
+        );
+        const card = screen.getByRole('button', { name: 'Card: Test Card' });
+        expect(card).not.toHaveAttribute('data-age');
+        expect(card.querySelector('.age-badge')).toBeNull();
+
+        rerender(
+            <BoardProvider>
+                <Card card={inListFor(12.5)} listId="list-1" list={list} />
+            </BoardProvider>
+        );
+        expect(card).toHaveAttribute('data-age', 'stale');
+        expect(card.querySelector('.age-badge')).toHaveTextContent(/Stale, in list for\s*12d/);
+        expect(card.querySelector('.age-badge')).toHaveAttribute('title', 'In Doing for 12 days (stale)');
+    });
+});
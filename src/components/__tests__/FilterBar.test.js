@@ -0,0 +1,46 @@
+import { useState } from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, test, expect } from '@jest/globals';
+import FilterBar from '../FilterBar';
+
+function ControlledFilterBar({ initialQuery }) {
+    const [query, setQuery] = useState(initialQuery);
+    return <FilterBar query={query} onQueryChange={setQuery} />;
+}
+
+describe('FilterBar Component', () => {
+    test('shows a chip per filter and removes its term from the query', () => {
+        render(<ControlledFilterBar initialQuery="tag:bug -list:Done" />);
+
+        expect(screen.getByRole('list', { name: 'Active filters' })).toHaveTextContent('tag:bug');
+        fireEvent.click(screen.getByRole('button', { name: 'Remove filter -list:Done' }));
+
+        expect(screen.getByLabelText('Filter cards')).toHaveValue('tag:bug');
+        expect(screen.queryByRole('button', { name: 'Remove filter -list:Done' })).not.toBeInTheDocument();
+    });
+
+    test('lists parse errors and marks the input invalid', () => {
+        render(<ControlledFilterBar initialQuery="tag:bug due:soon" />);
+
+        const input = screen.getByLabelText('Filter cards');
+        expect(input).toHaveAttribute('aria-invalid', 'true');
+        expect(screen.getByText(/isn't a date/)).toBeInTheDocument();
+
+        fireEvent.keyDown(input, { key: 'Escape' });
+        expect(input).toHaveValue('');
+        expect(input).toHaveAttribute('aria-invalid', 'false');
+    });
+
+    test('the stale cards button toggles is:stale', () => {
+        render(<ControlledFilterBar initialQuery="tag:bug" />);
+
+        const stale = screen.getByRole('button', { name: /Stale cards/ });
+        fireEvent.click(stale);
+        expect(screen.getByLabelText('Filter cards')).toHaveValue('tag:bug is:stale');
+        expect(stale).toHaveAttribute('aria-pressed', 'true');
+
+        fireEvent.click(stale);
+        expect(screen.getByLabelText('Filter cards')).toHaveValue('tag:bug');
+        expect(stale).toHaveAttribute('aria-pressed', 'false');
+    });
+});
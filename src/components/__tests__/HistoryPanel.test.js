@@ -0,0 +1,75 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import Board from '../Board';
+import HistoryPanel from '../HistoryPanel';
+
+// Mock the API module
+jest.mock('../../services/api');
+
+describe('HistoryPanel Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+    });
+
+    const addList = (title) => {
+        fireEvent.click(screen.getByText(/Add List/i));
+        const input = screen.getByPlaceholderText('Enter list title...');
+        fireEvent.change(input, { target: { value: title } });
+        fireEvent.keyDown(input, { key: 'Enter', code: 'Enter' });
+    };
+
+    const renderWithPanel = () =>
+        render(
+            <BoardProvider>
+                <Board />
+                <HistoryPanel onClose={() => {}} />
+            </BoardProvider>
+        );
+
+    test('lists mutations with labels and action types', async() => {
+        renderWithPanel();
+
+        addList('Backlog');
+
+        const panel = screen.getByRole('complementary', { name: 'Board history' });
+        await waitFor(() => {
+            expect(within(panel).getByText("Added list 'Backlog'")).toBeInTheDocument();
+        });
+        expect(within(panel).getByText('ADD_LIST')).toBeInTheDocument();
+        expect(within(panel).getByText('Start of session')).toBeInTheDocument();
+    });
+
+    test('hovering an entry shows a read-only preview', async() => {
+        renderWithPanel();
+
+        addList('Backlog');
+        await waitFor(() => {
+            expect(screen.getByText("Added list 'Backlog'")).toBeInTheDocument();
+        });
+
+        fireEvent.mouseEnter(screen.getByText('Start of session'));
+
+        const preview = screen.getByRole('region', { name: /Board preview/ });
+        expect(within(preview).queryByText('Backlog')).not.toBeInTheDocument();
+
+        fireEvent.mouseLeave(screen.getByText('Start of session'));
+        expect(screen.queryByRole('region', { name: /Board preview/ })).not.toBeInTheDocument();
+    });
+
+    test('clicking an entry restores that point', async() => {
+        renderWithPanel();
+
+        addList('Backlog');
+        await waitFor(() => {
+            expect(screen.getByRole('button', { name: 'Backlog' })).toBeInTheDocument();
+        });
+
+        fireEvent.click(screen.getByText('Start of session'));
+
+        await waitFor(() => {
+            expect(screen.queryByRole('button', { name: 'Backlog' })).not.toBeInTheDocument();
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import Board from '../Board';
+import ListColumn from '../ListColumn';
+import { api } from '../../services/api';
+import { operations } from '../../services/operations';
+
+jest.mock('../../services/api');
+
+// The archived card sorts between the two active ones in 'To Do'
+const seedBoard = () => {
+    localStorage.setItem('kanban_board_data', JSON.stringify({
+        lists: [
+            { id: '1', title: 'To Do', position: 'a0', archived: false },
+            { id: '2', title: 'Done', position: 'a1', archived: false },
+        ],
+        cards: {
+            '1': [
+                { id: 'a', title: 'Write docs', position: 'a0', version: 1 },
+                { id: 'b', title: 'Old idea', position: 'a1', version: 1, archived: true },
+                { id: 'c', title: 'Add tests', position: 'a2', version: 1 },
+            ],
+            '2': [{ id: 'd', title: 'Ship it', position: 'a0', version: 1 }],
+        },
+    }));
+};
+
+// Drop the card on the zone in front of the card titled `title`
+const dropBefore = (title, cardId, sourceListId) => {
+    const zone = screen.getByText(title).closest('[draggable]').previousElementSibling;
+    const dataTransfer = {
+        types: ['application/json'],
+        getData: () => JSON.stringify({ cardId, sourceListId }),
+    };
+    fireEvent.dragOver(zone, { dataTransfer });
+    fireEvent.drop(zone, { dataTransfer });
+};
+
+describe('ListColumn Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        seedBoard();
+    });
+
+    test('places a dropped card among archived cards too, so keys never collide', async() => {
+        render(
+            <BoardProvider>
+                <Board />
+            </BoardProvider>
+        );
+
+        dropBefore('Add tests', 'd', '2');
+
+        await waitFor(() => expect(api.moveCard).toHaveBeenCalled());
+        const [, destinationListId, cardId, position] = api.moveCard.mock.calls[0];
+        expect(destinationListId).toBe('1');
+        expect(cardId).toBe('d');
+        // Between the archived card's key and the next active one
+        expect(position > 'a1' && position < 'a2').toBe(true);
+    });
+
+    test('sends the latest list version, even when nothing visible changed', () => {
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        const updateList = jest.spyOn(operations, 'updateList');
+        const list = { id: '1', title: 'To Do', position: 'a0', archived: false, version: 1 };
+        const { rerender } = render(
+            <BoardProvider>
+                <ListColumn list={list} />
+            </BoardProvider>
+        );
+
+        // Another device edited the list without touching what it shows
+        rerender(
+            <BoardProvider>
+                <ListColumn list={{ ...list, version: 2 }} />
+            </BoardProvider>
+        );
+        fireEvent.click(screen.getByLabelText('List options'));
+        fireEvent.click(screen.getByText(/Archive List/));
+
+        expect(updateList).toHaveBeenCalledWith('1', { archived: true }, 2);
+        updateList.mockRestore();
+        window.confirm.mockRestore();
+    });
+});
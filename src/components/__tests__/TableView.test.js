@@ -0,0 +1,116 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeAll, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import TableView from '../TableView';
+
+jest.mock('../../services/api');
+
+const seedBoard = () => {
+    localStorage.setItem('kanban_board_data', JSON.stringify({
+        lists: [
+            { id: '1', title: 'To Do', archived: false },
+            { id: '2', title: 'Done', archived: false },
+        ],
+        cards: {
+            '1': [
+                { id: 'a', title: 'Write docs', version: 1 },
+                { id: 'b', title: 'Add tests', version: 1 },
+            ],
+            '2': [{ id: 'c', title: 'Ship it', version: 1 }],
+        },
+    }));
+};
+
+const renderTable = (props = {}) =>
+    render(
+        <BoardProvider>
+            <TableView {...props} />
+        </BoardProvider>
+    );
+
+const rowTitles = () =>
+    screen.getAllByRole('textbox', { name: /^Title of / }).map((input) => input.value);
+
+describe('TableView Component', () => {
+    beforeAll(() => {
+        // react-window measures its container; jsdom has no ResizeObserver
+        global.ResizeObserver = class {
+            observe() {}
+            unobserve() {}
+            disconnect() {}
+        };
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        seedBoard();
+    });
+
+    test('lists every card and sorts from the column headers', async() => {
+        renderTable();
+
+        await waitFor(() => expect(rowTitles()).toEqual(['Write docs', 'Add tests', 'Ship it']));
+        expect(screen.getByRole('status')).toHaveTextContent('3 cards');
+
+        const titleHeader = screen.getByRole('columnheader', { name: /Title/ });
+        fireEvent.click(within(titleHeader).getByRole('button'));
+        expect(titleHeader).toHaveAttribute('aria-sort', 'ascending');
+        expect(rowTitles()).toEqual(['Add tests', 'Ship it', 'Write docs']);
+
+        fireEvent.click(within(titleHeader).getByRole('button'));
+        expect(rowTitles()).toEqual(['Write docs', 'Ship it', 'Add tests']);
+
+        fireEvent.click(within(titleHeader).getByRole('button'));
+        expect(titleHeader).toHaveAttribute('aria-sort', 'none');
+        expect(rowTitles()).toEqual(['Write docs', 'Add tests', 'Ship it']);
+    });
+
+    test('narrows rows with the filter query', async() => {
+        renderTable({ filterQuery: '-list:Done' });
+
+        await waitFor(() => expect(rowTitles()).toEqual(['Write docs', 'Add tests']));
+        expect(screen.getByRole('status')).toHaveTextContent('2 cards');
+    });
+
+    test('edits a title in place and reverts on Escape', async() => {
+        renderTable();
+
+        const input = await screen.findByRole('textbox', { name: 'Title of Write docs' });
+        fireEvent.change(input, { target: { value: 'Scrapped' } });
+        fireEvent.keyDown(input, { key: 'Escape' });
+        fireEvent.blur(input);
+        expect(input).toHaveValue('Write docs');
+
+        fireEvent.change(input, { target: { value: 'Write the docs' } });
+        fireEvent.blur(input);
+        expect(await screen.findByRole('textbox', { name: 'Title of Write the docs' })).toBeInTheDocument();
+    });
+
+    test('moves a card to the end of another list', async() => {
+        renderTable();
+
+        const select = await screen.findByRole('combobox', { name: 'List of Write docs' });
+        fireEvent.change(select, { target: { value: '2' } });
+
+        await waitFor(() => expect(rowTitles()).toEqual(['Add tests', 'Ship it', 'Write docs']));
+        expect(screen.getByRole('combobox', { name: 'List of Write docs' })).toHaveValue('2');
+    });
+
+    test('exports the rows as CSV and releases the file URL after the download starts', async() => {
+        // jsdom implements neither object URLs nor navigation
+        URL.createObjectURL = jest.fn(() => 'blob:cards');
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+        renderTable();
+
+        fireEvent.click(await screen.findByRole('button', { name: /Export CSV/ }));
+
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:cards'));
+        expect(URL.revokeObjectURL.mock.invocationCallOrder[0]).toBeGreaterThan(click.mock.invocationCallOrder[0]);
+
+        click.mockRestore();
+    });
+});
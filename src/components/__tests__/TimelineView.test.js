@@ -0,0 +1,75 @@
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import BoardProvider from '../../context/BoardProvider';
+import TimelineView from '../TimelineView';
+import { shiftDays } from '../../utils/timeline';
+
+jest.mock('../../services/api');
+
+const start = new Date();
+start.setHours(9, 0, 0, 0);
+const due = shiftDays(start.getTime(), 4);
+
+const storedCard = (cardId) =>
+    JSON.parse(localStorage.getItem('kanban_board_data')).cards['1'].find((card) => card.id === cardId);
+
+const renderTimeline = () =>
+    render(
+        <BoardProvider>
+            <TimelineView />
+        </BoardProvider>
+    );
+
+describe('TimelineView Component', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        localStorage.setItem('kanban_board_data', JSON.stringify({
+            lists: [{ id: '1', title: 'To Do', archived: false }],
+            cards: {
+                '1': [
+                    { id: 'a', title: 'Beta', startDate: start.getTime(), dueDate: due, labelIds: ['l1'], version: 1 },
+                    { id: 'b', title: 'Launch', dueDate: due, labelIds: [], version: 1 },
+                    { id: 'c', title: 'Someday', labelIds: [], version: 1 },
+                ],
+            },
+            labels: [{ id: 'l1', name: 'Roadmap', color: '#1d4ed8' }],
+        }));
+    });
+
+    test('shows dated cards as bars grouped by list or by label', async() => {
+        renderTimeline();
+
+        const list = await screen.findByRole('region', { name: 'To Do' });
+        expect(within(list).getByRole('slider', { name: 'Start of Beta' })).toBeInTheDocument();
+        expect(within(list).getByRole('slider', { name: 'End of Launch' })).toBeInTheDocument();
+        expect(screen.getByRole('status')).toHaveTextContent("1 card has no dates and isn't shown");
+
+        fireEvent.change(screen.getByLabelText('Group by'), { target: { value: 'label' } });
+        expect(within(screen.getByRole('region', { name: 'Roadmap' })).getByText('Beta')).toBeInTheDocument();
+        expect(within(screen.getByRole('region', { name: 'No label' })).getByText('Launch')).toBeInTheDocument();
+    });
+
+    test('arrow keys on a bar edge move its dates', async() => {
+        renderTimeline();
+
+        const end = await screen.findByRole('slider', { name: 'End of Beta' });
+        fireEvent.keyDown(end, { key: 'ArrowRight', shiftKey: true });
+        await waitFor(() => expect(storedCard('a').dueDate).toBe(shiftDays(due, 7)));
+
+        fireEvent.keyDown(screen.getByRole('slider', { name: 'Start of Launch' }), { key: 'ArrowLeft' });
+        await waitFor(() => expect(storedCard('b').startDate).toBe(shiftDays(due, -1)));
+        expect(storedCard('b').dueDate).toBe(due);
+    });
+
+    test('zoom changes the scale', async() => {
+        renderTimeline();
+
+        const bar = (await screen.findByRole('slider', { name: 'Start of Beta' })).parentElement;
+        expect(bar.style.width).toBe(`${5 * 12}px`);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Day' }));
+        expect(screen.getByRole('button', { name: 'Day' })).toHaveAttribute('aria-pressed', 'true');
+        expect(screen.getByRole('slider', { name: 'Start of Beta' }).parentElement.style.width).toBe(`${5 * 40}px`);
+    });
+});
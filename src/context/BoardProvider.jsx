@@ -1,167 +1,286 @@
-import { createContext, useReducer, useEffect, useCallback, useRef } from 'react';
+import { createContext, useReducer, useEffect, useCallback, useState, useRef } from 'react';
 import { boardReducer, initialState, ACTIONS } from './boardReducer';
-import { saveBoard, loadBoard } from '../services/storage';
-import { api, ApiError } from '../services/api';
-import { getSyncQueue, addToSyncQueue, removeFromSyncQueue } from '../services/syncQueue';
-import { mergeBoardState } from '../utils/merge';
+import { getStorageAdapter } from '../services/storage';
+import { generateId } from '../utils/helpers';
+import { createSyncEngine, SYNC_STATUS, SYNC_EVENTS } from '../services/syncEngine';
+import { createUndoEntry, resolveStep } from '../utils/compensation';
+import { useUndoRedo } from '../hooks/useUndoRedo';
+import { checkWipLimitForAction } from '../utils/wipLimits';
+import { buildSearchIndex } from '../utils/search';
 
 export const BoardContext = createContext(null);
 
-function BoardProvider({ children }) {
-  const [state, dispatch] = useReducer(boardReducer, initialState, () => {
-    const savedBoard = loadBoard();
-    return savedBoard || initialState;
-  });
-
-  const syncTimerRef = useRef(null);
-  const baseStateRef = useRef(null);
+const MAX_UNDO_HISTORY = 50;
 
-  // Save to localStorage whenever state changes (excluding sync-related state)
-  useEffect(() => {
-    const { syncing, error, previousState, baseState, conflicts, isOnline, ...boardData } = state;
-    saveBoard(boardData);
-  }, [state]);
+// Sync and UI state that is never saved with the board
+const TRANSIENT_FIELDS = [
+  'syncing',
+  'error',
+  'errorTitle',
+  'pendingOperations',
+  'baseState',
+  'conflicts',
+  'pendingMerge',
+  'isOnline',
+  'searchIndex',
+];
 
-  // Background sync function
-  const performSync = useCallback(async () => {
-    if (state.syncing || state.conflicts.length > 0) {
-      return; // Already syncing or have conflicts to resolve
-    }
+// The part of the board the history panel previews
+const boardSnapshot = ({ lists, cards, boardTitle }) => ({ lists, cards, boardTitle });
 
-    try {
-      // Fetch server state
-      const serverResponse = await api.getBoard();
-      const serverState = serverResponse;
-
-      // Get base state (last known server state)
-      const baseState = baseStateRef.current || state;
+const withEntityId = (action) => {
+  if (action.type === ACTIONS.ADD_LIST && !action.payload.id) {
+    return { ...action, payload: { ...action.payload, id: generateId() } };
+  }
+  if (action.type === ACTIONS.ADD_CARD && !action.payload.card?.id) {
+    return {
+      ...action,
+      payload: { ...action.payload, card: { ...action.payload.card, id: generateId() } },
+    };
+  }
+  return action;
+};
 
-      // Perform three-way merge
-      const { merged, conflicts } = mergeBoardState(
-        baseState,
-        state,
-        serverState
-      );
+function BoardProvider({ children }) {
+  const [storage] = useState(getStorageAdapter);
+  const [state, dispatch] = useReducer(boardReducer, initialState, (init) => {
+    const savedBoard = storage.loadSync ? storage.loadSync() : null;
+    // Sync-related fields and the search index are not persisted, so fill
+    // them from initialState and the saved cards
+    return savedBoard ?
+      { ...init, ...savedBoard, searchIndex: buildSearchIndex(savedBoard) } :
+      init;
+  });
+  // Nothing is saved until the stored board has been loaded
+  const [isHydrated, setIsHydrated] = useState(() => Boolean(storage.loadSync));
 
-      if (conflicts.length > 0) {
+  const [syncEngine] = useState(() =>
+    createSyncEngine({
+      onMerged: (mergedState, localState) => {
+        dispatch({
+          type: ACTIONS.APPLY_MERGE,
+          payload: { mergedState, localState },
+        });
+      },
+      onConflicts: (conflicts, serverState, mergedState) => {
         // Show conflict resolution UI
         dispatch({
           type: ACTIONS.SET_CONFLICTS,
           payload: {
             conflicts,
             baseState: serverState,
+            mergedState,
           },
         });
-      } else {
-        // No conflicts, apply merged state
-        dispatch({
-          type: ACTIONS.APPLY_MERGE,
-          payload: { mergedState: merged },
-        });
-        baseStateRef.current = merged;
-      }
+      },
+    })
+  );
 
-      // Process sync queue
-      const queue = getSyncQueue();
-      for (const item of queue) {
-        try {
-          await item.apiCall();
-          removeFromSyncQueue(item.id);
-        } catch (err) {
-          // Keep in queue for next sync
-        }
-      }
-    } catch (error) {
-      // Sync failed, will retry on next interval or reconnect
-    }
-  }, [state, dispatch]);
+  // Keep the engine's copy of the local board current
+  useEffect(() => {
+    syncEngine.setLocalState(state);
+  }, [state, syncEngine]);
 
-  // Online/Offline detection
+  // Latest board, read when the stored board loads and by the undo history
+  const stateRef = useRef(state);
   useEffect(() => {
-    const handleOnline = () => {
-      dispatch({ type: ACTIONS.CLEAR_ERROR });
-      // Trigger immediate sync when coming back online
-      performSync();
-    };
+    stateRef.current = state;
+  }, [state]);
 
-    const handleOffline = () => {
-      dispatch({
-        type: ACTIONS.SYNC_FAILURE,
-        payload: { error: 'You are offline. Changes will sync when reconnected.' },
-      });
-    };
+  // Load the stored board asynchronously (migrating old localStorage data on first run)
+  useEffect(() => {
+    if (isHydrated) return undefined;
+    let cancelled = false;
+
+    // The board edits made before the load finishes start from
+    const since = stateRef.current;
 
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
+    storage.load()
+      .then((savedBoard) => {
+        if (cancelled) return;
+        if (savedBoard) {
+          dispatch({ type: ACTIONS.LOAD_BOARD, payload: savedBoard, meta: { since } });
+        }
+        setIsHydrated(true);
+      })
+      .catch((error) => {
+        // Unreadable storage: carry on with the board as it is. The adapter
+        // refuses to save over a board it could not read, so say so.
+        if (cancelled) return;
+        dispatch({
+          type: ACTIONS.SYNC_FAILURE,
+          payload: { error: `Could not load the saved board: ${error.message}. Changes will not be saved.` },
+        });
+        setIsHydrated(true);
+      });
 
     return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
+      cancelled = true;
     };
-  }, [dispatch, performSync]);
+  }, [storage, isHydrated]);
+
+  // Save whenever state changes (excluding sync-related state)
+  useEffect(() => {
+    if (!isHydrated) return;
+    const boardData = { ...state };
+    TRANSIENT_FIELDS.forEach((field) => delete boardData[field]);
+    storage.save(boardData);
+  }, [state, storage, isHydrated]);
+
+  // Start background sync (online/offline listeners, periodic timer, retries)
+  useEffect(() => {
+    syncEngine.start();
+    return () => syncEngine.stop();
+  }, [syncEngine]);
+
+  // Surface offline status through the error toast
+  useEffect(() => {
+    let previousStatus = syncEngine.getSnapshot().status;
+
+    return syncEngine.subscribe(({ type, status }) => {
+      if (type !== SYNC_EVENTS.STATUS_CHANGE || status === previousStatus) {
+        return;
+      }
+      if (status === SYNC_STATUS.OFFLINE) {
+        dispatch({
+          type: ACTIONS.SYNC_FAILURE,
+          payload: { error: 'You are offline. Changes will sync when reconnected.' },
+        });
+      } else if (previousStatus === SYNC_STATUS.OFFLINE) {
+        dispatch({ type: ACTIONS.CLEAR_ERROR });
+      }
+      previousStatus = status;
+    });
+  }, [syncEngine]);
 
-  // Periodic sync timer (every 45 seconds)
+  // Leave the conflicted state once the resolution modal has applied a merge
   useEffect(() => {
-    syncTimerRef.current = setInterval(() => {
-      if (navigator.onLine) {
-        performSync();
+    if (state.conflicts.length === 0) {
+      syncEngine.resolveConflicts();
+    }
+  }, [state.conflicts.length, syncEngine]);
+
+  const performSync = syncEngine.sync;
+
+  // Undo history of compensating actions (see utils/compensation.js)
+  const history = useUndoRedo(null, MAX_UNDO_HISTORY);
+  const { pushState: pushHistory, clearHistory } = history;
+
+  // Apply an action optimistically and send its operation. Each call is
+  // tracked separately, so a failure reverts only that change.
+  const runOptimistic = useCallback(
+    async (action, operation) => {
+      // A card refused by a blocking WIP limit never reaches the server;
+      // the reducer leaves the board alone and explains why
+      if (!checkWipLimitForAction(stateRef.current, action).valid) {
+        dispatch(action);
+        return;
       }
-    }, 45000); // 45 seconds
 
-    return () => {
-      if (syncTimerRef.current) {
-        clearInterval(syncTimerRef.current);
+      const operationId = generateId();
+
+      // Immediately update UI (optimistic)
+      dispatch({ ...action, meta: { ...action.meta, operationId } });
+
+      try {
+        if (operation) {
+          // Queued while offline, or handed to the three-way merge on 409
+          await syncEngine.execute(operation);
+        }
+        dispatch({ type: ACTIONS.COMMIT_OPERATION, payload: { operationId } });
+      } catch (error) {
+        // Revert just this operation and say which change was undone
+        dispatch({
+          type: ACTIONS.ROLLBACK_OPERATION,
+          payload: { operationId, error: error.message },
+        });
       }
-    };
-  }, [performSync]);
+    },
+    [dispatch, syncEngine]
+  );
 
-  // Optimistic dispatch wrapper with conflict detection
+  // Optimistic dispatch wrapper. `operation` is a serializable entry from
+  // services/operations.js; the sync engine sends it or queues it offline.
   const dispatchWithOptimistic = useCallback(
-    async (action, apiCall) => {
+    async (action, operation) => {
       // Skip sync for LOAD_BOARD and CLEAR_BOARD
       if (
         action.type === ACTIONS.LOAD_BOARD ||
         action.type === ACTIONS.CLEAR_BOARD
       ) {
         dispatch(action);
+        clearHistory();
         return;
       }
 
-      // Immediately update UI (optimistic)
-      dispatch({ type: ACTIONS.SYNC_START });
-      dispatch(action);
-
-      // If offline, queue the operation
-      if (!navigator.onLine) {
-        addToSyncQueue({ action, apiCall });
-        dispatch({ type: ACTIONS.SYNC_SUCCESS });
+      // New entities need their ids up front so patches and undo can find them
+      const prepared = withEntityId(action);
+      const before = stateRef.current;
+      if (!checkWipLimitForAction(before, prepared).valid) {
+        // Refused, so there is nothing to undo
+        await runOptimistic(prepared, operation);
         return;
       }
+      const entry = createUndoEntry(before, prepared);
+      if (entry) {
+        pushHistory({
+          ...entry,
+          previous: boardSnapshot(before),
+          board: boardSnapshot(boardReducer(before, prepared)),
+        });
+      }
 
-      try {
-        // Make API call in background
-        if (apiCall) {
-          await apiCall();
-        }
-        // On success, clear the snapshot and update base state
-        dispatch({ type: ACTIONS.SYNC_SUCCESS });
-        baseStateRef.current = state;
-      } catch (error) {
-        // Check for version conflict (409 status)
-        if (error instanceof ApiError && error.status === 409) {
-          // Trigger full sync to resolve conflicts
-          performSync();
-        } else {
-          // Other errors - rollback and show error
-          dispatch({
-            type: ACTIONS.SYNC_FAILURE,
-            payload: { error: error.message },
-          });
-          dispatch({ type: ACTIONS.ROLLBACK });
+      await runOptimistic(prepared, operation);
+    },
+    [dispatch, runOptimistic, pushHistory, clearHistory]
+  );
+
+  // Dispatch a history entry's actions in order, each with its own server
+  // operation. Steps are resolved against the board as each one leaves it.
+  const applySteps = useCallback(
+    async (steps) => {
+      let board = stateRef.current;
+      const resolved = [];
+      steps.forEach((step) => {
+        const next = resolveStep(board, step);
+        if (next) {
+          resolved.push(next);
+          board = boardReducer(board, next.action);
         }
+      });
+
+      for (const { action, operation } of resolved) {
+        await runOptimistic(action, operation);
+      }
+    },
+    [runOptimistic]
+  );
+
+  // Move to any point in history by dispatching the compensating actions of
+  // every entry in between (undo steps going back, redo steps going forward)
+  const jumpToHistory = useCallback(
+    (index) => {
+      const { history: entries, currentIndex } = history;
+      if (index === currentIndex || index < 0 || index >= entries.length) {
+        return Promise.resolve();
       }
+      const steps = index < currentIndex ?
+        entries.slice(index + 1, currentIndex + 1).reverse().flatMap((entry) => entry.state.undo) :
+        entries.slice(currentIndex + 1, index + 1).flatMap((entry) => entry.state.redo);
+      history.jumpToIndex(index);
+      return applySteps(steps);
     },
-    [dispatch, state, performSync]
+    [history, applySteps]
+  );
+
+  const undo = useCallback(
+    () => (history.canUndo ? jumpToHistory(history.currentIndex - 1) : Promise.resolve()),
+    [history, jumpToHistory]
+  );
+
+  const redo = useCallback(
+    () => (history.canRedo ? jumpToHistory(history.currentIndex + 1) : Promise.resolve()),
+    [history, jumpToHistory]
   );
 
   const value = {
@@ -169,6 +288,17 @@ function BoardProvider({ children }) {
     dispatch,
     dispatchWithOptimistic,
     performSync,
+    syncEngine,
+    undo,
+    redo,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    clearHistory,
+    // Entries are { state: { type, label, undo, redo, previous, board }, timestamp };
+    // index 0 is the start of the session
+    historyEntries: history.history,
+    historyIndex: history.currentIndex,
+    jumpToHistory,
     ACTIONS,
   };
 
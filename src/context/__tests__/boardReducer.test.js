@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeEach } from '@jest/globals';
 import { boardReducer, initialState, ACTIONS } from '../../context/boardReducer';
+import { withPositions } from '../../utils/positionKeys';
 
 describe('Board Reducer Integration Tests', () => {
     let state;
@@ -87,6 +88,15 @@ describe('Board Reducer Integration Tests', () => {
             expect(newState.cards['list-1'][2].title).toBe('Task 3');
         });
 
+        test('ADD_CARD records the card entering its list', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.ADD_CARD,
+                payload: { listId: 'list-1', card: { id: 'card-3', title: 'Task 3', createdAt: 1000 } },
+            });
+
+            expect(newState.cards['list-1'][2].transitions).toEqual([{ listId: 'list-1', at: 1000 }]);
+        });
+
         test('UPDATE_CARD modifies card properties', () => {
             const action = {
                 type: ACTIONS.UPDATE_CARD,
@@ -133,6 +143,24 @@ describe('Board Reducer Integration Tests', () => {
             expect(newState.cards['list-2'][0].id).toBe('card-1');
         });
 
+        test('MOVE_CARD records entering another list, not reorders', () => {
+            const recorded = { ...state.cards['list-1'][0], transitions: [{ listId: 'list-1', at: 1000 }] };
+            const withHistory = { ...state, cards: { ...state.cards, 'list-1': [recorded, state.cards['list-1'][1]] } };
+            const move = (destinationListId, destinationIndex) => ({
+                type: ACTIONS.MOVE_CARD,
+                payload: { sourceListId: 'list-1', destinationListId, cardId: 'card-1', destinationIndex },
+            });
+
+            const moved = boardReducer(withHistory, move('list-2', 0)).cards['list-2'][0];
+            expect(moved.transitions).toEqual([
+                { listId: 'list-1', at: 1000 },
+                { listId: 'list-2', at: expect.any(Number) },
+            ]);
+
+            const reordered = boardReducer(withHistory, move('list-1', 1)).cards['list-1'][1];
+            expect(reordered.transitions).toEqual([{ listId: 'list-1', at: 1000 }]);
+        });
+
         test('MOVE_CARD within same list reorders cards', () => {
             // When moving card-1 (currently at index 0) to index 1
             // Expected result: card-1 moves after card-2
@@ -155,6 +183,68 @@ describe('Board Reducer Integration Tests', () => {
             expect(newState.cards['list-1'][0].id).toBe('card-2');
             expect(newState.cards['list-1'][1].id).toBe('card-1');
         });
+
+        test('MOVE_CARD with a position key changes only the moved card', () => {
+            const keyed = {
+                ...state,
+                cards: {
+                    ...state.cards,
+                    'list-2': [
+                        { id: 'card-3', title: 'Three', position: 'a0', version: 1 },
+                        { id: 'card-4', title: 'Four', position: 'a1', version: 1 },
+                    ],
+                },
+            };
+            const newState = boardReducer(keyed, {
+                type: ACTIONS.MOVE_CARD,
+                payload: {
+                    sourceListId: 'list-1',
+                    destinationListId: 'list-2',
+                    cardId: 'card-1',
+                    position: 'a0V',
+                },
+            });
+
+            expect(newState.cards['list-2'].map((card) => card.id)).toEqual(['card-3', 'card-1', 'card-4']);
+            expect(newState.cards['list-2'][0]).toBe(keyed.cards['list-2'][0]);
+            expect(newState.cards['list-2'][2]).toBe(keyed.cards['list-2'][1]);
+            expect(newState.cards['list-2'][1]).toMatchObject({ position: 'a0V', version: 1 });
+        });
+
+        test('MOVE_CARD into a run of tied keys lands inside it', () => {
+            const tied = {
+                ...state,
+                cards: {
+                    ...state.cards,
+                    'list-2': [
+                        { id: 'card-3', title: 'Three', position: 'a0', version: 1 },
+                        { id: 'card-4', title: 'Four', position: 'a0', version: 1 },
+                    ],
+                },
+            };
+            const newState = boardReducer(tied, {
+                type: ACTIONS.MOVE_CARD,
+                payload: {
+                    sourceListId: 'list-1',
+                    destinationListId: 'list-2',
+                    cardId: 'card-1',
+                    destinationIndex: 1,
+                },
+            });
+
+            expect(newState.cards['list-2'].map((card) => card.id)).toEqual(['card-3', 'card-1', 'card-4']);
+            expect(newState.cards['list-2'][0]).toBe(tied.cards['list-2'][0]);
+            expect(newState.cards['list-2'][2].position > newState.cards['list-2'][1].position).toBe(true);
+        });
+
+        test('REORDER_CARD still takes indexes', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.REORDER_CARD,
+                payload: { listId: 'list-1', startIndex: 1, endIndex: 0 },
+            });
+
+            expect(newState.cards['list-1'].map((card) => card.id)).toEqual(['card-2', 'card-1']);
+        });
     });
 
     describe('Sync Operations', () => {
@@ -200,6 +290,659 @@ describe('Board Reducer Integration Tests', () => {
             expect(newState.lists).toEqual(mergedState.lists);
             expect(newState.cards).toEqual(mergedState.cards);
         });
+
+        test('APPLY_MERGE keeps edits made while the server board was fetched', () => {
+            const localState = state;
+            const mergedState = {
+                ...state,
+                lists: state.lists.map((list) => ({ ...list, title: `${list.title} (server)` })),
+            };
+            const edited = boardReducer(state, {
+                type: ACTIONS.ADD_CARD,
+                payload: { listId: 'list-1', card: { id: 'card-new', title: 'Added meanwhile' } },
+            });
+
+            const newState = boardReducer(edited, {
+                type: ACTIONS.APPLY_MERGE,
+                payload: { mergedState, localState },
+            });
+
+            expect(newState.lists.map((list) => list.title)).toEqual(mergedState.lists.map((list) => list.title));
+            expect(newState.cards['list-1'].map((card) => card.id)).toContain('card-new');
+        });
+
+        test('SET_CONFLICTS keeps the merged board until APPLY_MERGE resolves it', () => {
+            const mergedState = { lists: [], cards: {}, trash: [] };
+            const conflicted = boardReducer(state, {
+                type: ACTIONS.SET_CONFLICTS,
+                payload: { conflicts: [{ type: 'card', id: 'card-1' }], baseState: null, mergedState },
+            });
+
+            expect(conflicted.pendingMerge).toBe(mergedState);
+            // The local board is left alone until the user picks resolutions
+            expect(conflicted.lists).toBe(state.lists);
+
+            const resolved = boardReducer(conflicted, { type: ACTIONS.APPLY_MERGE, payload: { mergedState } });
+            expect(resolved.pendingMerge).toBeNull();
+            expect(resolved.conflicts).toEqual([]);
+        });
+    });
+
+    describe('Board Loading', () => {
+        test('LOAD_BOARD migrates older payloads', () => {
+            const action = {
+                type: ACTIONS.LOAD_BOARD,
+                payload: {
+                    lists: [{ id: 'list-9', title: 'Legacy' }],
+                    cards: { 'list-9': [{ id: 'card-9', title: 'Old' }] },
+                },
+            };
+
+            const newState = boardReducer(state, action);
+
+            expect(newState.schemaVersion).toBe(initialState.schemaVersion);
+            expect(newState.cards['list-9'][0].version).toBe(1);
+            expect(newState.conflicts).toEqual([]);
+        });
+
+        test('LOAD_BOARD merges in edits made since the load started', () => {
+            const since = initialState;
+            const edited = boardReducer(since, {
+                type: ACTIONS.ADD_LIST,
+                payload: { id: 'list-new', title: 'Added early' },
+            });
+
+            const newState = boardReducer(edited, {
+                type: ACTIONS.LOAD_BOARD,
+                payload: state,
+                meta: { since },
+            });
+
+            expect(newState.lists.map((list) => list.id)).toEqual(
+                expect.arrayContaining([...state.lists.map((list) => list.id), 'list-new'])
+            );
+            expect(newState.cards['list-1']).toEqual(state.cards['list-1']);
+        });
+
+        test('LOAD_BOARD keeps current state when payload is corrupt', () => {
+            const action = { type: ACTIONS.LOAD_BOARD, payload: { lists: null } };
+
+            const newState = boardReducer(state, action);
+
+            expect(newState.lists).toBe(state.lists);
+            expect(newState.error).toMatch(/Could not load board/);
+        });
+    });
+
+    describe('Optimistic Operations', () => {
+        const optimistic = (action, operationId) => ({ ...action, meta: { operationId } });
+
+        test('records an inverse patch per operation', () => {
+            const newState = boardReducer(state, optimistic({
+                type: ACTIONS.RENAME_LIST,
+                payload: { listId: 'list-1', title: 'Backlog' },
+            }, 'op-1'));
+
+            expect(newState.syncing).toBe(true);
+            expect(newState.pendingOperations['op-1']).toMatchObject({
+                type: ACTIONS.RENAME_LIST,
+                label: "Renamed list 'To Do' to 'Backlog'",
+            });
+        });
+
+        test('ROLLBACK_OPERATION reverts only the failed operation', () => {
+            let newState = boardReducer(state, optimistic({
+                type: ACTIONS.MOVE_CARD,
+                payload: {
+                    sourceListId: 'list-1',
+                    destinationListId: 'list-2',
+                    cardId: 'card-1',
+                    destinationIndex: 0,
+                },
+            }, 'op-1'));
+            newState = boardReducer(newState, optimistic({
+                type: ACTIONS.UPDATE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-2', updates: { title: 'Edited' } },
+            }, 'op-2'));
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.cards['list-1'].map((card) => card.id)).toEqual(['card-1', 'card-2']);
+            expect(newState.cards['list-2']).toEqual([]);
+            expect(newState.cards['list-1'][0].transitions).toBeUndefined();
+            expect(newState.cards['list-1'][1].title).toBe('Edited');
+            expect(newState.pendingOperations).toHaveProperty('op-2');
+            expect(newState.syncing).toBe(true);
+            expect(newState.error).toBe(
+                "Reverted \"Moved 'Task 1' from To Do to Done\": Server error"
+            );
+        });
+
+        test('ROLLBACK_OPERATION keeps later edits to a moved card', () => {
+            let newState = boardReducer(state, optimistic({
+                type: ACTIONS.MOVE_CARD,
+                payload: {
+                    sourceListId: 'list-1',
+                    destinationListId: 'list-2',
+                    cardId: 'card-1',
+                    destinationIndex: 0,
+                },
+            }, 'op-1'));
+            newState = boardReducer(newState, optimistic({
+                type: ACTIONS.UPDATE_CARD,
+                payload: { listId: 'list-2', cardId: 'card-1', updates: { title: 'Renamed' } },
+            }, 'op-2'));
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.cards['list-1'][0]).toMatchObject({ id: 'card-1', title: 'Renamed' });
+        });
+
+        test('ROLLBACK_OPERATION restores a deleted list with its cards', () => {
+            let newState = boardReducer(state, optimistic({
+                type: ACTIONS.DELETE_LIST,
+                payload: { listId: 'list-1' },
+            }, 'op-1'));
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.lists.map((list) => list.id)).toEqual(['list-1', 'list-2']);
+            expect(newState.cards['list-1']).toEqual(state.cards['list-1']);
+        });
+
+        test('ROLLBACK_OPERATION removes an added card', () => {
+            let newState = boardReducer(state, optimistic({
+                type: ACTIONS.ADD_CARD,
+                payload: { listId: 'list-2', card: { id: 'card-3', title: 'New' } },
+            }, 'op-1'));
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.cards['list-2']).toEqual([]);
+        });
+
+        test('COMMIT_OPERATION drops the patch', () => {
+            let newState = boardReducer(state, optimistic({
+                type: ACTIONS.DELETE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-1' },
+            }, 'op-1'));
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.COMMIT_OPERATION,
+                payload: { operationId: 'op-1' },
+            });
+
+            expect(newState.pendingOperations).toEqual({});
+            expect(newState.syncing).toBe(false);
+            expect(newState.cards['list-1']).toHaveLength(1);
+        });
+    });
+
+    describe('Comments', () => {
+        const comment = { id: 'c-1', authorId: 'u-1', author: 'Ann', body: 'Hi', createdAt: 1 };
+
+        test('ADD_COMMENT appends without bumping the card version', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.ADD_COMMENT,
+                payload: { listId: 'list-1', cardId: 'card-1', comment },
+            });
+
+            const card = newState.cards['list-1'][0];
+            expect(card.comments).toEqual([comment]);
+            expect(card.version).toBe(state.cards['list-1'][0].version);
+        });
+
+        test('UPDATE_COMMENT and DELETE_COMMENT target one comment', () => {
+            let newState = boardReducer(state, {
+                type: ACTIONS.ADD_COMMENT,
+                payload: { listId: 'list-1', cardId: 'card-1', comment },
+            });
+            newState = boardReducer(newState, {
+                type: ACTIONS.UPDATE_COMMENT,
+                payload: {
+                    listId: 'list-1',
+                    cardId: 'card-1',
+                    commentId: 'c-1',
+                    updates: { body: 'Hello', edited: true, editedAt: 2 },
+                },
+            });
+            expect(newState.cards['list-1'][0].comments[0]).toMatchObject({
+                body: 'Hello',
+                edited: true,
+            });
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.DELETE_COMMENT,
+                payload: { listId: 'list-1', cardId: 'card-1', commentId: 'c-1' },
+            });
+            expect(newState.cards['list-1'][0].comments).toEqual([]);
+        });
+
+        test('ROLLBACK_OPERATION restores only the failed comment', () => {
+            let newState = boardReducer(state, {
+                type: ACTIONS.ADD_COMMENT,
+                payload: { listId: 'list-1', cardId: 'card-1', comment },
+                meta: { operationId: 'op-1' },
+            });
+            newState = boardReducer(newState, {
+                type: ACTIONS.UPDATE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-1', updates: { title: 'Edited' } },
+            });
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.cards['list-1'][0]).toMatchObject({ title: 'Edited', comments: [] });
+            expect(newState.error).toBe('Reverted "Commented on \'Task 1\'": Server error');
+        });
+    });
+
+    describe('Labels', () => {
+        let labelled;
+
+        beforeEach(() => {
+            labelled = {
+                ...state,
+                labels: [
+                    { id: 'bug', name: 'Bug', color: '#b91c1c', aliases: [], version: 1 },
+                    { id: 'bugs', name: 'bugs', color: '#c2410c', aliases: ['old'], version: 1 },
+                ],
+                cards: {
+                    ...state.cards,
+                    'list-1': [
+                        { id: 'card-1', title: 'Task 1', version: 1, labelIds: ['bugs'] },
+                        { id: 'card-2', title: 'Task 2', version: 1, labelIds: ['bug', 'bugs'] },
+                    ],
+                },
+            };
+        });
+
+        test('UPDATE_LABEL renames without touching cards', () => {
+            const newState = boardReducer(labelled, {
+                type: ACTIONS.UPDATE_LABEL,
+                payload: { labelId: 'bug', updates: { name: 'Defect' } },
+            });
+
+            expect(newState.labels[0]).toMatchObject({ name: 'Defect', version: 2 });
+            expect(newState.cards).toBe(labelled.cards);
+        });
+
+        test('DELETE_LABEL removes the label from every card', () => {
+            const newState = boardReducer(labelled, {
+                type: ACTIONS.DELETE_LABEL,
+                payload: { labelId: 'bugs' },
+            });
+
+            expect(newState.labels.map((label) => label.id)).toEqual(['bug']);
+            expect(newState.cards['list-1'].map((card) => card.labelIds)).toEqual([[], ['bug']]);
+            expect(newState.cards['list-1'][0].version).toBe(1);
+        });
+
+        test('MERGE_LABELS re-labels cards and keeps the source id as an alias', () => {
+            const newState = boardReducer(labelled, {
+                type: ACTIONS.MERGE_LABELS,
+                payload: { sourceId: 'bugs', targetId: 'bug' },
+            });
+
+            expect(newState.labels).toEqual([
+                expect.objectContaining({ id: 'bug', aliases: ['bugs', 'old'], version: 2 }),
+            ]);
+            expect(newState.cards['list-1'].map((card) => card.labelIds)).toEqual([['bug'], ['bug']]);
+        });
+
+        test('ROLLBACK_OPERATION undoes a failed merge', () => {
+            let newState = boardReducer(labelled, {
+                type: ACTIONS.MERGE_LABELS,
+                payload: { sourceId: 'bugs', targetId: 'bug' },
+                meta: { operationId: 'op-1' },
+            });
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.labels).toEqual(labelled.labels);
+            expect(newState.cards['list-1'].map((card) => card.labelIds)).toEqual([['bugs'], ['bug', 'bugs']]);
+            expect(newState.error).toBe('Reverted "Merged label \'bugs\' into \'Bug\'": Server error');
+        });
+    });
+
+    describe('Members', () => {
+        let staffed;
+
+        beforeEach(() => {
+            staffed = {
+                ...state,
+                members: [
+                    { id: 'ada', name: 'Ada', initials: 'AD', color: '#1d4ed8', email: '', version: 1 },
+                    { id: 'alan', name: 'Alan', initials: 'AL', color: '#15803d', email: '', version: 1 },
+                ],
+                cards: {
+                    ...state.cards,
+                    'list-1': [
+                        { id: 'card-1', title: 'Task 1', version: 1, assignees: ['ada'] },
+                        { id: 'card-2', title: 'Task 2', version: 1, assignees: ['ada', 'alan'] },
+                    ],
+                },
+            };
+        });
+
+        test('ADD_MEMBER ignores a member that already exists', () => {
+            const newState = boardReducer(staffed, {
+                type: ACTIONS.ADD_MEMBER,
+                payload: { member: { id: 'ada', name: 'Ada again' } },
+            });
+
+            expect(newState).toBe(staffed);
+        });
+
+        test('UPDATE_MEMBER bumps the member version without touching cards', () => {
+            const newState = boardReducer(staffed, {
+                type: ACTIONS.UPDATE_MEMBER,
+                payload: { memberId: 'alan', updates: { email: 'alan@example.com' } },
+            });
+
+            expect(newState.members[1]).toMatchObject({ email: 'alan@example.com', version: 2 });
+            expect(newState.cards).toBe(staffed.cards);
+        });
+
+        test('DELETE_MEMBER unassigns the member from every card', () => {
+            const newState = boardReducer(staffed, {
+                type: ACTIONS.DELETE_MEMBER,
+                payload: { memberId: 'ada' },
+            });
+
+            expect(newState.members.map((member) => member.id)).toEqual(['alan']);
+            expect(newState.cards['list-1'].map((card) => card.assignees)).toEqual([[], ['alan']]);
+            expect(newState.cards['list-1'][0].version).toBe(1);
+        });
+
+        test('ROLLBACK_OPERATION restores a removed member and their cards', () => {
+            let newState = boardReducer(staffed, {
+                type: ACTIONS.DELETE_MEMBER,
+                payload: { memberId: 'ada' },
+                meta: { operationId: 'op-1' },
+            });
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            expect(newState.members).toEqual(staffed.members);
+            expect(newState.cards['list-1'].map((card) => card.assignees)).toEqual([['ada'], ['ada', 'alan']]);
+            expect(newState.error).toBe('Reverted "Removed member \'Ada\'": Server error');
+        });
+    });
+
+    describe('WIP Limits', () => {
+        let limited;
+
+        beforeEach(() => {
+            limited = {
+                ...state,
+                lists: [
+                    { ...state.lists[0], wipLimit: 2, wipMode: 'block' },
+                    { ...state.lists[1], wipLimit: 1, wipMode: 'block' },
+                ],
+                cards: {
+                    ...state.cards,
+                    'list-2': [{ id: 'card-3', title: 'Task 3', version: 1 }],
+                },
+            };
+        });
+
+        test('SET_WIP_LIMIT updates the list and bumps its version', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.SET_WIP_LIMIT,
+                payload: { listId: 'list-1', wipLimit: 3, wipMode: 'warn' },
+            });
+
+            expect(newState.lists[0]).toMatchObject({ wipLimit: 3, wipMode: 'warn', version: 2 });
+        });
+
+        test('SET_LIST_AGING updates the thresholds and bumps the version', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.SET_LIST_AGING,
+                payload: { listId: 'list-1', agingDays: null, staleDays: 14 },
+            });
+
+            expect(newState.lists[0]).toMatchObject({ agingDays: null, staleDays: 14, version: 2 });
+        });
+
+        test('MOVE_CARD into a full list in block mode is refused with a toast', () => {
+            const newState = boardReducer(limited, {
+                type: ACTIONS.MOVE_CARD,
+                payload: { sourceListId: 'list-1', destinationListId: 'list-2', cardId: 'card-1', destinationIndex: 0 },
+            });
+
+            expect(newState.cards).toBe(limited.cards);
+            expect(newState.errorTitle).toBe('WIP limit reached');
+            expect(newState.error).toBe("'Done' is at its WIP limit of 1 card. Finish or move a card out first.");
+        });
+
+        test('ADD_CARD into a full list in block mode is refused', () => {
+            const newState = boardReducer(limited, {
+                type: ACTIONS.ADD_CARD,
+                payload: { listId: 'list-1', card: { id: 'card-9', title: 'One too many' } },
+            });
+
+            expect(newState.cards['list-1']).toHaveLength(2);
+            expect(newState.error).toMatch(/WIP limit of 2 cards/);
+        });
+
+        test('reordering inside a full list is allowed', () => {
+            const newState = boardReducer(limited, {
+                type: ACTIONS.MOVE_CARD,
+                payload: { sourceListId: 'list-1', destinationListId: 'list-1', cardId: 'card-1', destinationIndex: 1 },
+            });
+
+            expect(newState.cards['list-1'].map((card) => card.id)).toEqual(['card-2', 'card-1']);
+            expect(newState.error).toBeNull();
+        });
+
+        test('warn mode lets the list go over its limit', () => {
+            const warned = { ...limited, lists: [limited.lists[0], { ...limited.lists[1], wipMode: 'warn' }] };
+            const newState = boardReducer(warned, {
+                type: ACTIONS.MOVE_CARD,
+                payload: { sourceListId: 'list-1', destinationListId: 'list-2', cardId: 'card-1', destinationIndex: 0 },
+            });
+
+            expect(newState.cards['list-2']).toHaveLength(2);
+        });
+
+        test('CLEAR_ERROR also clears the toast title', () => {
+            const refused = boardReducer(limited, {
+                type: ACTIONS.ADD_CARD,
+                payload: { listId: 'list-2', card: { id: 'card-9', title: 'Extra' } },
+            });
+
+            const cleared = boardReducer(refused, { type: ACTIONS.CLEAR_ERROR });
+
+            expect(cleared.error).toBeNull();
+            expect(cleared.errorTitle).toBeNull();
+        });
+    });
+
+    describe('Archive and Trash', () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        const reduce = (board, ...actions) => actions.reduce(boardReducer, board);
+
+        test('ARCHIVE_CARD hides a card in place and RESTORE_CARD shows it again', () => {
+            const archived = reduce(state, {
+                type: ACTIONS.ARCHIVE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-1' },
+            });
+
+            expect(archived.cards['list-1'][0]).toMatchObject({ id: 'card-1', archived: true, version: 2 });
+            expect(archived.searchIndex.has('card-1')).toBe(false);
+
+            const restored = reduce(archived, {
+                type: ACTIONS.RESTORE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-1' },
+            });
+
+            expect(restored.cards['list-1'][0]).toMatchObject({ archived: false, version: 3 });
+            expect(restored.searchIndex.has('card-1')).toBe(true);
+        });
+
+        test('deleted cards and lists go to the trash and come back from it', () => {
+            const deleted = reduce(
+                state,
+                { type: ACTIONS.DELETE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } },
+                { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } }
+            );
+
+            expect(deleted.trash.map((entry) => `${entry.kind}:${entry.id}`)).toEqual(['card:card-1', 'list:list-1']);
+            expect(deleted.trash[1].cards.map((card) => card.id)).toEqual(['card-2']);
+            // Each entry is a tombstone for the version that was deleted
+            expect(deleted.trash.map((entry) => entry.version)).toEqual([1, 1]);
+
+            const restored = reduce(deleted, { type: ACTIONS.RESTORE_LIST, payload: { listId: 'list-1' } });
+
+            expect(restored.lists.map((list) => list.id)).toEqual(['list-1', 'list-2']);
+            expect(restored.lists[0].version).toBe(2);
+            expect(restored.cards['list-1'].map((card) => card.id)).toEqual(['card-2']);
+            expect(restored.trash.map((entry) => entry.id)).toEqual(['card-1']);
+        });
+
+        test('a deleted card whose list is gone is restored into a fallback list', () => {
+            const deleted = reduce(
+                state,
+                { type: ACTIONS.DELETE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } },
+                { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } }
+            );
+
+            const restored = reduce(deleted, {
+                type: ACTIONS.RESTORE_CARD,
+                payload: { listId: 'list-2', cardId: 'card-1' },
+            });
+
+            expect(restored.cards['list-2'][0]).toMatchObject({ id: 'card-1', archived: false, version: 2 });
+            expect(restored.cards['list-2'][0].transitions.at(-1).listId).toBe('list-2');
+            expect(restored.trash.map((entry) => entry.id)).toEqual(['list-1']);
+        });
+
+        test('ROLLBACK_OPERATION puts a restored card back in the trash', () => {
+            const deleted = reduce(state, {
+                type: ACTIONS.DELETE_CARD,
+                payload: { listId: 'list-1', cardId: 'card-1' },
+            });
+
+            const rolledBack = reduce(
+                deleted,
+                {
+                    type: ACTIONS.RESTORE_CARD,
+                    payload: { listId: 'list-1', cardId: 'card-1' },
+                    meta: { operationId: 'op-1' },
+                },
+                { type: ACTIONS.ROLLBACK_OPERATION, payload: { operationId: 'op-1' } }
+            );
+
+            expect(rolledBack.cards['list-1'].map((card) => card.id)).toEqual(['card-2']);
+            expect(rolledBack.trash).toEqual(deleted.trash);
+        });
+
+        test('LOAD_BOARD drops trash entries past the retention period', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.LOAD_BOARD,
+                payload: {
+                    lists: [],
+                    cards: {},
+                    trash: [
+                        { kind: 'card', id: 'old', item: {}, deletedAt: Date.now() - 31 * DAY_MS },
+                        { kind: 'card', id: 'new', item: {}, deletedAt: Date.now() - DAY_MS },
+                    ],
+                },
+            });
+
+            expect(newState.trash.map((entry) => entry.id)).toEqual(['new']);
+        });
+    });
+
+    describe('List Reordering', () => {
+        beforeEach(() => {
+            state = {
+                ...state,
+                lists: withPositions([
+                    ...state.lists,
+                    { id: 'list-3', title: 'Old', archived: true, version: 1 },
+                    { id: 'list-4', title: 'Review', archived: false, version: 1 },
+                ]),
+            };
+        });
+
+        const ids = (lists) => lists.map((list) => list.id);
+
+        test('REORDER_LIST gives only the moved list a new key, without bumping versions', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-1', destinationIndex: 3 },
+            });
+
+            expect(ids(newState.lists)).toEqual(['list-2', 'list-3', 'list-4', 'list-1']);
+            expect(newState.lists.slice(0, 3)).toEqual(state.lists.slice(1));
+            expect(newState.lists[3].position > newState.lists[2].position).toBe(true);
+            expect(newState.lists[3].version).toBe(1);
+        });
+
+        test('REORDER_LIST accepts a position key', () => {
+            const newState = boardReducer(state, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-4', position: 'a0V' },
+            });
+
+            expect(ids(newState.lists)).toEqual(['list-1', 'list-4', 'list-2', 'list-3']);
+            expect(newState.lists[1].position).toBe('a0V');
+        });
+
+        test('REORDER_LIST to the current position leaves the state alone', () => {
+            const ordered = boardReducer(state, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-4', destinationIndex: 0 },
+            });
+
+            expect(boardReducer(ordered, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-4', destinationIndex: 0 },
+            })).toBe(ordered);
+        });
+
+        test('ROLLBACK_OPERATION returns only the failed list to its old key', () => {
+            let newState = boardReducer(state, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-4', destinationIndex: 0 },
+                meta: { operationId: 'op-1' },
+            });
+            newState = boardReducer(newState, {
+                type: ACTIONS.REORDER_LIST,
+                payload: { listId: 'list-1', destinationIndex: 2 },
+            });
+
+            newState = boardReducer(newState, {
+                type: ACTIONS.ROLLBACK_OPERATION,
+                payload: { operationId: 'op-1', error: 'Server error' },
+            });
+
+            // The later move of 'list-1' is kept
+            expect(ids(newState.lists)).toEqual(['list-2', 'list-1', 'list-3', 'list-4']);
+            expect(newState.error).toBe('Reverted "Moved list \'Review\' to position 1": Server error');
+        });
     });
 
     describe('Error Handling', () => {
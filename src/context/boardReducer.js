@@ -1,4 +1,34 @@
 import { generateId } from '../utils/helpers';
+import {
+    withPositions,
+    positionForIndex,
+    placeAtIndex,
+    withRebalanced,
+    placeByPosition,
+    sortByPosition,
+} from '../utils/positionKeys';
+import { migrateBoard, SCHEMA_VERSION } from '../utils/schema';
+import { createInversePatch, applyInversePatch } from '../utils/operationPatches';
+import { describeAction } from '../utils/actionLabels';
+import { resolveLabelIds, mapCardLabelIds } from '../utils/labels';
+import { resolveMemberIds, mapCardAssignees } from '../utils/members';
+import { checkWipLimitForAction } from '../utils/wipLimits';
+import { mergeBoardState } from '../utils/merge';
+import { DEFAULT_AGING_DAYS, DEFAULT_STALE_DAYS } from '../utils/aging';
+import {
+    createTrashEntry,
+    addToTrash,
+    removeFromTrash,
+    findTrashEntry,
+    purgeTrash,
+    getRestorableCards,
+    restoreTrashedCard,
+    restoreTrashedList,
+} from '../utils/archive';
+import { buildSearchIndex, updateSearchIndex } from '../utils/search';
+
+// Board fields a sync merge replaces
+const MERGED_FIELDS = ['lists', 'cards', 'labels', 'members', 'trash'];
 
 // Action types
 export const ACTIONS = {
@@ -8,14 +38,35 @@ export const ACTIONS = {
     ARCHIVE_LIST: 'ARCHIVE_LIST',
     RESTORE_LIST: 'RESTORE_LIST',
     DELETE_LIST: 'DELETE_LIST',
+    REORDER_LIST: 'REORDER_LIST',
+    SET_WIP_LIMIT: 'SET_WIP_LIMIT',
+    SET_LIST_AGING: 'SET_LIST_AGING',
 
     // Card actions
     ADD_CARD: 'ADD_CARD',
     UPDATE_CARD: 'UPDATE_CARD',
     DELETE_CARD: 'DELETE_CARD',
+    ARCHIVE_CARD: 'ARCHIVE_CARD',
+    RESTORE_CARD: 'RESTORE_CARD',
     MOVE_CARD: 'MOVE_CARD',
     REORDER_CARD: 'REORDER_CARD',
 
+    // Comment actions
+    ADD_COMMENT: 'ADD_COMMENT',
+    UPDATE_COMMENT: 'UPDATE_COMMENT',
+    DELETE_COMMENT: 'DELETE_COMMENT',
+
+    // Label actions
+    ADD_LABEL: 'ADD_LABEL',
+    UPDATE_LABEL: 'UPDATE_LABEL',
+    DELETE_LABEL: 'DELETE_LABEL',
+    MERGE_LABELS: 'MERGE_LABELS',
+
+    // Member actions
+    ADD_MEMBER: 'ADD_MEMBER',
+    UPDATE_MEMBER: 'UPDATE_MEMBER',
+    DELETE_MEMBER: 'DELETE_MEMBER',
+
     // Board actions
     LOAD_BOARD: 'LOAD_BOARD',
     CLEAR_BOARD: 'CLEAR_BOARD',
@@ -24,7 +75,8 @@ export const ACTIONS = {
     SYNC_START: 'SYNC_START',
     SYNC_SUCCESS: 'SYNC_SUCCESS',
     SYNC_FAILURE: 'SYNC_FAILURE',
-    ROLLBACK: 'ROLLBACK',
+    COMMIT_OPERATION: 'COMMIT_OPERATION',
+    ROLLBACK_OPERATION: 'ROLLBACK_OPERATION',
     CLEAR_ERROR: 'CLEAR_ERROR',
 
     // Conflict resolution
@@ -35,39 +87,80 @@ export const ACTIONS = {
 
 // Initial state
 export const initialState = {
+    schemaVersion: SCHEMA_VERSION,
     lists: [],
     cards: {},
+    labels: [],
+    members: [],
+    // Deleted cards and lists, kept for a while to restore (utils/archive.js)
+    trash: [],
     boardTitle: 'My Kanban Board',
     lastModified: Date.now(),
     syncing: false,
     error: null,
-    previousState: null,
+    // Toast heading for `error` when it isn't a sync failure
+    errorTitle: null,
+    // In-flight optimistic operations: operationId -> { patch, label, type }
+    pendingOperations: {},
     baseState: null,
     conflicts: [],
+    // The merged board behind `conflicts`, which their resolutions apply to
+    pendingMerge: null,
     isOnline: navigator.onLine,
+    // Card search index (utils/search.js), kept up to date per action
+    searchIndex: buildSearchIndex({ cards: {}, labels: [] }),
 };
 
-// Board reducer
-export function boardReducer(state, action) {
+// Applies a comment action to one card's comments
+function reduceComments(comments, action) {
+    const { comment, commentId, updates } = action.payload;
+    switch (action.type) {
+        case ACTIONS.ADD_COMMENT:
+            return comments.some((c) => c.id === comment.id) ? comments : [...comments, comment];
+        case ACTIONS.UPDATE_COMMENT:
+            return comments.map((c) => (c.id === commentId ? { ...c, ...updates } : c));
+        case ACTIONS.DELETE_COMMENT:
+            return comments.filter((c) => c.id !== commentId);
+        default:
+            return comments;
+    }
+}
+
+// Leaves the board as it is and explains why in the error toast
+const refuse = (state, title, error) => ({ ...state, error, errorTitle: title });
+
+// Applies a single action to the board
+function reduceBoard(state, action) {
     switch (action.type) {
         case ACTIONS.ADD_LIST:
             {
+                // Payload may be a full list snapshot (when undoing a delete)
+                // and an optional `index` to insert at when it has no position
+                const { index, ...fields } = action.payload;
+                const lists = withPositions(state.lists);
                 const newList = {
-                    id: generateId(),
-                    title: action.payload.title,
-                    order: state.lists.length,
                     archived: false,
+                    wipLimit: null,
+                    wipMode: 'off',
+                    agingDays: DEFAULT_AGING_DAYS,
+                    staleDays: DEFAULT_STALE_DAYS,
                     createdAt: Date.now(),
+                    ...fields,
+                    id: fields.id || generateId(),
+                    position: fields.position ??
+                        positionForIndex(lists, Number.isInteger(index) ? index : lists.length),
                     lastModifiedAt: Date.now(),
                     version: 1,
                 };
                 return {
                     ...state,
-                    lists: [...state.lists, newList],
+                    lists: placeByPosition(lists, newList),
                     cards: {
                         ...state.cards,
                         [newList.id]: [],
                     },
+                    // Undoing a delete adds the list back
+                    trash: removeFromTrash(state.trash, 'list', newList.id),
                     lastModified: Date.now(),
                 };
             }
@@ -107,6 +200,24 @@ export function boardReducer(state, action) {
 
         case ACTIONS.RESTORE_LIST:
             {
+                const { listId } = action.payload;
+                const entry = findTrashEntry(state.trash, 'list', listId);
+                if (entry && !state.lists.some((list) => list.id === listId)) {
+                    // A deleted list comes back from the trash with its cards,
+                    // except any that are on the board again by now
+                    const lists = withPositions(state.lists);
+                    const restored = restoreTrashedList(entry, lists, Date.now());
+                    return {
+                        ...state,
+                        lists: placeByPosition(lists, restored),
+                        cards: {
+                            ...state.cards,
+                            [listId]: sortByPosition(getRestorableCards(state, entry)),
+                        },
+                        trash: removeFromTrash(state.trash, 'list', listId),
+                        lastModified: Date.now(),
+                    };
+                }
                 return {
                     ...state,
                     lists: state.lists.map((list) =>
@@ -122,9 +233,73 @@ export function boardReducer(state, action) {
                 };
             }
 
+        // Moving gives the list a new position key between its neighbours and
+        // leaves every other list alone, except lists tied on the key it
+        // lands inside (`rebalanced`). Position doesn't bump list versions,
+        // so it never conflicts with list edits.
+        case ACTIONS.REORDER_LIST:
+            {
+                const { listId, position, destinationIndex } = action.payload;
+                const lists = withPositions(state.lists);
+                const list = lists.find((l) => l.id === listId);
+                if (!list) return state;
+                const place = position ?
+                    { position, rebalanced: action.payload.rebalanced } :
+                    placeAtIndex(lists, destinationIndex, listId);
+                if (place.position === list.position) return state;
+                return {
+                    ...state,
+                    lists: placeByPosition(withRebalanced(lists, place.rebalanced), {
+                        ...list,
+                        position: place.position,
+                    }),
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.SET_WIP_LIMIT:
+            {
+                const { listId, wipLimit, wipMode } = action.payload;
+                return {
+                    ...state,
+                    lists: state.lists.map((list) =>
+                        list.id === listId ? {
+                            ...list,
+                            wipLimit,
+                            wipMode,
+                            lastModifiedAt: Date.now(),
+                            version: (list.version || 1) + 1,
+                        } :
+                        list
+                    ),
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.SET_LIST_AGING:
+            {
+                const { listId, agingDays, staleDays } = action.payload;
+                return {
+                    ...state,
+                    lists: state.lists.map((list) =>
+                        list.id === listId ? {
+                            ...list,
+                            agingDays,
+                            staleDays,
+                            lastModifiedAt: Date.now(),
+                            version: (list.version || 1) + 1,
+                        } :
+                        list
+                    ),
+                    lastModified: Date.now(),
+                };
+            }
+
         case ACTIONS.DELETE_LIST:
             {
                 const { listId } = action.payload;
+                // Trash entries keep position keys, so a restore puts items back in place
+                const list = withPositions(state.lists).find((l) => l.id === listId);
                 // eslint-disable-next-line no-unused-vars
                 const {
                     [listId]: _removed, ...remainingCards
@@ -133,17 +308,38 @@ export function boardReducer(state, action) {
                     ...state,
                     lists: state.lists.filter((list) => list.id !== listId),
                     cards: remainingCards,
+                    // The list goes to the trash with its cards
+                    trash: list ?
+                        addToTrash(state.trash, createTrashEntry('list', list, {
+                            cards: withPositions(state.cards[listId] || []),
+                        })) :
+                        state.trash,
                     lastModified: Date.now(),
                 };
             }
 
         case ACTIONS.ADD_CARD:
             {
-                const { listId, card } = action.payload;
+                const { listId, card, index } = action.payload;
+                const wip = checkWipLimitForAction(state, action);
+                if (!wip.valid) return refuse(state, 'WIP limit reached', wip.error);
+                const cards = withPositions(state.cards[listId] || []);
+                const now = Date.now();
                 const newCard = {
                     id: generateId(),
+                    archived: false,
+                    startDate: null,
+                    dueDate: null,
+                    labelIds: [],
+                    assignees: [],
+                    checklists: [],
+                    comments: [],
+                    createdAt: now,
+                    // List entries for analytics; a restored card keeps its own
+                    transitions: [{ listId, at: card.createdAt ?? now }],
                     ...card,
-                    createdAt: Date.now(),
+                    position: card.position ??
+                        positionForIndex(cards, Number.isInteger(index) ? index : cards.length),
                     lastModifiedAt: Date.now(),
                     version: 1,
                 };
@@ -151,8 +347,10 @@ export function boardReducer(state, action) {
                     ...state,
                     cards: {
                         ...state.cards,
-                        [listId]: [...(state.cards[listId] || []), newCard],
+                        [listId]: placeByPosition(cards, newCard),
                     },
+                    // Undoing a delete adds the card back
+                    trash: removeFromTrash(state.trash, 'card', newCard.id),
                     lastModified: Date.now(),
                 };
             }
@@ -183,58 +381,136 @@ export function boardReducer(state, action) {
             {
                 const { listId, cardId } = action.payload;
                 if (!state.cards[listId]) return state;
+                const card = withPositions(state.cards[listId]).find((c) => c.id === cardId);
                 return {
                     ...state,
                     cards: {
                         ...state.cards,
                         [listId]: state.cards[listId].filter((card) => card.id !== cardId),
                     },
+                    trash: card ?
+                        addToTrash(state.trash, createTrashEntry('card', card, { listId })) :
+                        state.trash,
                     lastModified: Date.now(),
                 };
             }
 
-        case ACTIONS.MOVE_CARD:
+        // Archived cards stay in their list, hidden from every view
+        case ACTIONS.ARCHIVE_CARD:
             {
-                const { sourceListId, destinationListId, cardId, destinationIndex } =
-                action.payload;
-
-                // Check if source list has cards
-                if (!state.cards[sourceListId]) return state;
-
-                // Find the card
-                const card = state.cards[sourceListId].find((c) => c.id === cardId);
-                if (!card) return state;
+                const { listId, cardId } = action.payload;
+                if (!state.cards[listId]) return state;
+                return {
+                    ...state,
+                    cards: {
+                        ...state.cards,
+                        [listId]: state.cards[listId].map((card) =>
+                            card.id === cardId ? {
+                                ...card,
+                                archived: true,
+                                lastModifiedAt: Date.now(),
+                                version: (card.version || 1) + 1,
+                            } :
+                            card
+                        ),
+                    },
+                    lastModified: Date.now(),
+                };
+            }
 
-                // Handle same list movement differently to avoid issues
-                if (sourceListId === destinationListId) {
-                    const cards = [...state.cards[sourceListId]];
-                    const sourceIndex = cards.findIndex((c) => c.id === cardId);
-                    const [removed] = cards.splice(sourceIndex, 1);
-                    cards.splice(destinationIndex, 0, removed);
+        // Shows an archived card again, or brings a deleted one back from the
+        // trash into `listId` (a fallback list when its own list is gone)
+        case ACTIONS.RESTORE_CARD:
+            {
+                const { listId, cardId } = action.payload;
+                if (!state.cards[listId]) return state;
+                const wip = checkWipLimitForAction(state, action);
+                if (!wip.valid) return refuse(state, 'WIP limit reached', wip.error);
+                const now = Date.now();
 
+                if (state.cards[listId].some((card) => card.id === cardId)) {
                     return {
                         ...state,
                         cards: {
                             ...state.cards,
-                            [sourceListId]: cards,
+                            [listId]: state.cards[listId].map((card) =>
+                                card.id === cardId ? {
+                                    ...card,
+                                    archived: false,
+                                    lastModifiedAt: now,
+                                    version: (card.version || 1) + 1,
+                                } :
+                                card
+                            ),
                         },
-                        lastModified: Date.now(),
+                        lastModified: now,
                     };
                 }
 
-                // Different lists: remove from source, add to destination
-                const sourceCards = state.cards[sourceListId].filter(
-                    (c) => c.id !== cardId
-                );
-                const destCards = [...(state.cards[destinationListId] || [])];
-                destCards.splice(destinationIndex, 0, card);
+                const entry = findTrashEntry(state.trash, 'card', cardId);
+                if (!entry) return state;
+                const cards = withPositions(state.cards[listId]);
+                return {
+                    ...state,
+                    cards: {
+                        ...state.cards,
+                        [listId]: placeByPosition(cards, restoreTrashedCard(entry, cards, listId, now)),
+                    },
+                    trash: removeFromTrash(state.trash, 'card', cardId),
+                    lastModified: now,
+                };
+            }
+
+        // Like lists, a moved card only gets a new position key, plus the
+        // cards tied on the key it lands inside. `position` (with its
+        // `rebalanced` keys) wins over `destinationIndex` (counted without the
+        // card itself).
+        case ACTIONS.MOVE_CARD:
+            {
+                const {
+                    sourceListId,
+                    destinationListId,
+                    cardId,
+                    position,
+                    destinationIndex,
+                    rebalanced,
+                    transition,
+                } = action.payload;
+
+                // Check if source list has cards
+                if (!state.cards[sourceListId]) return state;
+
+                const wip = checkWipLimitForAction(state, action);
+                if (!wip.valid) return refuse(state, 'WIP limit reached', wip.error);
 
+                // Find the card
+                const card = state.cards[sourceListId].find((c) => c.id === cardId);
+                if (!card) return state;
+
+                const destCards = withPositions(state.cards[destinationListId] || []);
+                const place = position ?
+                    { position, rebalanced } :
+                    placeAtIndex(destCards, destinationIndex ?? destCards.length, cardId);
+                const moved = {
+                    ...card,
+                    position: place.position,
+                    // Entering another list is recorded for analytics. The
+                    // server gets the same `transition` with the move.
+                    ...(destinationListId !== sourceListId && {
+                        transitions: [
+                            ...(card.transitions || []),
+                            transition ?? { listId: destinationListId, at: Date.now() },
+                        ],
+                    }),
+                };
+
+                // Within one list the destination entry replaces the source one
                 return {
                     ...state,
                     cards: {
                         ...state.cards,
-                        [sourceListId]: sourceCards,
-                        [destinationListId]: destCards,
+                        [sourceListId]: state.cards[sourceListId].filter((c) => c.id !== cardId),
+                        [destinationListId]: placeByPosition(withRebalanced(destCards, place.rebalanced), moved),
                     },
                     lastModified: Date.now(),
                 };
@@ -243,24 +519,214 @@ export function boardReducer(state, action) {
         case ACTIONS.REORDER_CARD:
             {
                 const { listId, startIndex, endIndex } = action.payload;
-                const cards = [...state.cards[listId]];
-                const [removed] = cards.splice(startIndex, 1);
-                cards.splice(endIndex, 0, removed);
+                const cards = withPositions(state.cards[listId] || []);
+                const card = cards[startIndex];
+                if (!card) return state;
+                const place = placeAtIndex(cards, endIndex, card.id);
 
                 return {
                     ...state,
                     cards: {
                         ...state.cards,
-                        [listId]: cards,
+                        [listId]: placeByPosition(withRebalanced(cards, place.rebalanced), {
+                            ...card,
+                            position: place.position,
+                        }),
                     },
                     lastModified: Date.now(),
                 };
             }
 
+        case ACTIONS.ADD_COMMENT:
+        case ACTIONS.UPDATE_COMMENT:
+        case ACTIONS.DELETE_COMMENT:
+            {
+                const { listId, cardId } = action.payload;
+                if (!state.cards[listId]) return state;
+                // Comments leave the card version alone so they never conflict with card edits
+                return {
+                    ...state,
+                    cards: {
+                        ...state.cards,
+                        [listId]: state.cards[listId].map((card) =>
+                            card.id === cardId ? {
+                                ...card,
+                                comments: reduceComments(card.comments || [], action),
+                            } :
+                            card
+                        ),
+                    },
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.ADD_LABEL:
+            {
+                const { label } = action.payload;
+                if (state.labels.some((existing) => existing.id === label.id)) return state;
+                return {
+                    ...state,
+                    labels: [
+                        ...state.labels,
+                        {
+                            description: '',
+                            aliases: [],
+                            createdAt: Date.now(),
+                            ...label,
+                            lastModifiedAt: Date.now(),
+                            version: 1,
+                        },
+                    ],
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.UPDATE_LABEL:
+            {
+                const { labelId, updates } = action.payload;
+                return {
+                    ...state,
+                    labels: state.labels.map((label) =>
+                        label.id === labelId ? {
+                            ...label,
+                            ...updates,
+                            lastModifiedAt: Date.now(),
+                            version: (label.version || 1) + 1,
+                        } :
+                        label
+                    ),
+                    lastModified: Date.now(),
+                };
+            }
+
+        // Deleting or merging a label rewrites card labelIds without bumping
+        // card versions; the server does the same, and the merge re-resolves
+        // labelIds against the merged registry.
+        case ACTIONS.DELETE_LABEL:
+            {
+                const { labelId } = action.payload;
+                const labels = state.labels.filter((label) => label.id !== labelId);
+                return {
+                    ...state,
+                    labels,
+                    cards: mapCardLabelIds(state.cards, (ids) => resolveLabelIds(labels, ids)),
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.MERGE_LABELS:
+            {
+                const { sourceId, targetId } = action.payload;
+                const source = state.labels.find((label) => label.id === sourceId);
+                const hasTarget = state.labels.some((label) => label.id === targetId);
+                if (!source || !hasTarget || sourceId === targetId) return state;
+
+                const labels = state.labels
+                    .filter((label) => label.id !== sourceId)
+                    .map((label) =>
+                        label.id === targetId ? {
+                            ...label,
+                            // Cards still holding the source id resolve to the target
+                            aliases: [...new Set([
+                                ...(label.aliases || []),
+                                sourceId,
+                                ...(source.aliases || []),
+                            ])],
+                            lastModifiedAt: Date.now(),
+                            version: (label.version || 1) + 1,
+                        } :
+                        label
+                    );
+                return {
+                    ...state,
+                    labels,
+                    cards: mapCardLabelIds(state.cards, (ids) => resolveLabelIds(labels, ids)),
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.ADD_MEMBER:
+            {
+                const { member } = action.payload;
+                if (state.members.some((existing) => existing.id === member.id)) return state;
+                return {
+                    ...state,
+                    members: [
+                        ...state.members,
+                        {
+                            email: '',
+                            createdAt: Date.now(),
+                            ...member,
+                            lastModifiedAt: Date.now(),
+                            version: 1,
+                        },
+                    ],
+                    lastModified: Date.now(),
+                };
+            }
+
+        case ACTIONS.UPDATE_MEMBER:
+            {
+                const { memberId, updates } = action.payload;
+                return {
+                    ...state,
+                    members: state.members.map((member) =>
+                        member.id === memberId ? {
+                            ...member,
+                            ...updates,
+                            lastModifiedAt: Date.now(),
+                            version: (member.version || 1) + 1,
+                        } :
+                        member
+                    ),
+                    lastModified: Date.now(),
+                };
+            }
+
+        // Like label deletion, unassigning leaves card versions alone
+        case ACTIONS.DELETE_MEMBER:
+            {
+                const { memberId } = action.payload;
+                const members = state.members.filter((member) => member.id !== memberId);
+                return {
+                    ...state,
+                    members,
+                    cards: mapCardAssignees(state.cards, (ids) => resolveMemberIds(members, ids)),
+                    lastModified: Date.now(),
+                };
+            }
+
         case ACTIONS.LOAD_BOARD:
             {
+                // Payloads may come from older saves or other sources
+                let board;
+                try {
+                    board = migrateBoard(action.payload);
+                } catch (error) {
+                    return {
+                        ...state,
+                        error: `Could not load board: ${error.message}`,
+                        errorTitle: null,
+                    };
+                }
+                // The stored board loads asynchronously. Edits made before it
+                // arrived (meta.since is the board they were made on) are
+                // merged into it instead of being overwritten.
+                const since = action.meta?.since;
+                if (since && MERGED_FIELDS.some((field) => since[field] !== state[field])) {
+                    const { merged } = mergeBoardState(since, board, state);
+                    return {
+                        ...state,
+                        ...board,
+                        ...merged,
+                        boardTitle: state.boardTitle !== since.boardTitle ? state.boardTitle : board.boardTitle,
+                    };
+                }
                 return {
-                    ...action.payload,
+                    ...initialState,
+                    ...board,
+                    // Deleted items past the retention period are dropped on load
+                    trash: purgeTrash(board.trash, Date.now()),
                     lastModified: Date.now(),
                 };
             }
@@ -279,11 +745,7 @@ export function boardReducer(state, action) {
                     ...state,
                     syncing: true,
                     error: null,
-                    previousState: {
-                        lists: state.lists,
-                        cards: state.cards,
-                        boardTitle: state.boardTitle,
-                    },
+                    errorTitle: null,
                 };
             }
 
@@ -292,7 +754,6 @@ export function boardReducer(state, action) {
                 return {
                     ...state,
                     syncing: false,
-                    previousState: null,
                 };
             }
 
@@ -302,21 +763,39 @@ export function boardReducer(state, action) {
                     ...state,
                     syncing: false,
                     error: action.payload.error,
+                    errorTitle: null,
+                };
+            }
+
+        case ACTIONS.COMMIT_OPERATION:
+            {
+                const { operationId } = action.payload;
+                const pendingOperations = { ...state.pendingOperations };
+                delete pendingOperations[operationId];
+                return {
+                    ...state,
+                    pendingOperations,
+                    syncing: Object.keys(pendingOperations).length > 0,
                 };
             }
 
-        case ACTIONS.ROLLBACK:
+        case ACTIONS.ROLLBACK_OPERATION:
             {
-                if (!state.previousState) {
+                const { operationId, error } = action.payload;
+                const operation = state.pendingOperations[operationId];
+                if (!operation) {
                     return state;
                 }
+                const pendingOperations = { ...state.pendingOperations };
+                delete pendingOperations[operationId];
                 return {
-                    ...state,
-                    lists: state.previousState.lists,
-                    cards: state.previousState.cards,
-                    boardTitle: state.previousState.boardTitle,
-                    syncing: false,
-                    previousState: null,
+                    ...applyInversePatch(state, operation.patch),
+                    pendingOperations,
+                    syncing: Object.keys(pendingOperations).length > 0,
+                    error: error ?
+                        `Reverted "${operation.label}": ${error}` :
+                        `Reverted "${operation.label}"`,
+                    errorTitle: null,
                     lastModified: Date.now(),
                 };
             }
@@ -326,6 +805,7 @@ export function boardReducer(state, action) {
                 return {
                     ...state,
                     error: null,
+                    errorTitle: null,
                 };
             }
 
@@ -335,6 +815,7 @@ export function boardReducer(state, action) {
                     ...state,
                     conflicts: action.payload.conflicts,
                     baseState: action.payload.baseState,
+                    pendingMerge: action.payload.mergedState ?? null,
                     syncing: false,
                 };
             }
@@ -352,12 +833,18 @@ export function boardReducer(state, action) {
 
         case ACTIONS.APPLY_MERGE:
             {
-                const { mergedState } = action.payload;
+                const { mergedState, localState } = action.payload;
+                // Edits made while the server board was fetched are merged in
+                // rather than overwritten: the board the sync merged from is
+                // the base, and the current board wins where both changed
+                const editedSince = localState &&
+                    MERGED_FIELDS.some((field) => localState[field] !== state[field]);
                 return {
                     ...state,
-                    ...mergedState,
+                    ...(editedSince ? mergeBoardState(localState, mergedState, state).merged : mergedState),
                     conflicts: [],
                     baseState: null,
+                    pendingMerge: null,
                     syncing: false,
                     lastModified: Date.now(),
                 };
@@ -366,4 +853,51 @@ export function boardReducer(state, action) {
         default:
             return state;
     }
-}
\ No newline at end of file
+}
+
+// Applies an action, recording an inverse patch for optimistic ones
+function reduceOptimistic(state, action) {
+    const operationId = action.meta?.operationId;
+    if (!operationId) {
+        return reduceBoard(state, action);
+    }
+
+    const patch = createInversePatch(state, action);
+    const nextState = reduceBoard(state, action);
+    if (!patch || nextState === state) {
+        return nextState;
+    }
+
+    return {
+        ...nextState,
+        syncing: true,
+        error: null,
+        errorTitle: null,
+        pendingOperations: {
+            ...nextState.pendingOperations,
+            [operationId]: {
+                patch,
+                label: describeAction(state, action),
+                type: action.type,
+            },
+        },
+    };
+}
+
+/**
+ * Board reducer.
+ * Actions dispatched with `meta.operationId` are optimistic: the reducer
+ * records an inverse patch for just that action so ROLLBACK_OPERATION can
+ * revert it without touching other in-flight changes. The search index is
+ * updated from each action that changed cards or labels.
+ */
+export function boardReducer(state, action) {
+    const nextState = reduceOptimistic(state, action);
+    if (nextState.cards === state.cards && nextState.labels === state.labels) {
+        return nextState;
+    }
+    return {
+        ...nextState,
+        searchIndex: updateSearchIndex(state.searchIndex, action, nextState),
+    };
+}
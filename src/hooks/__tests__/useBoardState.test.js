@@ -1,7 +1,8 @@
-import { renderHook } from '@testing-library/react';
+import { renderHook, act, waitFor } from '@testing-library/react';
 import { useBoardState } from '../useBoardState';
 import BoardProvider from '../../context/BoardProvider';
 import React from 'react';
+import * as storage from '../../services/storage';
 
 // Mock uuid to avoid jest parsing issues
 jest.mock('uuid', () => ({
@@ -43,6 +44,8 @@ describe('useBoardState', () => {
             'addCard',
             'updateCard',
             'deleteCard',
+            'archiveCard',
+            'restoreCard',
             'moveCard',
             'clearBoard',
             'clearError',
@@ -61,4 +64,53 @@ describe('useBoardState', () => {
         expect(result.current.ACTIONS.ADD_LIST).toBe('ADD_LIST');
         expect(result.current.ACTIONS.ADD_CARD).toBe('ADD_CARD');
     });
-});
\ No newline at end of file
+
+    describe('with storage that loads asynchronously', () => {
+        // An adapter without loadSync, like the IndexedDB one
+        const asyncStorage = (load) => ({
+            name: 'test',
+            isAvailable: () => true,
+            load,
+            save: jest.fn().mockResolvedValue({ success: true }),
+            clear: jest.fn().mockResolvedValue({ success: true }),
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('keeps the initial board and starts saving when loading fails', async() => {
+            const adapter = asyncStorage(() => Promise.reject(new Error('Storage unavailable')));
+            jest.spyOn(storage, 'getStorageAdapter').mockReturnValue(adapter);
+
+            const { result } = renderHook(() => useBoardState(), { wrapper });
+
+            await waitFor(() => expect(adapter.save).toHaveBeenCalled());
+            expect(result.current.state.lists).toEqual([]);
+            expect(result.current.state.error).toMatch(/Could not load the saved board: Storage unavailable/);
+        });
+
+        test('keeps edits made before the stored board arrived', async() => {
+            let resolveLoad;
+            const adapter = asyncStorage(() => new Promise((resolve) => {
+                resolveLoad = resolve;
+            }));
+            jest.spyOn(storage, 'getStorageAdapter').mockReturnValue(adapter);
+
+            const { result } = renderHook(() => useBoardState(), { wrapper });
+            act(() => {
+                result.current.dispatch({ type: 'ADD_LIST', payload: { id: 'list-new', title: 'Added early' } });
+            });
+            await act(async() => {
+                resolveLoad({
+                    lists: [{ id: 'list-1', title: 'Stored', position: 'a0' }],
+                    cards: { 'list-1': [{ id: 'card-1', title: 'Stored card' }] },
+                });
+            });
+
+            const { lists, cards } = result.current.state;
+            expect(lists.map((list) => list.id).sort()).toEqual(['list-1', 'list-new']);
+            expect(cards['list-1'].map((card) => card.id)).toEqual(['card-1']);
+        });
+    });
+});
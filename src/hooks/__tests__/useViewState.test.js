@@ -0,0 +1,57 @@
+import { renderHook, act } from '@testing-library/react';
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { useViewState } from '../useViewState';
+
+describe('useViewState', () => {
+    beforeEach(() => {
+        window.history.replaceState(null, '', '/');
+    });
+
+    test('reads the view from the URL', () => {
+        window.history.replaceState(null, '', '/?filter=tag%3Abug&collapsed=list-1');
+        const { result } = renderHook(() => useViewState());
+
+        expect(result.current.view).toEqual({ layout: 'board', filter: 'tag:bug', sort: 'position', collapsed: ['list-1'] });
+    });
+
+    test('each change adds a history entry that back steps through', () => {
+        const { result } = renderHook(() => useViewState());
+        const length = window.history.length;
+
+        act(() => result.current.updateView({ sort: 'due' }));
+        act(() => result.current.updateView({ collapsed: ['list-2'] }));
+
+        expect(window.location.search).toBe('?sort=due&collapsed=list-2');
+        expect(window.history.length).toBe(length + 2);
+
+        act(() => {
+            window.history.replaceState(null, '', '/?sort=due');
+            window.dispatchEvent(new PopStateEvent('popstate'));
+        });
+        expect(result.current.view).toEqual({ layout: 'board', filter: '', sort: 'due', collapsed: [] });
+    });
+
+    test('typing a filter shares one history entry', () => {
+        const { result } = renderHook(() => useViewState());
+        const length = window.history.length;
+
+        act(() => result.current.updateView({ filter: 't' }, { typing: true }));
+        act(() => result.current.updateView({ filter: 'ta' }, { typing: true }));
+        act(() => result.current.updateView({ filter: 'tag:bug' }, { typing: true }));
+
+        expect(window.history.length).toBe(length + 1);
+        expect(new URLSearchParams(window.location.search).get('filter')).toBe('tag:bug');
+
+        act(() => result.current.updateView({ sort: 'title' }));
+        act(() => result.current.updateView({ filter: 'tag:ui' }, { typing: true }));
+        expect(window.history.length).toBe(length + 3);
+    });
+
+    test('a change that keeps the same view adds no entry', () => {
+        const { result } = renderHook(() => useViewState());
+        const length = window.history.length;
+
+        act(() => result.current.updateView({ sort: 'position' }));
+        expect(window.history.length).toBe(length);
+    });
+});
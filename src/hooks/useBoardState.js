@@ -12,6 +12,13 @@ import { BoardContext } from '../context/BoardProvider';
  * @returns {Function} dispatch - Raw dispatch function
  * @returns {Function} dispatchWithOptimistic - Optimistic update dispatch
  * @returns {Function} performSync - Trigger manual sync
+ * @returns {Function} undo - Undo the last change with a compensating action
+ * @returns {Function} redo - Re-apply the last undone change
+ * @returns {boolean} canUndo - Whether there is a change to undo
+ * @returns {boolean} canRedo - Whether there is a change to redo
+ * @returns {Array} historyEntries - Undo history, oldest first
+ * @returns {number} historyIndex - Position of the current board in historyEntries
+ * @returns {Function} jumpToHistory - Restore the board to a history index
  * @returns {Object} ACTIONS - Action type constants
  * @returns {Object} actions - Convenient action creators
  * 
@@ -36,7 +43,21 @@ export function useBoardState() {
         throw new Error('useBoardState must be used within a BoardProvider');
     }
 
-    const { state, dispatch, dispatchWithOptimistic, performSync, ACTIONS } = context;
+    const {
+        state,
+        dispatch,
+        dispatchWithOptimistic,
+        performSync,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        clearHistory,
+        historyEntries,
+        historyIndex,
+        jumpToHistory,
+        ACTIONS,
+    } = context;
 
     // Action creators for common operations
     const actions = {
@@ -66,7 +87,7 @@ export function useBoardState() {
         }, [dispatchWithOptimistic, ACTIONS]),
 
         /**
-         * Restore an archived list
+         * Restore an archived list, or a deleted one from the trash
          * @param {string} listId - List ID
          */
         restoreList: useCallback((listId) => {
@@ -74,7 +95,7 @@ export function useBoardState() {
         }, [dispatchWithOptimistic, ACTIONS]),
 
         /**
-         * Delete a list permanently
+         * Delete a list, moving it to the trash
          * @param {string} listId - List ID
          */
         deleteList: useCallback((listId) => {
@@ -84,7 +105,7 @@ export function useBoardState() {
         /**
          * Add a new card to a list
          * @param {string} listId - List ID
-         * @param {Object} card - Card data (title, description, tags)
+         * @param {Object} card - Card data (title, description, labelIds)
          */
         addCard: useCallback((listId, card) => {
             dispatchWithOptimistic({ type: ACTIONS.ADD_CARD, payload: { listId, card } });
@@ -109,12 +130,31 @@ export function useBoardState() {
             dispatchWithOptimistic({ type: ACTIONS.DELETE_CARD, payload: { listId, cardId } });
         }, [dispatchWithOptimistic, ACTIONS]),
 
+        /**
+         * Archive a card
+         * @param {string} listId - List ID
+         * @param {string} cardId - Card ID
+         */
+        archiveCard: useCallback((listId, cardId) => {
+            dispatchWithOptimistic({ type: ACTIONS.ARCHIVE_CARD, payload: { listId, cardId } });
+        }, [dispatchWithOptimistic, ACTIONS]),
+
+        /**
+         * Restore an archived card, or a deleted one into `listId`
+         * @param {string} listId - List ID
+         * @param {string} cardId - Card ID
+         */
+        restoreCard: useCallback((listId, cardId) => {
+            dispatchWithOptimistic({ type: ACTIONS.RESTORE_CARD, payload: { listId, cardId } });
+        }, [dispatchWithOptimistic, ACTIONS]),
+
         /**
          * Move a card between lists
          * @param {string} sourceListId - Source list ID
          * @param {string} destinationListId - Destination list ID
          * @param {string} cardId - Card ID
-         * @param {number} destinationIndex - Target index in destination
+         * @param {number} destinationIndex - Target index in destination; the
+         *   reducer turns it into a position key for the card
          */
         moveCard: useCallback((sourceListId, destinationListId, cardId, destinationIndex) => {
             dispatchWithOptimistic({
@@ -128,7 +168,8 @@ export function useBoardState() {
          */
         clearBoard: useCallback(() => {
             dispatch({ type: ACTIONS.CLEAR_BOARD });
-        }, [dispatch, ACTIONS]),
+            clearHistory();
+        }, [dispatch, clearHistory, ACTIONS]),
 
         /**
          * Clear error messages
@@ -143,6 +184,13 @@ export function useBoardState() {
         dispatch,
         dispatchWithOptimistic,
         performSync,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        historyEntries,
+        historyIndex,
+        jumpToHistory,
         ACTIONS,
         actions,
     };
@@ -0,0 +1,65 @@
+import { useDeferredValue, useMemo } from 'react';
+import { useBoardState } from './useBoardState';
+import { useNow } from './useNow';
+import { getCurrentUser } from '../services/currentUser';
+import { parseFilterQuery, createFilterPredicate } from '../utils/filterQuery';
+import { searchCards } from '../utils/search';
+
+/**
+ * Custom hook for the card predicate of a filter query (utils/filterQuery.js)
+ *
+ * Names in the query are looked up on the current board, and `assignee:me`
+ * is the current user. Terms with parse errors are left out, so the rest
+ * still apply while the query is being typed.
+ *
+ * @param {string} filterQuery
+ * @returns {Function|null} (card, list) => boolean, or null without filters
+ *
+ * @example
+ * const cardFilter = useCardFilter('tag:bug -list:Done');
+ * const shown = cards.filter((card) => !cardFilter || cardFilter(card, list));
+ */
+export function useCardFilter(filterQuery) {
+    const { state } = useBoardState();
+    const deferredQuery = useDeferredValue(filterQuery);
+    const now = useNow();
+
+    return useMemo(
+        () =>
+            createFilterPredicate(parseFilterQuery(deferredQuery).filters, {
+                labels: state.labels,
+                members: state.members,
+                currentUserId: getCurrentUser().id,
+                now,
+            }),
+        [deferredQuery, state.labels, state.members, now]
+    );
+}
+
+/**
+ * Custom hook combining the search box and the filter query into one card
+ * predicate, for layouts that show cards outside their list columns
+ *
+ * @param {string} searchQuery
+ * @param {string} filterQuery
+ * @returns {Function|null} (card, list) => boolean, or null when neither narrows the cards
+ *
+ * @example
+ * const include = useCardMatcher(searchQuery, view.filter);
+ * const rows = getCardRows(board, include);
+ */
+export function useCardMatcher(searchQuery, filterQuery) {
+    const { state } = useBoardState();
+    const query = useDeferredValue(searchQuery.trim());
+    const results = useMemo(() => searchCards(state.searchIndex, query), [state.searchIndex, query]);
+    const cardFilter = useCardFilter(filterQuery);
+
+    return useMemo(() => {
+        if (!results && !cardFilter) {
+            return null;
+        }
+        return (card, list) =>
+            (!results || Boolean(results.byList.get(list.id)?.has(card.id))) &&
+            (!cardFilter || cardFilter(card, list));
+    }, [results, cardFilter]);
+}
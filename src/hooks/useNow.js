@@ -0,0 +1,48 @@
+import { useSyncExternalStore } from 'react';
+
+const TICK_MS = 60 * 1000;
+
+// One shared clock for every subscriber, so a board full of cards runs a
+// single timer
+const listeners = new Set();
+let now = Date.now();
+let timerId = null;
+
+const tick = () => {
+    now = Date.now();
+    listeners.forEach((listener) => listener());
+};
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    if (!timerId) {
+        timerId = setInterval(tick, TICK_MS);
+        // The clock may have been idle; catch up straight away
+        tick();
+    }
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            clearInterval(timerId);
+            timerId = null;
+        }
+    };
+};
+
+const getSnapshot = () => now;
+
+/**
+ * Custom hook for the current time, refreshed once a minute
+ *
+ * Render-safe replacement for calling Date.now() in a component, used for
+ * time-relative UI such as due date badges.
+ *
+ * @returns {number} Current timestamp in ms
+ *
+ * @example
+ * const now = useNow();
+ * const status = getDueStatus(card.dueDate, now);
+ */
+export function useNow() {
+    return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
@@ -1,216 +1,121 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { getSyncQueue, addToSyncQueue, removeFromSyncQueue, clearSyncQueue } from '../services/syncQueue';
-import { saveBoard, loadBoard } from '../services/storage';
-import { api } from '../services/api';
+import { useState, useEffect, useCallback, useRef, useContext, useSyncExternalStore } from 'react';
+import { BoardContext } from '../context/BoardProvider';
+import { createSyncEngine, SYNC_STATUS, SYNC_EVENTS } from '../services/syncEngine';
+import { saveBoard } from '../services/storage';
 
 /**
  * Custom hook for managing offline synchronization
- * 
+ *
+ * A thin subscriber to the sync engine (services/syncEngine.js). Inside a
+ * BoardProvider it uses the provider's engine; outside one it creates its own.
+ *
  * Handles:
- * - Local persistence to localStorage
+ * - Sync status (idle, syncing, backoff, conflicted, offline)
  * - Sync queue management for offline operations
  * - Retry logic with exponential backoff
  * - Network state detection
- * - Server interaction with conflict detection
- * 
- * @param {Object} boardState - Current board state
- * @param {Function} onConflict - Callback when conflicts are detected
+ * - Server interaction with three-way merge conflict detection
+ *
+ * @param {Object} boardState - Current board state (only used without a BoardProvider)
+ * @param {Function} onConflict - Callback when conflicts are detected, receives (serverState, conflicts)
  * @returns {Object} Sync state and control methods
- * 
+ *
  * @example
- * const { 
- *   isOnline, 
- *   isSyncing, 
+ * const {
+ *   isOnline,
+ *   isSyncing,
  *   queueLength,
  *   syncNow,
- *   clearQueue 
+ *   clearQueue
  * } = useOfflineSync(state, handleConflict);
- * 
+ *
  * // Manually trigger sync
  * await syncNow();
- * 
+ *
  * // Check if offline
  * if (!isOnline) {
  *   showOfflineMessage();
  * }
  */
 export function useOfflineSync(boardState, onConflict) {
-    const [isOnline, setIsOnline] = useState(navigator.onLine);
-    const [isSyncing, setIsSyncing] = useState(false);
-    const [queueLength, setQueueLength] = useState(0);
-    const [lastSyncTime, setLastSyncTime] = useState(null);
-    const [syncError, setSyncError] = useState(null);
+    const context = useContext(BoardContext);
+    const onConflictRef = useRef(onConflict);
 
-    const retryCountRef = useRef(0);
-    const maxRetries = 3;
-    const baseDelay = 1000; // 1 second
-
-    /**
-     * Update queue length from localStorage
-     */
-    const updateQueueLength = useCallback(() => {
-        setQueueLength(getSyncQueue().length);
-    }, []);
-
-    /**
-     * Calculate exponential backoff delay
-     */
-    const getRetryDelay = useCallback(() => {
-        return baseDelay * Math.pow(2, retryCountRef.current);
-    }, []);
-
-    /**
-     * Process sync queue with retry logic
-     */
-    const processSyncQueue = useCallback(async() => {
-        const queue = getSyncQueue();
-
-        for (const item of queue) {
-            try {
-                if (item.apiCall) {
-                    await item.apiCall();
-                }
-                removeFromSyncQueue(item.id);
-                retryCountRef.current = 0; // Reset on success
-            } catch (error) {
-                if (retryCountRef.current < maxRetries) {
-                    retryCountRef.current++;
-                    const delay = getRetryDelay();
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    // Item stays in queue for next retry
-                } else {
-                    // Max retries exceeded, remove from queue
-                    removeFromSyncQueue(item.id);
-                    retryCountRef.current = 0;
-                    throw error;
-                }
-            }
+    // Standalone engine when there is no BoardProvider to share one
+    const [ownEngine] = useState(() => {
+        if (context?.syncEngine) {
+            return null;
         }
+        return createSyncEngine({});
+    });
+    const engine = context?.syncEngine || ownEngine;
 
-        updateQueueLength();
-    }, [updateQueueLength, getRetryDelay]);
-
-    /**
-     * Sync board state with server
-     */
-    const syncWithServer = useCallback(async() => {
-        if (!isOnline) {
-            return;
-        }
-
-        setIsSyncing(true);
-        setSyncError(null);
-
-        try {
-            // Fetch latest server state
-            const serverState = await api.getBoard();
-
-            // Check for conflicts (simplified - full logic in BoardProvider)
-            const hasConflicts = serverState.lastModified > boardState.lastModified;
-
-            if (hasConflicts && onConflict) {
-                onConflict(serverState);
-            }
-
-            // Process any queued operations
-            await processSyncQueue();
-
-            // Save current state to server
-            await api.saveBoard(boardState);
+    const snapshot = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
 
-            setLastSyncTime(Date.now());
-            retryCountRef.current = 0;
-        } catch (error) {
-            setSyncError(error.message);
+    useEffect(() => {
+        onConflictRef.current = onConflict;
+    }, [onConflict]);
 
-            // Retry with exponential backoff
-            if (retryCountRef.current < maxRetries) {
-                retryCountRef.current++;
-                const delay = getRetryDelay();
-                setTimeout(() => syncWithServer(), delay);
-            }
-        } finally {
-            setIsSyncing(false);
+    useEffect(() => {
+        if (!ownEngine) {
+            return undefined;
         }
-    }, [isOnline, boardState, onConflict, processSyncQueue, getRetryDelay]);
+        ownEngine.start();
+        return () => ownEngine.stop();
+    }, [ownEngine]);
 
     /**
-     * Queue an operation for later sync
+     * Forward conflict events to the callback
      */
-    const queueOperation = useCallback((action, apiCall) => {
-        addToSyncQueue({ action, apiCall });
-        updateQueueLength();
-    }, [updateQueueLength]);
+    useEffect(() => {
+        return engine.subscribe((event) => {
+            if (event.type === SYNC_EVENTS.CONFLICT && onConflictRef.current) {
+                onConflictRef.current(event.serverState, event.conflicts);
+            }
+        });
+    }, [engine]);
 
     /**
-     * Manually trigger sync
+     * Feed and persist board state (the provider does both for its own engine)
      */
-    const syncNow = useCallback(async() => {
-        if (!isSyncing) {
-            await syncWithServer();
+    useEffect(() => {
+        if (ownEngine && boardState) {
+            ownEngine.setLocalState(boardState);
+            saveBoard(boardState);
         }
-    }, [isSyncing, syncWithServer]);
+    }, [ownEngine, boardState]);
 
     /**
-     * Clear sync queue
+     * Manually trigger sync
      */
-    const clearQueue = useCallback(() => {
-        clearSyncQueue();
-        updateQueueLength();
-    }, [updateQueueLength]);
+    const syncNow = useCallback(() => engine.sync(), [engine]);
 
     /**
-     * Persist board state to localStorage
+     * Queue an operation for later sync
+     * @param {Object} operation - Serializable entry from services/operations.js
      */
-    useEffect(() => {
-        if (boardState) {
-            saveBoard(boardState);
-        }
-    }, [boardState]);
+    const queueOperation = useCallback((operation) => engine.enqueue(operation), [engine]);
 
     /**
-     * Online/Offline detection
+     * Clear sync queue
      */
-    useEffect(() => {
-        const handleOnline = () => {
-            setIsOnline(true);
-            setSyncError(null);
-            // Trigger immediate sync when coming back online
-            syncWithServer();
-        };
-
-        const handleOffline = () => {
-            setIsOnline(false);
-            setSyncError('You are offline. Changes will sync when reconnected.');
-        };
-
-        window.addEventListener('online', handleOnline);
-        window.addEventListener('offline', handleOffline);
-
-        return () => {
-            window.removeEventListener('online', handleOnline);
-            window.removeEventListener('offline', handleOffline);
-        };
-    }, [syncWithServer]);
+    const clearQueue = useCallback(() => engine.clearQueue(), [engine]);
 
     /**
-     * Update queue length periodically
+     * Replay queued operations against the server
      */
-    useEffect(() => {
-        updateQueueLength();
-        const interval = setInterval(updateQueueLength, 1000);
-        return () => clearInterval(interval);
-    }, [updateQueueLength]);
+    const processSyncQueue = useCallback(() => engine.drainQueue(), [engine]);
 
     return {
-        isOnline,
-        isSyncing,
-        queueLength,
-        lastSyncTime,
-        syncError,
+        status: snapshot.status,
+        isOnline: snapshot.status !== SYNC_STATUS.OFFLINE,
+        isSyncing: snapshot.status === SYNC_STATUS.SYNCING,
+        queueLength: snapshot.queueLength,
+        lastSyncTime: snapshot.lastSyncTime,
+        syncError: snapshot.error,
         syncNow,
         queueOperation,
         clearQueue,
         processSyncQueue,
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,37 @@
+import { useState, useCallback } from 'react';
+import { loadSavedViews, saveSavedViews } from '../services/savedViews';
+import { generateId } from '../utils/helpers';
+
+/**
+ * Custom hook for the named views saved for this board
+ *
+ * @returns {Array} views - [{ id, name, layout, filter, sort, collapsed }]
+ * @returns {Function} saveView - (name, view) => saved view; a view with the
+ *   same name is replaced
+ * @returns {Function} deleteView - (viewId) => void
+ *
+ * @example
+ * const { views, saveView } = useSavedViews();
+ * saveView('My overdue bugs', { layout: 'board', filter: 'tag:bug assignee:me is:overdue', sort: 'due', collapsed: [] });
+ */
+export function useSavedViews() {
+    const [views, setViews] = useState(loadSavedViews);
+
+    const updateViews = useCallback((next) => {
+        saveSavedViews(next);
+        setViews(next);
+    }, []);
+
+    const saveView = useCallback((name, { layout, filter, sort, collapsed }) => {
+        const existing = views.find((v) => v.name.toLowerCase() === name.trim().toLowerCase());
+        const saved = { id: existing?.id ?? generateId(), name: name.trim(), layout, filter, sort, collapsed };
+        updateViews(existing ? views.map((v) => (v.id === saved.id ? saved : v)) : [...views, saved]);
+        return saved;
+    }, [views, updateViews]);
+
+    const deleteView = useCallback((viewId) => {
+        updateViews(views.filter((v) => v.id !== viewId));
+    }, [views, updateViews]);
+
+    return { views, saveView, deleteView };
+}
@@ -1,4 +1,4 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef } from 'react';
 
 /**
  * Custom hook for multi-level undo/redo functionality
@@ -41,26 +41,21 @@ import { useState, useCallback, useRef, useEffect } from 'react';
  * }
  */
 export function useUndoRedo(initialState, maxHistorySize = 50) {
-    // History stack stores all states
+    // History stack and the current position in it, kept together so
+    // pushes and navigation always see a consistent pair.
     // Use lazy initialization to avoid calling Date.now() during render
-    const [history, setHistory] = useState(() => [{
-        state: initialState,
-        timestamp: Date.now(),
-    }]);
-
-    // Current position in history
-    const [currentIndex, setCurrentIndex] = useState(0);
+    const [{ history, currentIndex }, setTimeline] = useState(() => ({
+        history: [{
+            state: initialState,
+            timestamp: Date.now(),
+        }],
+        currentIndex: 0,
+    }));
 
     // Track if currently undoing/redoing to prevent double pushes
     const isNavigatingRef = useRef(false);
 
-    // Sync currentState with history[currentIndex]
-    const [currentState, setCurrentState] = useState(initialState);
-
-    useEffect(() => {
-        const newState = history[currentIndex] ? .state || initialState;
-        setCurrentState(newState);
-    }, [currentIndex, history, initialState]);
+    const currentState = history[currentIndex]?.state ?? initialState;
 
     /**
      * Check if undo is available
@@ -82,9 +77,9 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
             return;
         }
 
-        setHistory((prevHistory) => {
+        setTimeline((prev) => {
             // Remove any states after current index (for branching)
-            const newHistory = prevHistory.slice(0, currentIndex + 1);
+            const newHistory = prev.history.slice(0, prev.currentIndex + 1);
 
             // Add new state
             newHistory.push({
@@ -95,17 +90,22 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
             // Limit history size
             if (newHistory.length > maxHistorySize) {
                 newHistory.shift(); // Remove oldest
-                return newHistory;
             }
 
-            return newHistory;
+            return { history: newHistory, currentIndex: newHistory.length - 1 };
         });
+    }, [maxHistorySize]);
 
-        setCurrentIndex((prevIndex) => {
-            const newIndex = prevIndex + 1;
-            return newIndex >= maxHistorySize ? maxHistorySize - 1 : newIndex;
-        });
-    }, [currentIndex, maxHistorySize]);
+    const navigateTo = useCallback((index) => {
+        isNavigatingRef.current = true;
+        setTimeline((prev) => ({ ...prev, currentIndex: index }));
+
+        setTimeout(() => {
+            isNavigatingRef.current = false;
+        }, 0);
+
+        return history[index]?.state ?? currentState;
+    }, [history, currentState]);
 
     /**
      * Undo to previous state
@@ -115,16 +115,8 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
         if (!canUndo) {
             return currentState;
         }
-
-        isNavigatingRef.current = true;
-        setCurrentIndex((prevIndex) => prevIndex - 1);
-
-        setTimeout(() => {
-            isNavigatingRef.current = false;
-        }, 0);
-
-        return history[currentIndex - 1] ? .state || currentState;
-    }, [canUndo, currentIndex, currentState, history]);
+        return navigateTo(currentIndex - 1);
+    }, [canUndo, currentIndex, currentState, navigateTo]);
 
     /**
      * Redo to next state
@@ -134,26 +126,20 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
         if (!canRedo) {
             return currentState;
         }
-
-        isNavigatingRef.current = true;
-        setCurrentIndex((prevIndex) => prevIndex + 1);
-
-        setTimeout(() => {
-            isNavigatingRef.current = false;
-        }, 0);
-
-        return history[currentIndex + 1] ? .state || currentState;
-    }, [canRedo, currentIndex, currentState, history]);
+        return navigateTo(currentIndex + 1);
+    }, [canRedo, currentIndex, currentState, navigateTo]);
 
     /**
      * Clear all history and reset to initial state
      */
     const clearHistory = useCallback(() => {
-        setHistory([{
-            state: initialState,
-            timestamp: Date.now(),
-        }]);
-        setCurrentIndex(0);
+        setTimeline({
+            history: [{
+                state: initialState,
+                timestamp: Date.now(),
+            }],
+            currentIndex: 0,
+        });
         isNavigatingRef.current = false;
     }, [initialState]);
 
@@ -166,16 +152,8 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
         if (index < 0 || index >= history.length) {
             return currentState;
         }
-
-        isNavigatingRef.current = true;
-        setCurrentIndex(index);
-
-        setTimeout(() => {
-            isNavigatingRef.current = false;
-        }, 0);
-
-        return history[index] ? .state || currentState;
-    }, [history, currentState]);
+        return navigateTo(index);
+    }, [history, currentState, navigateTo]);
 
     /**
      * Get history metadata (for debugging/visualization)
@@ -204,7 +182,8 @@ export function useUndoRedo(initialState, maxHistorySize = 50) {
         clearHistory,
         jumpToIndex,
         getHistoryInfo,
+        history,
         historyLength: history.length,
         currentIndex,
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseViewQuery, toViewQuery, isSameView } from '../utils/viewState';
+
+// History entries made while typing a filter carry this flag, so the next
+// keystroke replaces the entry instead of adding another
+const TYPING_ENTRY = 'kanbanViewTyping';
+
+const currentView = () => parseViewQuery(window.location.search);
+
+/**
+ * Custom hook for the board view (layout, filter, sort, collapsed lists) kept
+ * in the URL query string
+ *
+ * Every view change adds a browser history entry, so back and forward step
+ * through views. Changes made with `{ typing: true }` (the filter box) share
+ * one entry until some other change is made.
+ *
+ * @returns {Object} view - { layout, filter, sort, collapsed }
+ * @returns {Function} updateView - (changes, { typing }) => void
+ *
+ * @example
+ * const { view, updateView } = useViewState();
+ * updateView({ sort: 'due' });
+ * updateView({ filter: 'tag:bug' }, { typing: true });
+ */
+export function useViewState() {
+    const [view, setView] = useState(currentView);
+
+    // Back/forward put an older query string in the address bar
+    useEffect(() => {
+        const handlePopState = () => setView(currentView());
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const updateView = useCallback((changes, { typing = false } = {}) => {
+        const next = { ...view, ...changes };
+        if (isSameView(next, view)) return;
+
+        const { pathname, hash } = window.location;
+        const url = `${pathname}${toViewQuery(next)}${hash}`;
+        const entry = { [TYPING_ENTRY]: typing };
+        if (typing && window.history.state?.[TYPING_ENTRY]) {
+            window.history.replaceState(entry, '', url);
+        } else {
+            window.history.pushState(entry, '', url);
+        }
+        setView(next);
+    }, [view]);
+
+    return { view, updateView };
+}
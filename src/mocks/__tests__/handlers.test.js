@@ -0,0 +1,108 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { handlers, setMockConfig } from '../handlers';
+import { api } from '../../services/api';
+import { replayOperation } from '../../services/operations';
+import { createSyncEngine } from '../../services/syncEngine';
+import { resolveStep } from '../../utils/compensation';
+import { getWeeklyThroughput, getFlowTimes } from '../../utils/analytics';
+import { boardReducer, initialState, ACTIONS } from '../../context/boardReducer';
+
+// msw's modules are ESM-only and jsdom has no fetch, so the handlers are
+// recorded here and `fetch` calls them directly
+jest.mock('msw', () => {
+    const route = (method) => (path, resolver) => ({ method, path, resolver });
+    return {
+        http: {
+            get: route('GET'),
+            post: route('POST'),
+            put: route('PUT'),
+            patch: route('PATCH'),
+            delete: route('DELETE'),
+        },
+        HttpResponse: { json: (body, init = {}) => ({ body, status: init.status ?? 200 }) },
+        delay: () => Promise.resolve(),
+    };
+});
+
+const serve = async(url, { method = 'GET', body } = {}) => {
+    for (const handler of handlers) {
+        const names = [];
+        const pattern = new RegExp(`^${handler.path.replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        })}$`);
+        const match = handler.method === method && pattern.exec(url);
+        if (match) {
+            const params = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+            const response = await handler.resolver({ request: { json: async() => JSON.parse(body) }, params });
+            return { ok: response.status < 400, status: response.status, json: async() => response.body };
+        }
+    }
+    return { ok: false, status: 404, json: async() => ({ error: `No handler for ${method} ${url}` }) };
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Mock server', () => {
+    const createdAt = Date.now() - 3 * DAY;
+    const board = {
+        ...initialState,
+        lists: [
+            { id: 'todo', title: 'To Do', position: 'a0', version: 1 },
+            { id: 'done', title: 'Done', position: 'a1', version: 1 },
+        ],
+        cards: {
+            todo: [{
+                id: 'card-1',
+                title: 'Ship it',
+                position: 'a0',
+                version: 1,
+                createdAt,
+                transitions: [{ listId: 'todo', at: createdAt }],
+            }],
+            done: [],
+        },
+    };
+
+    beforeEach(async() => {
+        setMockConfig({ NETWORK_DELAY: 0 });
+        global.fetch = jest.fn(serve);
+        await api.saveBoard(board);
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('a moved card reaches other devices with the list entry it recorded', async() => {
+        const { action, operation } = resolveStep(board, {
+            type: ACTIONS.MOVE_CARD,
+            payload: { sourceListId: 'todo', destinationListId: 'done', cardId: 'card-1' },
+        });
+        const moved = boardReducer(board, action);
+        await replayOperation(operation);
+
+        // Another device starting from nothing
+        const onMerged = jest.fn();
+        const engine = createSyncEngine({ onMerged });
+        engine.setLocalState(initialState);
+        await engine.sync();
+        const [synced] = onMerged.mock.calls[0];
+
+        const localCard = moved.cards.done[0];
+        const syncedCard = synced.cards.done[0];
+        expect(syncedCard.transitions).toEqual(localCard.transitions);
+        expect(syncedCard.transitions).toEqual([
+            { listId: 'todo', at: createdAt },
+            { listId: 'done', at: expect.any(Number) },
+        ]);
+
+        const now = Date.now();
+        const throughput = (state) => getWeeklyThroughput(state, 'done', { weeks: 1, now })[0].count;
+        expect(throughput(synced)).toBe(throughput(moved));
+        expect(throughput(synced)).toBe(1);
+        const cycle = (state) => getFlowTimes(state).find((entry) => entry.list.id === 'todo').cycle;
+        expect(cycle(synced)).toEqual(cycle(moved));
+        expect(cycle(synced).count).toBe(1);
+    });
+});
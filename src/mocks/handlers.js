@@ -1,9 +1,24 @@
 import { http, HttpResponse, delay } from 'msw';
-
-// Simulated database
+import { resolveLabelIds, mapCardLabelIds } from '../utils/labels';
+import { mapCardAssignees } from '../utils/members';
+import { checkWipLimit } from '../utils/wipLimits';
+import {
+    withPositions,
+    positionForIndex,
+    placeByPosition,
+    sortByPosition,
+    withRebalanced,
+} from '../utils/positionKeys';
+import { createTrashEntry, addToTrash, removeFromTrash, findTrashEntry, purgeTrash } from '../utils/archive';
+
+// Simulated database. Deleted lists and cards leave trash entries that
+// clients merge as tombstones (see utils/merge.js).
 let mockBoard = {
     lists: [],
     cards: {},
+    labels: [],
+    members: [],
+    trash: [],
 };
 
 // Configuration for testing
@@ -25,6 +40,9 @@ const shouldFail = () => {
     return CONFIG.ENABLE_FAILURES && Math.random() < CONFIG.FAILURE_RATE;
 };
 
+const findCard = (listId, cardId) =>
+    (mockBoard.cards[listId] || []).find((c) => c.id === cardId);
+
 export const handlers = [
     // Get board state
     http.get('/api/board', async() => {
@@ -34,6 +52,7 @@ export const handlers = [
             return HttpResponse.json({ error: 'Failed to fetch board' }, { status: 500 });
         }
 
+        mockBoard.trash = purgeTrash(mockBoard.trash, Date.now());
         return HttpResponse.json(mockBoard);
     }),
 
@@ -59,9 +78,20 @@ export const handlers = [
         }
 
         const body = await request.json();
-        const newList = body.list;
-        mockBoard.lists.push(newList);
-        mockBoard.cards[newList.id] = [];
+        const lists = withPositions(mockBoard.lists);
+        const newList = {
+            ...body.list,
+            position: body.list.position ??
+                positionForIndex(lists, Number.isInteger(body.index) ? body.index : lists.length),
+        };
+        mockBoard.lists = placeByPosition(lists, newList);
+        // Keep cards that were restored before their list arrived, and add
+        // the ones a list restored from the trash brings along
+        const existing = mockBoard.cards[newList.id] || [];
+        const restored = (body.cards || []).filter((card) => !existing.some((c) => c.id === card.id));
+        mockBoard.cards[newList.id] = sortByPosition([...existing, ...restored]);
+        // Adding the list again (a restore or an undone delete) lifts its tombstone
+        mockBoard.trash = removeFromTrash(mockBoard.trash, 'list', newList.id);
 
         return HttpResponse.json({ success: true, data: newList });
     }),
@@ -106,6 +136,32 @@ export const handlers = [
         return HttpResponse.json({ error: 'List not found' }, { status: 404 });
     }),
 
+    // Move list. Positions are board-level, so list versions are left alone.
+    http.post('/api/lists/:listId/move', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to move list' }, { status: 500 });
+        }
+
+        const { listId } = params;
+        const { position, rebalanced = [] } = await request.json();
+
+        if (typeof position !== 'string') {
+            return HttpResponse.json({ error: 'A position key is required' }, { status: 400 });
+        }
+
+        const lists = withRebalanced(withPositions(mockBoard.lists), rebalanced);
+        const list = lists.find((l) => l.id === listId);
+        if (!list) {
+            return HttpResponse.json({ error: 'List not found' }, { status: 404 });
+        }
+
+        // Only the moved list changes, and any it was tied with
+        mockBoard.lists = placeByPosition(lists, { ...list, position });
+        return HttpResponse.json({ success: true, data: mockBoard.lists });
+    }),
+
     // Delete list
     http.delete('/api/lists/:listId', async({ params }) => {
         await delay(CONFIG.NETWORK_DELAY);
@@ -115,6 +171,12 @@ export const handlers = [
         }
 
         const { listId } = params;
+        const list = withPositions(mockBoard.lists).find((l) => l.id === listId);
+        if (list) {
+            mockBoard.trash = addToTrash(mockBoard.trash, createTrashEntry('list', list, {
+                cards: withPositions(mockBoard.cards[listId] || []),
+            }));
+        }
         mockBoard.lists = mockBoard.lists.filter((l) => l.id !== listId);
         delete mockBoard.cards[listId];
 
@@ -130,14 +192,28 @@ export const handlers = [
         }
 
         const body = await request.json();
-        const { listId, card } = body;
+        const { listId, card, index } = body;
+
+        // A card added to a list deleted in the meantime loses the race; the
+        // client's merge puts it in the trash with the list and reports it
+        if (findTrashEntry(mockBoard.trash, 'list', listId)) {
+            return HttpResponse.json({ error: 'List was deleted', conflict: true }, { status: 409 });
+        }
 
-        if (!mockBoard.cards[listId]) {
-            mockBoard.cards[listId] = [];
+        const wip = checkWipLimit(mockBoard, listId, card.id);
+        if (!wip.valid) {
+            return HttpResponse.json({ error: wip.error, conflict: true }, { status: 409 });
         }
 
-        mockBoard.cards[listId].push(card);
-        return HttpResponse.json({ success: true, data: card });
+        const cards = withPositions(mockBoard.cards[listId] || []);
+        const newCard = {
+            ...card,
+            position: card.position ??
+                positionForIndex(cards, Number.isInteger(index) ? index : cards.length),
+        };
+        mockBoard.cards[listId] = placeByPosition(cards, newCard);
+        mockBoard.trash = removeFromTrash(mockBoard.trash, 'card', newCard.id);
+        return HttpResponse.json({ success: true, data: newCard });
     }),
 
     // Update card
@@ -194,6 +270,10 @@ export const handlers = [
         const { cardId } = await request.json();
 
         if (mockBoard.cards[listId]) {
+            const card = withPositions(mockBoard.cards[listId]).find((c) => c.id === cardId);
+            if (card) {
+                mockBoard.trash = addToTrash(mockBoard.trash, createTrashEntry('card', card, { listId }));
+            }
             mockBoard.cards[listId] = mockBoard.cards[listId].filter(
                 (c) => c.id !== cardId
             );
@@ -212,26 +292,255 @@ export const handlers = [
         }
 
         const body = await request.json();
-        const { sourceListId, destinationListId, cardId, destinationIndex } = body;
+        const { sourceListId, destinationListId, cardId, position, rebalanced = [], transition = null } = body;
+
+        if (typeof position !== 'string') {
+            return HttpResponse.json({ error: 'A position key is required' }, { status: 400 });
+        }
+
+        // A card moved into a list deleted in the meantime stays where it
+        // was; the client's merge puts it back and reports it
+        if (findTrashEntry(mockBoard.trash, 'list', destinationListId)) {
+            return HttpResponse.json({ error: 'List was deleted', conflict: true }, { status: 409 });
+        }
+
+        // Lists in block mode refuse cards once full; a 409 lets the client's
+        // merge pick up the server's board
+        const wip = checkWipLimit(mockBoard, destinationListId, cardId);
+        if (!wip.valid) {
+            return HttpResponse.json({ error: wip.error, conflict: true }, { status: 409 });
+        }
 
         // Find and remove card from source
         const sourceCards = mockBoard.cards[sourceListId];
-        const cardIndex = sourceCards ? .findIndex((c) => c.id === cardId);
+        const cardIndex = sourceCards?.findIndex((c) => c.id === cardId);
 
-        if (cardIndex !== -1) {
+        if (sourceCards && cardIndex !== -1) {
             const [card] = sourceCards.splice(cardIndex, 1);
 
-            // Add to destination
-            if (!mockBoard.cards[destinationListId]) {
-                mockBoard.cards[destinationListId] = [];
-            }
-            mockBoard.cards[destinationListId].splice(destinationIndex, 0, card);
+            // Entering another list is recorded for analytics, at the time
+            // the client moved it (queued moves arrive later)
+            const moved = sourceListId === destinationListId ? card : {
+                ...card,
+                transitions: [
+                    ...(card.transitions || []),
+                    transition ?? { listId: destinationListId, at: Date.now() },
+                ],
+            };
+
+            // Only the moved card's key changes, and those of cards it was tied with
+            mockBoard.cards[destinationListId] = placeByPosition(
+                withRebalanced(withPositions(mockBoard.cards[destinationListId] || []), rebalanced),
+                { ...moved, position }
+            );
 
             return HttpResponse.json({ success: true });
         }
 
         return HttpResponse.json({ error: 'Card not found' }, { status: 404 });
     }),
+
+    // Add label
+    http.post('/api/labels', async({ request }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to create label' }, { status: 500 });
+        }
+
+        const { label } = await request.json();
+        mockBoard.labels = mockBoard.labels || [];
+        if (!mockBoard.labels.some((l) => l.id === label.id)) {
+            mockBoard.labels.push(label);
+        }
+        return HttpResponse.json({ success: true, data: label });
+    }),
+
+    // Update label
+    http.put('/api/labels/:labelId', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to update label' }, { status: 500 });
+        }
+
+        const { updates } = await request.json();
+        const index = (mockBoard.labels || []).findIndex((l) => l.id === params.labelId);
+        if (index === -1) {
+            return HttpResponse.json({ error: 'Label not found' }, { status: 404 });
+        }
+
+        const existingLabel = mockBoard.labels[index];
+        mockBoard.labels[index] = {
+            ...existingLabel,
+            ...updates,
+            lastModifiedAt: Date.now(),
+            version: (existingLabel.version || 1) + 1,
+        };
+        return HttpResponse.json({ success: true, data: mockBoard.labels[index] });
+    }),
+
+    // Delete label and remove it from every card
+    http.delete('/api/labels/:labelId', async({ params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to delete label' }, { status: 500 });
+        }
+
+        mockBoard.labels = (mockBoard.labels || []).filter((l) => l.id !== params.labelId);
+        mockBoard.cards = mapCardLabelIds(mockBoard.cards, (ids) =>
+            ids.filter((id) => id !== params.labelId)
+        );
+        return HttpResponse.json({ success: true });
+    }),
+
+    // Merge one label into another
+    http.post('/api/labels/:labelId/merge', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to merge labels' }, { status: 500 });
+        }
+
+        const { targetId } = await request.json();
+        const labels = mockBoard.labels || [];
+        const source = labels.find((l) => l.id === params.labelId);
+        const target = labels.find((l) => l.id === targetId);
+        if (!source || !target) {
+            return HttpResponse.json({ error: 'Label not found' }, { status: 404 });
+        }
+
+        mockBoard.labels = labels
+            .filter((l) => l.id !== source.id)
+            .map((l) =>
+                l.id === target.id ? {
+                    ...l,
+                    aliases: [...new Set([...(l.aliases || []), source.id, ...(source.aliases || [])])],
+                    lastModifiedAt: Date.now(),
+                    version: (l.version || 1) + 1,
+                } :
+                l
+            );
+        mockBoard.cards = mapCardLabelIds(mockBoard.cards, (ids) =>
+            resolveLabelIds(mockBoard.labels, ids)
+        );
+        return HttpResponse.json({ success: true });
+    }),
+
+    // Add member
+    http.post('/api/members', async({ request }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to add member' }, { status: 500 });
+        }
+
+        const { member } = await request.json();
+        mockBoard.members = mockBoard.members || [];
+        if (!mockBoard.members.some((m) => m.id === member.id)) {
+            mockBoard.members.push(member);
+        }
+        return HttpResponse.json({ success: true, data: member });
+    }),
+
+    // Update member
+    http.put('/api/members/:memberId', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to update member' }, { status: 500 });
+        }
+
+        const { updates } = await request.json();
+        const index = (mockBoard.members || []).findIndex((m) => m.id === params.memberId);
+        if (index === -1) {
+            return HttpResponse.json({ error: 'Member not found' }, { status: 404 });
+        }
+
+        const existingMember = mockBoard.members[index];
+        mockBoard.members[index] = {
+            ...existingMember,
+            ...updates,
+            lastModifiedAt: Date.now(),
+            version: (existingMember.version || 1) + 1,
+        };
+        return HttpResponse.json({ success: true, data: mockBoard.members[index] });
+    }),
+
+    // Remove member and unassign them everywhere
+    http.delete('/api/members/:memberId', async({ params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to remove member' }, { status: 500 });
+        }
+
+        mockBoard.members = (mockBoard.members || []).filter((m) => m.id !== params.memberId);
+        mockBoard.cards = mapCardAssignees(mockBoard.cards, (ids) =>
+            ids.filter((id) => id !== params.memberId)
+        );
+        return HttpResponse.json({ success: true });
+    }),
+
+    // Add comment
+    http.post('/api/cards/:cardId/comments', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to add comment' }, { status: 500 });
+        }
+
+        const { listId, comment } = await request.json();
+        const card = findCard(listId, params.cardId);
+        if (!card) {
+            return HttpResponse.json({ error: 'Card not found' }, { status: 404 });
+        }
+
+        // Replays of the same queued comment are ignored
+        card.comments = card.comments || [];
+        if (!card.comments.some((c) => c.id === comment.id)) {
+            card.comments.push(comment);
+        }
+        return HttpResponse.json({ success: true, data: comment });
+    }),
+
+    // Update comment
+    http.put('/api/cards/:cardId/comments/:commentId', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to update comment' }, { status: 500 });
+        }
+
+        const { listId, updates } = await request.json();
+        const card = findCard(listId, params.cardId);
+        const index = card?.comments?.findIndex((c) => c.id === params.commentId) ?? -1;
+        if (index === -1) {
+            return HttpResponse.json({ error: 'Comment not found' }, { status: 404 });
+        }
+
+        card.comments[index] = { ...card.comments[index], ...updates };
+        return HttpResponse.json({ success: true, data: card.comments[index] });
+    }),
+
+    // Delete comment
+    http.delete('/api/cards/:cardId/comments/:commentId', async({ request, params }) => {
+        await delay(CONFIG.NETWORK_DELAY);
+
+        if (shouldFail()) {
+            return HttpResponse.json({ error: 'Failed to delete comment' }, { status: 500 });
+        }
+
+        const listId = new URL(request.url).searchParams.get('listId');
+        const card = findCard(listId, params.cardId);
+        if (!card) {
+            return HttpResponse.json({ error: 'Card not found' }, { status: 404 });
+        }
+
+        card.comments = (card.comments || []).filter((c) => c.id !== params.commentId);
+        return HttpResponse.json({ success: true });
+    }),
 ];
 
 // Export for testing configuration
@@ -0,0 +1,224 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { diffBoard, createIndexedDBAdapter } from '../indexedDBStorage';
+import { getQuarantinedBoard } from '../quarantine';
+import { boardReducer, initialState, ACTIONS } from '../../context/boardReducer';
+
+describe('IndexedDB storage diffing', () => {
+    const board = {
+        ...initialState,
+        lists: [
+            { id: 'list-1', title: 'To Do', version: 1 },
+            { id: 'list-2', title: 'Done', version: 1 },
+        ],
+        cards: {
+            'list-1': [
+                { id: 'card-1', title: 'Task 1', version: 1 },
+                { id: 'card-2', title: 'Task 2', version: 1 },
+            ],
+            'list-2': [],
+        },
+    };
+
+    test('first save writes every record', () => {
+        const changes = diffBoard(null, board);
+
+        expect(changes.replaceAll).toBe(true);
+        expect(changes.listPuts).toHaveLength(2);
+        expect(changes.cardPuts).toHaveLength(2);
+        expect(changes.meta.listOrder).toEqual(['list-1', 'list-2']);
+        expect(changes.meta.cardOrder['list-1']).toEqual(['card-1', 'card-2']);
+    });
+
+    test('updating one card writes only that card', () => {
+        const next = boardReducer(board, {
+            type: ACTIONS.UPDATE_CARD,
+            payload: { listId: 'list-1', cardId: 'card-2', updates: { title: 'Edited' } },
+        });
+
+        const changes = diffBoard(board, next);
+
+        expect(changes.replaceAll).toBe(false);
+        expect(changes.listPuts).toHaveLength(0);
+        expect(changes.cardPuts).toHaveLength(1);
+        expect(changes.cardPuts[0]).toMatchObject({ id: 'card-2', listId: 'list-1' });
+        expect(changes.cardDeletes).toHaveLength(0);
+    });
+
+    test('moving a card rewrites it with its new list', () => {
+        const next = boardReducer(board, {
+            type: ACTIONS.MOVE_CARD,
+            payload: {
+                sourceListId: 'list-1',
+                destinationListId: 'list-2',
+                cardId: 'card-1',
+                destinationIndex: 0,
+            },
+        });
+
+        const changes = diffBoard(board, next);
+
+        expect(changes.cardPuts).toEqual([
+            {
+                id: 'card-1',
+                listId: 'list-2',
+                card: {
+                    ...board.cards['list-1'][0],
+                    position: 'a0',
+                    transitions: [{ listId: 'list-2', at: expect.any(Number) }],
+                },
+            },
+        ]);
+        expect(changes.meta.cardOrder['list-2']).toEqual(['card-1']);
+    });
+
+    test('deleting a list removes its records', () => {
+        const next = boardReducer(board, {
+            type: ACTIONS.DELETE_LIST,
+            payload: { listId: 'list-1' },
+        });
+
+        const changes = diffBoard(board, next);
+
+        expect(changes.listDeletes).toEqual(['list-1']);
+        expect(changes.cardDeletes).toEqual(['card-1', 'card-2']);
+    });
+});
+
+// Just enough of IndexedDB for the adapter: object stores held in Maps,
+// requests that settle on a later tick in the order they were made, and
+// transactions that complete once their requests have. `failReads` makes
+// every get/getAll fail.
+const createFakeIndexedDB = () => {
+    const stores = new Map();
+    const keyPaths = new Map();
+    const fake = { stores, failReads: false };
+
+    const createTransaction = () => {
+        const transaction = { pending: 0, failed: false };
+        const request = (run) => {
+            const req = {};
+            transaction.pending += 1;
+            setTimeout(() => {
+                try {
+                    req.result = run();
+                    req.onsuccess?.();
+                } catch (error) {
+                    req.error = error;
+                    transaction.error = error;
+                    transaction.failed = true;
+                    req.onerror?.();
+                    transaction.onerror?.();
+                }
+                transaction.pending -= 1;
+                if (transaction.pending === 0 && !transaction.failed) {
+                    transaction.oncomplete?.();
+                }
+            }, 0);
+            return req;
+        };
+        const read = (run) => () => {
+            if (fake.failReads) throw new Error('Read failed');
+            return run();
+        };
+        transaction.objectStore = (name) => {
+            const records = stores.get(name);
+            return {
+                get: (key) => request(read(() => records.get(key))),
+                getAll: () => request(read(() => [...records.values()])),
+                put: (value, key) => request(() => records.set(keyPaths.get(name) ? value[keyPaths.get(name)] : key, value)),
+                delete: (key) => request(() => records.delete(key)),
+                clear: () => request(() => records.clear()),
+            };
+        };
+        return transaction;
+    };
+
+    const db = {
+        objectStoreNames: { contains: (name) => stores.has(name) },
+        createObjectStore: (name, options) => {
+            stores.set(name, new Map());
+            keyPaths.set(name, options?.keyPath);
+        },
+        transaction: createTransaction,
+    };
+
+    fake.open = () => {
+        const req = {};
+        setTimeout(() => {
+            req.result = db;
+            req.onupgradeneeded?.();
+            req.onsuccess?.();
+        }, 0);
+        return req;
+    };
+    return fake;
+};
+
+describe('IndexedDB storage adapter', () => {
+    const board = {
+        lists: [{ id: 'list-1', title: 'To Do', position: 'a0', version: 1 }],
+        cards: { 'list-1': [{ id: 'card-1', title: 'Task 1', position: 'a0', version: 1 }] },
+    };
+
+    beforeEach(() => {
+        global.indexedDB = createFakeIndexedDB();
+    });
+
+    afterEach(() => {
+        delete global.indexedDB;
+        localStorage.clear();
+        jest.restoreAllMocks();
+    });
+
+    test('a board that cannot be read is not saved over', async() => {
+        await createIndexedDBAdapter().save(board);
+
+        // Next session: reading fails
+        indexedDB.failReads = true;
+        const adapter = createIndexedDBAdapter();
+        await expect(adapter.load()).rejects.toThrow('Read failed');
+
+        const result = await adapter.save({ lists: [], cards: {} });
+
+        expect(result.success).toBe(false);
+        expect([...indexedDB.stores.get('lists').keys()]).toEqual(['list-1']);
+        expect([...indexedDB.stores.get('cards').keys()]).toEqual(['card-1']);
+    });
+
+    test('a board from a newer version is quarantined, then cleared', async() => {
+        await createIndexedDBAdapter().save({ ...board, schemaVersion: 999 });
+
+        await expect(createIndexedDBAdapter().load()).resolves.toBeNull();
+
+        expect(getQuarantinedBoard().reason).toBe('Unsupported schema version: 999');
+        expect(indexedDB.stores.get('lists').size).toBe(0);
+    });
+
+    test('a board that cannot be quarantined stays where it is', async() => {
+        await createIndexedDBAdapter().save({ ...board, schemaVersion: 999 });
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+
+        const adapter = createIndexedDBAdapter();
+        await expect(adapter.load()).rejects.toThrow('Unsupported schema version: 999');
+
+        expect(getQuarantinedBoard()).toBeNull();
+        expect([...indexedDB.stores.get('cards').keys()]).toEqual(['card-1']);
+        expect((await adapter.save({ lists: [], cards: {} })).success).toBe(false);
+        expect([...indexedDB.stores.get('lists').keys()]).toEqual(['list-1']);
+    });
+
+    test('saves again once a load succeeds', async() => {
+        await createIndexedDBAdapter().save(board);
+
+        const adapter = createIndexedDBAdapter();
+        const loaded = await adapter.load();
+        expect(loaded.lists.map((list) => list.id)).toEqual(['list-1']);
+
+        const result = await adapter.save({ ...loaded, lists: [], cards: {} });
+
+        expect(result.success).toBe(true);
+        expect(indexedDB.stores.get('lists').size).toBe(0);
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import { operations, replayOperation, isReplayable, OPERATION_TYPES } from '../operations';
+import { addToSyncQueue, getSyncQueue } from '../syncQueue';
+import { api } from '../api';
+
+jest.mock('../api', () => ({
+    api: {
+        addList: jest.fn(() => Promise.resolve({ success: true })),
+        updateList: jest.fn(() => Promise.resolve({ success: true })),
+        moveList: jest.fn(() => Promise.resolve({ success: true })),
+        deleteList: jest.fn(() => Promise.resolve({ success: true })),
+        addCard: jest.fn(() => Promise.resolve({ success: true })),
+        updateCard: jest.fn(() => Promise.resolve({ success: true })),
+        deleteCard: jest.fn(() => Promise.resolve({ success: true })),
+        moveCard: jest.fn(() => Promise.resolve({ success: true })),
+    },
+}));
+
+describe('Operation log', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+    });
+
+    test('queued operations survive a JSON round trip', () => {
+        addToSyncQueue(operations.updateCard('list-1', 'card-1', { title: 'Renamed' }, 3));
+
+        // Simulates a reload: the queue is read back from localStorage
+        const [item] = getSyncQueue();
+
+        expect(item).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_CARD,
+            listId: 'list-1',
+            cardId: 'card-1',
+            payload: { updates: { title: 'Renamed' } },
+            baseVersion: 3,
+        });
+        expect(isReplayable(item)).toBe(true);
+    });
+
+    test('replays each operation type against the matching api call', async() => {
+        const list = { id: 'list-1', title: 'To Do' };
+        const card = { id: 'card-1', title: 'Task' };
+
+        await replayOperation(operations.addList(list));
+        await replayOperation(operations.updateList('list-1', { title: 'Doing' }));
+        await replayOperation(operations.moveList('list-1', 'a0V'));
+        await replayOperation(operations.deleteList('list-1'));
+        await replayOperation(operations.addCard('list-1', card));
+        await replayOperation(operations.updateCard('list-1', 'card-1', { title: 'x' }));
+        await replayOperation(operations.deleteCard('list-1', 'card-1'));
+        await replayOperation(operations.moveCard('list-1', 'list-2', 'card-1', 'a2'));
+
+        expect(api.addList).toHaveBeenCalledWith(list, null, []);
+        expect(api.updateList).toHaveBeenCalledWith('list-1', { title: 'Doing' });
+        expect(api.moveList).toHaveBeenCalledWith('list-1', 'a0V', []);
+        expect(api.deleteList).toHaveBeenCalledWith('list-1');
+        expect(api.addCard).toHaveBeenCalledWith('list-1', card, null);
+        expect(api.updateCard).toHaveBeenCalledWith('list-1', 'card-1', { title: 'x' });
+        expect(api.deleteCard).toHaveBeenCalledWith('list-1', 'card-1');
+        expect(api.moveCard).toHaveBeenCalledWith('list-1', 'list-2', 'card-1', 'a2', { rebalanced: [], transition: null });
+    });
+
+    test('replays a list restored from the trash with its cards', async() => {
+        const list = { id: 'list-1', title: 'To Do' };
+        const cards = [{ id: 'card-1', title: 'Task' }];
+
+        await replayOperation(JSON.parse(JSON.stringify(operations.addList(list, null, cards))));
+
+        expect(api.addList).toHaveBeenCalledWith(list, null, cards);
+    });
+
+    test('replays the keys of cards a move was tied with', async() => {
+        const rebalanced = [{ id: 'card-2', position: 'a0V' }];
+
+        await replayOperation(JSON.parse(JSON.stringify(
+            operations.moveCard('list-1', 'list-1', 'card-1', 'a0G', 3, { rebalanced })
+        )));
+
+        expect(api.moveCard).toHaveBeenCalledWith('list-1', 'list-1', 'card-1', 'a0G', {
+            rebalanced,
+            transition: null,
+        });
+    });
+
+    test('rejects legacy closure-based entries', async() => {
+        const legacy = { id: '1', action: { type: 'ADD_CARD' } };
+
+        expect(isReplayable(legacy)).toBe(false);
+        await expect(replayOperation(legacy)).rejects.toThrow('Cannot replay operation');
+    });
+});
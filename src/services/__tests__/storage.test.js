@@ -0,0 +1,37 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { loadBoard } from '../storage';
+import { getQuarantinedBoard } from '../quarantine';
+import { SCHEMA_VERSION } from '../../utils/schema';
+
+describe('Storage loading', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('migrates older saved boards on load', () => {
+        localStorage.setItem(
+            'kanban_board_data',
+            JSON.stringify({ lists: [{ id: 'list-1', title: 'To Do' }], cards: { 'list-1': [] } })
+        );
+
+        const board = loadBoard();
+
+        expect(board.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(board.lists[0].version).toBe(1);
+    });
+
+    test('moves unparseable data to quarantine', () => {
+        localStorage.setItem('kanban_board_data', '{not json');
+
+        expect(loadBoard()).toBeNull();
+        expect(localStorage.getItem('kanban_board_data')).toBeNull();
+        expect(getQuarantinedBoard()).toMatchObject({ data: '{not json' });
+    });
+
+    test('moves structurally invalid data to quarantine', () => {
+        localStorage.setItem('kanban_board_data', JSON.stringify({ lists: 'nope' }));
+
+        expect(loadBoard()).toBeNull();
+        expect(getQuarantinedBoard().reason).toBe('Board lists are missing');
+    });
+});
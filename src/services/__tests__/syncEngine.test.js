@@ -0,0 +1,156 @@
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { createSyncEngine, SYNC_STATUS, SYNC_EVENTS } from '../syncEngine';
+import { operations } from '../operations';
+import { api, ApiError } from '../api';
+
+jest.mock('../api', () => {
+    const actual = jest.requireActual('../api');
+    return {
+        ApiError: actual.ApiError,
+        api: {
+            getBoard: jest.fn(),
+            updateCard: jest.fn(() => Promise.resolve({ success: true })),
+        },
+    };
+});
+
+describe('Sync engine', () => {
+    const localState = {
+        lists: [{ id: 'list-1', title: 'To Do', version: 1 }],
+        cards: { 'list-1': [] },
+    };
+
+    let engine;
+    let onMerged;
+    let onConflicts;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.clearAllMocks();
+        Object.defineProperty(window.navigator, 'onLine', {
+            writable: true,
+            configurable: true,
+            value: true,
+        });
+        onMerged = jest.fn();
+        onConflicts = jest.fn();
+        engine = createSyncEngine({ onMerged, onConflicts, baseDelay: 10 });
+        engine.setLocalState(localState);
+    });
+
+    afterEach(() => {
+        engine.stop();
+    });
+
+    test('merges server state and returns to idle', async() => {
+        api.getBoard.mockResolvedValue(localState);
+        const events = [];
+        engine.subscribe((event) => {
+            if (event.type === SYNC_EVENTS.STATUS_CHANGE) events.push(event.status);
+        });
+
+        await engine.sync();
+
+        expect(events).toEqual([SYNC_STATUS.SYNCING, SYNC_STATUS.IDLE]);
+        expect(onMerged).toHaveBeenCalled();
+        expect(engine.getSnapshot().lastSyncTime).not.toBeNull();
+    });
+
+    test('enters conflicted state on merge conflicts', async() => {
+        api.getBoard.mockResolvedValue({
+            lists: [{ id: 'list-1', title: 'Server title', version: 3 }],
+            cards: { 'list-1': [] },
+        });
+        const local = { ...localState, lists: [{ id: 'list-1', title: 'Local title', version: 2 }] };
+        engine = createSyncEngine({ onConflicts });
+        engine.setLocalState(local);
+        engine.setBaseState(localState);
+        const conflictListener = jest.fn();
+        engine.subscribe((event) => {
+            if (event.type === SYNC_EVENTS.CONFLICT) conflictListener(event);
+        });
+
+        await engine.sync();
+
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.CONFLICTED);
+        expect(onConflicts).toHaveBeenCalledTimes(1);
+        expect(conflictListener).toHaveBeenCalledTimes(1);
+
+        engine.resolveConflicts();
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.IDLE);
+    });
+
+    test('backs off and retries after a failed sync', async() => {
+        api.getBoard
+            .mockRejectedValueOnce(new ApiError('Request failed', 500))
+            .mockResolvedValueOnce(localState);
+
+        await engine.sync();
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.BACKOFF);
+        expect(engine.getSnapshot().retryCount).toBe(1);
+
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.IDLE);
+        expect(api.getBoard).toHaveBeenCalledTimes(2);
+    });
+
+    test('queues operations while offline and replays them on reconnect', async() => {
+        engine.start();
+        navigator.onLine = false;
+        window.dispatchEvent(new Event('offline'));
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.OFFLINE);
+
+        const result = await engine.execute(
+            operations.updateCard('list-1', 'card-1', { title: 'Offline edit' })
+        );
+        expect(result.queued).toBe(true);
+        expect(engine.getSnapshot().queueLength).toBe(1);
+        expect(api.updateCard).not.toHaveBeenCalled();
+
+        api.getBoard.mockResolvedValue(localState);
+        navigator.onLine = true;
+        window.dispatchEvent(new Event('online'));
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        expect(api.updateCard).toHaveBeenCalledWith('list-1', 'card-1', { title: 'Offline edit' });
+        expect(engine.getSnapshot().queueLength).toBe(0);
+    });
+
+    test('a queued change the server refuses stays queued and is reported as a conflict', async() => {
+        const card = { id: 'card-1', title: 'Server title', version: 3 };
+        const local = { ...localState, cards: { 'list-1': [{ ...card, title: 'Offline edit', version: 2 }] } };
+        engine.setLocalState(local);
+        engine.enqueue(operations.updateCard('list-1', 'card-1', { title: 'Offline edit' }, 2));
+        api.updateCard.mockRejectedValueOnce(new ApiError('Version conflict', 409));
+        api.getBoard.mockResolvedValue({ ...localState, cards: { 'list-1': [card] } });
+
+        await engine.sync();
+
+        expect(engine.getSnapshot().status).toBe(SYNC_STATUS.CONFLICTED);
+        expect(engine.getSnapshot().queueLength).toBe(1);
+        const [conflicts] = onConflicts.mock.calls[0];
+        expect(conflicts).toEqual([expect.objectContaining({
+            type: 'card',
+            id: 'card-1',
+            listId: 'list-1',
+            local: expect.objectContaining({ title: 'Offline edit' }),
+            server: card,
+        })]);
+        expect(conflicts[0].conflicts[0]).toMatchObject({ field: 'UPDATE_CARD', server: 'Version conflict' });
+
+        // Not replayed again while it waits for the user
+        await engine.drainQueue();
+        expect(api.updateCard).toHaveBeenCalledTimes(1);
+
+        engine.resolveConflicts();
+        expect(engine.getSnapshot().queueLength).toBe(0);
+    });
+
+    test('hands the merge the local board it was merged from', async() => {
+        api.getBoard.mockResolvedValue(localState);
+
+        await engine.sync();
+
+        expect(onMerged).toHaveBeenCalledWith(expect.objectContaining({ lists: localState.lists }), localState);
+    });
+});
@@ -48,11 +48,12 @@ export const api = {
         });
     },
 
-    // Add new list
-    async addList(list) {
+    // Add new list, appended unless an index is given, with any cards it
+    // brings back from the trash
+    async addList(list, index = null, cards = []) {
         return fetchWithError(`${API_BASE}/lists`, {
             method: 'POST',
-            body: JSON.stringify({ list }),
+            body: JSON.stringify({ list, index, cards }),
         });
     },
 
@@ -64,6 +65,15 @@ export const api = {
         });
     },
 
+    // Move a list to a new position key on the board, re-keying the lists
+    // listed in `rebalanced` ([{ id, position }]) along with it
+    async moveList(listId, position, rebalanced = []) {
+        return fetchWithError(`${API_BASE}/lists/${listId}/move`, {
+            method: 'POST',
+            body: JSON.stringify({ position, rebalanced }),
+        });
+    },
+
     // Delete list
     async deleteList(listId) {
         return fetchWithError(`${API_BASE}/lists/${listId}`, {
@@ -71,11 +81,11 @@ export const api = {
         });
     },
 
-    // Add new card
-    async addCard(listId, card) {
+    // Add new card, appended unless an index is given
+    async addCard(listId, card, index = null) {
         return fetchWithError(`${API_BASE}/cards`, {
             method: 'POST',
-            body: JSON.stringify({ listId, card }),
+            body: JSON.stringify({ listId, card, index }),
         });
     },
 
@@ -95,18 +105,101 @@ export const api = {
         });
     },
 
-    // Move card between lists
-    async moveCard(sourceListId, destinationListId, cardId, destinationIndex) {
+    // Move card to a position key, in the same or another list, re-keying
+    // the destination cards listed in `rebalanced` along with it. A card
+    // entering another list records `transition` ({ listId, at }).
+    async moveCard(sourceListId, destinationListId, cardId, position, { rebalanced = [], transition = null } = {}) {
         return fetchWithError(`${API_BASE}/cards/move`, {
             method: 'POST',
             body: JSON.stringify({
                 sourceListId,
                 destinationListId,
                 cardId,
-                destinationIndex,
+                position,
+                rebalanced,
+                transition,
             }),
         });
     },
+
+    // Add label to the board registry
+    async addLabel(label) {
+        return fetchWithError(`${API_BASE}/labels`, {
+            method: 'POST',
+            body: JSON.stringify({ label }),
+        });
+    },
+
+    // Update label (name, color, description)
+    async updateLabel(labelId, updates) {
+        return fetchWithError(`${API_BASE}/labels/${labelId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ updates }),
+        });
+    },
+
+    // Delete label and remove it from every card
+    async deleteLabel(labelId) {
+        return fetchWithError(`${API_BASE}/labels/${labelId}`, {
+            method: 'DELETE',
+        });
+    },
+
+    // Merge one label into another, re-labelling its cards
+    async mergeLabels(sourceId, targetId) {
+        return fetchWithError(`${API_BASE}/labels/${sourceId}/merge`, {
+            method: 'POST',
+            body: JSON.stringify({ targetId }),
+        });
+    },
+
+    // Add member to the board roster
+    async addMember(member) {
+        return fetchWithError(`${API_BASE}/members`, {
+            method: 'POST',
+            body: JSON.stringify({ member }),
+        });
+    },
+
+    // Update member (name, initials, color, email)
+    async updateMember(memberId, updates) {
+        return fetchWithError(`${API_BASE}/members/${memberId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ updates }),
+        });
+    },
+
+    // Remove member and unassign them from every card
+    async deleteMember(memberId) {
+        return fetchWithError(`${API_BASE}/members/${memberId}`, {
+            method: 'DELETE',
+        });
+    },
+
+    // Add comment to a card
+    async addComment(listId, cardId, comment) {
+        return fetchWithError(`${API_BASE}/cards/${cardId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ listId, comment }),
+        });
+    },
+
+    // Update comment
+    async updateComment(listId, cardId, commentId, updates) {
+        return fetchWithError(`${API_BASE}/cards/${cardId}/comments/${commentId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ listId, updates }),
+        });
+    },
+
+    // Delete comment
+    async deleteComment(listId, cardId, commentId) {
+        return fetchWithError(
+            `${API_BASE}/cards/${cardId}/comments/${commentId}?listId=${listId}`, {
+                method: 'DELETE',
+            }
+        );
+    },
 };
 
 export { ApiError };
\ No newline at end of file
@@ -0,0 +1,40 @@
+// Identity of the person using this browser, used to author comments.
+// There are no accounts: the id is generated once and the name is editable.
+import { generateId } from '../utils/helpers';
+
+const CURRENT_USER_KEY = 'kanban_current_user';
+const DEFAULT_NAME = 'Anonymous';
+
+// Kept in memory too, so the id stays stable when storage is unavailable
+let currentUser = null;
+
+function saveCurrentUser(user) {
+    currentUser = user;
+    try {
+        localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+    } catch (error) {
+        // Storage full or unavailable: the identity lasts for this session only
+    }
+}
+
+export function getCurrentUser() {
+    if (currentUser) {
+        return currentUser;
+    }
+    try {
+        const serialized = localStorage.getItem(CURRENT_USER_KEY);
+        if (serialized) {
+            currentUser = JSON.parse(serialized);
+            return currentUser;
+        }
+    } catch (error) {
+        // Fall through and create a fresh identity
+    }
+    saveCurrentUser({ id: generateId(), name: DEFAULT_NAME });
+    return currentUser;
+}
+
+export function setCurrentUserName(name) {
+    saveCurrentUser({ ...getCurrentUser(), name: name.trim() || DEFAULT_NAME });
+    return currentUser;
+}
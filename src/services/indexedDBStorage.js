@@ -0,0 +1,275 @@
+// IndexedDB storage adapter
+//
+// Lists and cards are stored as separate records so a change to one card
+// writes one record instead of re-serializing the whole board. Board-level
+// fields and the list/card ordering live in a single small `meta` record.
+import { quarantineBoard } from './quarantine';
+import { migrateBoard } from '../utils/schema';
+
+const DB_NAME = 'kanban_board';
+const DB_VERSION = 1;
+const META_KEY = 'board';
+
+const STORES = {
+    META: 'meta',
+    LISTS: 'lists',
+    CARDS: 'cards',
+};
+
+const requestToPromise = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+const transactionDone = (transaction) =>
+    new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.META)) {
+                db.createObjectStore(STORES.META);
+            }
+            if (!db.objectStoreNames.contains(STORES.LISTS)) {
+                db.createObjectStore(STORES.LISTS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.CARDS)) {
+                db.createObjectStore(STORES.CARDS, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Map of cardId -> { card, listId }
+const indexCards = (cards = {}) => {
+    const index = new Map();
+    Object.entries(cards).forEach(([listId, listCards]) => {
+        (listCards || []).forEach((card) => {
+            index.set(card.id, { card, listId });
+        });
+    });
+    return index;
+};
+
+// Everything except lists and cards, plus the ordering needed to rebuild them
+const buildMeta = (board) => {
+    const { lists = [], cards = {}, ...rest } = board;
+    return {
+        ...rest,
+        listOrder: lists.map((list) => list.id),
+        cardOrder: Object.fromEntries(
+            Object.entries(cards).map(([listId, listCards]) => [
+                listId,
+                (listCards || []).map((card) => card.id),
+            ])
+        ),
+    };
+};
+
+/**
+ * Work out which records changed between two board snapshots.
+ * Relies on the reducer returning new objects only for changed items.
+ * Without a previous board every record is written and the stores are
+ * emptied first, so records of lists and cards that are gone don't linger.
+ * @param {Object|null} previous - Last saved board
+ * @param {Object} next - Board to save
+ * @returns {Object} - { replaceAll, listPuts, listDeletes, cardPuts, cardDeletes, meta }
+ */
+export function diffBoard(previous, next) {
+    const previousLists = new Map((previous?.lists || []).map((list) => [list.id, list]));
+    const nextLists = next.lists || [];
+    const previousCards = indexCards(previous?.cards);
+    const nextCards = indexCards(next.cards);
+
+    const listPuts = nextLists.filter((list) => previousLists.get(list.id) !== list);
+    const nextListIds = new Set(nextLists.map((list) => list.id));
+    const listDeletes = [...previousLists.keys()].filter((id) => !nextListIds.has(id));
+
+    const cardPuts = [];
+    nextCards.forEach(({ card, listId }, id) => {
+        const before = previousCards.get(id);
+        if (!before || before.card !== card || before.listId !== listId) {
+            cardPuts.push({ id, listId, card });
+        }
+    });
+    const cardDeletes = [...previousCards.keys()].filter((id) => !nextCards.has(id));
+
+    return {
+        replaceAll: !previous,
+        listPuts,
+        listDeletes,
+        cardPuts,
+        cardDeletes,
+        meta: buildMeta(next),
+    };
+}
+
+/**
+ * Create the IndexedDB storage adapter
+ * @param {Object} options
+ * @param {Object} [options.migrateFrom] - Adapter whose data is moved over on first load
+ * @returns {Object} Storage adapter
+ */
+export function createIndexedDBAdapter({ migrateFrom } = {}) {
+    let dbPromise = null;
+    // Last board written or read, used to diff the next save
+    let lastSaved = null;
+    // Why the stored board could not be read. Until a load succeeds, saves
+    // are refused: a full rewrite would replace a board we never saw.
+    let loadError = null;
+    // Saves are chained so they land in the order they were made
+    let pending = Promise.resolve();
+
+    const getDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase();
+        }
+        return dbPromise;
+    };
+
+    const writeChanges = async(changes) => {
+        const db = await getDatabase();
+        const transaction = db.transaction(
+            [STORES.META, STORES.LISTS, STORES.CARDS],
+            'readwrite'
+        );
+        const listStore = transaction.objectStore(STORES.LISTS);
+        const cardStore = transaction.objectStore(STORES.CARDS);
+
+        if (changes.replaceAll) {
+            listStore.clear();
+            cardStore.clear();
+        }
+        changes.listPuts.forEach((list) => listStore.put(list));
+        changes.listDeletes.forEach((id) => listStore.delete(id));
+        changes.cardPuts.forEach((record) => cardStore.put(record));
+        changes.cardDeletes.forEach((id) => cardStore.delete(id));
+        transaction.objectStore(STORES.META).put(changes.meta, META_KEY);
+
+        return transactionDone(transaction);
+    };
+
+    const readBoard = async() => {
+        const db = await getDatabase();
+        const transaction = db.transaction(
+            [STORES.META, STORES.LISTS, STORES.CARDS],
+            'readonly'
+        );
+        const [meta, listRecords, cardRecords] = await Promise.all([
+            requestToPromise(transaction.objectStore(STORES.META).get(META_KEY)),
+            requestToPromise(transaction.objectStore(STORES.LISTS).getAll()),
+            requestToPromise(transaction.objectStore(STORES.CARDS).getAll()),
+        ]);
+
+        if (!meta) {
+            return null;
+        }
+
+        const { listOrder, cardOrder, ...rest } = meta;
+        const listsById = new Map(listRecords.map((list) => [list.id, list]));
+        const cardsById = new Map(cardRecords.map((record) => [record.id, record.card]));
+
+        return {
+            ...rest,
+            lists: (listOrder || []).map((id) => listsById.get(id)).filter(Boolean),
+            cards: Object.fromEntries(
+                Object.entries(cardOrder || {}).map(([listId, ids]) => [
+                    listId,
+                    ids.map((id) => cardsById.get(id)).filter(Boolean),
+                ])
+            ),
+        };
+    };
+
+    const clearStores = async() => {
+        try {
+            const db = await getDatabase();
+            const transaction = db.transaction(
+                [STORES.META, STORES.LISTS, STORES.CARDS],
+                'readwrite'
+            );
+            Object.values(STORES).forEach((store) => transaction.objectStore(store).clear());
+            await transactionDone(transaction);
+            lastSaved = null;
+            return { success: true };
+        } catch (error) {
+            return { success: false, error };
+        }
+    };
+
+    return {
+        name: 'indexedDB',
+
+        isAvailable() {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        },
+
+        // Rejects when the stored board cannot be read, which is not the
+        // same as there being none
+        async load() {
+            try {
+                const board = await readBoard();
+                loadError = null;
+                if (board) {
+                    try {
+                        const migrated = migrateBoard(board);
+                        // A migrated board has new objects, so write it in full next save
+                        lastSaved = migrated === board ? board : null;
+                        return migrated;
+                    } catch (error) {
+                        // The stores are only emptied once the board is safe in
+                        // quarantine (localStorage, which may be full); until
+                        // then they hold the only copy, so the load fails
+                        if (!quarantineBoard(board, error.message).success) {
+                            throw error;
+                        }
+                        await clearStores();
+                        return null;
+                    }
+                }
+
+                // First load: move existing data over from the old backend
+                const legacyBoard = migrateFrom ? await migrateFrom.load() : null;
+                if (legacyBoard) {
+                    await writeChanges(diffBoard(null, legacyBoard));
+                    lastSaved = legacyBoard;
+                    await migrateFrom.clear();
+                }
+                return legacyBoard;
+            } catch (error) {
+                loadError = error;
+                throw error;
+            }
+        },
+
+        save(board) {
+            if (loadError) {
+                return Promise.resolve({ success: false, error: loadError });
+            }
+            const changes = diffBoard(lastSaved, board);
+            lastSaved = board;
+            pending = pending.catch(() => {}).then(() => writeChanges(changes));
+            return pending.then(
+                () => ({ success: true }),
+                (error) => {
+                    // Force a full rewrite next time, the diff base is unreliable
+                    lastSaved = null;
+                    return { success: false, error };
+                }
+            );
+        },
+
+        clear: clearStores,
+    };
+}
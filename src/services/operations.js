@@ -0,0 +1,281 @@
+// Serializable operation log entries and their replay against the API
+import { api } from './api';
+
+export const OPERATION_TYPES = {
+    ADD_LIST: 'ADD_LIST',
+    UPDATE_LIST: 'UPDATE_LIST',
+    DELETE_LIST: 'DELETE_LIST',
+    MOVE_LIST: 'MOVE_LIST',
+    ADD_CARD: 'ADD_CARD',
+    UPDATE_CARD: 'UPDATE_CARD',
+    DELETE_CARD: 'DELETE_CARD',
+    MOVE_CARD: 'MOVE_CARD',
+    ADD_COMMENT: 'ADD_COMMENT',
+    UPDATE_COMMENT: 'UPDATE_COMMENT',
+    DELETE_COMMENT: 'DELETE_COMMENT',
+    ADD_LABEL: 'ADD_LABEL',
+    UPDATE_LABEL: 'UPDATE_LABEL',
+    DELETE_LABEL: 'DELETE_LABEL',
+    MERGE_LABELS: 'MERGE_LABELS',
+    ADD_MEMBER: 'ADD_MEMBER',
+    UPDATE_MEMBER: 'UPDATE_MEMBER',
+    DELETE_MEMBER: 'DELETE_MEMBER',
+};
+
+// Operation creators. Each returns plain data that survives JSON.stringify,
+// so queued offline changes can be replayed after a reload.
+export const operations = {
+    // `index` is optional; without it the server appends. `cards` come back
+    // with a list restored from the trash.
+    addList(list, index = null, cards = []) {
+        return {
+            type: OPERATION_TYPES.ADD_LIST,
+            listId: list.id,
+            payload: { list, index, cards },
+            baseVersion: null,
+        };
+    },
+
+    updateList(listId, updates, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.UPDATE_LIST,
+            listId,
+            payload: { updates },
+            baseVersion,
+        };
+    },
+
+    // `position` is the list's new key (see utils/positionKeys.js);
+    // `rebalanced` holds new keys for lists it was tied with
+    moveList(listId, position, rebalanced = []) {
+        return {
+            type: OPERATION_TYPES.MOVE_LIST,
+            listId,
+            payload: { position, rebalanced },
+            baseVersion: null,
+        };
+    },
+
+    deleteList(listId, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.DELETE_LIST,
+            listId,
+            payload: {},
+            baseVersion,
+        };
+    },
+
+    addCard(listId, card, index = null) {
+        return {
+            type: OPERATION_TYPES.ADD_CARD,
+            listId,
+            cardId: card.id,
+            payload: { card, index },
+            baseVersion: null,
+        };
+    },
+
+    updateCard(listId, cardId, updates, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.UPDATE_CARD,
+            listId,
+            cardId,
+            payload: { updates },
+            baseVersion,
+        };
+    },
+
+    deleteCard(listId, cardId, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.DELETE_CARD,
+            listId,
+            cardId,
+            payload: {},
+            baseVersion,
+        };
+    },
+
+    // `rebalanced` holds new keys for destination cards the key was tied
+    // with; `transition` ({ listId, at }) records the card entering another
+    // list, with the same time the local board recorded
+    moveCard(
+        sourceListId,
+        destinationListId,
+        cardId,
+        position,
+        baseVersion = null,
+        { rebalanced = [], transition = null } = {}
+    ) {
+        return {
+            type: OPERATION_TYPES.MOVE_CARD,
+            listId: sourceListId,
+            cardId,
+            payload: { destinationListId, position, rebalanced, transition },
+            baseVersion,
+        };
+    },
+
+    // Labels and members are board-level: their ids travel in the payload
+    addLabel(label) {
+        return {
+            type: OPERATION_TYPES.ADD_LABEL,
+            payload: { label },
+            baseVersion: null,
+        };
+    },
+
+    updateLabel(labelId, updates, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.UPDATE_LABEL,
+            payload: { labelId, updates },
+            baseVersion,
+        };
+    },
+
+    deleteLabel(labelId) {
+        return {
+            type: OPERATION_TYPES.DELETE_LABEL,
+            payload: { labelId },
+            baseVersion: null,
+        };
+    },
+
+    mergeLabels(sourceId, targetId) {
+        return {
+            type: OPERATION_TYPES.MERGE_LABELS,
+            payload: { sourceId, targetId },
+            baseVersion: null,
+        };
+    },
+
+    addMember(member) {
+        return {
+            type: OPERATION_TYPES.ADD_MEMBER,
+            payload: { member },
+            baseVersion: null,
+        };
+    },
+
+    updateMember(memberId, updates, baseVersion = null) {
+        return {
+            type: OPERATION_TYPES.UPDATE_MEMBER,
+            payload: { memberId, updates },
+            baseVersion,
+        };
+    },
+
+    deleteMember(memberId) {
+        return {
+            type: OPERATION_TYPES.DELETE_MEMBER,
+            payload: { memberId },
+            baseVersion: null,
+        };
+    },
+
+    // Comments don't carry a card version: they never conflict with card edits
+    addComment(listId, cardId, comment) {
+        return {
+            type: OPERATION_TYPES.ADD_COMMENT,
+            listId,
+            cardId,
+            payload: { comment },
+            baseVersion: null,
+        };
+    },
+
+    updateComment(listId, cardId, commentId, updates) {
+        return {
+            type: OPERATION_TYPES.UPDATE_COMMENT,
+            listId,
+            cardId,
+            payload: { commentId, updates },
+            baseVersion: null,
+        };
+    },
+
+    deleteComment(listId, cardId, commentId) {
+        return {
+            type: OPERATION_TYPES.DELETE_COMMENT,
+            listId,
+            cardId,
+            payload: { commentId },
+            baseVersion: null,
+        };
+    },
+};
+
+/**
+ * Check whether a queued entry can be replayed
+ * @param {Object} operation - Entry read from the sync queue
+ * @returns {boolean}
+ */
+export function isReplayable(operation) {
+    return Boolean(
+        operation &&
+        Object.values(OPERATION_TYPES).includes(operation.type) &&
+        operation.payload
+    );
+}
+
+/**
+ * Turn an operation log entry back into the matching api call
+ * @param {Object} operation - Entry created by one of the `operations` creators
+ * @returns {Promise} - Resolves with the api response
+ */
+export function replayOperation(operation) {
+    if (!isReplayable(operation)) {
+        return Promise.reject(
+            new Error(`Cannot replay operation: ${operation?.type ?? 'unknown'}`)
+        );
+    }
+
+    const { type, listId, cardId, payload } = operation;
+
+    switch (type) {
+        case OPERATION_TYPES.ADD_LIST:
+            return api.addList(payload.list, payload.index, payload.cards);
+        case OPERATION_TYPES.UPDATE_LIST:
+            return api.updateList(listId, payload.updates);
+        case OPERATION_TYPES.MOVE_LIST:
+            // Entries queued before rebalancing existed have no `rebalanced`
+            return api.moveList(listId, payload.position, payload.rebalanced ?? []);
+        case OPERATION_TYPES.DELETE_LIST:
+            return api.deleteList(listId);
+        case OPERATION_TYPES.ADD_CARD:
+            return api.addCard(listId, payload.card, payload.index);
+        case OPERATION_TYPES.UPDATE_CARD:
+            return api.updateCard(listId, cardId, payload.updates);
+        case OPERATION_TYPES.DELETE_CARD:
+            return api.deleteCard(listId, cardId);
+        case OPERATION_TYPES.MOVE_CARD:
+            return api.moveCard(
+                listId,
+                payload.destinationListId,
+                cardId,
+                payload.position,
+                { rebalanced: payload.rebalanced ?? [], transition: payload.transition ?? null }
+            );
+        case OPERATION_TYPES.ADD_LABEL:
+            return api.addLabel(payload.label);
+        case OPERATION_TYPES.UPDATE_LABEL:
+            return api.updateLabel(payload.labelId, payload.updates);
+        case OPERATION_TYPES.DELETE_LABEL:
+            return api.deleteLabel(payload.labelId);
+        case OPERATION_TYPES.MERGE_LABELS:
+            return api.mergeLabels(payload.sourceId, payload.targetId);
+        case OPERATION_TYPES.ADD_MEMBER:
+            return api.addMember(payload.member);
+        case OPERATION_TYPES.UPDATE_MEMBER:
+            return api.updateMember(payload.memberId, payload.updates);
+        case OPERATION_TYPES.DELETE_MEMBER:
+            return api.deleteMember(payload.memberId);
+        case OPERATION_TYPES.ADD_COMMENT:
+            return api.addComment(listId, cardId, payload.comment);
+        case OPERATION_TYPES.UPDATE_COMMENT:
+            return api.updateComment(listId, cardId, payload.commentId, payload.updates);
+        case OPERATION_TYPES.DELETE_COMMENT:
+            return api.deleteComment(listId, cardId, payload.commentId);
+        default:
+            return Promise.reject(new Error(`Cannot replay operation: ${type}`));
+    }
+}
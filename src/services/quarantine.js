@@ -0,0 +1,28 @@
+// Holding area for stored board data that could not be loaded.
+// The data is kept as-is so it can be inspected or recovered by hand.
+const QUARANTINE_KEY = 'kanban_board_quarantine';
+
+export function quarantineBoard(data, reason) {
+    try {
+        localStorage.setItem(
+            QUARANTINE_KEY,
+            JSON.stringify({ quarantinedAt: Date.now(), reason, data })
+        );
+        return { success: true };
+    } catch (error) {
+        return { success: false, error };
+    }
+}
+
+export function getQuarantinedBoard() {
+    try {
+        const serialized = localStorage.getItem(QUARANTINE_KEY);
+        return serialized ? JSON.parse(serialized) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+export function clearQuarantine() {
+    localStorage.removeItem(QUARANTINE_KEY);
+}
@@ -0,0 +1,22 @@
+// Named board views (filter, sort and collapsed lists) saved in this browser.
+// The board is the only one stored here, so these are its views; sharing a
+// view goes through its URL.
+const SAVED_VIEWS_KEY = 'kanban_saved_views';
+
+export function loadSavedViews() {
+    try {
+        const serialized = localStorage.getItem(SAVED_VIEWS_KEY);
+        const views = serialized ? JSON.parse(serialized) : [];
+        return Array.isArray(views) ? views : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+export function saveSavedViews(views) {
+    try {
+        localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+    } catch (error) {
+        // Storage full or unavailable: the views last for this session only
+    }
+}
@@ -1,4 +1,8 @@
-// Storage service for localStorage persistence
+// Storage service for board persistence
+import { createIndexedDBAdapter } from './indexedDBStorage';
+import { quarantineBoard } from './quarantine';
+import { migrateBoard } from '../utils/schema';
+
 const STORAGE_KEY = 'kanban_board_data';
 
 // Save board state to localStorage
@@ -12,15 +16,24 @@ export const saveBoard = (boardState) => {
     }
 };
 
-// Load board state from localStorage
+// Load board state from localStorage, upgraded to the current schema.
+// Data that cannot be parsed or migrated is moved to the quarantine key.
 export const loadBoard = () => {
+    let serialized;
+    try {
+        serialized = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+    if (serialized === null) {
+        return null;
+    }
+
     try {
-        const serialized = localStorage.getItem(STORAGE_KEY);
-        if (serialized === null) {
-            return null;
-        }
-        return JSON.parse(serialized);
+        return migrateBoard(JSON.parse(serialized));
     } catch (error) {
+        quarantineBoard(serialized, error.message);
+        localStorage.removeItem(STORAGE_KEY);
         return null;
     }
 };
@@ -45,4 +58,29 @@ export const isStorageAvailable = () => {
     } catch (error) {
         return false;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Storage adapters
+ *
+ * Every adapter has the same shape:
+ * - isAvailable(): boolean
+ * - load(): Promise<Object|null>
+ * - save(board): Promise<{ success, error? }>
+ * - clear(): Promise<{ success, error? }>
+ * - loadSync(): Object|null (optional, for backends that can read synchronously)
+ */
+export const localStorageAdapter = {
+    name: 'localStorage',
+    isAvailable: isStorageAvailable,
+    load: async() => loadBoard(),
+    loadSync: loadBoard,
+    save: async(board) => saveBoard(board),
+    clear: async() => clearBoard(),
+};
+
+const indexedDBAdapter = createIndexedDBAdapter({ migrateFrom: localStorageAdapter });
+
+// Prefer IndexedDB; fall back to localStorage where it is missing (e.g. tests)
+export const getStorageAdapter = () =>
+    indexedDBAdapter.isAvailable() ? indexedDBAdapter : localStorageAdapter;
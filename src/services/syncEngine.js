@@ -0,0 +1,375 @@
+// Sync engine shared by BoardProvider, useOfflineSync and SyncIndicator
+import { api, ApiError } from './api';
+import { replayOperation, isReplayable } from './operations';
+import {
+    getSyncQueue,
+    addToSyncQueue,
+    removeFromSyncQueue,
+    markSyncQueueConflict,
+    clearSyncQueue,
+    getQueueLength,
+} from './syncQueue';
+import { mergeBoardState } from '../utils/merge';
+
+export const SYNC_STATUS = {
+    IDLE: 'idle',
+    SYNCING: 'syncing',
+    BACKOFF: 'backoff',
+    CONFLICTED: 'conflicted',
+    OFFLINE: 'offline',
+};
+
+export const SYNC_EVENTS = {
+    STATUS_CHANGE: 'statuschange',
+    QUEUE_CHANGE: 'queuechange',
+    CONFLICT: 'conflict',
+    SYNCED: 'synced',
+};
+
+const isOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine);
+
+const COLLECTIONS = { list: 'lists', label: 'labels', member: 'members' };
+
+// The item a queued operation changes
+const operationTarget = ({ type, listId, cardId, payload }) => {
+    if (cardId) return { type: 'card', id: cardId };
+    if (listId) return { type: 'list', id: listId };
+    if (type.endsWith('MEMBER')) return { type: 'member', id: payload.memberId ?? payload.member?.id };
+    return { type: 'label', id: payload.labelId ?? payload.label?.id ?? payload.sourceId };
+};
+
+const findCopy = (board, { type, id }) => {
+    if (type === 'card') {
+        for (const [listId, cards] of Object.entries(board?.cards || {})) {
+            const card = cards.find((c) => c.id === id);
+            if (card) return { listId, item: card };
+        }
+        return null;
+    }
+    const item = (board?.[COLLECTIONS[type]] || []).find((entry) => entry.id === id);
+    return item ? { item } : null;
+};
+
+/**
+ * A queued operation the server refused, shaped like a merge conflict so the
+ * user picks between their copy and the server's. A missing copy means the
+ * item goes.
+ */
+const operationConflict = (item, localState, serverState, merged) => {
+    const target = operationTarget(item);
+    const local = findCopy(localState, target);
+    return {
+        ...target,
+        ...(target.type === 'card' && { listId: findCopy(merged, target)?.listId ?? local?.listId ?? null }),
+        conflicts: [{ field: item.type, base: null, local: item.payload, server: item.conflict }],
+        local: local?.item ?? null,
+        server: findCopy(serverState, target)?.item ?? null,
+    };
+};
+
+/**
+ * Create a sync engine
+ *
+ * State machine:
+ * - idle -> syncing (sync requested)
+ * - syncing -> idle (merged) | conflicted (merge conflicts) | backoff (request failed)
+ * - backoff -> syncing (retry timer fires)
+ * - conflicted -> idle (resolveConflicts called)
+ * - any -> offline (browser goes offline), offline -> idle -> syncing (back online)
+ *
+ * The owner keeps the engine's copy of the local board current with
+ * setLocalState(); the engine merges it against the server on each sync.
+ *
+ * @param {Object} options
+ * @param {Function} [options.onMerged] - Called with (merged, localState) after a clean
+ *   merge; `localState` is the local board it was merged from
+ * @param {Function} [options.onConflicts] - Called with (conflicts, serverState, merged);
+ *   `merged` holds the server copy of each conflicting item
+ * @param {number} [options.syncInterval] - Periodic sync interval in ms (default: 45000)
+ * @param {number} [options.maxRetries] - Retries before giving up until the next sync (default: 3)
+ * @param {number} [options.baseDelay] - First backoff delay in ms, doubled per retry (default: 1000)
+ * @returns {Object} Engine with start, stop, sync, execute, enqueue and subscribe methods
+ */
+export function createSyncEngine({
+    onMerged,
+    onConflicts,
+    syncInterval = 45000,
+    maxRetries = 3,
+    baseDelay = 1000,
+}) {
+    const listeners = new Set();
+    let snapshot = {
+        status: isOnline() ? SYNC_STATUS.IDLE : SYNC_STATUS.OFFLINE,
+        queueLength: getQueueLength(),
+        lastSyncTime: null,
+        error: null,
+        retryCount: 0,
+    };
+    let localState = null;
+    let baseState = null;
+    let pendingServerState = null;
+    // Queue entries of refused operations shown with the current conflicts
+    let reportedOperationIds = [];
+    let intervalId = null;
+    let backoffId = null;
+
+    const emit = (event) => {
+        listeners.forEach((listener) => listener(event));
+    };
+
+    const update = (changes, eventType = SYNC_EVENTS.STATUS_CHANGE) => {
+        snapshot = { ...snapshot, ...changes };
+        emit({ type: eventType, ...snapshot });
+    };
+
+    const setStatus = (status, changes = {}) => {
+        update({ status, ...changes });
+    };
+
+    const refreshQueueLength = () => {
+        update({ queueLength: getQueueLength() }, SYNC_EVENTS.QUEUE_CHANGE);
+    };
+
+    const clearBackoff = () => {
+        if (backoffId) {
+            clearTimeout(backoffId);
+            backoffId = null;
+        }
+    };
+
+    /**
+     * Replay queued operations in order. Stops at the first failure so
+     * later operations are not applied before earlier ones.
+     */
+    const drainQueue = async() => {
+        const queue = getSyncQueue();
+
+        for (const item of queue) {
+            if (item.conflict) {
+                // Refused earlier, waiting for the user to resolve it
+                continue;
+            }
+            if (!isReplayable(item)) {
+                // Entry from the old closure-based format, nothing to replay
+                removeFromSyncQueue(item.id);
+                continue;
+            }
+            try {
+                await replayOperation(item);
+                removeFromSyncQueue(item.id);
+            } catch (error) {
+                if (error instanceof ApiError && error.status === 409) {
+                    // Refused by the server: kept and reported with the merge
+                    // below, so the change isn't lost without a trace
+                    markSyncQueueConflict(item.id, error.message);
+                    continue;
+                }
+                refreshQueueLength();
+                throw error;
+            }
+        }
+
+        refreshQueueLength();
+    };
+
+    const scheduleRetry = (error) => {
+        const retryCount = snapshot.retryCount + 1;
+
+        if (retryCount > maxRetries) {
+            // Give up until the next periodic sync or reconnect
+            setStatus(SYNC_STATUS.IDLE, { error: error.message, retryCount: 0 });
+            return;
+        }
+
+        setStatus(SYNC_STATUS.BACKOFF, { error: error.message, retryCount });
+        backoffId = setTimeout(() => {
+            backoffId = null;
+            sync();
+        }, baseDelay * Math.pow(2, retryCount - 1));
+    };
+
+    /**
+     * Push queued operations, then fetch the server board and three-way merge it
+     */
+    const sync = async() => {
+        if (
+            snapshot.status === SYNC_STATUS.SYNCING ||
+            snapshot.status === SYNC_STATUS.CONFLICTED ||
+            snapshot.status === SYNC_STATUS.OFFLINE
+        ) {
+            return;
+        }
+
+        clearBackoff();
+        setStatus(SYNC_STATUS.SYNCING);
+
+        try {
+            await drainQueue();
+
+            if (!localState) {
+                setStatus(SYNC_STATUS.IDLE, { error: null, retryCount: 0 });
+                return;
+            }
+
+            const serverState = await api.getBoard();
+            const local = localState;
+            // Without a known base, treat the server as the base so local
+            // additions are kept rather than read as server deletions
+            const { merged, conflicts } = mergeBoardState(
+                baseState || serverState,
+                local,
+                serverState
+            );
+            // Refused operations are reported with the merge conflicts, once
+            // per item, and leave the queue when the user resolves them
+            const refused = getSyncQueue().filter((item) => item.conflict);
+            refused
+                .map((item) => operationConflict(item, local, serverState, merged))
+                .forEach((conflict) => {
+                    if (!conflicts.some((c) => c.type === conflict.type && c.id === conflict.id)) {
+                        conflicts.push(conflict);
+                    }
+                });
+
+            if (conflicts.length > 0) {
+                pendingServerState = serverState;
+                reportedOperationIds = refused.map((item) => item.id);
+                setStatus(SYNC_STATUS.CONFLICTED, { error: null, retryCount: 0 });
+                emit({ type: SYNC_EVENTS.CONFLICT, conflicts, serverState, ...snapshot });
+                if (onConflicts) {
+                    onConflicts(conflicts, serverState, merged);
+                }
+                return;
+            }
+
+            baseState = merged;
+            if (onMerged) {
+                onMerged(merged, local);
+            }
+            setStatus(SYNC_STATUS.IDLE, {
+                error: null,
+                retryCount: 0,
+                lastSyncTime: Date.now(),
+            });
+            emit({ type: SYNC_EVENTS.SYNCED, ...snapshot });
+        } catch (error) {
+            if (!isOnline()) {
+                setStatus(SYNC_STATUS.OFFLINE);
+                return;
+            }
+            scheduleRetry(error);
+        }
+    };
+
+    /**
+     * Send a single operation to the server, or queue it while offline
+     * @param {Object} operation - Serializable entry from services/operations.js
+     * @returns {Promise<Object>} - { queued } or { conflict }; rejects on other errors
+     */
+    const execute = async(operation) => {
+        if (snapshot.status === SYNC_STATUS.OFFLINE || !isOnline()) {
+            enqueue(operation);
+            return { queued: true };
+        }
+
+        try {
+            await replayOperation(operation);
+            return { queued: false };
+        } catch (error) {
+            if (error instanceof ApiError && error.status === 409) {
+                // Keep the refused change for the merge to report, and let
+                // the three-way merge sort out the rest
+                markSyncQueueConflict(enqueue(operation).id, error.message);
+                sync();
+                return { conflict: true };
+            }
+            throw error;
+        }
+    };
+
+    const enqueue = (operation) => {
+        const item = addToSyncQueue(operation);
+        refreshQueueLength();
+        return item;
+    };
+
+    const clearQueue = () => {
+        clearSyncQueue();
+        refreshQueueLength();
+    };
+
+    /**
+     * Leave the conflicted state once the user has picked resolutions
+     */
+    const resolveConflicts = () => {
+        if (snapshot.status !== SYNC_STATUS.CONFLICTED) {
+            return;
+        }
+        baseState = pendingServerState;
+        pendingServerState = null;
+        // The refused operations reported with the conflicts are settled too
+        reportedOperationIds.forEach(removeFromSyncQueue);
+        reportedOperationIds = [];
+        refreshQueueLength();
+        setStatus(isOnline() ? SYNC_STATUS.IDLE : SYNC_STATUS.OFFLINE, {
+            lastSyncTime: Date.now(),
+        });
+    };
+
+    const handleOnline = () => {
+        setStatus(SYNC_STATUS.IDLE, { error: null, retryCount: 0 });
+        sync();
+    };
+
+    const handleOffline = () => {
+        clearBackoff();
+        setStatus(SYNC_STATUS.OFFLINE);
+    };
+
+    const start = () => {
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        intervalId = setInterval(() => {
+            if (isOnline()) {
+                sync();
+            }
+        }, syncInterval);
+    };
+
+    const stop = () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+        clearInterval(intervalId);
+        intervalId = null;
+        clearBackoff();
+    };
+
+    /**
+     * Subscribe to engine events
+     * @param {Function} listener - Called with { type, status, queueLength, ... }
+     * @returns {Function} Unsubscribe function
+     */
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        start,
+        stop,
+        sync,
+        execute,
+        enqueue,
+        clearQueue,
+        drainQueue,
+        resolveConflicts,
+        subscribe,
+        getSnapshot: () => snapshot,
+        setLocalState: (state) => {
+            localState = state;
+        },
+        setBaseState: (state) => {
+            baseState = state;
+        },
+    };
+}
@@ -10,12 +10,18 @@ export function getSyncQueue() {
     }
 }
 
+// Queue a serializable operation (see services/operations.js).
+// Only plain data is stored so entries survive a reload.
 export function addToSyncQueue(operation) {
     const queue = getSyncQueue();
     const queueItem = {
         id: `${Date.now()}-${Math.random()}`,
         timestamp: Date.now(),
-        ...operation,
+        type: operation.type,
+        listId: operation.listId ?? null,
+        cardId: operation.cardId ?? null,
+        payload: operation.payload ?? {},
+        baseVersion: operation.baseVersion ?? null,
     };
     queue.push(queueItem);
     localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
@@ -28,10 +34,19 @@ export function removeFromSyncQueue(itemId) {
     localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(filtered));
 }
 
+// Keep an operation the server refused (409) with its error, so it can be
+// reported as a conflict rather than dropped. Marked entries are not replayed.
+export function markSyncQueueConflict(itemId, error) {
+    const queue = getSyncQueue().map((item) =>
+        item.id === itemId ? { ...item, conflict: error } : item
+    );
+    localStorage.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+}
+
 export function clearSyncQueue() {
     localStorage.removeItem(SYNC_QUEUE_KEY);
 }
 
 export function getQueueLength() {
     return getSyncQueue().length;
-}
\ No newline at end of file
+}
@@ -0,0 +1,70 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    AGING_LEVELS,
+    getAgingThresholds,
+    getEnteredListAt,
+    getCardAge,
+    isStale,
+} from '../aging';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date(2026, 9, 19, 12, 0).getTime();
+const list = { id: 'doing', title: 'Doing', agingDays: 3, staleDays: 7 };
+
+describe('Card aging', () => {
+    test('lists without thresholds use the defaults; null turns a level off', () => {
+        expect(getAgingThresholds({ id: 'x' })).toEqual({ agingDays: 3, staleDays: 7 });
+        expect(getAgingThresholds({ id: 'x', agingDays: null, staleDays: 10 })).toEqual({ agingDays: null, staleDays: 10 });
+    });
+
+    test('time in a list counts from the last time the card entered it', () => {
+        const card = {
+            createdAt: now - 20 * DAY,
+            transitions: [
+                { listId: 'doing', at: now - 20 * DAY },
+                { listId: 'review', at: now - 10 * DAY },
+                { listId: 'doing', at: now - 2 * DAY },
+            ],
+        };
+
+        expect(getEnteredListAt(card, 'doing')).toBe(now - 2 * DAY);
+        // Cards saved before transitions count from their creation
+        expect(getEnteredListAt({ createdAt: now - DAY }, 'doing')).toBe(now - DAY);
+        expect(getEnteredListAt({}, 'doing')).toBeNull();
+    });
+
+    test('a card with no entry for its list counts from its latest transition', () => {
+        // Moved into 'done' on a device that didn't record it
+        const card = {
+            createdAt: now - 20 * DAY,
+            transitions: [
+                { listId: 'doing', at: now - 20 * DAY },
+                { listId: 'review', at: now - 10 * DAY },
+            ],
+        };
+
+        expect(getEnteredListAt(card, 'done')).toBe(now - 10 * DAY);
+        expect(getCardAge(card, { ...list, id: 'done' }, now)).toMatchObject({
+            days: 10,
+            level: AGING_LEVELS.STALE,
+        });
+    });
+
+    test('levels follow the list thresholds in whole days', () => {
+        const since = (days) => ({ transitions: [{ listId: 'doing', at: now - days * DAY }] });
+
+        expect(getCardAge(since(2.9), list, now)).toEqual({ days: 2, since: now - 2.9 * DAY, level: AGING_LEVELS.FRESH });
+        expect(getCardAge(since(3), list, now).level).toBe(AGING_LEVELS.AGING);
+        expect(getCardAge(since(12), list, now)).toMatchObject({ days: 12, level: AGING_LEVELS.STALE });
+        expect(getCardAge(since(12), { ...list, staleDays: null }, now).level).toBe(AGING_LEVELS.AGING);
+        expect(getCardAge({}, list, now)).toBeNull();
+    });
+
+    test('isStale needs the list the card is in', () => {
+        const card = { transitions: [{ listId: 'doing', at: now - 8 * DAY }] };
+
+        expect(isStale(card, list, now)).toBe(true);
+        expect(isStale(card, { ...list, staleDays: 10 }, now)).toBe(false);
+        expect(isStale(card, null, now)).toBe(false);
+    });
+});
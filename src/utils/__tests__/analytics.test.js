@@ -0,0 +1,150 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    getTransitions,
+    listAt,
+    getCumulativeFlow,
+    getWeeklyThroughput,
+    percentile,
+    getFlowTimes,
+    formatDuration,
+} from '../analytics';
+import { startOfWeek } from '../calendar';
+
+const HOUR = 60 * 60 * 1000;
+const at = (month, day, hour = 9) => new Date(2026, month - 1, day, hour).getTime();
+
+const board = {
+    lists: [
+        { id: 'todo', title: 'To Do' },
+        { id: 'doing', title: 'Doing' },
+        { id: 'old', title: 'Old', archived: true },
+        { id: 'done', title: 'Done' },
+    ],
+    cards: {
+        todo: [{ id: 'fresh', createdAt: at(10, 18), transitions: [{ listId: 'todo', at: at(10, 18) }] }],
+        doing: [{
+            id: 'started',
+            createdAt: at(10, 14),
+            transitions: [{ listId: 'todo', at: at(10, 14) }, { listId: 'doing', at: at(10, 16) }],
+        }],
+        done: [
+            {
+                id: 'shipped',
+                createdAt: at(10, 12),
+                transitions: [
+                    { listId: 'todo', at: at(10, 12) },
+                    { listId: 'doing', at: at(10, 13) },
+                    { listId: 'done', at: at(10, 15) },
+                ],
+            },
+            // Saved before transitions were recorded
+            { id: 'legacy', createdAt: at(10, 1) },
+        ],
+    },
+};
+
+describe('Card history', () => {
+    test('cards without transitions entered their list when created', () => {
+        expect(getTransitions({ createdAt: 5 }, 'done')).toEqual([{ listId: 'done', at: 5 }]);
+        expect(getTransitions({ transitions: [{ listId: 'todo', at: 1 }] }, 'done')).toEqual([{ listId: 'todo', at: 1 }]);
+    });
+
+    test('finds the list a card was in at a time', () => {
+        const { transitions } = board.cards.done[0];
+
+        expect(listAt(transitions, at(10, 11))).toBeNull();
+        expect(listAt(transitions, at(10, 13))).toBe('doing');
+        expect(listAt(transitions, at(10, 20))).toBe('done');
+    });
+});
+
+describe('Cumulative flow', () => {
+    test('counts cards per active list at the end of each day', () => {
+        const { days, series } = getCumulativeFlow(board, { days: 7, now: at(10, 18, 12) });
+
+        expect(days).toHaveLength(7);
+        expect(new Date(days[0]).getDate()).toBe(12);
+        expect(series.map((s) => s.list.id)).toEqual(['todo', 'doing', 'done']);
+        // Oct 12 to Oct 18
+        expect(series[0].counts).toEqual([1, 0, 1, 1, 0, 0, 1]);
+        expect(series[1].counts).toEqual([0, 1, 1, 0, 1, 1, 1]);
+        expect(series[2].counts).toEqual([1, 1, 1, 2, 2, 2, 2]);
+    });
+
+    test('leaves out cards the filter rejects', () => {
+        const { series } = getCumulativeFlow(board, {
+            days: 1,
+            now: at(10, 18, 12),
+            include: (card) => card.id !== 'legacy',
+        });
+
+        expect(series.map((s) => s.counts[0])).toEqual([1, 1, 1]);
+    });
+});
+
+describe('Throughput', () => {
+    test('counts cards reaching the done list per week', () => {
+        const weeks = getWeeklyThroughput(board, 'done', { weeks: 3, now: at(10, 18, 12) });
+
+        expect(weeks.map((week) => week.start)).toEqual([
+            startOfWeek(at(10, 4)),
+            startOfWeek(at(10, 11)),
+            startOfWeek(at(10, 18)),
+        ]);
+        // legacy was created in Done on Oct 1, before the first week
+        expect(weeks.map((week) => week.count)).toEqual([0, 1, 0]);
+    });
+
+    test('a card moved back and forth counts once a week', () => {
+        const bouncing = {
+            lists: [{ id: 'doing' }, { id: 'done' }],
+            cards: {
+                done: [{
+                    id: 'x',
+                    transitions: [
+                        { listId: 'done', at: at(10, 12) },
+                        { listId: 'doing', at: at(10, 13) },
+                        { listId: 'done', at: at(10, 14) },
+                    ],
+                }],
+            },
+        };
+
+        expect(getWeeklyThroughput(bouncing, 'done', { weeks: 1, now: at(10, 15) })[0].count).toBe(1);
+    });
+});
+
+describe('Flow times', () => {
+    test('nearest-rank percentiles', () => {
+        expect(percentile([], 50)).toBeNull();
+        expect(percentile([4, 1, 3, 2], 50)).toBe(2);
+        expect(percentile([4, 1, 3, 2], 85)).toBe(4);
+        expect(percentile([7], 95)).toBe(7);
+    });
+
+    test('cycle time is the stay in a list, lead time the arrival after creation', () => {
+        const [todo, doing, done] = getFlowTimes(board);
+
+        expect(todo.cycle).toEqual({ count: 2, p50: 24 * HOUR, p85: 48 * HOUR, p95: 48 * HOUR });
+        expect(todo.lead.count).toBe(0);
+        expect(doing.cycle).toMatchObject({ count: 1, p50: 48 * HOUR });
+        expect(doing.lead).toMatchObject({ count: 2, p50: 24 * HOUR, p95: 48 * HOUR });
+        expect(done.cycle.count).toBe(0);
+        expect(done.lead).toMatchObject({ count: 1, p50: 72 * HOUR });
+    });
+
+    test('stays and arrivals before the period are left out', () => {
+        const [todo, doing] = getFlowTimes(board, { since: at(10, 15) });
+
+        expect(todo.cycle.count).toBe(1);
+        expect(doing.lead.count).toBe(1);
+    });
+
+    test('formats durations', () => {
+        expect(formatDuration(null)).toBe('—');
+        expect(formatDuration(20 * 60000)).toBe('20m');
+        expect(formatDuration(5 * HOUR)).toBe('5h');
+        expect(formatDuration(76 * HOUR)).toBe('3d 4h');
+        expect(formatDuration(48 * HOUR)).toBe('2d');
+    });
+});
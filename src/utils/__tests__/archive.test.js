@@ -0,0 +1,96 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    TRASH_RETENTION_DAYS,
+    activeCards,
+    purgeTrash,
+    addToTrash,
+    getRestoreListId,
+    restoreTrashedCard,
+    getArchivedItems,
+    searchArchivedItems,
+} from '../archive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2026, 9, 19, 12).getTime();
+
+describe('Archive and trash', () => {
+    const lists = [
+        { id: 'list-1', title: 'To Do', archived: false },
+        { id: 'list-2', title: 'Old', archived: true, lastModifiedAt: NOW - 2 * DAY_MS },
+        { id: 'list-3', title: 'Done', archived: false },
+    ];
+
+    test('archived cards are left out of the cards shown', () => {
+        const cards = [{ id: 'a' }, { id: 'b', archived: true }, { id: 'c', archived: false }];
+
+        expect(activeCards(cards).map((card) => card.id)).toEqual(['a', 'c']);
+        expect(activeCards(undefined)).toEqual([]);
+    });
+
+    test(`entries leave the trash after ${TRASH_RETENTION_DAYS} days`, () => {
+        const fresh = { kind: 'card', id: 'a', deletedAt: NOW - 29 * DAY_MS };
+        const expired = { kind: 'card', id: 'b', deletedAt: NOW - 31 * DAY_MS };
+        const trash = [fresh, expired];
+
+        expect(purgeTrash(trash, NOW)).toEqual([fresh]);
+        expect(purgeTrash([fresh], NOW)).toEqual([fresh]);
+        // Deleting an item again replaces its entry
+        const again = { kind: 'card', id: 'a', deletedAt: NOW };
+        expect(addToTrash(trash, again)).toEqual([again]);
+    });
+
+    test('a card goes back to its own list, or the first active one when that is gone', () => {
+        expect(getRestoreListId(lists, 'list-3')).toBe('list-3');
+        expect(getRestoreListId(lists, 'list-2')).toBe('list-1');
+        expect(getRestoreListId(lists, 'deleted')).toBe('list-1');
+        expect(getRestoreListId([lists[1]], 'deleted')).toBeNull();
+    });
+
+    test('a card restored to a fallback list goes at the end and records entering it', () => {
+        const entry = {
+            kind: 'card',
+            id: 'card-1',
+            listId: 'gone',
+            item: { id: 'card-1', title: 'Fix', position: 'a0', version: 2, transitions: [{ listId: 'gone', at: 1 }] },
+            version: 2,
+            deletedAt: NOW - DAY_MS,
+        };
+
+        const card = restoreTrashedCard(entry, [{ id: 'x', position: 'a5' }], 'list-1', NOW);
+
+        expect(card.position > 'a5').toBe(true);
+        expect(card).toMatchObject({ archived: false, version: 3, lastModifiedAt: NOW });
+        expect(card.transitions).toEqual([{ listId: 'gone', at: 1 }, { listId: 'list-1', at: NOW }]);
+        expect(restoreTrashedCard(entry, [], 'gone', NOW)).toMatchObject({ position: 'a0' });
+    });
+
+    test('the drawer lists archived and deleted items, newest first, and searches them', () => {
+        const board = {
+            lists,
+            cards: {
+                'list-1': [
+                    { id: 'card-1', title: 'Write docs', archived: true, lastModifiedAt: NOW - DAY_MS },
+                    { id: 'card-2', title: 'Shown' },
+                ],
+                'list-2': [{ id: 'card-3', title: 'Old card' }],
+                'list-3': [],
+            },
+            trash: [
+                { kind: 'card', id: 'card-4', listId: 'gone', item: { title: 'Lost card' }, deletedAt: NOW - 3 * DAY_MS },
+                { kind: 'list', id: 'list-4', item: { title: 'Ideas' }, cards: [{ id: 'card-5' }], deletedAt: NOW - 10 },
+                { kind: 'card', id: 'card-6', listId: 'list-1', item: { title: 'Expired' }, deletedAt: NOW - 40 * DAY_MS },
+            ],
+        };
+
+        const items = getArchivedItems(board, NOW);
+
+        expect(items.map((item) => item.id)).toEqual(['list-4', 'card-1', 'list-2', 'card-4']);
+        expect(items[0]).toMatchObject({ kind: 'list', deleted: true, cardCount: 1, expiresAt: NOW - 10 + 30 * DAY_MS });
+        expect(items[1]).toMatchObject({ kind: 'card', deleted: false, listTitle: 'To Do' });
+        expect(items[2]).toMatchObject({ kind: 'list', deleted: false, cardCount: 1 });
+        expect(items[3]).toMatchObject({ kind: 'card', deleted: true, listTitle: null });
+
+        expect(searchArchivedItems(items, 'do').map((item) => item.id)).toEqual(['card-1']);
+        expect(searchArchivedItems(items, '')).toBe(items);
+    });
+});
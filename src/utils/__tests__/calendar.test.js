@@ -0,0 +1,78 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    toDayKey,
+    addDays,
+    startOfWeek,
+    getCalendarDays,
+    shiftAnchor,
+    moveToDay,
+    groupCardsByDay,
+    DEFAULT_DUE_HOUR,
+} from '../calendar';
+
+// Monday 19 October 2026, 15:30 local time
+const anchor = new Date(2026, 9, 19, 15, 30).getTime();
+
+describe('Calendar days', () => {
+    test('day keys and weeks are in local time, weeks start on Sunday', () => {
+        expect(toDayKey(anchor)).toBe('2026-10-19');
+        expect(toDayKey(startOfWeek(anchor))).toBe('2026-10-18');
+        expect(toDayKey(addDays(anchor, 13))).toBe('2026-11-01');
+        expect(new Date(addDays(anchor, 1)).getHours()).toBe(0);
+    });
+
+    test('a month page covers whole weeks around the month', () => {
+        const days = getCalendarDays(anchor, 'month');
+
+        expect(days).toHaveLength(35);
+        expect(toDayKey(days[0])).toBe('2026-09-27');
+        expect(toDayKey(days[days.length - 1])).toBe('2026-10-31');
+        // February 2026 starts on a Sunday and fills exactly four weeks
+        expect(getCalendarDays(new Date(2026, 1, 10).getTime(), 'month')).toHaveLength(28);
+    });
+
+    test('a week page is the seven days around the anchor', () => {
+        const days = getCalendarDays(anchor, 'week').map(toDayKey);
+        expect(days).toEqual([
+            '2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24',
+        ]);
+    });
+
+    test('pages step by month or by week', () => {
+        expect(toDayKey(shiftAnchor(anchor, 'month', 1))).toBe('2026-11-01');
+        expect(toDayKey(shiftAnchor(new Date(2026, 0, 31).getTime(), 'month', -1))).toBe('2025-12-01');
+        expect(toDayKey(shiftAnchor(anchor, 'week', -1))).toBe('2026-10-12');
+    });
+});
+
+describe('Calendar cards', () => {
+    test('moving a due date to another day keeps its time of day', () => {
+        const moved = new Date(moveToDay(anchor, new Date(2026, 10, 3).getTime()));
+        expect(toDayKey(moved.getTime())).toBe('2026-11-03');
+        expect([moved.getHours(), moved.getMinutes()]).toEqual([15, 30]);
+
+        const dated = new Date(moveToDay(null, anchor));
+        expect([dated.getHours(), dated.getMinutes()]).toEqual([DEFAULT_DUE_HOUR, 0]);
+    });
+
+    test('groups cards of active lists by due day, sorted by time', () => {
+        const board = {
+            lists: [{ id: 'todo' }, { id: 'old', archived: true }, { id: 'done' }],
+            cards: {
+                todo: [
+                    { id: 'late', dueDate: anchor + 60 * 1000 },
+                    { id: 'undated' },
+                ],
+                old: [{ id: 'hidden', dueDate: anchor }],
+                done: [{ id: 'early', dueDate: anchor - 60 * 1000 }],
+            },
+        };
+
+        const { byDay, undated } = groupCardsByDay(board);
+        expect(byDay.get('2026-10-19').map(({ card }) => card.id)).toEqual(['early', 'late']);
+        expect(undated.map(({ card, list }) => [card.id, list.id])).toEqual([['undated', 'todo']]);
+
+        const onlyTodo = groupCardsByDay(board, (card, list) => list.id === 'todo');
+        expect(onlyTodo.byDay.get('2026-10-19').map(({ card }) => card.id)).toEqual(['late']);
+    });
+});
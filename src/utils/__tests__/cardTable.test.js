@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals';
+import { getCardRows, sortCardRows, escapeCsvField, cardRowsToCsv } from '../cardTable';
+
+const board = {
+    lists: [
+        { id: 'todo', title: 'To Do' },
+        { id: 'old', title: 'Old', archived: true },
+        { id: 'done', title: 'Done' },
+    ],
+    cards: {
+        todo: [
+            { id: 'c1', title: 'write docs', labelIds: ['bug'], assignees: ['ada'], dueDate: Date.UTC(2026, 10, 2) },
+            { id: 'c2', title: 'Card 10', createdAt: Date.UTC(2026, 0, 1) },
+        ],
+        old: [{ id: 'c3', title: 'Gone' }],
+        done: [{ id: 'c4', title: 'Card 9', dueDate: Date.UTC(2026, 9, 1) }],
+    },
+    labels: [{ id: 'bug', name: 'Bug', color: '#b91c1c' }],
+    members: [{ id: 'ada', name: 'Ada Lovelace' }],
+};
+
+const titles = (rows) => rows.map((row) => row.card.title);
+
+describe('Card table rows', () => {
+    test('one row per card of the active lists, in board order', () => {
+        const rows = getCardRows(board);
+
+        expect(titles(rows)).toEqual(['write docs', 'Card 10', 'Card 9']);
+        expect(rows[0].labels.map((label) => label.name)).toEqual(['Bug']);
+        expect(rows[0].assignees.map((member) => member.name)).toEqual(['Ada Lovelace']);
+        expect(rows[2]).toMatchObject({ list: { id: 'done' }, listIndex: 1 });
+    });
+
+    test('include narrows the rows', () => {
+        const rows = getCardRows(board, (card, list) => list.id === 'done');
+        expect(titles(rows)).toEqual(['Card 9']);
+    });
+
+    test('sorts by a column, numbers in titles naturally, missing values last', () => {
+        const rows = getCardRows(board);
+
+        expect(titles(sortCardRows(rows, 'title'))).toEqual(['Card 9', 'Card 10', 'write docs']);
+        expect(titles(sortCardRows(rows, 'title', 'desc'))).toEqual(['write docs', 'Card 10', 'Card 9']);
+        expect(titles(sortCardRows(rows, 'dueDate'))).toEqual(['Card 9', 'write docs', 'Card 10']);
+        expect(titles(sortCardRows(rows, 'dueDate', 'desc'))).toEqual(['write docs', 'Card 9', 'Card 10']);
+        expect(sortCardRows(rows, null)).toBe(rows);
+    });
+});
+
+describe('Card table CSV', () => {
+    test('quotes fields with commas, quotes or line breaks', () => {
+        expect(escapeCsvField('plain')).toBe('plain');
+        expect(escapeCsvField('a, b')).toBe('"a, b"');
+        expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(escapeCsvField('two\nlines')).toBe('"two\nlines"');
+        expect(escapeCsvField(null)).toBe('');
+    });
+
+    test('guards fields a spreadsheet would run as formulas', () => {
+        expect(escapeCsvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+        expect(escapeCsvField('+1')).toBe("'+1");
+        expect(escapeCsvField('@cmd')).toBe("'@cmd");
+        expect(escapeCsvField('-2,3')).toBe('"\'-2,3"');
+    });
+
+    test('writes a header and one line per row', () => {
+        const csv = cardRowsToCsv(getCardRows(board).slice(0, 1));
+
+        expect(csv.split('\r\n')).toEqual([
+            'Title,List,Labels,Assignees,Due date,Created,Last modified',
+            'write docs,To Do,Bug,Ada Lovelace,2026-11-02T00:00:00.000Z,,',
+        ]);
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { getChecklistProgress, moveChecklistItem } from '../checklists';
+
+jest.mock('uuid', () => ({ v4: () => 'test-uuid' }));
+
+describe('checklist helpers', () => {
+    const checklists = [
+        {
+            id: 'cl-1',
+            title: 'QA',
+            items: [
+                { id: 'i-1', text: 'One', done: true },
+                { id: 'i-2', text: 'Two', done: false },
+            ],
+        },
+        { id: 'cl-2', title: 'Docs', items: [{ id: 'i-3', text: 'Three', done: true }] },
+    ];
+
+    test('counts progress across checklists', () => {
+        expect(getChecklistProgress(checklists)).toEqual({ done: 2, total: 3 });
+        expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0 });
+    });
+
+    test('moves items within bounds', () => {
+        const moved = moveChecklistItem(checklists, 'cl-1', 'i-2', -1);
+
+        expect(moved[0].items.map((item) => item.id)).toEqual(['i-2', 'i-1']);
+        expect(moveChecklistItem(checklists, 'cl-1', 'i-1', -1)[0]).toBe(checklists[0]);
+        expect(moved[1]).toBe(checklists[1]);
+    });
+});
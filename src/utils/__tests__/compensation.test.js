@@ -0,0 +1,291 @@
+import { describe, test, expect } from '@jest/globals';
+import { createUndoEntry, resolveStep } from '../compensation';
+import { boardReducer, initialState, ACTIONS } from '../../context/boardReducer';
+import { OPERATION_TYPES } from '../../services/operations';
+import { mergeBoardState } from '../merge';
+
+// Apply an entry's steps the way BoardProvider does, without the server
+const applySteps = (state, steps) =>
+    steps.reduce((board, step) => {
+        const resolved = resolveStep(board, step);
+        return resolved ? boardReducer(board, resolved.action) : board;
+    }, state);
+
+describe('Undo compensation', () => {
+    const board = {
+        ...initialState,
+        lists: [
+            { id: 'list-1', title: 'To Do', archived: false, version: 1 },
+            { id: 'list-2', title: 'Done', archived: false, version: 1 },
+        ],
+        cards: {
+            'list-1': [
+                { id: 'card-1', title: 'Fix login', version: 1 },
+                { id: 'card-2', title: 'Task 2', version: 1 },
+            ],
+            'list-2': [],
+        },
+    };
+
+    const ids = (state, listId) => state.cards[listId].map((card) => card.id);
+
+    test('undoing a move sends the card back to its position', () => {
+        const action = {
+            type: ACTIONS.MOVE_CARD,
+            payload: {
+                sourceListId: 'list-1',
+                destinationListId: 'list-2',
+                cardId: 'card-1',
+                destinationIndex: 0,
+            },
+        };
+        const entry = createUndoEntry(board, action);
+        const moved = boardReducer(board, action);
+
+        expect(entry.label).toBe("Moved 'Fix login' from To Do to Done");
+
+        const undone = applySteps(moved, entry.undo);
+        expect(ids(undone, 'list-1')).toEqual(['card-1', 'card-2']);
+        expect(ids(undone, 'list-2')).toEqual([]);
+
+        const redone = applySteps(undone, entry.redo);
+        expect(ids(redone, 'list-2')).toEqual(['card-1']);
+    });
+
+    test('undoing a list delete restores the list and its cards', () => {
+        const action = { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } };
+        const entry = createUndoEntry(board, action);
+        const deleted = boardReducer(board, action);
+
+        const undone = applySteps(deleted, entry.undo);
+
+        expect(undone.lists.map((list) => list.id)).toEqual(['list-1', 'list-2']);
+        expect(ids(undone, 'list-1')).toEqual(['card-1', 'card-2']);
+    });
+
+    describe('undoing a delete on one device', () => {
+        // Both devices hold the tombstone once the delete has synced
+        const atVersion5 = (state) => ({
+            ...state,
+            lists: state.lists.map((list) => ({ ...list, version: 5 })),
+            cards: { ...state.cards, 'list-1': state.cards['list-1'].map((card) => ({ ...card, version: 5 })) },
+        });
+
+        test('a card comes back on the other device too', () => {
+            const before = atVersion5(board);
+            const action = { type: ACTIONS.DELETE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } };
+            const entry = createUndoEntry(before, action);
+            const otherDevice = boardReducer(before, action);
+
+            const step = resolveStep(otherDevice, entry.undo[0]);
+            const undone = boardReducer(otherDevice, step.action);
+            const card = undone.cards['list-1'].find((c) => c.id === 'card-1');
+
+            // The server gets the version the undo gave the card, past the tombstone
+            expect(card.version).toBe(6);
+            expect(step.operation.payload.card.version).toBe(6);
+            const server = {
+                ...otherDevice,
+                cards: { ...otherDevice.cards, 'list-1': [step.operation.payload.card, ...otherDevice.cards['list-1']] },
+                trash: [],
+            };
+
+            [server, undone].forEach((remote) => {
+                const { merged } = mergeBoardState(otherDevice, otherDevice, remote);
+                expect(ids(merged, 'list-1').sort()).toEqual(['card-1', 'card-2']);
+                expect(merged.trash).toEqual([]);
+            });
+        });
+
+        test('a list comes back with its cards on the other device too', () => {
+            const before = atVersion5(board);
+            const action = { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } };
+            const entry = createUndoEntry(before, action);
+            const otherDevice = boardReducer(before, action);
+
+            const step = resolveStep(otherDevice, entry.undo[0]);
+            const undone = boardReducer(otherDevice, step.action);
+
+            expect(undone.lists[0].version).toBe(6);
+            expect(step.operation.payload.list.version).toBe(6);
+
+            const { merged } = mergeBoardState(otherDevice, otherDevice, undone);
+            expect(merged.lists.map((list) => list.id)).toEqual(['list-1', 'list-2']);
+            expect(ids(merged, 'list-1')).toEqual(['card-1', 'card-2']);
+            expect(merged.trash).toEqual([]);
+        });
+    });
+
+    test('undoing a list reorder moves the list back', () => {
+        const action = { type: ACTIONS.REORDER_LIST, payload: { listId: 'list-2', destinationIndex: 0 } };
+        const entry = createUndoEntry(board, action);
+        const moved = boardReducer(board, action);
+
+        expect(moved.lists.map((list) => list.id)).toEqual(['list-2', 'list-1']);
+
+        const undone = applySteps(moved, entry.undo);
+        expect(undone.lists.map((list) => list.id)).toEqual(['list-1', 'list-2']);
+        expect(resolveStep(moved, entry.undo[0]).operation).toMatchObject({
+            type: OPERATION_TYPES.MOVE_LIST,
+            listId: 'list-2',
+            payload: { position: 'a1' },
+        });
+    });
+
+    test('undoing a rename sends the old title, not a move', () => {
+        const action = { type: ACTIONS.RENAME_LIST, payload: { listId: 'list-2', title: 'Shipped' } };
+        const entry = createUndoEntry(board, action);
+        const renamed = boardReducer(board, action);
+
+        expect(resolveStep(renamed, entry.undo[0]).operation).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_LIST,
+            listId: 'list-2',
+            payload: { updates: { title: 'Done' } },
+        });
+    });
+
+    test('undoing a WIP limit change restores the previous limit', () => {
+        const action = {
+            type: ACTIONS.SET_WIP_LIMIT,
+            payload: { listId: 'list-1', wipLimit: 3, wipMode: 'block' },
+        };
+        const entry = createUndoEntry(board, action);
+        const limited = boardReducer(board, action);
+
+        expect(entry.label).toBe("Set the WIP limit of 'To Do' to 3 (block)");
+
+        const undone = applySteps(limited, entry.undo);
+        expect(undone.lists[0]).toMatchObject({ wipLimit: null, wipMode: 'off' });
+        expect(resolveStep(limited, entry.undo[0]).operation).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_LIST,
+            listId: 'list-1',
+            payload: { updates: { wipLimit: null, wipMode: 'off' } },
+        });
+    });
+
+    test('undoing a card aging change restores the previous thresholds', () => {
+        const action = {
+            type: ACTIONS.SET_LIST_AGING,
+            payload: { listId: 'list-1', agingDays: 5, staleDays: null },
+        };
+        const aging = { ...board, lists: board.lists.map((list) => ({ ...list, agingDays: 3, staleDays: 7 })) };
+        const entry = createUndoEntry(aging, action);
+        const changed = boardReducer(aging, action);
+
+        expect(entry.label).toBe("Set card aging in 'To Do' to fade after 5d");
+
+        const undone = applySteps(changed, entry.undo);
+        expect(undone.lists[0]).toMatchObject({ agingDays: 3, staleDays: 7 });
+        expect(resolveStep(changed, entry.undo[0]).operation).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_LIST,
+            listId: 'list-1',
+            payload: { updates: { agingDays: 3, staleDays: 7 } },
+        });
+    });
+
+    test('undoing an archive restores the card, and redo archives it again', () => {
+        const action = { type: ACTIONS.ARCHIVE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } };
+        const entry = createUndoEntry(board, action);
+        const archived = boardReducer(board, action);
+
+        expect(entry.label).toBe("Archived 'Fix login'");
+
+        const undone = applySteps(archived, entry.undo);
+        expect(undone.cards['list-1'][0].archived).toBe(false);
+        expect(resolveStep(archived, entry.undo[0]).operation).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_CARD,
+            cardId: 'card-1',
+            payload: { updates: { archived: false } },
+        });
+        expect(applySteps(undone, entry.redo).cards['list-1'][0].archived).toBe(true);
+    });
+
+    test('restoring a deleted card into a fallback list adds it there on the server', () => {
+        const deleted = [
+            { type: ACTIONS.DELETE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } },
+            { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } },
+        ].reduce(boardReducer, board);
+        const restore = { type: ACTIONS.RESTORE_CARD, payload: { listId: 'list-1', cardId: 'card-1' } };
+
+        const { action, operation } = resolveStep(deleted, restore);
+
+        expect(action.payload.listId).toBe('list-2');
+        expect(operation).toMatchObject({
+            type: OPERATION_TYPES.ADD_CARD,
+            listId: 'list-2',
+            payload: { card: { id: 'card-1', title: 'Fix login', archived: false } },
+        });
+
+        const entry = createUndoEntry(deleted, action);
+        expect(entry.label).toBe("Restored 'Fix login' to Done");
+        const restored = boardReducer(deleted, action);
+        expect(ids(applySteps(restored, entry.undo), 'list-2')).toEqual([]);
+    });
+
+    test('restoring a deleted list sends it to the server with its cards', () => {
+        const deleted = boardReducer(board, { type: ACTIONS.DELETE_LIST, payload: { listId: 'list-1' } });
+        const restore = { type: ACTIONS.RESTORE_LIST, payload: { listId: 'list-1' } };
+
+        const { operation } = resolveStep(deleted, restore);
+        expect(operation).toMatchObject({ type: OPERATION_TYPES.ADD_LIST, listId: 'list-1' });
+        expect(operation.payload.cards.map((card) => card.id)).toEqual(['card-1', 'card-2']);
+
+        const entry = createUndoEntry(deleted, restore);
+        expect(entry.label).toBe("Restored list 'To Do'");
+        expect(entry.undo).toEqual([{ type: 'DELETE_LIST', payload: { listId: 'list-1' } }]);
+    });
+
+    test('undoing a card edit restores only the edited fields', () => {
+        const action = {
+            type: ACTIONS.UPDATE_CARD,
+            payload: { listId: 'list-1', cardId: 'card-2', updates: { title: 'Edited' } },
+        };
+        const entry = createUndoEntry(board, action);
+
+        expect(entry.undo[0].payload.updates).toEqual({ title: 'Task 2' });
+    });
+
+    test('undo steps follow cards that moved after the change', () => {
+        const edit = {
+            type: ACTIONS.UPDATE_CARD,
+            payload: { listId: 'list-1', cardId: 'card-1', updates: { title: 'Edited' } },
+        };
+        const entry = createUndoEntry(board, edit);
+        const state = boardReducer(boardReducer(board, edit), {
+            type: ACTIONS.MOVE_CARD,
+            payload: {
+                sourceListId: 'list-1',
+                destinationListId: 'list-2',
+                cardId: 'card-1',
+                destinationIndex: 0,
+            },
+        });
+
+        const { action, operation } = resolveStep(state, entry.undo[0]);
+
+        expect(action.payload.listId).toBe('list-2');
+        expect(operation).toMatchObject({
+            type: OPERATION_TYPES.UPDATE_CARD,
+            listId: 'list-2',
+            cardId: 'card-1',
+            payload: { updates: { title: 'Fix login' } },
+        });
+    });
+
+    test('steps whose target no longer exists are skipped', () => {
+        const entry = createUndoEntry(board, {
+            type: ACTIONS.RENAME_LIST,
+            payload: { listId: 'list-2', title: 'Shipped' },
+        });
+        const state = boardReducer(board, {
+            type: ACTIONS.DELETE_LIST,
+            payload: { listId: 'list-2' },
+        });
+
+        expect(resolveStep(state, entry.undo[0])).toBeNull();
+    });
+
+    test('actions without a compensation are not recorded', () => {
+        expect(createUndoEntry(board, { type: ACTIONS.CLEAR_ERROR })).toBeNull();
+    });
+});
@@ -0,0 +1,30 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    getDueStatus,
+    toDateTimeInputValue,
+    fromDateTimeInputValue,
+    DUE_STATUS,
+    DUE_SOON_MS,
+} from '../dueDate';
+
+describe('due date helpers', () => {
+    const now = new Date(2030, 0, 15, 12, 0).getTime();
+
+    test.each([
+        ['overdue', now - 1, DUE_STATUS.OVERDUE],
+        ['due within a day', now + DUE_SOON_MS, DUE_STATUS.DUE_SOON],
+        ['further out', now + DUE_SOON_MS + 1, DUE_STATUS.UPCOMING],
+        ['unset', null, null],
+    ])('classifies %s', (_label, dueDate, expected) => {
+        expect(getDueStatus(dueDate, now)).toBe(expected);
+    });
+
+    test('round-trips through a datetime-local value', () => {
+        const value = toDateTimeInputValue(now);
+
+        expect(value).toBe('2030-01-15T12:00');
+        expect(fromDateTimeInputValue(value)).toBe(now);
+        expect(toDateTimeInputValue(null)).toBe('');
+        expect(fromDateTimeInputValue('')).toBeNull();
+    });
+});
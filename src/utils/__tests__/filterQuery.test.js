@@ -0,0 +1,160 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    parseFilterQuery,
+    parseDueValue,
+    removeFilterTerm,
+    toggleFilterTerm,
+    createFilterPredicate,
+} from '../filterQuery';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Noon, so day boundaries are half a day away either side
+const now = new Date(2026, 9, 19, 12, 0).getTime();
+
+const context = {
+    labels: [
+        { id: 'bug', name: 'Bug', color: '#b91c1c', aliases: ['defect'] },
+        { id: 'ui', name: 'UI polish', color: '#1d4ed8', aliases: [] },
+    ],
+    members: [
+        { id: 'me', name: 'Ada Lovelace' },
+        { id: 'grace', name: 'Grace Hopper' },
+    ],
+    currentUserId: 'me',
+    now,
+};
+
+const todo = { id: 'todo', title: 'To Do' };
+const done = { id: 'done', title: 'Done' };
+
+const cards = {
+    overdueBug: { id: 'c1', title: 'Crash on save', labelIds: ['bug'], assignees: ['me'], dueDate: now - DAY },
+    nextWeek: { id: 'c2', title: 'Polish header', labelIds: ['ui'], assignees: ['grace'], dueDate: now + 5 * DAY },
+    checklist: {
+        id: 'c3',
+        title: 'Release',
+        checklists: [{ id: 'k', title: 'Steps', items: [{ id: 'i', text: 'Tag', done: true }] }],
+    },
+    legacyLabel: { id: 'c4', title: 'Old report', labelIds: ['defect'], comments: [{ id: 'm', body: 'Seen on Safari' }] },
+};
+
+const matching = (query, list = todo) => {
+    const predicate = createFilterPredicate(parseFilterQuery(query).filters, context);
+    return Object.values(cards).filter((card) => predicate(card, list)).map((card) => card.id);
+};
+
+describe('Filter query parsing', () => {
+    test('splits keyed, negated, quoted and plain terms', () => {
+        const { filters, errors } = parseFilterQuery('tag:bug  -list:"In Progress" crash');
+
+        expect(errors).toEqual([]);
+        expect(filters.map(({ key, value, negated, raw }) => ({ key, value, negated, raw }))).toEqual([
+            { key: 'label', value: 'bug', negated: false, raw: 'tag:bug' },
+            { key: 'list', value: 'In Progress', negated: true, raw: '-list:"In Progress"' },
+            { key: 'text', value: 'crash', negated: false, raw: 'crash' },
+        ]);
+    });
+
+    test('keys are case-insensitive and label: is an alias of tag:', () => {
+        const { filters } = parseFilterQuery('Label:bug TAG:ui');
+        expect(filters.map((filter) => filter.key)).toEqual(['label', 'label']);
+    });
+
+    test('reports unknown keys, missing values, bad values and open quotes', () => {
+        const { filters, errors } = parseFilterQuery('owner:me tag: due:soon has:pony is:late list:"Done');
+
+        expect(filters).toEqual([]);
+        expect(errors.map((error) => error.raw)).toEqual([
+            'owner:me', 'tag:', 'due:soon', 'has:pony', 'is:late', 'list:"Done',
+        ]);
+        expect(errors[0].message).toMatch(/^Unknown filter "owner:"/);
+        expect(errors[1].message).toBe('tag: needs a value');
+        expect(errors[2].message).toMatch(/due:<7d/);
+        expect(errors[3].message).toMatch(/has:checklist/);
+        expect(errors[5].message).toBe('Missing closing quote');
+    });
+
+    test('terms with errors are left out while the rest still parse', () => {
+        const { filters, errors } = parseFilterQuery('tag:bug due:<');
+        expect(filters.map((filter) => filter.raw)).toEqual(['tag:bug']);
+        expect(errors).toHaveLength(1);
+    });
+
+    test('parseDueValue reads spans and calendar days', () => {
+        expect(parseDueValue('<7d')).toEqual({ operator: '<', offset: 7 * DAY });
+        expect(parseDueValue('>=2w')).toEqual({ operator: '>=', offset: 14 * DAY });
+        expect(parseDueValue('2026-11-01')).toEqual({ operator: '=', date: [2026, 11, 1] });
+        expect(parseDueValue('2026-02-31')).toBeNull();
+        expect(parseDueValue('7')).toBeNull();
+    });
+
+    test('removeFilterTerm drops one term and tidies the spaces', () => {
+        const query = 'tag:bug  -list:Done is:overdue';
+        const [, list] = parseFilterQuery(query).filters;
+        expect(removeFilterTerm(query, list)).toBe('tag:bug is:overdue');
+    });
+
+    test('toggleFilterTerm adds a missing term and removes a present one', () => {
+        expect(toggleFilterTerm('tag:bug', 'is:stale')).toBe('tag:bug is:stale');
+        expect(toggleFilterTerm('', 'is:stale')).toBe('is:stale');
+        expect(toggleFilterTerm('is:STALE tag:bug', 'is:stale')).toBe('tag:bug');
+        // A negated term is a different term
+        expect(toggleFilterTerm('-is:stale', 'is:stale')).toBe('-is:stale is:stale');
+    });
+});
+
+describe('Filter predicates', () => {
+    test('no filters means no predicate', () => {
+        expect(createFilterPredicate([], context)).toBeNull();
+    });
+
+    test('tag: matches label names, including ids merged into the label', () => {
+        expect(matching('tag:bug')).toEqual(['c1', 'c4']);
+        expect(matching('tag:"ui  polish"')).toEqual(['c2']);
+        expect(matching('tag:unknown')).toEqual([]);
+    });
+
+    test('assignee: takes me, a member name or a member id', () => {
+        expect(matching('assignee:me')).toEqual(['c1']);
+        expect(matching('assignee:"grace hopper"')).toEqual(['c2']);
+        expect(matching('assignee:grace')).toEqual(['c2']);
+    });
+
+    test('due: compares against spans from now and calendar days', () => {
+        expect(matching('due:<7d')).toEqual(['c1', 'c2']);
+        expect(matching('due:>2d')).toEqual(['c2']);
+        expect(matching('due:2026-10-18')).toEqual(['c1']);
+        expect(matching('due:>=2026-10-20')).toEqual(['c2']);
+        expect(matching('-due:<7d')).toEqual(['c3', 'c4']);
+    });
+
+    test('list: matches the card\'s list by title or id', () => {
+        expect(matching('list:done', done)).toHaveLength(4);
+        expect(matching('-list:Done', done)).toEqual([]);
+        expect(matching('-list:Done', todo)).toHaveLength(4);
+    });
+
+    test('has: and is: check card contents and due status', () => {
+        expect(matching('has:checklist')).toEqual(['c3']);
+        expect(matching('has:comment')).toEqual(['c4']);
+        expect(matching('has:assignee -has:due')).toEqual([]);
+        expect(matching('is:overdue')).toEqual(['c1']);
+        expect(matching('is:complete')).toEqual(['c3']);
+    });
+
+    test('is:stale uses the time in the list and its threshold', () => {
+        const list = { id: 'doing', title: 'Doing', staleDays: 5 };
+        const since = (days) => ({ transitions: [{ listId: 'doing', at: now - days * DAY }] });
+        const stale = createFilterPredicate(parseFilterQuery('is:stale').filters, context);
+
+        expect(stale(since(6), list)).toBe(true);
+        expect(stale(since(4), list)).toBe(false);
+        expect(stale(since(60), { ...list, staleDays: null })).toBe(false);
+    });
+
+    test('plain words match card text and every term has to match', () => {
+        expect(matching('safari')).toEqual(['c4']);
+        expect(matching('tag:bug -crash')).toEqual(['c4']);
+        expect(matching('tag:bug assignee:me due:<7d -list:Done is:overdue')).toEqual(['c1']);
+    });
+});
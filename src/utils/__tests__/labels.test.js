@@ -0,0 +1,52 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    createLabel,
+    createLabelFromTag,
+    findLabelByName,
+    getCardLabels,
+    resolveLabelIds,
+    mapCardLabelIds,
+    LABEL_COLORS,
+} from '../labels';
+
+describe('Label helpers', () => {
+    const labels = [
+        { id: 'bug', name: 'Bug', color: '#b91c1c', aliases: ['bugs', 'defect'] },
+        { id: 'ui', name: 'UI polish', color: '#1d4ed8', aliases: [] },
+    ];
+
+    test('createLabel trims the name and picks a palette color', () => {
+        const label = createLabel({ name: '  Needs   review ' });
+
+        expect(label).toMatchObject({ name: 'Needs review', description: '', aliases: [], version: 1 });
+        expect(LABEL_COLORS.map((color) => color.value)).toContain(label.color);
+    });
+
+    test('createLabelFromTag is deterministic and ignores case', () => {
+        expect(createLabelFromTag('Bug').id).toBe(createLabelFromTag(' bug').id);
+        expect(createLabelFromTag('Bug').id).not.toBe(createLabelFromTag('bugs').id);
+    });
+
+    test('findLabelByName ignores case and spacing', () => {
+        expect(findLabelByName(labels, 'ui  POLISH')).toBe(labels[1]);
+        expect(findLabelByName(labels, 'feature')).toBeUndefined();
+    });
+
+    test('resolveLabelIds follows aliases and drops unknown ids and duplicates', () => {
+        expect(resolveLabelIds(labels, ['bugs', 'ui', 'bug', 'gone', 'defect'])).toEqual(['bug', 'ui']);
+    });
+
+    test('getCardLabels returns label records', () => {
+        expect(getCardLabels(labels, ['ui', 'defect'])).toEqual([labels[1], labels[0]]);
+    });
+
+    test('mapCardLabelIds keeps untouched cards', () => {
+        const untouched = { id: 'c-1', labelIds: ['ui'] };
+        const cards = { 'list-1': [untouched, { id: 'c-2', labelIds: ['bugs'] }] };
+
+        const mapped = mapCardLabelIds(cards, (ids) => resolveLabelIds(labels, ids));
+
+        expect(mapped['list-1'][0]).toBe(untouched);
+        expect(mapped['list-1'][1].labelIds).toEqual(['bug']);
+    });
+});
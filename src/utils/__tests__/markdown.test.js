@@ -0,0 +1,62 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseInline, parseMarkdown } from '../markdown';
+
+describe('parseInline', () => {
+    test('parses bold, italic, code and links', () => {
+        expect(parseInline('a **b** *c* `d` [e](https://x.test)')).toEqual([
+            { type: 'text', value: 'a ', offset: 0 },
+            { type: 'strong', children: [{ type: 'text', value: 'b', offset: 4 }], offset: 2 },
+            { type: 'text', value: ' ', offset: 7 },
+            { type: 'em', children: [{ type: 'text', value: 'c', offset: 9 }], offset: 8 },
+            { type: 'text', value: ' ', offset: 11 },
+            { type: 'code', value: 'd', offset: 12 },
+            { type: 'text', value: ' ', offset: 15 },
+            {
+                type: 'link',
+                href: 'https://x.test',
+                children: [{ type: 'text', value: 'e', offset: 17 }],
+                offset: 16,
+            },
+        ]);
+    });
+
+    test('leaves unsafe links and HTML as text', () => {
+        expect(parseInline('[x](javascript:alert(1)) <b>hi</b>')).toEqual([
+            { type: 'text', value: '[x](javascript:alert(1)', offset: 0 },
+            { type: 'text', value: ') <b>hi</b>', offset: 23 },
+        ]);
+    });
+});
+
+describe('parseMarkdown', () => {
+    test('splits paragraphs and lists', () => {
+        const blocks = parseMarkdown('First line\nsecond line\n\n- one\n* two');
+
+        expect(blocks).toEqual([
+            {
+                type: 'paragraph',
+                offset: 0,
+                lines: [
+                    { offset: 0, nodes: [{ type: 'text', value: 'First line', offset: 0 }] },
+                    { offset: 11, nodes: [{ type: 'text', value: 'second line', offset: 11 }] },
+                ],
+            },
+            {
+                type: 'list',
+                offset: 24,
+                items: [
+                    { offset: 24, nodes: [{ type: 'text', value: 'one', offset: 26 }] },
+                    { offset: 30, nodes: [{ type: 'text', value: 'two', offset: 32 }] },
+                ],
+            },
+        ]);
+    });
+
+    test('splits blocks on lines holding only whitespace', () => {
+        expect(parseMarkdown('a\r\n  \r\n\r\nb').map((block) => block.offset)).toEqual([0, 6]);
+    });
+
+    test('returns no blocks for blank input', () => {
+        expect(parseMarkdown('  \n\n ')).toEqual([]);
+    });
+});
@@ -0,0 +1,63 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    AVATAR_COLORS,
+    createMember,
+    getCardAssignees,
+    getInitials,
+    mapCardAssignees,
+    resolveMemberIds,
+} from '../members';
+
+describe('Member helpers', () => {
+    const members = [
+        { id: 'ada', name: 'Ada Lovelace', initials: 'AL', color: '#1d4ed8' },
+        { id: 'alan', name: 'Alan Turing', initials: 'AT', color: '#15803d' },
+    ];
+
+    test.each([
+        ['Ada Lovelace', 'AL'],
+        ['  grace  brewster murray hopper ', 'GH'],
+        ['linus', 'LI'],
+        ['', '?'],
+    ])('getInitials(%p) is %p', (name, initials) => {
+        expect(getInitials(name)).toBe(initials);
+    });
+
+    test('createMember fills in initials and a palette color', () => {
+        const member = createMember({ name: ' Ada   Lovelace ', email: ' ada@example.com ' });
+
+        expect(member).toMatchObject({
+            name: 'Ada Lovelace',
+            initials: 'AL',
+            email: 'ada@example.com',
+            version: 1,
+        });
+        expect(AVATAR_COLORS.map((color) => color.value)).toContain(member.color);
+    });
+
+    test('createMember keeps a given id', () => {
+        expect(createMember({ id: 'user-1', name: 'Me' }).id).toBe('user-1');
+    });
+
+    test('resolveMemberIds drops unknown ids and duplicates', () => {
+        expect(resolveMemberIds(members, ['alan', 'gone', 'ada', 'alan'])).toEqual(['alan', 'ada']);
+    });
+
+    test('getCardAssignees returns member records in card order', () => {
+        expect(getCardAssignees(members, ['alan', 'ada'])).toEqual([members[1], members[0]]);
+        expect(getCardAssignees(members, undefined)).toEqual([]);
+    });
+
+    test('mapCardAssignees keeps untouched cards', () => {
+        const cards = {
+            'list-1': [{ id: 'card-1', assignees: ['ada'] }, { id: 'card-2', assignees: [] }],
+            'list-2': [{ id: 'card-3', assignees: [] }],
+        };
+
+        const mapped = mapCardAssignees(cards, (ids) => ids.filter((id) => id !== 'ada'));
+
+        expect(mapped['list-1'][0].assignees).toEqual([]);
+        expect(mapped['list-1'][1]).toBe(cards['list-1'][1]);
+        expect(mapped['list-2'][0]).toBe(cards['list-2'][0]);
+    });
+});
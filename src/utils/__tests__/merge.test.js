@@ -0,0 +1,513 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    threeWayMerge,
+    mergeById,
+    mergeComments,
+    mergeTransitions,
+    mergeBoardState,
+    mergeLabels,
+    mergeMembers,
+    mergeTrash,
+} from '../merge';
+
+describe('Checklist merging', () => {
+    const item = (id, text, done = false) => ({ id, text, done });
+
+    const baseCard = {
+        id: 'card-1',
+        title: 'Release',
+        version: 2,
+        checklists: [{
+            id: 'cl-1',
+            title: 'QA',
+            items: [item('i-1', 'Write tests'), item('i-2', 'Run e2e'), item('i-3', 'Sign off')],
+        }],
+    };
+
+    const withItems = (card, items, version) => ({
+        ...card,
+        version,
+        checklists: [{ ...card.checklists[0], items }],
+    });
+
+    test('edits to different items merge without conflicts', () => {
+        const [i1, i2, i3] = baseCard.checklists[0].items;
+        const local = withItems(baseCard, [{ ...i1, done: true }, i2, i3], 3);
+        const server = withItems(baseCard, [i1, { ...i2, text: 'Run e2e suite' }, i3], 4);
+
+        const { merged, conflicts } = threeWayMerge(baseCard, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged.checklists[0].items).toEqual([
+            { ...i1, done: true },
+            { ...i2, text: 'Run e2e suite' },
+            i3,
+        ]);
+    });
+
+    test('the same item field changed differently is a conflict', () => {
+        const [i1, i2, i3] = baseCard.checklists[0].items;
+        const local = withItems(baseCard, [{ ...i1, text: 'Write unit tests' }, i2, i3], 3);
+        const server = withItems(baseCard, [{ ...i1, text: 'Write e2e tests' }, i2, i3], 4);
+
+        const { conflicts } = threeWayMerge(baseCard, local, server);
+
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0]).toMatchObject({
+            field: 'checklist "QA" item "Write e2e tests" text',
+            local: 'Write unit tests',
+            server: 'Write e2e tests',
+        });
+    });
+
+    test('keeps additions from both sides and deletions from either', () => {
+        const [i1, i2, i3] = baseCard.checklists[0].items;
+        const local = withItems(baseCard, [i1, i2, i3, item('i-4', 'Tag release')], 3);
+        const server = withItems(baseCard, [i1, i3, item('i-5', 'Update changelog')], 4);
+
+        const { merged } = threeWayMerge(baseCard, local, server);
+
+        expect(merged.checklists[0].items.map((i) => i.id)).toEqual(['i-1', 'i-3', 'i-4', 'i-5']);
+    });
+
+    test('a reorder on one side is kept', () => {
+        const [i1, i2, i3] = baseCard.checklists[0].items;
+        const local = withItems(baseCard, [i3, i1, i2], 3);
+        const server = withItems(baseCard, [i1, { ...i2, done: true }, i3], 4);
+
+        const { merged } = threeWayMerge(baseCard, local, server);
+
+        expect(merged.checklists[0].items.map((i) => i.id)).toEqual(['i-3', 'i-1', 'i-2']);
+        expect(merged.checklists[0].items[2].done).toBe(true);
+    });
+});
+
+describe('mergeById', () => {
+    const pickServer = (_base, _local, server) => ({ merged: server, conflicts: [] });
+
+    test('inserts local additions after their neighbours', () => {
+        const base = [{ id: 'a' }, { id: 'b' }];
+        const local = [{ id: 'a' }, { id: 'x' }, { id: 'b' }];
+        const server = [{ id: 'a' }, { id: 'b' }, { id: 'y' }];
+
+        const { merged } = mergeById(base, local, server, pickServer);
+
+        expect(merged.map((i) => i.id)).toEqual(['a', 'x', 'b', 'y']);
+    });
+
+    // These collections have no tombstones, so deletes are read against the base
+    test('an item missing on one side is deleted only if the base has it', () => {
+        const local = [{ id: 'a' }];
+        const server = [{ id: 'b' }];
+
+        expect(mergeById([], local, server, pickServer).merged.map((i) => i.id)).toEqual(['a', 'b']);
+        expect(mergeById([{ id: 'a' }, { id: 'b' }], local, server, pickServer).merged).toEqual([]);
+    });
+});
+
+describe('Comment merging', () => {
+    const comment = (id, createdAt, extra = {}) => ({
+        id,
+        authorId: 'u-1',
+        author: 'Ann',
+        body: `Comment ${id}`,
+        createdAt,
+        editedAt: null,
+        edited: false,
+        ...extra,
+    });
+
+    const baseCard = { id: 'card-1', title: 'Release', version: 2, comments: [comment('c-1', 100)] };
+
+    test('comments added offline on both sides are all kept, oldest first', () => {
+        const local = { ...baseCard, comments: [...baseCard.comments, comment('c-3', 300)] };
+        const server = { ...baseCard, comments: [...baseCard.comments, comment('c-2', 200)] };
+
+        const { merged, conflicts } = threeWayMerge(baseCard, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged.comments.map((c) => c.id)).toEqual(['c-1', 'c-2', 'c-3']);
+    });
+
+    test('comments are merged even when the card versions match', () => {
+        const local = { ...baseCard, comments: [...baseCard.comments, comment('c-2', 200)] };
+        const server = { ...baseCard, comments: [...baseCard.comments, comment('c-3', 300)] };
+
+        const { merged } = threeWayMerge(baseCard, local, server);
+
+        expect(merged.comments.map((c) => c.id)).toEqual(['c-1', 'c-2', 'c-3']);
+    });
+
+    test('the later of two edits wins and deletions stick', () => {
+        const base = [comment('c-1', 100), comment('c-2', 200)];
+        const local = [comment('c-1', 100, { body: 'Local', edited: true, editedAt: 500 })];
+        const server = [
+            comment('c-1', 100, { body: 'Server', edited: true, editedAt: 400 }),
+            comment('c-2', 200),
+        ];
+
+        const { merged, conflicts } = mergeComments(base, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual([local[0]]);
+    });
+
+    test('conflicting card copies both carry the merged comments', () => {
+        const base = { lists: [{ id: 'list-1', version: 1 }], cards: { 'list-1': [baseCard] } };
+        const localCard = {
+            ...baseCard,
+            title: 'Local',
+            version: 3,
+            comments: [...baseCard.comments, comment('c-2', 200)],
+        };
+        const serverCard = { ...baseCard, title: 'Server', version: 4 };
+        const local = { ...base, cards: { 'list-1': [localCard] } };
+        const server = { ...base, cards: { 'list-1': [serverCard] } };
+
+        const { merged, conflicts } = mergeBoardState(base, local, server);
+
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].server.comments.map((c) => c.id)).toEqual(['c-1', 'c-2']);
+        expect(merged.cards['list-1'][0].comments.map((c) => c.id)).toEqual(['c-1', 'c-2']);
+    });
+});
+
+describe('Transition merging', () => {
+    const created = { listId: 'todo', at: 100 };
+
+    test('list entries from both sides are kept once each, oldest first', () => {
+        const local = [created, { listId: 'doing', at: 300 }];
+        const server = [created, { listId: 'review', at: 200 }];
+
+        expect(mergeTransitions(local, server)).toEqual([created, { listId: 'review', at: 200 }, { listId: 'doing', at: 300 }]);
+        expect(mergeTransitions(undefined, server)).toEqual(server);
+    });
+
+    test('a newer server card keeps the moves recorded locally', () => {
+        const base = { id: 'card-1', title: 'Task', version: 1, transitions: [created] };
+        const local = { ...base, transitions: [created, { listId: 'doing', at: 300 }] };
+        const server = { ...base, title: 'Renamed', version: 2 };
+
+        const { merged } = threeWayMerge(base, local, server);
+
+        expect(merged.title).toBe('Renamed');
+        expect(merged.transitions).toEqual(local.transitions);
+    });
+});
+
+describe('Label merging', () => {
+    const label = (id, name, extra = {}) => ({ id, name, color: '#1d4ed8', aliases: [], ...extra });
+
+    test('labels added on both sides are kept and edits merge per field', () => {
+        const base = [label('bug', 'Bug')];
+        const local = [label('bug', 'Bug', { color: '#b91c1c' }), label('ui', 'UI')];
+        const server = [label('bug', 'Bugs'), label('docs', 'Docs')];
+
+        const { merged, conflicts } = mergeLabels(base, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual([
+            label('bug', 'Bugs', { color: '#b91c1c' }),
+            label('ui', 'UI'),
+            label('docs', 'Docs'),
+        ]);
+    });
+
+    test('renaming a label differently on both sides is a label conflict', () => {
+        const { conflicts } = mergeLabels(
+            [label('bug', 'Bug')],
+            [label('bug', 'Defect')],
+            [label('bug', 'Issue')]
+        );
+
+        expect(conflicts).toEqual([
+            expect.objectContaining({
+                type: 'label',
+                id: 'bug',
+                conflicts: [{ field: 'name', base: 'Bug', local: 'Defect', server: 'Issue' }],
+            }),
+        ]);
+    });
+
+    test('cards follow a label merged on the server and drop deleted labels', () => {
+        const card = { id: 'card-1', title: 'Task', version: 1, labelIds: ['bugs', 'wip'] };
+        const base = {
+            lists: [{ id: 'list-1', version: 1 }],
+            cards: { 'list-1': [card] },
+            labels: [label('bug', 'Bug'), label('bugs', 'bugs'), label('wip', 'WIP')],
+        };
+        // Locally the WIP label was deleted; on the server "bugs" was merged into "Bug"
+        const local = {
+            ...base,
+            cards: { 'list-1': [{ ...card, labelIds: ['bugs'] }] },
+            labels: [label('bug', 'Bug'), label('bugs', 'bugs')],
+        };
+        const server = {
+            ...base,
+            cards: { 'list-1': [{ ...card, labelIds: ['bug', 'wip'] }] },
+            labels: [label('bug', 'Bug', { aliases: ['bugs'] }), label('wip', 'WIP')],
+        };
+
+        const { merged, conflicts } = mergeBoardState(base, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged.labels.map((l) => l.id)).toEqual(['bug']);
+        expect(merged.cards['list-1'][0].labelIds).toEqual(['bug']);
+    });
+});
+
+describe('Member merging', () => {
+    const member = (id, name, extra = {}) => ({ id, name, initials: 'XX', color: '#1d4ed8', email: '', ...extra });
+
+    test('members edited on both sides merge per field', () => {
+        const { merged, conflicts } = mergeMembers(
+            [member('ada', 'Ada')],
+            [member('ada', 'Ada', { email: 'ada@example.com' }), member('alan', 'Alan')],
+            [member('ada', 'Ada L.')]
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual([
+            member('ada', 'Ada L.', { email: 'ada@example.com' }),
+            member('alan', 'Alan'),
+        ]);
+    });
+
+    test('assignees of a member removed on the server are dropped', () => {
+        const card = { id: 'card-1', title: 'Task', version: 1, assignees: ['ada'] };
+        const base = {
+            lists: [{ id: 'list-1', version: 1 }],
+            cards: { 'list-1': [card] },
+            members: [member('ada', 'Ada'), member('alan', 'Alan')],
+        };
+        // Alan was assigned offline while Ada was removed from the board
+        const local = { ...base, cards: { 'list-1': [{ ...card, version: 2, assignees: ['ada', 'alan'] }] } };
+        const server = { ...base, members: [member('alan', 'Alan')] };
+
+        const { merged, conflicts } = mergeBoardState(base, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(merged.members.map((m) => m.id)).toEqual(['alan']);
+        expect(merged.cards['list-1'][0].assignees).toEqual(['alan']);
+    });
+});
+
+describe('List WIP limit merging', () => {
+    test('a limit set offline merges with a rename on the server', () => {
+        const list = { id: 'list-1', title: 'Doing', wipLimit: null, wipMode: 'off', version: 1 };
+        const board = (lists) => ({ lists, cards: { 'list-1': [] } });
+
+        const { merged, conflicts } = mergeBoardState(
+            board([list]),
+            board([{ ...list, wipLimit: 3, wipMode: 'block', version: 2 }]),
+            board([{ ...list, title: 'In progress', version: 3 }])
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(merged.lists[0]).toMatchObject({ title: 'In progress', wipLimit: 3, wipMode: 'block' });
+    });
+});
+
+describe('Position key merging', () => {
+    const list = (id, position, extra = {}) => ({ id, title: id, position, version: 1, ...extra });
+    const board = (lists, cards = {}) => ({ lists, cards });
+    const ids = (items) => items.map((item) => item.id);
+    const base = board([list('a', 'a0'), list('b', 'a1'), list('c', 'a2'), list('d', 'a3')]);
+
+    test('moves of different lists on both sides all survive', () => {
+        const { merged, conflicts } = mergeBoardState(
+            base,
+            board([list('d', 'Zz'), list('a', 'a0'), list('b', 'a1'), list('c', 'a2')]),
+            board([list('b', 'a1'), list('c', 'a2'), list('d', 'a3'), list('a', 'a4')])
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(ids(merged.lists)).toEqual(['d', 'b', 'c', 'a']);
+    });
+
+    test('a list moved on both sides takes the server key, and edits still merge', () => {
+        const { merged, conflicts } = mergeBoardState(
+            base,
+            board([list('a', 'a0'), list('b', 'a1'), list('d', 'a1V'), list('c', 'a2')]),
+            board([list('d', 'Zz', { title: 'Done', version: 2 }), list('a', 'a0'), list('b', 'a1'), list('c', 'a2')])
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(ids(merged.lists)).toEqual(['d', 'a', 'b', 'c']);
+        expect(merged.lists[0]).toMatchObject({ title: 'Done', position: 'Zz' });
+    });
+
+    test('a list added on one side lands by its key next to lists reordered on the other', () => {
+        const { merged } = mergeBoardState(
+            base,
+            board([...base.lists.slice(0, 2), list('e', 'a1V'), ...base.lists.slice(2)]),
+            board([list('c', 'Zz'), list('a', 'a0'), list('b', 'a1'), list('d', 'a3')])
+        );
+
+        expect(ids(merged.lists)).toEqual(['c', 'a', 'b', 'e', 'd']);
+    });
+
+    test('cards are ordered by their merged keys', () => {
+        const card = (id, position, extra = {}) => ({ id, title: id, position, version: 1, ...extra });
+        const lists = [list('a', 'a0')];
+        const cards = [card('x', 'a0'), card('y', 'a1'), card('z', 'a2')];
+        const { merged, conflicts } = mergeBoardState(
+            board(lists, { a: cards }),
+            // Local moves 'z' to the top; the server edits 'y' and moves 'x' down
+            board(lists, { a: [card('z', 'Zz'), cards[0], cards[1]] }),
+            board(lists, { a: [card('y', 'a1', { title: 'Why', version: 2 }), cards[2], card('x', 'a3')] })
+        );
+
+        expect(conflicts).toEqual([]);
+        expect(ids(merged.cards.a)).toEqual(['z', 'y', 'x']);
+        expect(merged.cards.a[1].title).toBe('Why');
+    });
+});
+
+describe('Deletion tombstones', () => {
+    const list = (id, extra = {}) => ({ id, title: id, position: id === 'list-1' ? 'a0' : 'a1', version: 1, ...extra });
+    const card = (id, extra = {}) => ({ id, title: id, position: 'a0', version: 1, ...extra });
+    const tombstone = (id, version = 1, deletedAt = Date.now()) =>
+        ({ kind: 'card', id, listId: 'list-1', item: card(id), version, deletedAt });
+    const board = (cards, trash = [], extraCards = {}) => ({
+        lists: [list('list-1'), list('list-2')],
+        cards: { 'list-1': cards, 'list-2': [], ...extraCards },
+        trash,
+    });
+    const cardIds = (merged) => Object.fromEntries(
+        Object.entries(merged.cards).map(([listId, cards]) => [listId, cards.map((c) => c.id)])
+    );
+
+    test('of two entries for an item the higher deleted-at version is kept', () => {
+        const trash = mergeTrash([tombstone('a', 2, 100)], [tombstone('a', 1, 300), tombstone('b', 1, 100)]);
+
+        expect([...trash.values()].map((entry) => [entry.id, entry.version])).toEqual([['a', 2], ['b', 1]]);
+    });
+
+    test('a card deleted on the server is dropped even when the base never had it', () => {
+        const { merged } = mergeBoardState(board([]), board([card('a')]), board([], [tombstone('a')]));
+
+        expect(cardIds(merged)['list-1']).toEqual([]);
+        expect(merged.trash.map((entry) => entry.id)).toEqual(['a']);
+    });
+
+    test('a card missing on one side without a tombstone was added there, whatever the base says', () => {
+        // A stale base that already had both cards used to read them as deleted
+        const base = board([card('a'), card('b')]);
+
+        const { merged } = mergeBoardState(base, board([card('a')]), board([card('b')]));
+
+        expect(cardIds(merged)['list-1']).toEqual(['a', 'b']);
+    });
+
+    test('a card restored or edited after the delete survives and clears its entry', () => {
+        const { merged } = mergeBoardState(
+            board([card('a')]),
+            board([card('a', { version: 2 })]),
+            board([], [tombstone('a', 1)])
+        );
+
+        expect(cardIds(merged)['list-1']).toEqual(['a']);
+        expect(merged.trash).toEqual([]);
+    });
+
+    test('an add and a delete race to the same result whichever side made them', () => {
+        const deleted = board([], [tombstone('a', 2)]);
+        const edited = board([card('a', { version: 2 })]);
+        const restored = board([card('a', { version: 3 })]);
+
+        [[deleted, edited], [edited, deleted]].forEach(([local, server]) => {
+            expect(cardIds(mergeBoardState(null, local, server).merged)['list-1']).toEqual([]);
+        });
+        [[deleted, restored], [restored, deleted]].forEach(([local, server]) => {
+            expect(cardIds(mergeBoardState(null, local, server).merged)['list-1']).toEqual(['a']);
+        });
+    });
+
+    test('a card moved to another list on one side is neither lost nor duplicated', () => {
+        const base = board([card('a'), card('b')]);
+        const local = board([card('b')], [], { 'list-2': [card('a', { position: 'a5' })] });
+        const server = board([card('a'), card('b', { version: 2, title: 'Renamed' })]);
+
+        const { merged, conflicts } = mergeBoardState(base, local, server);
+
+        expect(conflicts).toEqual([]);
+        expect(cardIds(merged)).toEqual({ 'list-1': ['b'], 'list-2': ['a'] });
+        expect(merged.cards['list-2'][0].position).toBe('a5');
+        expect(merged.cards['list-1'][0].title).toBe('Renamed');
+    });
+
+    describe('a card sent into a list deleted on the other side', () => {
+        const listTombstone = (cards = []) =>
+            ({ kind: 'list', id: 'list-2', item: list('list-2'), cards, version: 1, deletedAt: Date.now() });
+        const withoutList2 = (cards, trash = []) => ({
+            lists: [list('list-1')],
+            cards: { 'list-1': cards },
+            trash,
+        });
+
+        test('goes to the trash with the list when it was added there, and is reported', () => {
+            const local = board([], [], { 'list-2': [card('new')] });
+            const server = withoutList2([], [listTombstone()]);
+
+            [[local, server], [server, local]].forEach(([one, other]) => {
+                const { merged, conflicts } = mergeBoardState(null, one, other);
+
+                expect(cardIds(merged)).toEqual({ 'list-1': [] });
+                expect(merged.trash.find((entry) => entry.id === 'list-2').cards.map((c) => c.id)).toEqual(['new']);
+                expect(conflicts).toEqual([expect.objectContaining({
+                    type: 'card',
+                    id: 'new',
+                    listId: null,
+                    conflicts: [expect.objectContaining({ field: 'list' })],
+                })]);
+            });
+            expect(mergeBoardState(null, local, server).conflicts[0].conflicts[0]).toMatchObject({
+                local: 'list-2 (deleted)',
+                server: null,
+            });
+        });
+
+        test('stays where the other side has it when it was moved there, and is reported', () => {
+            const base = board([card('a')]);
+            const local = board([], [], { 'list-2': [card('a', { position: 'a3' })] });
+            const server = withoutList2([card('a')], [listTombstone()]);
+
+            const { merged, conflicts } = mergeBoardState(base, local, server);
+
+            expect(cardIds(merged)).toEqual({ 'list-1': ['a'] });
+            expect(merged.cards['list-1'][0].position).toBe('a0');
+            expect(conflicts).toEqual([expect.objectContaining({ type: 'card', id: 'a', listId: 'list-1' })]);
+            expect(conflicts[0].conflicts).toEqual([
+                { field: 'list', base: 'list-1', local: 'list-2 (deleted)', server: 'list-1' },
+            ]);
+        });
+
+        test('is not reported when it was in the list when it was deleted', () => {
+            const local = board([], [], { 'list-2': [card('a', { version: 2, title: 'Edited' })] });
+            const server = withoutList2([], [listTombstone([card('a')])]);
+
+            const { merged, conflicts } = mergeBoardState(local, local, server);
+
+            expect(conflicts).toEqual([]);
+            // The edit goes to the trash with the list
+            expect(merged.trash[0].cards).toEqual([card('a', { version: 2, title: 'Edited' })]);
+        });
+    });
+
+    test('cards of a list deleted on either side go with it', () => {
+        const { merged, conflicts } = mergeBoardState(
+            board([card('a')]),
+            board([card('a')]),
+            {
+                lists: [list('list-2')],
+                cards: { 'list-2': [] },
+                trash: [{ kind: 'list', id: 'list-1', item: list('list-1'), cards: [card('a')], version: 1, deletedAt: Date.now() }],
+            }
+        );
+
+        expect(merged.lists.map((l) => l.id)).toEqual(['list-2']);
+        expect(cardIds(merged)).toEqual({ 'list-2': [] });
+        expect(conflicts).toEqual([]);
+    });
+});
@@ -0,0 +1,130 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    keyBetween,
+    keysBetween,
+    sortByPosition,
+    withPositions,
+    positionForIndex,
+    placeAtIndex,
+    withRebalanced,
+    placeByPosition,
+} from '../positionKeys';
+
+describe('Position keys', () => {
+    test('keyBetween generates keys that sort between their neighbours', () => {
+        expect(keyBetween(null, null)).toBe('a0');
+        expect(keyBetween('a0', null)).toBe('a1');
+        expect(keyBetween(null, 'a0')).toBe('Zz');
+        expect(keyBetween('a0', 'a1')).toBe('a0V');
+
+        const middle = keyBetween('a0V', 'a1');
+        expect(middle > 'a0V' && middle < 'a1').toBe(true);
+    });
+
+    test('keys stay ordered through repeated inserts at one spot', () => {
+        let before = 'a0';
+        const after = 'a1';
+        for (let i = 0; i < 50; i++) {
+            const key = keyBetween(before, after);
+            expect(key > before && key < after).toBe(true);
+            before = key;
+        }
+    });
+
+    test('appending grows the integer part, keeping keys short', () => {
+        const keys = keysBetween(null, null, 100);
+        expect([...keys].sort()).toEqual(keys);
+        expect(new Set(keys).size).toBe(100);
+        expect(keys[99].length).toBeLessThanOrEqual(3);
+    });
+
+    test('keysBetween fills a gap with ascending keys', () => {
+        const keys = keysBetween('a0', 'a1', 5);
+        expect(keys).toHaveLength(5);
+        expect([...keys].sort()).toEqual(keys);
+        expect(keys[0] > 'a0' && keys[4] < 'a1').toBe(true);
+    });
+
+    test('keyBetween rejects keys in the wrong order and malformed keys', () => {
+        expect(() => keyBetween('a1', 'a0')).toThrow('is not before');
+        expect(() => keyBetween('a0', 'a0')).toThrow('is not before');
+        expect(() => keyBetween('a00', null)).toThrow('Invalid position key');
+        expect(() => keyBetween('!', null)).toThrow('Invalid position key head');
+    });
+
+    test('sortByPosition orders by key, then id, and keeps sorted arrays', () => {
+        const sorted = [{ id: 'x', position: 'a0' }, { id: 'y', position: 'a1' }];
+        expect(sortByPosition(sorted)).toBe(sorted);
+
+        const tied = [
+            { id: 'b', position: 'a1' },
+            { id: 'c', position: 'a0' },
+            { id: 'a', position: 'a1' },
+        ];
+        expect(sortByPosition(tied).map((item) => item.id)).toEqual(['c', 'a', 'b']);
+    });
+
+    test('withPositions keys items in their current order only when keys are missing', () => {
+        const keyed = [{ id: 'a', position: 'a5' }];
+        expect(withPositions(keyed)).toBe(keyed);
+
+        const items = withPositions([{ id: 'a' }, { id: 'b', position: 'a0' }, { id: 'c' }]);
+        expect(items.map((item) => item.position)).toEqual(['a0', 'a1', 'a2']);
+    });
+
+    test('positionForIndex places an item without touching the others', () => {
+        const items = [
+            { id: 'a', position: 'a0' },
+            { id: 'b', position: 'a1' },
+            { id: 'c', position: 'a2' },
+        ];
+        expect(positionForIndex(items, 0)).toBe('Zz');
+        expect(positionForIndex(items, 3)).toBe('a3');
+
+        // Moving 'a' to the end counts the index without 'a' itself
+        const key = positionForIndex(items, 2, 'a');
+        expect(key > 'a2').toBe(true);
+
+        const between = positionForIndex(items, 1, 'c');
+        expect(between > 'a0' && between < 'a1').toBe(true);
+    });
+
+    test('positionForIndex finds room past tied keys', () => {
+        const items = [
+            { id: 'a', position: 'a0' },
+            { id: 'b', position: 'a0' },
+            { id: 'c', position: 'a1' },
+        ];
+        const key = positionForIndex(items, 1);
+        expect(key > 'a0' && key < 'a1').toBe(true);
+    });
+
+    test('placeAtIndex lands between tied keys by giving the rest of the tie new keys', () => {
+        const items = [
+            { id: 'a', position: 'a0' },
+            { id: 'b', position: 'a0' },
+            { id: 'c', position: 'a0' },
+            { id: 'd', position: 'a1' },
+        ];
+
+        const { position, rebalanced } = placeAtIndex(items, 1);
+        expect(rebalanced.map((entry) => entry.id)).toEqual(['b', 'c']);
+
+        const placed = placeByPosition(withRebalanced(items, rebalanced), { id: 'x', position });
+        expect(placed.map((item) => item.id)).toEqual(['a', 'x', 'b', 'c', 'd']);
+        expect(placed[4].position).toBe('a1');
+        expect(new Set(placed.map((item) => item.position)).size).toBe(5);
+
+        expect(placeAtIndex(items, 3).rebalanced).toEqual([]);
+    });
+
+    test('placeByPosition inserts by key and replaces the old copy', () => {
+        const items = [
+            { id: 'a', position: 'a0' },
+            { id: 'b', position: 'a1' },
+        ];
+        const placed = placeByPosition(items, { id: 'a', position: 'a2' });
+        expect(placed.map((item) => item.id)).toEqual(['b', 'a']);
+        expect(items.map((item) => item.id)).toEqual(['a', 'b']);
+    });
+});
@@ -0,0 +1,242 @@
+import { describe, test, expect } from '@jest/globals';
+import { migrateBoard, SCHEMA_VERSION, SchemaError } from '../schema';
+
+describe('Board schema migrations', () => {
+    test('upgrades an unversioned board step by step', () => {
+        const legacy = {
+            lists: [{ id: 'list-1', name: 'Backlog' }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'Old card' }] },
+        };
+
+        const board = migrateBoard(legacy);
+
+        expect(board.schemaVersion).toBe(SCHEMA_VERSION);
+        expect(board.lists[0]).toMatchObject({
+            id: 'list-1',
+            title: 'Backlog',
+            archived: false,
+            version: 1,
+        });
+        expect(board.lists[0].lastModifiedAt).toBeDefined();
+        expect(board.cards['list-1'][0]).toMatchObject({
+            id: 'card-1',
+            description: '',
+            labelIds: [],
+            version: 1,
+        });
+    });
+
+    test('keeps existing field values', () => {
+        const legacy = {
+            lists: [{ id: 'list-1', title: 'To Do', version: 4, lastModifiedAt: 10 }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'Task', tags: ['bug'], version: 2 }] },
+        };
+
+        const board = migrateBoard(legacy);
+
+        expect(board.lists[0]).toMatchObject({ title: 'To Do', version: 4, lastModifiedAt: 10 });
+        expect(board.cards['list-1'][0]).toMatchObject({
+            labelIds: [board.labels[0].id],
+            version: 2,
+        });
+        expect(board.labels[0].name).toBe('bug');
+    });
+
+    test('v2 adds an empty due date to cards', () => {
+        const v1 = {
+            schemaVersion: 1,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: {
+                'list-1': [
+                    { id: 'card-1', title: 'Task' },
+                    { id: 'card-2', title: 'Dated', dueDate: 1700000000000 },
+                ],
+            },
+        };
+
+        const board = migrateBoard(v1);
+
+        expect(board.cards['list-1'][0].dueDate).toBeNull();
+        expect(board.cards['list-1'][1].dueDate).toBe(1700000000000);
+    });
+
+    test('v3 adds empty checklists to cards', () => {
+        const v2 = {
+            schemaVersion: 2,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'Task', dueDate: null }] },
+        };
+
+        expect(migrateBoard(v2).cards['list-1'][0].checklists).toEqual([]);
+    });
+
+    test('v4 adds empty comment threads to cards', () => {
+        const v3 = {
+            schemaVersion: 3,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'Task', dueDate: null, checklists: [] }] },
+        };
+
+        expect(migrateBoard(v3).cards['list-1'][0].comments).toEqual([]);
+    });
+
+    test('v5 moves tags into the label registry', () => {
+        const v4 = {
+            schemaVersion: 4,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: {
+                'list-1': [
+                    { id: 'card-1', title: 'A', tags: ['Bug', 'ui'] },
+                    { id: 'card-2', title: 'B', tags: [' bug ', 'bugs'] },
+                ],
+            },
+        };
+
+        const board = migrateBoard(v4);
+        const [first, second] = board.cards['list-1'];
+
+        expect(board.labels.map((label) => label.name)).toEqual(['Bug', 'ui', 'bugs']);
+        expect(first.labelIds).toEqual([board.labels[0].id, board.labels[1].id]);
+        expect(second.labelIds).toEqual([board.labels[0].id, board.labels[2].id]);
+        expect(first).not.toHaveProperty('tags');
+        // Ids and colors are derived from the name, so every device agrees
+        expect(migrateBoard(v4).labels).toEqual(
+            board.labels.map((label) => expect.objectContaining({ id: label.id, color: label.color }))
+        );
+    });
+
+    test('v6 adds assignees and an empty member roster', () => {
+        const v5 = {
+            schemaVersion: 5,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'A', labelIds: [] }] },
+            labels: [],
+        };
+
+        const board = migrateBoard(v5);
+
+        expect(board.members).toEqual([]);
+        expect(board.cards['list-1'][0].assignees).toEqual([]);
+    });
+
+    test('v7 turns WIP limits off on existing lists', () => {
+        const v6 = {
+            schemaVersion: 6,
+            lists: [{ id: 'list-1', title: 'To Do' }],
+            cards: { 'list-1': [] },
+            labels: [],
+            members: [],
+        };
+
+        expect(migrateBoard(v6).lists[0]).toMatchObject({ wipLimit: null, wipMode: 'off' });
+    });
+
+    test('v8 gives lists and cards position keys in their current order', () => {
+        const v7 = {
+            schemaVersion: 7,
+            lists: [
+                { id: 'list-2', title: 'Done', order: 0 },
+                { id: 'list-1', title: 'To Do', order: 1 },
+            ],
+            cards: { 'list-1': [{ id: 'card-2' }, { id: 'card-1' }], 'list-2': [] },
+            labels: [],
+            members: [],
+        };
+
+        const board = migrateBoard(v7);
+
+        expect(board.lists.map((list) => list.position)).toEqual(['a0', 'a1']);
+        expect(board.lists[0].order).toBeUndefined();
+        expect(board.cards['list-1'].map((card) => card.position)).toEqual(['a0', 'a1']);
+    });
+
+    test('v9 leaves cards without a start date', () => {
+        const v8 = {
+            schemaVersion: 8,
+            lists: [{ id: 'list-1', title: 'To Do', position: 'a0' }],
+            cards: { 'list-1': [{ id: 'card-1', position: 'a0', dueDate: 1700000000000 }] },
+            labels: [],
+            members: [],
+        };
+
+        expect(migrateBoard(v8).cards['list-1'][0]).toMatchObject({ startDate: null, dueDate: 1700000000000 });
+    });
+
+    test('v10 starts card transitions with the list each card is in', () => {
+        const v9 = {
+            schemaVersion: 9,
+            lists: [{ id: 'list-1', title: 'To Do', position: 'a0' }],
+            cards: { 'list-1': [{ id: 'card-1', position: 'a0', createdAt: 1700000000000 }] },
+            labels: [],
+            members: [],
+        };
+
+        expect(migrateBoard(v9).cards['list-1'][0].transitions).toEqual([
+            { listId: 'list-1', at: 1700000000000 },
+        ]);
+    });
+
+    test('v11 gives lists the default card aging thresholds', () => {
+        const v10 = {
+            schemaVersion: 10,
+            lists: [
+                { id: 'list-1', title: 'To Do', position: 'a0' },
+                { id: 'list-2', title: 'Done', position: 'a1', staleDays: null },
+            ],
+            cards: {},
+            labels: [],
+            members: [],
+        };
+
+        const { lists } = migrateBoard(v10);
+        expect(lists[0]).toMatchObject({ agingDays: 3, staleDays: 7 });
+        expect(lists[1]).toMatchObject({ agingDays: 3, staleDays: null });
+    });
+
+    test('v12 adds an empty trash and unarchived cards', () => {
+        const v11 = {
+            schemaVersion: 11,
+            lists: [{ id: 'list-1', title: 'To Do', position: 'a0' }],
+            cards: { 'list-1': [{ id: 'card-1', title: 'Task', position: 'a0' }] },
+            labels: [],
+            members: [],
+        };
+
+        const board = migrateBoard(v11);
+        expect(board.trash).toEqual([]);
+        expect(board.cards['list-1'][0].archived).toBe(false);
+    });
+
+    test('v13 records the deleted-at version on trash entries', () => {
+        const v12 = {
+            schemaVersion: 12,
+            lists: [],
+            cards: {},
+            labels: [],
+            members: [],
+            trash: [
+                { kind: 'card', id: 'card-1', listId: 'list-1', item: { id: 'card-1', version: 4 }, deletedAt: 1 },
+                { kind: 'list', id: 'list-2', item: { id: 'list-2' }, cards: [], deletedAt: 2 },
+            ],
+        };
+
+        const { trash } = migrateBoard(v12);
+        expect(trash.map((entry) => entry.version)).toEqual([4, 1]);
+    });
+
+    test('returns current boards untouched', () => {
+        const current = { schemaVersion: SCHEMA_VERSION, lists: [], cards: {} };
+
+        expect(migrateBoard(current)).toBe(current);
+    });
+
+    test.each([
+        ['not an object', 'corrupt'],
+        ['missing lists', { cards: {} }],
+        ['list without id', { lists: [{ title: 'x' }] }],
+        ['cards not arrays', { lists: [], cards: { a: 'x' } }],
+        ['newer schema', { schemaVersion: SCHEMA_VERSION + 1, lists: [] }],
+    ])('rejects %s', (_label, data) => {
+        expect(() => migrateBoard(data)).toThrow(SchemaError);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import {
+    parseSearchTerms,
+    buildSearchIndex,
+    updateSearchIndex,
+    searchCards,
+    getMatchedFields,
+    splitMatches,
+} from '../search';
+import { boardReducer, initialState, ACTIONS } from '../../context/boardReducer';
+
+describe('Card search', () => {
+    let state;
+
+    beforeEach(() => {
+        const board = {
+            labels: [
+                { id: 'bug', name: 'Bug', color: '#b91c1c', aliases: [] },
+                { id: 'ui', name: 'UI polish', color: '#1d4ed8', aliases: [] },
+            ],
+            lists: [
+                { id: 'todo', title: 'To Do', archived: false },
+                { id: 'done', title: 'Done', archived: false },
+            ],
+            cards: {
+                todo: [
+                    { id: 'c1', title: 'Fix login page', description: 'Button overlaps', labelIds: ['bug'] },
+                    { id: 'c2', title: 'Write docs', comments: [{ id: 'm1', body: 'Cover the login flow' }] },
+                ],
+                done: [{ id: 'c3', title: 'Set up CI', labelIds: ['ui'] }],
+            },
+        };
+        state = { ...initialState, ...board, searchIndex: buildSearchIndex(board) };
+    });
+
+    const matchIds = (index, query) => {
+        const results = searchCards(index, query);
+        return [...results.byList.values()].flatMap((ids) => [...ids]).sort();
+    };
+
+    test('parseSearchTerms lowercases words and keeps quoted phrases together', () => {
+        expect(parseSearchTerms('  Login "Page Fix"  login ')).toEqual(['login', 'page fix']);
+        expect(parseSearchTerms('')).toEqual([]);
+    });
+
+    test('matches title, description, label names and comments', () => {
+        expect(matchIds(state.searchIndex, 'login')).toEqual(['c1', 'c2']);
+        expect(matchIds(state.searchIndex, 'overlaps')).toEqual(['c1']);
+        expect(matchIds(state.searchIndex, 'polish')).toEqual(['c3']);
+        expect(matchIds(state.searchIndex, '"login flow"')).toEqual(['c2']);
+    });
+
+    test('every term has to match, and results are grouped by list', () => {
+        const results = searchCards(state.searchIndex, 'login bug');
+
+        expect(results.total).toBe(1);
+        expect(results.byList.get('todo')).toEqual(new Set(['c1']));
+        expect(results.byList.has('done')).toBe(false);
+        expect(searchCards(state.searchIndex, '   ')).toBeNull();
+    });
+
+    test('the reducer keeps the index in step with card and comment actions', () => {
+        const actions = [
+            { type: ACTIONS.ADD_CARD, payload: { listId: 'done', card: { id: 'c4', title: 'Ship login' } } },
+            { type: ACTIONS.ADD_CARD, payload: { listId: 'done', card: { title: 'Generated id' } } },
+            { type: ACTIONS.UPDATE_CARD, payload: { listId: 'todo', cardId: 'c1', updates: { title: 'Fix signup page' } } },
+            { type: ACTIONS.MOVE_CARD, payload: { sourceListId: 'todo', destinationListId: 'done', cardId: 'c2', destinationIndex: 0 } },
+            { type: ACTIONS.ADD_COMMENT, payload: { listId: 'done', cardId: 'c3', comment: { id: 'm2', body: 'Pipeline is green' } } },
+            { type: ACTIONS.DELETE_CARD, payload: { listId: 'done', cardId: 'c4' } },
+        ];
+
+        const next = actions.reduce(boardReducer, state);
+
+        expect(next.searchIndex).toEqual(buildSearchIndex(next));
+        expect(matchIds(next.searchIndex, 'login')).toEqual(['c2']);
+        expect(matchIds(next.searchIndex, 'pipeline')).toEqual(['c3']);
+        expect(next.searchIndex.get('c2').listId).toBe('done');
+    });
+
+    test('renaming, deleting and merging labels re-reads only the cards using them', () => {
+        const renamed = boardReducer(state, {
+            type: ACTIONS.UPDATE_LABEL,
+            payload: { labelId: 'bug', updates: { name: 'Defect' } },
+        });
+        expect(matchIds(renamed.searchIndex, 'defect')).toEqual(['c1']);
+        expect(renamed.searchIndex.get('c3')).toBe(state.searchIndex.get('c3'));
+
+        const merged = boardReducer(renamed, {
+            type: ACTIONS.MERGE_LABELS,
+            payload: { sourceId: 'ui', targetId: 'bug' },
+        });
+        expect(matchIds(merged.searchIndex, 'defect')).toEqual(['c1', 'c3']);
+        expect(merged.searchIndex).toEqual(buildSearchIndex(merged));
+    });
+
+    test('archived cards drop out of the index until restored', () => {
+        const archived = boardReducer(state, { type: ACTIONS.ARCHIVE_CARD, payload: { listId: 'todo', cardId: 'c1' } });
+        expect(matchIds(archived.searchIndex, 'login')).toEqual(['c2']);
+
+        const restored = boardReducer(archived, { type: ACTIONS.RESTORE_CARD, payload: { listId: 'todo', cardId: 'c1' } });
+        expect(matchIds(restored.searchIndex, 'login')).toEqual(['c1', 'c2']);
+    });
+
+    test('actions that leave card text alone keep the same index', () => {
+        const next = boardReducer(state, { type: ACTIONS.ADD_LIST, payload: { title: 'Review' } });
+        expect(next.searchIndex).toBe(state.searchIndex);
+    });
+
+    test('updateSearchIndex builds a full index when there is none yet', () => {
+        const index = updateSearchIndex(undefined, { type: ACTIONS.LOAD_BOARD }, state);
+        expect(index).toEqual(state.searchIndex);
+    });
+
+    test('getMatchedFields names the fields containing a term', () => {
+        const [, docs] = state.cards.todo;
+        expect(getMatchedFields(docs, state.labels, 'login docs')).toEqual(['title', 'comments']);
+    });
+
+    test('splitMatches marks every occurrence and merges overlapping terms', () => {
+        expect(splitMatches('Login, then log out', 'log in')).toEqual([
+            { text: 'Login', match: true, offset: 0 },
+            { text: ', then ', match: false, offset: 5 },
+            { text: 'log', match: true, offset: 12 },
+            { text: ' out', match: false, offset: 15 },
+        ]);
+        expect(splitMatches('', 'x')).toEqual([]);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    getCardSpan,
+    daysBetween,
+    shiftDays,
+    resizeCardSpan,
+    getTimelineGroups,
+    getTimelineRange,
+    getTimelineTicks,
+} from '../timeline';
+import { toDayKey } from '../calendar';
+
+const at = (month, day, hour = 9) => new Date(2026, month - 1, day, hour).getTime();
+
+describe('Timeline spans', () => {
+    test('a card spans start to due; one date makes a one-day bar', () => {
+        expect(getCardSpan({ startDate: at(10, 1), dueDate: at(10, 5) })).toEqual({ start: at(10, 1), end: at(10, 5) });
+        expect(getCardSpan({ dueDate: at(10, 5) })).toEqual({ start: at(10, 5), end: at(10, 5) });
+        expect(getCardSpan({ startDate: at(10, 1), dueDate: null })).toEqual({ start: at(10, 1), end: at(10, 1) });
+        expect(getCardSpan({ startDate: null, dueDate: null })).toBeNull();
+    });
+
+    test('days are counted between local midnights', () => {
+        expect(daysBetween(at(10, 1, 23), at(10, 2, 1))).toBe(1);
+        // Across the end of daylight saving time in many zones
+        expect(daysBetween(at(10, 20), at(11, 3))).toBe(14);
+        expect(new Date(shiftDays(at(10, 30, 17), 3)).getHours()).toBe(17);
+    });
+
+    test('dragging the start edge sets startDate and stops at the due day', () => {
+        const card = { startDate: at(10, 1), dueDate: at(10, 5, 17) };
+
+        expect(resizeCardSpan(card, 'start', -2)).toEqual({ startDate: at(9, 29) });
+        expect(resizeCardSpan(card, 'start', 10)).toEqual({ startDate: at(10, 5) });
+        expect(resizeCardSpan(card, 'start', 0)).toBeNull();
+    });
+
+    test('dragging the end edge sets dueDate and stops at the start day', () => {
+        const card = { startDate: at(10, 1, 17), dueDate: at(10, 5, 9) };
+
+        expect(resizeCardSpan(card, 'end', 3)).toEqual({ dueDate: at(10, 8) });
+        // Same day as the start, but never before its time
+        expect(resizeCardSpan(card, 'end', -10)).toEqual({ dueDate: at(10, 1, 17) });
+    });
+
+    test('a due-only card grows a start date when its start edge moves earlier', () => {
+        const card = { startDate: null, dueDate: at(10, 5) };
+
+        expect(resizeCardSpan(card, 'start', -3)).toEqual({ startDate: at(10, 2) });
+        expect(resizeCardSpan(card, 'start', 2)).toBeNull();
+        expect(resizeCardSpan({ title: 'Undated' }, 'end', 1)).toBeNull();
+    });
+});
+
+describe('Timeline layout', () => {
+    const board = {
+        lists: [
+            { id: 'todo', title: 'To Do' },
+            { id: 'done', title: 'Done' },
+        ],
+        cards: {
+            todo: [
+                { id: 'late', dueDate: at(10, 9), labelIds: ['bug', 'ui'] },
+                { id: 'early', startDate: at(10, 2), dueDate: at(10, 4), labelIds: [] },
+                { id: 'undated' },
+            ],
+            done: [{ id: 'shipped', dueDate: at(10, 3), labelIds: ['bug'] }],
+        },
+        labels: [
+            { id: 'ui', name: 'UI', color: '#1d4ed8' },
+            { id: 'bug', name: 'Bug', color: '#b91c1c' },
+        ],
+    };
+    const ids = (group) => group.items.map((item) => item.card.id);
+
+    test('groups by list, sorted by start, and counts undated cards', () => {
+        const { groups, undatedCount } = getTimelineGroups(board, 'list');
+
+        expect(groups.map((group) => group.title)).toEqual(['To Do', 'Done']);
+        expect(ids(groups[0])).toEqual(['early', 'late']);
+        expect(undatedCount).toBe(1);
+    });
+
+    test('groups by label in registry order with unlabelled cards last', () => {
+        const { groups } = getTimelineGroups(board, 'label');
+
+        expect(groups.map((group) => [group.title, group.color])).toEqual([
+            ['UI', '#1d4ed8'],
+            ['Bug', '#b91c1c'],
+            ['No label', null],
+        ]);
+        expect(ids(groups[1])).toEqual(['shipped', 'late']);
+        expect(ids(groups[2])).toEqual(['early']);
+    });
+
+    test('the range pads the bars and includes today; ticks follow the zoom', () => {
+        const { groups } = getTimelineGroups(board, 'list');
+        const range = getTimelineRange(groups, 'day', at(10, 19));
+
+        expect(toDayKey(range.start)).toBe('2026-09-29');
+        expect(range.days).toBe(24);
+        expect(getTimelineTicks(range, 'day')).toHaveLength(24);
+        expect(getTimelineTicks(range, 'week').map((tick) => toDayKey(tick.day))).toEqual([
+            '2026-10-04', '2026-10-11', '2026-10-18',
+        ]);
+        expect(getTimelineTicks(range, 'month').map((tick) => tick.offset)).toEqual([2]);
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    validateDueDate,
+    validateStartDate,
+    validateDateRange,
+    validateComment,
+    validateLabelName,
+    validateLabelColor,
+    validateMemberName,
+    validateMemberInitials,
+    validateEmail,
+    validateWipLimit,
+    validateAgingThresholds,
+    validateViewName,
+} from '../validators';
+
+describe('validateDueDate', () => {
+    test('accepts a timestamp', () => {
+        expect(validateDueDate(Date.UTC(2030, 0, 15, 9, 30))).toEqual({ valid: true });
+    });
+
+    test('accepts an empty due date', () => {
+        expect(validateDueDate(null).valid).toBe(true);
+        expect(validateDueDate(undefined).valid).toBe(true);
+    });
+
+    test.each([
+        ['unparseable input', NaN],
+        ['a string', '2030-01-15'],
+        ['a far future date', Date.UTC(10000, 0, 1)],
+    ])('rejects %s', (_label, value) => {
+        const result = validateDueDate(value);
+        expect(result.valid).toBe(false);
+        expect(result.error).toBeDefined();
+    });
+});
+
+describe('validateStartDate', () => {
+    test('checks start dates like due dates', () => {
+        expect(validateStartDate(null).valid).toBe(true);
+        expect(validateStartDate(Date.UTC(2030, 0, 15)).valid).toBe(true);
+        expect(validateStartDate(NaN).error).toBe('Start date is not a valid date');
+    });
+});
+
+describe('validateDateRange', () => {
+    test('rejects a start after the due date', () => {
+        const day = Date.UTC(2030, 0, 15);
+        expect(validateDateRange(day, day).valid).toBe(true);
+        expect(validateDateRange(day, null).valid).toBe(true);
+        expect(validateDateRange(day + 1, day).valid).toBe(false);
+    });
+});
+
+describe('validateComment', () => {
+    test('accepts markdown text', () => {
+        expect(validateComment('Looks **good**').valid).toBe(true);
+    });
+
+    test.each([
+        ['an empty comment', '   '],
+        ['an overlong comment', 'x'.repeat(5001)],
+    ])('rejects %s', (_label, value) => {
+        expect(validateComment(value).valid).toBe(false);
+    });
+});
+
+describe('Label validation', () => {
+    const labels = [{ id: 'bug', name: 'Bug' }];
+
+    test('rejects a name that differs from an existing label only in case', () => {
+        expect(validateLabelName(' bug ', labels)).toEqual({
+            valid: false,
+            error: "Label 'Bug' already exists",
+        });
+    });
+
+    test('lets a label keep its own name', () => {
+        expect(validateLabelName('BUG', labels, 'bug').valid).toBe(true);
+    });
+
+    test('accepts only hex colors', () => {
+        expect(validateLabelColor('#1d4ed8').valid).toBe(true);
+        expect(validateLabelColor('blue').valid).toBe(false);
+    });
+});
+
+describe('Member validation', () => {
+    test('requires a name', () => {
+        expect(validateMemberName('  ').valid).toBe(false);
+        expect(validateMemberName('Ada').valid).toBe(true);
+    });
+
+    test('accepts 1 to 3 letters or digits as initials', () => {
+        expect(validateMemberInitials('AL').valid).toBe(true);
+        expect(validateMemberInitials('ÉZ').valid).toBe(true);
+        expect(validateMemberInitials('ABCD').valid).toBe(false);
+        expect(validateMemberInitials('A.').valid).toBe(false);
+    });
+
+    test('email is optional but must look like an address', () => {
+        expect(validateEmail('').valid).toBe(true);
+        expect(validateEmail('ada@example.com').valid).toBe(true);
+        expect(validateEmail('ada@example')).toEqual({ valid: false, error: 'Email address is not valid' });
+    });
+});
+
+describe('validateWipLimit', () => {
+    test('accepts whole numbers from 1', () => {
+        expect(validateWipLimit(1).valid).toBe(true);
+        expect(validateWipLimit(25).valid).toBe(true);
+    });
+
+    test.each([0, -2, 2.5, NaN, 1000])('rejects %p', (limit) => {
+        expect(validateWipLimit(limit).valid).toBe(false);
+    });
+});
+
+describe('validateAgingThresholds', () => {
+    test('takes whole days, with null turning a level off', () => {
+        expect(validateAgingThresholds(3, 7).valid).toBe(true);
+        expect(validateAgingThresholds(null, 7).valid).toBe(true);
+        expect(validateAgingThresholds(null, null).valid).toBe(true);
+        expect(validateAgingThresholds(0, 7).error).toBe('Fade after must be a whole number of days from 1 to 365');
+        expect(validateAgingThresholds(3, 400).error).toBe('Stale after must be a whole number of days from 1 to 365');
+    });
+
+    test('cards fade before they go stale', () => {
+        expect(validateAgingThresholds(7, 7).error).toBe('Cards must start to fade before they go stale');
+    });
+});
+
+describe('validateViewName', () => {
+    test('requires a name under 50 characters', () => {
+        expect(validateViewName('My overdue bugs').valid).toBe(true);
+        expect(validateViewName('   ').error).toBe('View name cannot be empty');
+        expect(validateViewName('x'.repeat(51)).valid).toBe(false);
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+    DEFAULT_VIEW,
+    parseViewQuery,
+    toViewQuery,
+    isSameView,
+    toggleCollapsed,
+    sortCards,
+} from '../viewState';
+
+describe('Board view state', () => {
+    test('a view survives the trip through the query string', () => {
+        const view = { layout: 'table', filter: 'tag:bug -list:"In Progress"', sort: 'due', collapsed: ['list-1', 'list-2'] };
+        const query = toViewQuery(view);
+
+        expect(query).toBe('?layout=table&filter=tag%3Abug+-list%3A%22In+Progress%22&sort=due&collapsed=list-1%2Clist-2');
+        expect(parseViewQuery(query)).toEqual(view);
+    });
+
+    test('defaults are left out of the URL and filled back in', () => {
+        expect(toViewQuery(DEFAULT_VIEW)).toBe('');
+        expect(parseViewQuery('')).toEqual(DEFAULT_VIEW);
+        expect(parseViewQuery('?layout=bogus&sort=bogus&collapsed=a,,a')).toEqual({
+            layout: 'board',
+            filter: '',
+            sort: 'position',
+            collapsed: ['a'],
+        });
+    });
+
+    test('isSameView compares collapsed lists as a set', () => {
+        const view = { filter: 'is:overdue', sort: 'title', collapsed: ['a', 'b'] };
+
+        expect(isSameView(view, { ...view, collapsed: ['b', 'a'] })).toBe(true);
+        expect(isSameView(view, { ...view, collapsed: ['a'] })).toBe(false);
+        expect(isSameView(view, { ...view, sort: 'due' })).toBe(false);
+        expect(isSameView(view, { ...view, layout: 'board' })).toBe(true);
+        expect(isSameView(view, { ...view, layout: 'table' })).toBe(false);
+    });
+
+    test('toggleCollapsed collapses and expands a list', () => {
+        expect(toggleCollapsed([], 'a')).toEqual(['a']);
+        expect(toggleCollapsed(['a', 'b'], 'a')).toEqual(['b']);
+    });
+
+    test('sortCards keeps the manual order for ties and cards missing the field', () => {
+        const cards = [
+            { id: '1', title: 'beta', dueDate: null, createdAt: 3 },
+            { id: '2', title: 'Alpha', dueDate: 200, createdAt: 1 },
+            { id: '3', title: 'gamma', dueDate: 100 },
+            { id: '4', title: 'alpha', dueDate: null, createdAt: 2 },
+        ];
+
+        expect(sortCards(cards, 'position')).toBe(cards);
+        expect(sortCards(cards, 'due').map((card) => card.id)).toEqual(['3', '2', '1', '4']);
+        expect(sortCards(cards, 'title').map((card) => card.id)).toEqual(['2', '4', '1', '3']);
+        expect(sortCards(cards, 'created').map((card) => card.id)).toEqual(['1', '4', '2', '3']);
+    });
+});
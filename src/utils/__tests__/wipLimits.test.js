@@ -0,0 +1,69 @@
+import { describe, test, expect } from '@jest/globals';
+import { checkWipLimit, checkWipLimitForAction, getWipStatus, WIP_MODES } from '../wipLimits';
+
+describe('WIP limits', () => {
+    const state = {
+        lists: [
+            { id: 'doing', title: 'Doing', wipLimit: 2, wipMode: WIP_MODES.BLOCK },
+            { id: 'review', title: 'Review', wipLimit: 1, wipMode: WIP_MODES.WARN },
+            { id: 'todo', title: 'To Do', wipLimit: null, wipMode: WIP_MODES.OFF },
+        ],
+        cards: {
+            doing: [{ id: 'a' }, { id: 'b' }],
+            review: [{ id: 'c' }, { id: 'd' }],
+            todo: [{ id: 'e' }],
+        },
+    };
+
+    test('getWipStatus reports full and over', () => {
+        expect(getWipStatus(state.lists[0], 2)).toMatchObject({ limited: true, isFull: true, isOver: false });
+        expect(getWipStatus(state.lists[1], 2)).toMatchObject({ limited: true, isOver: true });
+    });
+
+    test('a limit in off mode, or without a number, does not count', () => {
+        expect(getWipStatus(state.lists[2], 10).limited).toBe(false);
+        expect(getWipStatus({ wipLimit: null, wipMode: WIP_MODES.BLOCK }, 10).limited).toBe(false);
+        expect(getWipStatus({}, 10).limited).toBe(false);
+    });
+
+    test('a full list in block mode refuses new cards', () => {
+        expect(checkWipLimit(state, 'doing', 'e')).toEqual({
+            valid: false,
+            error: "'Doing' is at its WIP limit of 2 cards. Finish or move a card out first.",
+        });
+    });
+
+    test('archived cards leave room, and restoring one counts against the limit', () => {
+        const withArchived = {
+            ...state,
+            cards: { ...state.cards, doing: [{ id: 'a' }, { id: 'b', archived: true }] },
+        };
+        expect(checkWipLimit(withArchived, 'doing', 'e').valid).toBe(true);
+
+        const full = { ...withArchived, cards: { ...withArchived.cards, doing: [...state.cards.doing, { id: 'x', archived: true }] } };
+        expect(checkWipLimitForAction(full, { type: 'RESTORE_CARD', payload: { listId: 'doing', cardId: 'x' } }).valid).toBe(false);
+    });
+
+    test('warn mode never refuses', () => {
+        expect(checkWipLimit(state, 'review', 'e').valid).toBe(true);
+    });
+
+    test('cards already in the list can be reordered', () => {
+        expect(checkWipLimitForAction(state, {
+            type: 'MOVE_CARD',
+            payload: { sourceListId: 'doing', destinationListId: 'doing', cardId: 'a', destinationIndex: 1 },
+        }).valid).toBe(true);
+    });
+
+    test('checks ADD_CARD and MOVE_CARD destinations only', () => {
+        expect(checkWipLimitForAction(state, {
+            type: 'ADD_CARD',
+            payload: { listId: 'doing', card: { id: 'new' } },
+        }).valid).toBe(false);
+        expect(checkWipLimitForAction(state, {
+            type: 'MOVE_CARD',
+            payload: { sourceListId: 'doing', destinationListId: 'todo', cardId: 'a' },
+        }).valid).toBe(true);
+        expect(checkWipLimitForAction(state, { type: 'DELETE_CARD', payload: {} }).valid).toBe(true);
+    });
+});
@@ -0,0 +1,129 @@
+// Human-readable descriptions of board actions
+import { withPositions, placeByPosition } from './positionKeys';
+import { findTrashEntry } from './archive';
+
+const findList = (state, listId) => state.lists.find((list) => list.id === listId);
+
+// Lists in the trash keep their title for restores
+const listTitle = (state, listId) =>
+    findList(state, listId)?.title || findTrashEntry(state.trash, 'list', listId)?.item.title || 'a list';
+
+const labelName = (state, labelId) =>
+    (state.labels || []).find((label) => label.id === labelId)?.name || 'a label';
+
+const memberName = (state, memberId) =>
+    (state.members || []).find((member) => member.id === memberId)?.name || 'a member';
+
+const findCard = (state, listId, cardId) =>
+    (state.cards[listId] || []).find((card) => card.id === cardId);
+
+/**
+ * Describe an action against the state it is applied to
+ * @param {Object} state - Board state before the action
+ * @param {Object} action - Reducer action
+ * @returns {string} - e.g. "Moved 'Fix login' from To Do to Done"
+ */
+export function describeAction(state, action) {
+    const payload = action.payload || {};
+
+    switch (action.type) {
+        case 'ADD_LIST':
+            return `Added list '${payload.title}'`;
+        case 'RENAME_LIST':
+            return `Renamed list '${listTitle(state, payload.listId)}' to '${payload.title}'`;
+        case 'ARCHIVE_LIST':
+            return `Archived list '${listTitle(state, payload.listId)}'`;
+        case 'RESTORE_LIST':
+            return `Restored list '${listTitle(state, payload.listId)}'`;
+        case 'DELETE_LIST':
+            return `Deleted list '${listTitle(state, payload.listId)}'`;
+        case 'REORDER_LIST': {
+            const lists = withPositions(state.lists);
+            const list = lists.find((l) => l.id === payload.listId);
+            const index = list && payload.position ?
+                placeByPosition(lists, { ...list, position: payload.position })
+                    .findIndex((l) => l.id === list.id) :
+                payload.destinationIndex;
+            return `Moved list '${listTitle(state, payload.listId)}' to position ${index + 1}`;
+        }
+        case 'SET_WIP_LIMIT':
+            return payload.wipMode === 'off' || !payload.wipLimit ?
+                `Removed the WIP limit of '${listTitle(state, payload.listId)}'` :
+                `Set the WIP limit of '${listTitle(state, payload.listId)}' to ${payload.wipLimit} (${payload.wipMode})`;
+        case 'SET_LIST_AGING':
+            return payload.agingDays === null && payload.staleDays === null ?
+                `Turned off card aging in '${listTitle(state, payload.listId)}'` :
+                `Set card aging in '${listTitle(state, payload.listId)}' to ${[
+                    payload.agingDays !== null && `fade after ${payload.agingDays}d`,
+                    payload.staleDays !== null && `stale after ${payload.staleDays}d`,
+                ].filter(Boolean).join(', ')}`;
+        case 'ADD_CARD':
+            return `Added '${payload.card?.title}' to ${listTitle(state, payload.listId)}`;
+        case 'UPDATE_CARD': {
+            const card = findCard(state, payload.listId, payload.cardId);
+            return `Edited '${card?.title || payload.updates?.title || 'a card'}'`;
+        }
+        case 'DELETE_CARD': {
+            const card = findCard(state, payload.listId, payload.cardId);
+            return `Deleted '${card?.title || 'a card'}'`;
+        }
+        case 'ARCHIVE_CARD': {
+            const card = findCard(state, payload.listId, payload.cardId);
+            return `Archived '${card?.title || 'a card'}'`;
+        }
+        case 'RESTORE_CARD': {
+            const card = findCard(state, payload.listId, payload.cardId);
+            if (card) {
+                return `Restored '${card.title}'`;
+            }
+            const entry = findTrashEntry(state.trash, 'card', payload.cardId);
+            const title = entry?.item.title || 'a card';
+            return entry && entry.listId !== payload.listId ?
+                `Restored '${title}' to ${listTitle(state, payload.listId)}` :
+                `Restored '${title}'`;
+        }
+        case 'MOVE_CARD': {
+            const card = findCard(state, payload.sourceListId, payload.cardId);
+            const title = card?.title || 'a card';
+            if (payload.sourceListId === payload.destinationListId) {
+                return `Reordered '${title}' in ${listTitle(state, payload.sourceListId)}`;
+            }
+            return `Moved '${title}' from ${listTitle(state, payload.sourceListId)} to ${listTitle(state, payload.destinationListId)}`;
+        }
+        case 'REORDER_CARD': {
+            const card = (state.cards[payload.listId] || [])[payload.startIndex];
+            return `Reordered '${card?.title || 'a card'}' in ${listTitle(state, payload.listId)}`;
+        }
+        case 'ADD_LABEL':
+            return `Added label '${payload.label?.name}'`;
+        case 'UPDATE_LABEL': {
+            const name = labelName(state, payload.labelId);
+            return payload.updates?.name && payload.updates.name !== name ?
+                `Renamed label '${name}' to '${payload.updates.name}'` :
+                `Edited label '${name}'`;
+        }
+        case 'DELETE_LABEL':
+            return `Deleted label '${labelName(state, payload.labelId)}'`;
+        case 'MERGE_LABELS':
+            return `Merged label '${labelName(state, payload.sourceId)}' into '${labelName(state, payload.targetId)}'`;
+        case 'ADD_MEMBER':
+            return `Added member '${payload.member?.name}'`;
+        case 'UPDATE_MEMBER':
+            return `Edited member '${memberName(state, payload.memberId)}'`;
+        case 'DELETE_MEMBER':
+            return `Removed member '${memberName(state, payload.memberId)}'`;
+        case 'ADD_COMMENT':
+        case 'UPDATE_COMMENT':
+        case 'DELETE_COMMENT': {
+            const card = findCard(state, payload.listId, payload.cardId);
+            const verb = {
+                ADD_COMMENT: 'Commented on',
+                UPDATE_COMMENT: 'Edited a comment on',
+                DELETE_COMMENT: 'Deleted a comment on',
+            }[action.type];
+            return `${verb} '${card?.title || 'a card'}'`;
+        }
+        default:
+            return action.type;
+    }
+}
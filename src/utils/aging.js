@@ -0,0 +1,84 @@
+// Card aging: how long a card has sat in its current list
+//
+// list.agingDays: whole days before a card starts to fade, or null to never fade
+// list.staleDays: whole days before a card counts as stale, or null for never
+// Time in a list counts from the card's last transition into it (see
+// card.transitions in boardReducer.js).
+
+export const AGING_LEVELS = {
+    FRESH: 'fresh',
+    AGING: 'aging',
+    STALE: 'stale',
+};
+
+export const DEFAULT_AGING_DAYS = 3;
+export const DEFAULT_STALE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lists saved before thresholds existed use the defaults
+const threshold = (value, fallback) => (value === undefined ? fallback : value);
+
+/**
+ * The thresholds a list applies
+ * @param {Object} list
+ * @returns {Object} - { agingDays, staleDays }, each a number of days or null
+ */
+export function getAgingThresholds(list) {
+    return {
+        agingDays: threshold(list?.agingDays, DEFAULT_AGING_DAYS),
+        staleDays: threshold(list?.staleDays, DEFAULT_STALE_DAYS),
+    };
+}
+
+/**
+ * When a card last entered a list. Without an entry for the list (a move
+ * recorded on another device, or none at all) it counts from the card's
+ * latest transition, the earliest it can have arrived, then its creation.
+ * @param {Object} card - A card in the list
+ * @param {string} listId
+ * @returns {number|null} - Timestamp in ms, or null when it isn't known
+ */
+export function getEnteredListAt(card, listId) {
+    const transitions = card.transitions || [];
+    for (let i = transitions.length - 1; i >= 0; i--) {
+        if (transitions[i].listId === listId) {
+            return transitions[i].at ?? null;
+        }
+    }
+    return transitions[transitions.length - 1]?.at ?? card.lastModifiedAt ?? card.createdAt ?? null;
+}
+
+/**
+ * How long a card has been in its list, measured against the list's thresholds
+ * @param {Object} card
+ * @param {Object} list - The list the card is in
+ * @param {number} now - Current timestamp in ms
+ * @returns {Object|null} - { days, since, level }, or null when the entry time is unknown
+ */
+export function getCardAge(card, list, now) {
+    const since = getEnteredListAt(card, list.id);
+    if (since === null) {
+        return null;
+    }
+    const days = Math.max(0, Math.floor((now - since) / DAY_MS));
+    const { agingDays, staleDays } = getAgingThresholds(list);
+    let level = AGING_LEVELS.FRESH;
+    if (staleDays !== null && days >= staleDays) {
+        level = AGING_LEVELS.STALE;
+    } else if (agingDays !== null && days >= agingDays) {
+        level = AGING_LEVELS.AGING;
+    }
+    return { days, since, level };
+}
+
+/**
+ * Whether a card has been in its list past the list's stale threshold
+ * @param {Object} card
+ * @param {Object} list
+ * @param {number} now
+ * @returns {boolean}
+ */
+export function isStale(card, list, now) {
+    return Boolean(list) && getCardAge(card, list, now)?.level === AGING_LEVELS.STALE;
+}
@@ -0,0 +1,172 @@
+// Flow analytics from card list transitions. Each card records
+// `transitions: [{ listId, at }]`, one entry per list it entered, oldest first
+// (see ADD_CARD and MOVE_CARD in boardReducer.js).
+import { addDays, startOfWeek } from './calendar';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const ANALYTICS_PERIODS = {
+    14: 'Last 2 weeks',
+    30: 'Last 30 days',
+    90: 'Last 90 days',
+};
+
+// Cards saved before transitions existed entered their list when created
+export function getTransitions(card, listId) {
+    return card.transitions?.length ? card.transitions : [{ listId, at: card.createdAt ?? 0 }];
+}
+
+/**
+ * The list a card was in at a time
+ * @param {Array} transitions - Oldest first
+ * @param {number} time
+ * @returns {string|null} - null before the card existed
+ */
+export function listAt(transitions, time) {
+    let listId = null;
+    for (const entry of transitions) {
+        if (entry.at > time) {
+            break;
+        }
+        listId = entry.listId;
+    }
+    return listId;
+}
+
+// Every card with its transitions, whichever list it is in now. Archived
+// cards count too: finished work is often archived.
+const cardHistories = (board, include) =>
+    board.lists.flatMap((list) =>
+        (board.cards[list.id] || [])
+            .filter((card) => !include || include(card, list))
+            .map((card) => ({ card, list, transitions: getTransitions(card, list.id) }))
+    );
+
+/**
+ * Cards per list at the end of each day, for a cumulative flow diagram
+ * @param {Object} board - { lists, cards }
+ * @param {Object} options - { days, now, include }
+ * @returns {Object} - { days: [local midnights], series: [{ list, counts }] } with one
+ *   series per active list in board order and counts aligned with days
+ */
+export function getCumulativeFlow(board, { days, now, include = null }) {
+    const first = addDays(now, -(days - 1));
+    const dayStarts = Array.from({ length: days }, (_, i) => addDays(first, i));
+    const lists = board.lists.filter((list) => !list.archived);
+    const counts = new Map(lists.map((list) => [list.id, dayStarts.map(() => 0)]));
+
+    cardHistories(board, include).forEach(({ transitions }) => {
+        dayStarts.forEach((day, i) => {
+            const listId = listAt(transitions, Math.min(now, addDays(day, 1) - 1));
+            if (counts.has(listId)) {
+                counts.get(listId)[i]++;
+            }
+        });
+    });
+
+    return { days: dayStarts, series: lists.map((list) => ({ list, counts: counts.get(list.id) })) };
+}
+
+/**
+ * Cards that entered the done list per week. A card counts once a week
+ * however often it went back and forth.
+ * @param {Object} board - { lists, cards }
+ * @param {string} doneListId
+ * @param {Object} options - { weeks, now, include }
+ * @returns {Array} - [{ start, count }] oldest week first; the last is the current week
+ */
+export function getWeeklyThroughput(board, doneListId, { weeks, now, include = null }) {
+    const current = startOfWeek(now);
+    const starts = Array.from({ length: weeks }, (_, i) => addDays(current, -7 * (weeks - 1 - i)));
+    const completed = starts.map(() => new Set());
+
+    cardHistories(board, include).forEach(({ card, transitions }) => {
+        transitions
+            .filter((entry) => entry.listId === doneListId)
+            .forEach((entry) => {
+                const week = starts.findIndex((start) => entry.at >= start && entry.at < addDays(start, 7));
+                if (week !== -1) {
+                    completed[week].add(card.id);
+                }
+            });
+    });
+
+    return starts.map((start, i) => ({ start, count: completed[i].size }));
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values
+ * @param {number} p - 0 to 100
+ * @returns {number|null} - null without values
+ */
+export function percentile(values, p) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+    return sorted[rank - 1];
+}
+
+export const PERCENTILES = [50, 85, 95];
+
+const summarize = (values) => ({
+    count: values.length,
+    ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, percentile(values, p)])),
+});
+
+/**
+ * Per-list flow times. Cycle time is how long a card stayed in the list
+ * (finished stays only); lead time is how long after its creation a card
+ * first reached the list.
+ * @param {Object} board - { lists, cards }
+ * @param {Object} options - { since, include }: stays and arrivals that ended before `since` are left out
+ * @returns {Array} - [{ list, cycle: { count, p50, p85, p95 }, lead: {…} }] per active list
+ */
+export function getFlowTimes(board, { since = 0, include = null } = {}) {
+    const cycle = new Map();
+    const lead = new Map();
+    const push = (map, listId, value) => map.set(listId, [...(map.get(listId) || []), value]);
+
+    cardHistories(board, include).forEach(({ transitions }) => {
+        const reached = new Set([transitions[0].listId]);
+        transitions.forEach((entry, i) => {
+            const next = transitions[i + 1];
+            if (next && next.at >= since) {
+                push(cycle, entry.listId, next.at - entry.at);
+            }
+            if (i > 0 && !reached.has(entry.listId)) {
+                reached.add(entry.listId);
+                if (entry.at >= since) {
+                    push(lead, entry.listId, entry.at - transitions[0].at);
+                }
+            }
+        });
+    });
+
+    return board.lists
+        .filter((list) => !list.archived)
+        .map((list) => ({
+            list,
+            cycle: summarize(cycle.get(list.id) || []),
+            lead: summarize(lead.get(list.id) || []),
+        }));
+}
+
+// Short duration, e.g. "45m", "5h", "3d 4h"
+export function formatDuration(ms) {
+    if (ms === null || ms === undefined) {
+        return '—';
+    }
+    if (ms < HOUR_MS) {
+        return `${Math.round(ms / 60000)}m`;
+    }
+    if (ms < DAY_MS) {
+        return `${Math.round(ms / HOUR_MS)}h`;
+    }
+    const days = Math.floor(ms / DAY_MS);
+    const hours = Math.floor((ms - days * DAY_MS) / HOUR_MS);
+    return hours ? `${days}d ${hours}h` : `${days}d`;
+}
@@ -0,0 +1,246 @@
+// Archived cards and lists, and the trash of deleted ones
+//
+// Archiving hides a card or list where it is (`archived: true`) and syncs
+// like any other edit. Deleting moves it to `state.trash`:
+//
+//   { kind: 'card', id, listId, item, version, deletedAt }
+//   { kind: 'list', id, item, cards, version, deletedAt }
+//
+// A deleted list keeps its cards in its entry. Entries are kept for
+// TRASH_RETENTION_DAYS so the item can be restored. The server keeps the same
+// entries, and the sync merge reads them as tombstones: `version` is the
+// version the item was deleted at, and a copy no newer than that is deleted
+// (see utils/merge.js).
+import { parseSearchTerms } from './search';
+import { positionForIndex } from './positionKeys';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The cards of a list that are shown, leaving out archived ones
+ * @param {Array} cards
+ * @returns {Array}
+ */
+export const activeCards = (cards) => (cards || []).filter((card) => !card.archived);
+
+const isEntry = (entry, kind, id) => entry.kind === kind && entry.id === id;
+
+/**
+ * Drop trash entries past the retention period
+ * @param {Array} trash
+ * @param {number} now - Timestamp in ms
+ * @returns {Array} - The same array when nothing expired
+ */
+export function purgeTrash(trash, now) {
+    if (!trash) {
+        return [];
+    }
+    const cutoff = now - TRASH_RETENTION_DAYS * DAY_MS;
+    const kept = trash.filter((entry) => entry.deletedAt > cutoff);
+    return kept.length === trash.length ? trash : kept;
+}
+
+/**
+ * The trash entry for a card or list deleted now
+ * @param {string} kind - 'card' or 'list'
+ * @param {Object} item - The card or list, with its position
+ * @param {Object} [fields] - { listId } for a card, { cards } for a list
+ * @returns {Object}
+ */
+export const createTrashEntry = (kind, item, fields = {}) => ({
+    kind,
+    id: item.id,
+    ...fields,
+    item,
+    version: item.version ?? 1,
+    deletedAt: Date.now(),
+});
+
+/**
+ * Whether an entry is the tombstone of a copy of its item: the copy is no
+ * newer than the version that was deleted. Restoring or editing an item
+ * bumps its version past it.
+ * @param {Object} entry - Trash entry
+ * @param {Object} item - A copy of the card or list
+ * @returns {boolean}
+ */
+export const isBuriedBy = (entry, item) => (item.version ?? 1) <= entry.version;
+
+/**
+ * Put an entry in the trash, replacing an older one for the same item
+ * @param {Array} trash
+ * @param {Object} entry - { kind, id, item, deletedAt, ... }
+ * @returns {Array}
+ */
+export function addToTrash(trash, entry) {
+    return [
+        ...purgeTrash(trash, entry.deletedAt).filter((e) => !isEntry(e, entry.kind, entry.id)),
+        entry,
+    ];
+}
+
+/**
+ * Take an item's entry out of the trash
+ * @param {Array} trash
+ * @param {string} kind - 'card' or 'list'
+ * @param {string} id
+ * @returns {Array} - The same array when there was no entry
+ */
+export function removeFromTrash(trash, kind, id) {
+    const items = trash || [];
+    return items.some((entry) => isEntry(entry, kind, id)) ?
+        items.filter((entry) => !isEntry(entry, kind, id)) :
+        items;
+}
+
+/**
+ * An item's trash entry
+ * @param {Array} trash
+ * @param {string} kind - 'card' or 'list'
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export const findTrashEntry = (trash, kind, id) =>
+    (trash || []).find((entry) => isEntry(entry, kind, id));
+
+/**
+ * The cards of a deleted list that come back with it: those that aren't on
+ * the board again by now
+ * @param {Object} board - { cards }
+ * @param {Object} entry - The list's trash entry
+ * @returns {Array}
+ */
+export function getRestorableCards(board, entry) {
+    const onBoard = new Set(Object.values(board.cards).flat().map((card) => card.id));
+    return (entry.cards || []).filter((card) => !onBoard.has(card.id));
+}
+
+/**
+ * A deleted card as it comes back from the trash: where it was in its own
+ * list, or at the end of a fallback list
+ * @param {Object} entry - The card's trash entry
+ * @param {Array} cards - Cards of the list it goes into, with positions
+ * @param {string} listId - That list
+ * @param {number} now - Timestamp in ms
+ * @returns {Object}
+ */
+export function restoreTrashedCard(entry, cards, listId, now) {
+    const sameList = entry.listId === listId;
+    return {
+        ...entry.item,
+        archived: false,
+        position: (sameList ? entry.item.position : null) ?? positionForIndex(cards, cards.length),
+        // Landing in a fallback list counts as entering it
+        ...(!sameList && {
+            transitions: [...(entry.item.transitions || []), { listId, at: now }],
+        }),
+        lastModifiedAt: now,
+        version: entry.version + 1,
+    };
+}
+
+/**
+ * A deleted list as it comes back from the trash: where it was, or at the
+ * end of the board. Like a restored card, its version goes past the one it
+ * was deleted at, so its tombstone no longer buries it on other devices.
+ * @param {Object} entry - The list's trash entry
+ * @param {Array} lists - Board lists, with positions
+ * @param {number} now - Timestamp in ms
+ * @returns {Object}
+ */
+export function restoreTrashedList(entry, lists, now) {
+    return {
+        ...entry.item,
+        archived: false,
+        position: entry.item.position ?? positionForIndex(lists, lists.length),
+        lastModifiedAt: now,
+        version: entry.version + 1,
+    };
+}
+
+/**
+ * The list a restored card goes back to: its own list while that is on the
+ * board, otherwise the first list that is
+ * @param {Array} lists - Board lists
+ * @param {string} listId - The card's list when it was archived or deleted
+ * @returns {string|null} - null when the board has no active list
+ */
+export function getRestoreListId(lists, listId) {
+    const active = lists.filter((list) => !list.archived);
+    return active.some((list) => list.id === listId) ? listId : active[0]?.id ?? null;
+}
+
+/**
+ * Everything the archive drawer shows, most recent first
+ * @param {Object} board - { lists, cards, trash }
+ * @param {number} now - Timestamp in ms
+ * @returns {Array} - { kind, id, title, listId, listTitle, cardCount,
+ *   deleted, at, expiresAt }; `at` is when it was archived or deleted, and
+ *   `expiresAt` when a deleted item leaves the trash
+ */
+export function getArchivedItems(board, now) {
+    const listTitle = (listId) => board.lists.find((list) => list.id === listId)?.title ?? null;
+    const items = [];
+
+    board.lists.forEach((list) => {
+        if (list.archived) {
+            items.push({
+                kind: 'list',
+                id: list.id,
+                title: list.title,
+                cardCount: activeCards(board.cards[list.id]).length,
+                deleted: false,
+                at: list.lastModifiedAt ?? null,
+            });
+        }
+        (board.cards[list.id] || []).forEach((card) => {
+            if (card.archived) {
+                items.push({
+                    kind: 'card',
+                    id: card.id,
+                    title: card.title,
+                    listId: list.id,
+                    listTitle: list.title,
+                    deleted: false,
+                    at: card.lastModifiedAt ?? null,
+                });
+            }
+        });
+    });
+
+    purgeTrash(board.trash, now).forEach((entry) => {
+        items.push({
+            kind: entry.kind,
+            id: entry.id,
+            title: entry.item.title,
+            ...(entry.kind === 'card' ?
+                { listId: entry.listId, listTitle: listTitle(entry.listId) } :
+                { cardCount: (entry.cards || []).length }),
+            deleted: true,
+            at: entry.deletedAt,
+            expiresAt: entry.deletedAt + TRASH_RETENTION_DAYS * DAY_MS,
+        });
+    });
+
+    return items.sort((a, b) => (b.at ?? 0) - (a.at ?? 0));
+}
+
+/**
+ * Archived and deleted items whose title or list title has every term of
+ * the query
+ * @param {Array} items - From getArchivedItems
+ * @param {string} query
+ * @returns {Array}
+ */
+export function searchArchivedItems(items, query) {
+    const terms = parseSearchTerms(query);
+    if (terms.length === 0) {
+        return items;
+    }
+    return items.filter((item) => {
+        const text = `${item.title || ''}\n${item.listTitle || ''}`.toLowerCase();
+        return terms.every((term) => text.includes(term));
+    });
+}
@@ -0,0 +1,127 @@
+// Calendar layout helpers. Days are local midnights; cards land on the day of
+// their due date in local time.
+import { activeCards } from './archive';
+
+export const CALENDAR_MODES = {
+    month: 'Month',
+    week: 'Week',
+};
+
+// Sunday, as Date#getDay counts
+export const WEEK_STARTS_ON = 0;
+
+// Time of day given to cards that are dated for the first time on the calendar
+export const DEFAULT_DUE_HOUR = 17;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// `YYYY-MM-DD` of a timestamp in local time
+export function toDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function startOfDay(timestamp) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+// Days are stepped with setDate rather than by adding 24h, so a DST change
+// never pushes a day off its midnight
+export function addDays(timestamp, days) {
+    const date = new Date(startOfDay(timestamp));
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+}
+
+export function startOfWeek(timestamp) {
+    const day = new Date(timestamp).getDay();
+    return addDays(timestamp, -((day - WEEK_STARTS_ON + 7) % 7));
+}
+
+/**
+ * The days a calendar page shows: whole weeks covering the month of
+ * `anchor`, or the week of `anchor`
+ * @param {number} anchor - Any timestamp on the page
+ * @param {string} mode - Key of CALENDAR_MODES
+ * @returns {Array<number>} - Local midnights, 7 per week
+ */
+export function getCalendarDays(anchor, mode) {
+    let first = startOfWeek(anchor);
+    let count = 7;
+    if (mode === 'month') {
+        const date = new Date(anchor);
+        const monthStart = new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+        const monthEnd = new Date(date.getFullYear(), date.getMonth() + 1, 0).getTime();
+        first = startOfWeek(monthStart);
+        const last = addDays(startOfWeek(monthEnd), 6);
+        count = Math.round((last - first) / (24 * 60 * 60 * 1000)) + 1;
+    }
+    return Array.from({ length: count }, (_, i) => addDays(first, i));
+}
+
+/**
+ * The anchor one page forward or back
+ * @param {number} anchor
+ * @param {string} mode - Key of CALENDAR_MODES
+ * @param {number} step - 1 for the next page, -1 for the previous one
+ * @returns {number}
+ */
+export function shiftAnchor(anchor, mode, step) {
+    if (mode === 'month') {
+        const date = new Date(anchor);
+        return new Date(date.getFullYear(), date.getMonth() + step, 1).getTime();
+    }
+    return addDays(anchor, 7 * step);
+}
+
+/**
+ * A due date moved onto another day. The time of day is kept; undated cards
+ * get DEFAULT_DUE_HOUR.
+ * @param {number|null} dueDate - Current due timestamp
+ * @param {number} day - Any timestamp on the target day
+ * @returns {number}
+ */
+export function moveToDay(dueDate, day) {
+    const date = new Date(startOfDay(day));
+    if (dueDate === null || dueDate === undefined) {
+        date.setHours(DEFAULT_DUE_HOUR);
+    } else {
+        const time = new Date(dueDate);
+        date.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds());
+    }
+    return date.getTime();
+}
+
+/**
+ * Cards of the active lists split into dated and undated ones
+ * @param {Object} board - { lists, cards }
+ * @param {Function|null} include - (card, list) => boolean, or null for all cards
+ * @returns {Object} - { byDay: Map<dayKey, [{ card, list }]>, undated: [{ card, list }] }.
+ *   Each day is sorted by due time.
+ */
+export function groupCardsByDay(board, include = null) {
+    const byDay = new Map();
+    const undated = [];
+    board.lists
+        .filter((list) => !list.archived)
+        .forEach((list) => {
+            activeCards(board.cards[list.id]).forEach((card) => {
+                if (include && !include(card, list)) {
+                    return;
+                }
+                if (card.dueDate === null || card.dueDate === undefined) {
+                    undated.push({ card, list });
+                    return;
+                }
+                const key = toDayKey(card.dueDate);
+                if (!byDay.has(key)) {
+                    byDay.set(key, []);
+                }
+                byDay.get(key).push({ card, list });
+            });
+        });
+    byDay.forEach((entries) => entries.sort((a, b) => a.card.dueDate - b.card.dueDate));
+    return { byDay, undated };
+}
@@ -0,0 +1,103 @@
+// Rows, sorting and CSV export for the table view. A row is one card with
+// the list it sits in and its resolved labels and assignees.
+import { getCardLabels } from './labels';
+import { getCardAssignees } from './members';
+import { activeCards } from './archive';
+
+// Columns in display order. `value` is what a column sorts on; rows
+// missing it sort last either way.
+export const TABLE_COLUMNS = [
+    { key: 'title', label: 'Title', value: (row) => row.card.title },
+    { key: 'list', label: 'List', value: (row) => row.listIndex },
+    { key: 'labels', label: 'Labels', value: (row) => row.labels[0]?.name },
+    { key: 'assignees', label: 'Assignees', value: (row) => row.assignees[0]?.name },
+    { key: 'dueDate', label: 'Due date', value: (row) => row.card.dueDate },
+    { key: 'createdAt', label: 'Created', value: (row) => row.card.createdAt },
+    { key: 'lastModifiedAt', label: 'Last modified', value: (row) => row.card.lastModifiedAt },
+];
+
+/**
+ * One row per card of every active list, in board order
+ * @param {Object} board - { lists, cards, labels, members }
+ * @param {Function|null} include - (card, list) => boolean, or null for all cards
+ * @returns {Array} - [{ card, list, listIndex, labels, assignees }]
+ */
+export function getCardRows(board, include = null) {
+    return board.lists
+        .filter((list) => !list.archived)
+        .flatMap((list, listIndex) =>
+            activeCards(board.cards[list.id])
+                .filter((card) => !include || include(card, list))
+                .map((card) => ({
+                    card,
+                    list,
+                    listIndex,
+                    labels: getCardLabels(board.labels, card.labelIds),
+                    assignees: getCardAssignees(board.members, card.assignees),
+                }))
+        );
+}
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+const compareValues = (a, b) =>
+    typeof a === 'string' && typeof b === 'string' ?
+        a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true }) :
+        a - b;
+
+/**
+ * Sort rows by a column. Ties keep board order.
+ * @param {Array} rows - From getCardRows
+ * @param {string|null} columnKey - Key of TABLE_COLUMNS, or null for board order
+ * @param {string} direction - 'asc' | 'desc'
+ * @returns {Array}
+ */
+export function sortCardRows(rows, columnKey, direction = 'asc') {
+    const column = TABLE_COLUMNS.find((c) => c.key === columnKey);
+    if (!column) {
+        return rows;
+    }
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => {
+        const valueA = column.value(a);
+        const valueB = column.value(b);
+        if (isMissing(valueA) || isMissing(valueB)) {
+            return Number(isMissing(valueA)) - Number(isMissing(valueB));
+        }
+        return sign * compareValues(valueA, valueB);
+    });
+}
+
+const toIsoDate = (timestamp) => (isMissing(timestamp) ? '' : new Date(timestamp).toISOString());
+
+// Quote a CSV field when needed. Fields that a spreadsheet would read as a
+// formula get a leading apostrophe.
+export function escapeCsvField(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The rows as CSV, with a header line. Labels and assignees are joined with
+ * "; " and dates are ISO 8601.
+ * @param {Array} rows - From getCardRows
+ * @returns {string}
+ */
+export function cardRowsToCsv(rows) {
+    const lines = [
+        TABLE_COLUMNS.map((column) => column.label),
+        ...rows.map((row) => [
+            row.card.title,
+            row.list.title,
+            row.labels.map((label) => label.name).join('; '),
+            row.assignees.map((member) => member.name).join('; '),
+            toIsoDate(row.card.dueDate),
+            toIsoDate(row.card.createdAt),
+            toIsoDate(row.card.lastModifiedAt),
+        ]),
+    ];
+    return lines.map((fields) => fields.map(escapeCsvField).join(',')).join('\r\n');
+}
@@ -0,0 +1,69 @@
+// Card checklist helpers
+//
+// card.checklists: [{ id, title, items: [{ id, text, done }] }]
+// Ids are stable so the merge can match checklists and items across copies.
+import { generateId } from './helpers';
+
+export const createChecklist = (title) => ({
+    id: generateId(),
+    title: title.trim(),
+    items: [],
+});
+
+export const createChecklistItem = (text) => ({
+    id: generateId(),
+    text: text.trim(),
+    done: false,
+});
+
+/**
+ * Count checked and total items across all of a card's checklists
+ * @param {Array} checklists
+ * @returns {Object} - { done, total }
+ */
+export function getChecklistProgress(checklists = []) {
+    return checklists.reduce(
+        (progress, checklist) => ({
+            done: progress.done + checklist.items.filter((item) => item.done).length,
+            total: progress.total + checklist.items.length,
+        }),
+        { done: 0, total: 0 }
+    );
+}
+
+// Apply `fn` to one checklist, leaving the others untouched
+export const updateChecklist = (checklists, checklistId, fn) =>
+    checklists.map((checklist) => (checklist.id === checklistId ? fn(checklist) : checklist));
+
+export const updateChecklistItem = (checklists, checklistId, itemId, updates) =>
+    updateChecklist(checklists, checklistId, (checklist) => ({
+        ...checklist,
+        items: checklist.items.map((item) => (item.id === itemId ? { ...item, ...updates } : item)),
+    }));
+
+export const removeChecklistItem = (checklists, checklistId, itemId) =>
+    updateChecklist(checklists, checklistId, (checklist) => ({
+        ...checklist,
+        items: checklist.items.filter((item) => item.id !== itemId),
+    }));
+
+/**
+ * Move an item up or down within its checklist
+ * @param {Array} checklists
+ * @param {string} checklistId
+ * @param {string} itemId
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {Array}
+ */
+export const moveChecklistItem = (checklists, checklistId, itemId, offset) =>
+    updateChecklist(checklists, checklistId, (checklist) => {
+        const from = checklist.items.findIndex((item) => item.id === itemId);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= checklist.items.length) {
+            return checklist;
+        }
+        const items = [...checklist.items];
+        const [moved] = items.splice(from, 1);
+        items.splice(to, 0, moved);
+        return { ...checklist, items };
+    });
@@ -0,0 +1,22 @@
+// Card comment helpers
+//
+// card.comments: [{ id, authorId, author, body, createdAt, editedAt, edited }]
+// `body` is markdown source. Comments are ordered oldest first.
+import { generateId } from './helpers';
+
+export const createComment = (body, user) => ({
+    id: generateId(),
+    authorId: user.id,
+    author: user.name,
+    body: body.trim(),
+    createdAt: Date.now(),
+    editedAt: null,
+    edited: false,
+});
+
+// The updates an edit applies; `editedAt` lets the merge keep the latest edit
+export const commentEdit = (body) => ({
+    body: body.trim(),
+    edited: true,
+    editedAt: Date.now(),
+});
@@ -0,0 +1,371 @@
+// Compensating actions for undo/redo
+//
+// Undo never swaps in an old board snapshot. Each history entry stores the
+// reducer actions that reverse (and re-apply) one change; they are dispatched
+// like any other optimistic change so the server is updated as well.
+import { operations } from '../services/operations';
+import { describeAction } from './actionLabels';
+import { withPositions, placeAtIndex } from './positionKeys';
+import {
+    findTrashEntry,
+    getRestorableCards,
+    getRestoreListId,
+    restoreTrashedCard,
+    restoreTrashedList,
+} from './archive';
+
+const findList = (state, listId) => state.lists.find((list) => list.id === listId);
+
+const findCardLocation = (state, cardId) => {
+    for (const [listId, cards] of Object.entries(state.cards)) {
+        const index = cards.findIndex((card) => card.id === cardId);
+        if (index !== -1) {
+            return { listId, index, card: cards[index] };
+        }
+    }
+    return null;
+};
+
+const pick = (source, keys) =>
+    Object.fromEntries(keys.map((key) => [key, source[key]]));
+
+// Reducer actions that reverse `action`, built from the state before it
+const inverseActions = (state, action) => {
+    const payload = action.payload;
+
+    switch (action.type) {
+        case 'ADD_LIST':
+            return [{ type: 'DELETE_LIST', payload: { listId: payload.id } }];
+
+        case 'RENAME_LIST': {
+            const list = findList(state, payload.listId);
+            return list ?
+                [{ type: 'RENAME_LIST', payload: { listId: list.id, title: list.title } }] :
+                null;
+        }
+
+        case 'REORDER_LIST': {
+            const list = withPositions(state.lists).find((l) => l.id === payload.listId);
+            return list ?
+                [{ type: 'REORDER_LIST', payload: { listId: list.id, position: list.position } }] :
+                null;
+        }
+
+        case 'SET_WIP_LIMIT': {
+            const list = findList(state, payload.listId);
+            return list ?
+                [{
+                    type: 'SET_WIP_LIMIT',
+                    payload: {
+                        listId: list.id,
+                        wipLimit: list.wipLimit ?? null,
+                        wipMode: list.wipMode ?? 'off',
+                    },
+                }] :
+                null;
+        }
+
+        case 'SET_LIST_AGING': {
+            const list = findList(state, payload.listId);
+            return list ?
+                [{
+                    type: 'SET_LIST_AGING',
+                    payload: {
+                        listId: list.id,
+                        agingDays: list.agingDays ?? null,
+                        staleDays: list.staleDays ?? null,
+                    },
+                }] :
+                null;
+        }
+
+        case 'ARCHIVE_LIST':
+            return [{ type: 'RESTORE_LIST', payload: { listId: payload.listId } }];
+
+        // A list restored from the trash goes back there
+        case 'RESTORE_LIST':
+            return findList(state, payload.listId) ?
+                [{ type: 'ARCHIVE_LIST', payload: { listId: payload.listId } }] :
+                [{ type: 'DELETE_LIST', payload: { listId: payload.listId } }];
+
+        // Deleted items come back from the trash, which gives them a version
+        // past their tombstone so other devices don't bury them again
+        case 'DELETE_LIST':
+            return findList(state, payload.listId) ?
+                [{ type: 'RESTORE_LIST', payload: { listId: payload.listId } }] :
+                null;
+
+        case 'ADD_CARD':
+            return [{
+                type: 'DELETE_CARD',
+                payload: { listId: payload.listId, cardId: payload.card.id },
+            }];
+
+        case 'UPDATE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location) {
+                return null;
+            }
+            return [{
+                type: 'UPDATE_CARD',
+                payload: {
+                    listId: location.listId,
+                    cardId: payload.cardId,
+                    updates: pick(location.card, Object.keys(payload.updates)),
+                },
+            }];
+        }
+
+        case 'DELETE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location) {
+                return null;
+            }
+            return [{ type: 'RESTORE_CARD', payload: { listId: location.listId, cardId: payload.cardId } }];
+        }
+
+        case 'ARCHIVE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            return location ?
+                [{ type: 'RESTORE_CARD', payload: { listId: location.listId, cardId: payload.cardId } }] :
+                null;
+        }
+
+        case 'RESTORE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (location) {
+                return [{ type: 'ARCHIVE_CARD', payload: { listId: location.listId, cardId: payload.cardId } }];
+            }
+            return findTrashEntry(state.trash, 'card', payload.cardId) ?
+                [{ type: 'DELETE_CARD', payload: { listId: payload.listId, cardId: payload.cardId } }] :
+                null;
+        }
+
+        case 'MOVE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location) {
+                return null;
+            }
+            const card = withPositions(state.cards[location.listId])[location.index];
+            return [{
+                type: 'MOVE_CARD',
+                payload: {
+                    sourceListId: payload.destinationListId,
+                    destinationListId: location.listId,
+                    cardId: payload.cardId,
+                    position: card.position,
+                },
+            }];
+        }
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Build an undo history entry for an action
+ * @param {Object} state - Board state before the action
+ * @param {Object} action - Reducer action; ADD_LIST/ADD_CARD payloads must carry ids
+ * @returns {Object|null} - { type, label, undo, redo }, or null if the action is not undoable
+ */
+export function createUndoEntry(state, action) {
+    const undo = inverseActions(state, action);
+    if (!undo) {
+        return null;
+    }
+    return {
+        type: action.type,
+        label: describeAction(state, action),
+        undo,
+        redo: [{ type: action.type, payload: action.payload }],
+    };
+}
+
+/**
+ * Adapt a recorded action to the current board and pair it with its server
+ * operation. Cards are looked up by id, so later moves are respected.
+ * @param {Object} state - Current board state
+ * @param {Object} action - Action from a history entry
+ * @returns {Object|null} - { action, operation }, or null if it no longer applies
+ */
+export function resolveStep(state, action) {
+    const payload = action.payload;
+
+    switch (action.type) {
+        case 'ADD_LIST': {
+            if (findList(state, payload.id)) {
+                return null;
+            }
+            const { index, ...list } = payload;
+            return { action, operation: operations.addList(list, index ?? null) };
+        }
+
+        case 'REORDER_LIST': {
+            if (!findList(state, payload.listId)) {
+                return null;
+            }
+            // The action and the server get the same keys
+            const { position, rebalanced } = payload.position ?
+                { position: payload.position, rebalanced: [] } :
+                placeAtIndex(state.lists, payload.destinationIndex, payload.listId);
+            return {
+                action: { ...action, payload: { listId: payload.listId, position, rebalanced } },
+                operation: operations.moveList(payload.listId, position, rebalanced),
+            };
+        }
+
+        case 'RESTORE_LIST': {
+            const list = findList(state, payload.listId);
+            if (list) {
+                return { action, operation: operations.updateList(list.id, { archived: false }, list.version) };
+            }
+            // A deleted list goes back to the server with its cards
+            const entry = findTrashEntry(state.trash, 'list', payload.listId);
+            if (!entry) {
+                return null;
+            }
+            return {
+                action,
+                operation: operations.addList(
+                    restoreTrashedList(entry, withPositions(state.lists), Date.now()),
+                    null,
+                    getRestorableCards(state, entry)
+                ),
+            };
+        }
+
+        case 'RENAME_LIST':
+        case 'ARCHIVE_LIST':
+        case 'SET_WIP_LIMIT':
+        case 'SET_LIST_AGING':
+        case 'DELETE_LIST': {
+            const list = findList(state, payload.listId);
+            if (!list) {
+                return null;
+            }
+            const operation = {
+                RENAME_LIST: () => operations.updateList(list.id, { title: payload.title }, list.version),
+                SET_WIP_LIMIT: () => operations.updateList(
+                    list.id,
+                    { wipLimit: payload.wipLimit, wipMode: payload.wipMode },
+                    list.version
+                ),
+                SET_LIST_AGING: () => operations.updateList(
+                    list.id,
+                    { agingDays: payload.agingDays, staleDays: payload.staleDays },
+                    list.version
+                ),
+                ARCHIVE_LIST: () => operations.updateList(list.id, { archived: true }, list.version),
+                DELETE_LIST: () => operations.deleteList(list.id, list.version),
+            }[action.type]();
+            return { action, operation };
+        }
+
+        case 'ADD_CARD': {
+            if (!state.cards[payload.listId] || findCardLocation(state, payload.card.id)) {
+                return null;
+            }
+            return {
+                action,
+                operation: operations.addCard(payload.listId, payload.card, payload.index ?? null),
+            };
+        }
+
+        case 'UPDATE_CARD':
+        case 'DELETE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location) {
+                return null;
+            }
+            const resolved = { ...action, payload: { ...payload, listId: location.listId } };
+            const operation = action.type === 'UPDATE_CARD' ?
+                operations.updateCard(location.listId, payload.cardId, payload.updates, location.card.version) :
+                operations.deleteCard(location.listId, payload.cardId, location.card.version);
+            return { action: resolved, operation };
+        }
+
+        case 'ARCHIVE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location) {
+                return null;
+            }
+            return {
+                action: { ...action, payload: { ...payload, listId: location.listId } },
+                operation: operations.updateCard(
+                    location.listId,
+                    payload.cardId,
+                    { archived: true },
+                    location.card.version
+                ),
+            };
+        }
+
+        // An archived card is shown where it is; a deleted one goes back to
+        // its list, or the first list on the board when that is gone
+        case 'RESTORE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (location) {
+                return {
+                    action: { ...action, payload: { ...payload, listId: location.listId } },
+                    operation: operations.updateCard(
+                        location.listId,
+                        payload.cardId,
+                        { archived: false },
+                        location.card.version
+                    ),
+                };
+            }
+            const entry = findTrashEntry(state.trash, 'card', payload.cardId);
+            const listId = entry && getRestoreListId(state.lists, payload.listId ?? entry.listId);
+            if (!listId) {
+                return null;
+            }
+            const card = restoreTrashedCard(entry, withPositions(state.cards[listId] || []), listId, Date.now());
+            return {
+                action: { ...action, payload: { ...payload, listId } },
+                operation: operations.addCard(listId, card),
+            };
+        }
+
+        case 'MOVE_CARD': {
+            const location = findCardLocation(state, payload.cardId);
+            if (!location || !state.cards[payload.destinationListId]) {
+                return null;
+            }
+            const destCards = state.cards[payload.destinationListId];
+            const { position, rebalanced } = payload.position ?
+                { position: payload.position, rebalanced: [] } :
+                placeAtIndex(destCards, payload.destinationIndex ?? destCards.length, payload.cardId);
+            // The board and the server record the same list entry
+            const transition = location.listId === payload.destinationListId ?
+                null :
+                { listId: payload.destinationListId, at: Date.now() };
+            const resolved = {
+                ...action,
+                payload: {
+                    sourceListId: location.listId,
+                    destinationListId: payload.destinationListId,
+                    cardId: payload.cardId,
+                    position,
+                    rebalanced,
+                    transition,
+                },
+            };
+            return {
+                action: resolved,
+                operation: operations.moveCard(
+                    location.listId,
+                    payload.destinationListId,
+                    payload.cardId,
+                    position,
+                    location.card.version,
+                    { rebalanced, transition }
+                ),
+            };
+        }
+
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,66 @@
+// Card due date helpers. Due dates are stored as ms timestamps (null when unset).
+
+export const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+export const DUE_STATUS = {
+    OVERDUE: 'overdue',
+    DUE_SOON: 'due-soon',
+    UPCOMING: 'upcoming',
+};
+
+/**
+ * Classify a due date relative to now
+ * @param {number|null} dueDate - Due timestamp in ms
+ * @param {number} now - Current timestamp in ms
+ * @returns {string|null} - One of DUE_STATUS, or null when there is no due date
+ */
+export function getDueStatus(dueDate, now) {
+    if (dueDate === null || dueDate === undefined) {
+        return null;
+    }
+    if (dueDate < now) {
+        return DUE_STATUS.OVERDUE;
+    }
+    if (dueDate - now <= DUE_SOON_MS) {
+        return DUE_STATUS.DUE_SOON;
+    }
+    return DUE_STATUS.UPCOMING;
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Convert a timestamp to the local `YYYY-MM-DDTHH:mm` value of a
+ * datetime-local input
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+export function toDateTimeInputValue(timestamp) {
+    if (timestamp === null || timestamp === undefined) {
+        return '';
+    }
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Parse a datetime-local input value (local time) into a timestamp
+ * @param {string} value
+ * @returns {number|null} - null for an empty value, NaN if unparseable
+ */
+export function fromDateTimeInputValue(value) {
+    if (!value) {
+        return null;
+    }
+    return new Date(value).getTime();
+}
+
+// Short label for badges, e.g. "Mar 5, 14:00"
+export const formatDueDate = (timestamp) =>
+    new Date(timestamp).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
@@ -0,0 +1,289 @@
+// Filter query language
+//
+//   tag:bug assignee:me due:<7d -list:Done has:checklist is:overdue is:stale
+//
+// A query is a list of terms separated by spaces, and a card has to match all
+// of them. `key:value` terms filter on a card field, a leading `-` negates a
+// term and values with spaces go in quotes (list:"In Progress"). Words without
+// a key match card text the way the search box does.
+//
+// parseFilterQuery only checks the syntax; createFilterPredicate looks names
+// (labels, members, lists) up on the board. A name that isn't on the board
+// matches no card.
+import { findLabelByName, normalizeLabelName, resolveLabelIds } from './labels';
+import { resolveMemberIds } from './members';
+import { getChecklistProgress } from './checklists';
+import { getDueStatus, DUE_STATUS } from './dueDate';
+import { getSearchFields, SEARCH_FIELDS } from './search';
+import { isStale } from './aging';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = { d: DAY_MS, w: 7 * DAY_MS };
+
+export const HAS_VALUES = ['checklist', 'due', 'assignee', 'label', 'comment', 'description'];
+export const IS_VALUES = ['overdue', 'due-soon', 'complete', 'stale'];
+
+// Filter keys, with the aliases people tend to type
+export const FILTER_KEYS = {
+    tag: 'label',
+    label: 'label',
+    assignee: 'assignee',
+    list: 'list',
+    due: 'due',
+    has: 'has',
+    is: 'is',
+};
+
+const DUE_PATTERN = /^(<=|>=|<|>)?(?:(\d+)([dw])|(\d{4})-(\d{2})-(\d{2}))$/;
+
+/**
+ * Parse the value of a due: term
+ * @param {string} value - e.g. "<7d", ">=2w", "2026-11-01"
+ * @returns {Object|null} - { operator, offset } or { operator, date: [y, m, d] }
+ */
+export function parseDueValue(value) {
+    const match = DUE_PATTERN.exec(value);
+    if (!match) {
+        return null;
+    }
+    const [, operator = '=', amount, unit, year, month, day] = match;
+    if (amount !== undefined) {
+        return { operator, offset: Number(amount) * UNIT_MS[unit] };
+    }
+    const date = [Number(year), Number(month), Number(day)];
+    // Reject dates like 2026-02-31 that Date would roll over
+    const check = new Date(date[0], date[1] - 1, date[2]);
+    if (check.getMonth() !== date[1] - 1 || check.getDate() !== date[2]) {
+        return null;
+    }
+    return { operator, date };
+}
+
+// The error for a key:value term, or null when the value is fine
+function checkValue(key, value) {
+    if (!value) {
+        return `${key}: needs a value`;
+    }
+    switch (FILTER_KEYS[key]) {
+        case 'due':
+            return parseDueValue(value) ?
+                null :
+                `due:${value} isn't a date. Use a span like due:<7d or due:>2w, or a day like due:2026-11-01`;
+        case 'has':
+            return HAS_VALUES.includes(value.toLowerCase()) ?
+                null :
+                `has:${value} isn't supported. Try has:${HAS_VALUES.join(', has:')}`;
+        case 'is':
+            return IS_VALUES.includes(value.toLowerCase()) ?
+                null :
+                `is:${value} isn't supported. Try is:${IS_VALUES.join(', is:')}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Parse a filter query
+ * @param {string} query
+ * @returns {Object} - { filters, errors }. Each filter is { key, value,
+ *   negated, raw, start, end }, with key 'text' for words without a key;
+ *   each error is { message, raw, start }. Terms with errors are left out of
+ *   filters.
+ */
+export function parseFilterQuery(query) {
+    const source = query || '';
+    const filters = [];
+    const errors = [];
+    let i = 0;
+
+    while (i < source.length) {
+        if (/\s/.test(source[i])) {
+            i++;
+            continue;
+        }
+        const start = i;
+        let negated = false;
+        if (source[i] === '-' && i + 1 < source.length && !/\s/.test(source[i + 1])) {
+            negated = true;
+            i++;
+        }
+        const keyMatch = /^([a-z]+):/i.exec(source.slice(i));
+        const key = keyMatch ? keyMatch[1].toLowerCase() : null;
+        if (keyMatch) {
+            i += keyMatch[0].length;
+        }
+
+        let value;
+        let error = null;
+        if (source[i] === '"') {
+            const close = source.indexOf('"', i + 1);
+            if (close === -1) {
+                value = source.slice(i + 1);
+                i = source.length;
+                error = 'Missing closing quote';
+            } else {
+                value = source.slice(i + 1, close);
+                i = close + 1;
+            }
+        } else {
+            const valueStart = i;
+            while (i < source.length && !/\s/.test(source[i])) {
+                i++;
+            }
+            value = source.slice(valueStart, i);
+        }
+        value = value.trim();
+        const raw = source.slice(start, i);
+
+        if (!error && key !== null && !FILTER_KEYS[key]) {
+            error = `Unknown filter "${key}:". Try ${Object.keys(FILTER_KEYS).map((k) => `${k}:`).join(', ')}`;
+        }
+        if (!error && key !== null) {
+            error = checkValue(key, value);
+        }
+        if (!error && key === null && !value) {
+            error = 'Empty search term';
+        }
+
+        if (error) {
+            errors.push({ message: error, raw, start });
+        } else {
+            filters.push({ key: key === null ? 'text' : FILTER_KEYS[key], value, negated, raw, start, end: i });
+        }
+    }
+
+    return { filters, errors };
+}
+
+/**
+ * Remove one term from a query, e.g. when its chip is dismissed
+ * @param {string} query
+ * @param {Object} filter - From parseFilterQuery(query)
+ * @returns {string}
+ */
+export function removeFilterTerm(query, filter) {
+    return `${query.slice(0, filter.start)} ${query.slice(filter.end)}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Add a term to a query, or remove it when the query already has it, e.g.
+ * for a toggle button
+ * @param {string} query
+ * @param {string} term - e.g. "is:stale"
+ * @returns {string}
+ */
+export function toggleFilterTerm(query, term) {
+    const existing = parseFilterQuery(query).filters.find((filter) => filter.raw.toLowerCase() === term.toLowerCase());
+    return existing ? removeFilterTerm(query, existing) : `${query.trim()} ${term}`.trim();
+}
+
+// Names of members and lists compare like label names: ignoring case and spacing
+const sameName = (a, b) => normalizeLabelName(a || '') === normalizeLabelName(b || '');
+
+const startOfDay = (timestamp) => {
+    const date = new Date(timestamp);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+};
+
+// Whether a due date satisfies a due: term. Spans count from now; days run
+// from local midnight to midnight.
+function matchesDue(dueDate, value, now) {
+    if (dueDate === null || dueDate === undefined) {
+        return false;
+    }
+    const { operator, offset, date } = parseDueValue(value);
+    const from = date ? new Date(date[0], date[1] - 1, date[2]).getTime() : now + offset;
+    const dayStart = startOfDay(from);
+    const dayEnd = new Date(dayStart).setDate(new Date(dayStart).getDate() + 1);
+
+    switch (operator) {
+        case '<':
+            return dueDate < from;
+        case '<=':
+            return date ? dueDate < dayEnd : dueDate <= from;
+        case '>':
+            return date ? dueDate >= dayEnd : dueDate > from;
+        case '>=':
+            return dueDate >= from;
+        default:
+            return dueDate >= dayStart && dueDate < dayEnd;
+    }
+}
+
+function matchesHas(card, value, context) {
+    switch (value) {
+        case 'checklist':
+            return (card.checklists || []).length > 0;
+        case 'due':
+            return card.dueDate !== null && card.dueDate !== undefined;
+        case 'assignee':
+            return resolveMemberIds(context.members, card.assignees).length > 0;
+        case 'label':
+            return resolveLabelIds(context.labels, card.labelIds).length > 0;
+        case 'comment':
+            return (card.comments || []).length > 0;
+        case 'description':
+            return Boolean(card.description && card.description.trim());
+        default:
+            return false;
+    }
+}
+
+function matchesIs(card, list, value, context) {
+    switch (value) {
+        case 'overdue':
+            return getDueStatus(card.dueDate, context.now) === DUE_STATUS.OVERDUE;
+        case 'due-soon':
+            return getDueStatus(card.dueDate, context.now) === DUE_STATUS.DUE_SOON;
+        case 'complete': {
+            const progress = getChecklistProgress(card.checklists);
+            return progress.total > 0 && progress.done === progress.total;
+        }
+        case 'stale':
+            return isStale(card, list, context.now);
+        default:
+            return false;
+    }
+}
+
+function matchesFilter(filter, card, list, context) {
+    const value = filter.value.toLowerCase();
+    switch (filter.key) {
+        case 'label': {
+            const label = findLabelByName(context.labels, filter.value);
+            return Boolean(label) && resolveLabelIds(context.labels, card.labelIds).includes(label.id);
+        }
+        case 'assignee': {
+            const member = value === 'me' ?
+                { id: context.currentUserId } :
+                (context.members || []).find((m) => m.id === filter.value || sameName(m.name, filter.value));
+            return Boolean(member) && resolveMemberIds(context.members, card.assignees).includes(member.id);
+        }
+        case 'list':
+            return Boolean(list) && (list.id === filter.value || sameName(list.title, filter.value));
+        case 'due':
+            return matchesDue(card.dueDate, filter.value, context.now);
+        case 'has':
+            return matchesHas(card, value, context);
+        case 'is':
+            return matchesIs(card, list, value, context);
+        default: {
+            const fields = getSearchFields(card, context.labels);
+            return SEARCH_FIELDS.some((field) => fields[field].includes(value));
+        }
+    }
+}
+
+/**
+ * Build a card predicate from parsed filters
+ * @param {Array} filters - From parseFilterQuery
+ * @param {Object} context - { labels, members, currentUserId, now }
+ * @returns {Function|null} - (card, list) => boolean, or null without filters
+ */
+export function createFilterPredicate(filters, context) {
+    if (!filters || filters.length === 0) {
+        return null;
+    }
+    return (card, list) =>
+        filters.every((filter) => matchesFilter(filter, card, list, context) !== filter.negated);
+}
@@ -8,6 +8,28 @@ export const formatDate = (date) => {
     return new Date(date).toLocaleString();
 };
 
+/**
+ * Apply `fn` to one array field (e.g. labelIds) of every card, keeping
+ * cards whose value doesn't change
+ * @param {Object} cards - Cards keyed by list id
+ * @param {string} field - Card field holding an array of ids
+ * @param {Function} fn - ids => ids
+ * @returns {Object}
+ */
+export const mapCardField = (cards, field, fn) =>
+    Object.fromEntries(
+        Object.entries(cards).map(([listId, listCards]) => [
+            listId,
+            listCards.map((card) => {
+                const current = card[field] || [];
+                const next = fn(current);
+                const unchanged =
+                    next.length === current.length && next.every((id, index) => id === current[index]);
+                return unchanged ? card : { ...card, [field]: next };
+            }),
+        ])
+    );
+
 // Reorder items in an array
 export const reorder = (list, startIndex, endIndex) => {
     const result = Array.from(list);
@@ -0,0 +1,96 @@
+// Board label registry helpers
+//
+// board.labels: [{ id, name, color, description, aliases, createdAt, lastModifiedAt, version }]
+// Cards reference labels through card.labelIds. When a label is merged into
+// another, the target keeps the source id in `aliases`, so cards that still
+// carry the old id (e.g. edited offline) resolve to the surviving label.
+import { generateId, mapCardField } from './helpers';
+
+// Dark enough for white text to meet WCAG AA contrast
+export const LABEL_COLORS = [
+    { name: 'Red', value: '#b91c1c' },
+    { name: 'Orange', value: '#c2410c' },
+    { name: 'Amber', value: '#a16207' },
+    { name: 'Green', value: '#15803d' },
+    { name: 'Teal', value: '#0f766e' },
+    { name: 'Blue', value: '#1d4ed8' },
+    { name: 'Violet', value: '#6d28d9' },
+    { name: 'Pink', value: '#be185d' },
+    { name: 'Gray', value: '#4b5563' },
+];
+
+// "Bug", " bug " and "BUG" are the same label
+export const normalizeLabelName = (name) => name.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// FNV-1a, so the same tag gets the same id and color on every device
+const hashName = (name) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Build a label record
+ * @param {Object} fields - { name, color?, description?, id? }
+ * @returns {Object}
+ */
+export function createLabel({ id, name, color, description = '' }) {
+    const now = Date.now();
+    const hash = hashName(normalizeLabelName(name));
+    return {
+        id: id || generateId(),
+        name: name.trim().replace(/\s+/g, ' '),
+        color: color || LABEL_COLORS[hash % LABEL_COLORS.length].value,
+        description: description.trim(),
+        aliases: [],
+        createdAt: now,
+        lastModifiedAt: now,
+        version: 1,
+    };
+}
+
+/**
+ * Label created for a legacy string tag. The id is derived from the
+ * normalized name so boards migrated on different devices agree.
+ */
+export const createLabelFromTag = (tag) =>
+    createLabel({ id: `label-${hashName(normalizeLabelName(tag)).toString(36)}`, name: tag });
+
+export const findLabelByName = (labels = [], name) => {
+    const key = normalizeLabelName(name);
+    return labels.find((label) => normalizeLabelName(label.name) === key);
+};
+
+/**
+ * Map label ids (including ids of labels merged away) to current labels,
+ * dropping unknown ids and duplicates
+ * @param {Array} labels - Board labels
+ * @param {Array} labelIds - Ids stored on a card
+ * @returns {Array} - Ids of existing labels
+ */
+export function resolveLabelIds(labels = [], labelIds = []) {
+    const byId = new Map();
+    labels.forEach((label) => {
+        (label.aliases || []).forEach((alias) => byId.set(alias, label.id));
+    });
+    labels.forEach((label) => byId.set(label.id, label.id));
+
+    return [...new Set(labelIds.map((id) => byId.get(id)).filter(Boolean))];
+}
+
+/**
+ * Look up the labels a card references, in the card's order
+ * @param {Array} labels - Board labels
+ * @param {Array} labelIds - Ids stored on a card
+ * @returns {Array} - Label records
+ */
+export function getCardLabels(labels = [], labelIds = []) {
+    const byId = new Map(labels.map((label) => [label.id, label]));
+    return resolveLabelIds(labels, labelIds).map((id) => byId.get(id));
+}
+
+// Apply `fn` (labelIds => labelIds) to every card
+export const mapCardLabelIds = (cards, fn) => mapCardField(cards, 'labelIds', fn);
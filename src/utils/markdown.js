@@ -0,0 +1,104 @@
+// Minimal markdown parser for comments
+//
+// Supports paragraphs, line breaks, "- " / "* " lists, **bold**, *italic*
+// (or _italic_), `code` and [links](https://...). The result is a plain
+// node tree rendered as React elements, so no HTML from the source is ever
+// interpreted.
+
+const INLINE_PATTERN = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+
+const LIST_ITEM_PATTERN = /^\s*[-*]\s+/;
+
+// Only these schemes are turned into links; anything else stays as text
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+/**
+ * Parse inline markup. Every node carries the offset its markup starts at,
+ * which is stable for a given source and keys the rendered elements.
+ * @param {string} text
+ * @param {number} [offset] - Offset of `text` in the whole source
+ * @returns {Array} - Nodes: { type: 'text'|'code', value, offset } or
+ *   { type: 'strong'|'em', children, offset } or { type: 'link', href, children, offset }
+ */
+export function parseInline(text, offset = 0) {
+    const nodes = [];
+    let rest = text;
+    let position = offset;
+
+    while (rest) {
+        const match = INLINE_PATTERN.exec(rest);
+        if (!match) {
+            nodes.push({ type: 'text', value: rest, offset: position });
+            break;
+        }
+        if (match.index > 0) {
+            nodes.push({ type: 'text', value: rest.slice(0, match.index), offset: position });
+        }
+
+        const [token, code, strong, em, link] = match;
+        const at = position + match.index;
+        if (code) {
+            nodes.push({ type: 'code', value: token.slice(1, -1), offset: at });
+        } else if (strong) {
+            nodes.push({ type: 'strong', children: parseInline(token.slice(2, -2), at + 2), offset: at });
+        } else if (em) {
+            nodes.push({ type: 'em', children: parseInline(token.slice(1, -1), at + 1), offset: at });
+        } else if (link) {
+            const [, label, href] = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(token);
+            nodes.push(
+                SAFE_URL_PATTERN.test(href) ?
+                    { type: 'link', href, children: parseInline(label, at + 1), offset: at } :
+                    { type: 'text', value: token, offset: at }
+            );
+        }
+        rest = rest.slice(match.index + token.length);
+        position = at + token.length;
+    }
+
+    return nodes;
+}
+
+// A run of non-blank lines ({ text, offset }) as a list or paragraph block
+const toBlock = (lines) =>
+    lines.every(({ text }) => LIST_ITEM_PATTERN.test(text)) ?
+        {
+            type: 'list',
+            offset: lines[0].offset,
+            items: lines.map(({ text, offset }) => {
+                const [marker] = LIST_ITEM_PATTERN.exec(text);
+                return { offset, nodes: parseInline(text.slice(marker.length), offset + marker.length) };
+            }),
+        } :
+        {
+            type: 'paragraph',
+            offset: lines[0].offset,
+            lines: lines.map(({ text, offset }) => ({ offset, nodes: parseInline(text, offset) })),
+        };
+
+/**
+ * Parse markdown source into blocks. Blank lines separate blocks. Offsets
+ * count from the start of the source, with line endings read as "\n".
+ * @param {string} source
+ * @returns {Array} - Blocks: { type: 'paragraph', offset, lines: [{ offset, nodes }] }
+ *   or { type: 'list', offset, items: [{ offset, nodes }] }
+ */
+export function parseMarkdown(source = '') {
+    const blocks = [];
+    let run = [];
+    let offset = 0;
+
+    source.replace(/\r\n?/g, '\n').split('\n').forEach((text) => {
+        if (text.trim()) {
+            run.push({ text, offset });
+        } else if (run.length > 0) {
+            blocks.push(toBlock(run));
+            run = [];
+        }
+        offset += text.length + 1;
+    });
+    if (run.length > 0) {
+        blocks.push(toBlock(run));
+    }
+
+    return blocks;
+}
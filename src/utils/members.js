@@ -0,0 +1,72 @@
+// Board member roster helpers
+//
+// board.members: [{ id, name, initials, color, email, createdAt, lastModifiedAt, version }]
+// Cards reference members through card.assignees. The person using this
+// browser is the member whose id matches services/currentUser.
+import { generateId, mapCardField } from './helpers';
+import { LABEL_COLORS } from './labels';
+
+// Same contrast-checked palette as labels: white initials stay readable
+export const AVATAR_COLORS = LABEL_COLORS;
+
+/**
+ * Initials from a display name: first letters of the first and last words,
+ * or the first two letters of a single word
+ * @param {string} name
+ * @returns {string} - e.g. "Ada Lovelace" -> "AL"
+ */
+export function getInitials(name = '') {
+    const words = name.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+        return '?';
+    }
+    const initials = words.length === 1 ?
+        words[0].slice(0, 2) :
+        words[0][0] + words[words.length - 1][0];
+    return initials.toUpperCase();
+}
+
+/**
+ * Build a member record
+ * @param {Object} fields - { name, initials?, color?, email?, id? }
+ * @returns {Object}
+ */
+export function createMember({ id, name, initials, color, email = '' }) {
+    const now = Date.now();
+    const trimmed = name.trim().replace(/\s+/g, ' ');
+    return {
+        id: id || generateId(),
+        name: trimmed,
+        initials: (initials || getInitials(trimmed)).trim().toUpperCase(),
+        color: color || AVATAR_COLORS[trimmed.length % AVATAR_COLORS.length].value,
+        email: email.trim(),
+        createdAt: now,
+        lastModifiedAt: now,
+        version: 1,
+    };
+}
+
+/**
+ * Keep the ids of members that exist, without duplicates
+ * @param {Array} members - Board members
+ * @param {Array} memberIds - Ids stored on a card
+ * @returns {Array}
+ */
+export function resolveMemberIds(members = [], memberIds = []) {
+    const known = new Set(members.map((member) => member.id));
+    return [...new Set(memberIds.filter((id) => known.has(id)))];
+}
+
+/**
+ * Look up a card's assignees, in the card's order
+ * @param {Array} members - Board members
+ * @param {Array} memberIds - card.assignees
+ * @returns {Array} - Member records
+ */
+export function getCardAssignees(members = [], memberIds = []) {
+    const byId = new Map(members.map((member) => [member.id, member]));
+    return resolveMemberIds(members, memberIds).map((id) => byId.get(id));
+}
+
+// Apply `fn` (assignees => assignees) to every card
+export const mapCardAssignees = (cards, fn) => mapCardField(cards, 'assignees', fn);
@@ -1,47 +1,42 @@
 // Three-way merge utilities for conflict resolution
+import { resolveLabelIds, mapCardLabelIds } from './labels';
+import { resolveMemberIds, mapCardAssignees } from './members';
+import { sortByPosition } from './positionKeys';
+import { purgeTrash, isBuriedBy } from './archive';
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
 
 /**
- * Performs three-way merge between base, local, and server versions
+ * Three-way merge of the given fields, starting from the server copy
  * @param {Object} base - Original version
  * @param {Object} local - Local modified version
  * @param {Object} server - Server version
+ * @param {Array<string>} fields - Fields to compare
+ * @param {Function} [describeField] - Maps a field name to the name reported in conflicts
  * @returns {Object} - { merged, conflicts }
  */
-export function threeWayMerge(base, local, server) {
-    // If versions match, no conflict
-    if (local.version === server.version) {
-        return { merged: local, conflicts: [] };
-    }
-
-    // If server is older, keep local
-    if (server.version < local.version) {
-        return { merged: local, conflicts: [] };
-    }
-
+function mergeFields(base, local, server, fields, describeField = (field) => field) {
     const conflicts = [];
     const merged = {...server };
 
-    // Check each field for conflicts
-    const fields = ['title', 'description', 'tags', 'archived', 'order'];
-
     fields.forEach((field) => {
-        const baseValue = base ? .[field];
+        const baseValue = base?.[field];
         const localValue = local[field];
         const serverValue = server[field];
 
         // If local changed but server also changed differently
         if (
-            JSON.stringify(localValue) !== JSON.stringify(baseValue) &&
-            JSON.stringify(serverValue) !== JSON.stringify(baseValue) &&
-            JSON.stringify(localValue) !== JSON.stringify(serverValue)
+            !isEqual(localValue, baseValue) &&
+            !isEqual(serverValue, baseValue) &&
+            !isEqual(localValue, serverValue)
         ) {
             conflicts.push({
-                field,
+                field: describeField(field),
                 base: baseValue,
                 local: localValue,
                 server: serverValue,
             });
-        } else if (JSON.stringify(localValue) !== JSON.stringify(baseValue)) {
+        } else if (!isEqual(localValue, baseValue)) {
             // Local changed, server didn't - use local
             merged[field] = localValue;
         }
@@ -52,12 +47,299 @@ export function threeWayMerge(base, local, server) {
 }
 
 /**
- * Merges entire board state
+ * Order for a merged id collection: whichever side reordered the shared
+ * items wins (server if both did), then additions from the other side.
+ */
+function mergeOrder(baseIds, localIds, serverIds, keep) {
+    const shared = (ids, others) => ids.filter((id) => others.includes(id));
+    const localReordered = !isEqual(shared(localIds, baseIds), shared(baseIds, localIds));
+    const serverReordered = !isEqual(shared(serverIds, baseIds), shared(baseIds, serverIds));
+    const [primary, secondary] =
+        localReordered && !serverReordered ? [localIds, serverIds] : [serverIds, localIds];
+
+    const order = primary.filter(keep);
+    secondary.forEach((id, index) => {
+        if (!keep(id) || order.includes(id)) return;
+        // Insert after the nearest preceding item that is already placed
+        const previous = secondary.slice(0, index).reverse().find((other) => order.includes(other));
+        order.splice(previous === undefined ? 0 : order.indexOf(previous) + 1, 0, id);
+    });
+    return order;
+}
+
+/**
+ * Three-way merge of an array of objects with stable `id`s. Items are matched
+ * by id and merged one by one, so edits to different items never conflict.
+ * Additions from either side are kept; an item deleted on one side stays
+ * deleted.
+ *
+ * Unlike lists and cards, which carry tombstones (see mergeBoardState), the
+ * collections merged here (labels, members, checklists and their items,
+ * comments) still read a delete from an item missing on one side but present
+ * in `base`. That is only as good as the base: an item the base has by
+ * mistake is dropped when the other side lacks it, and one the base lacks is
+ * kept as an addition even if the other side deleted it.
+ * @param {Array} base - Original items
+ * @param {Array} local - Local items
+ * @param {Array} server - Server items
+ * @param {Function} mergeItem - (base, local, server) => { merged, conflicts }
+ * @returns {Object} - { merged, conflicts }
+ */
+export function mergeById(base = [], local = [], server = [], mergeItem) {
+    const index = (items) => new Map(items.map((item) => [item.id, item]));
+    const baseItems = index(base);
+    const localItems = index(local);
+    const serverItems = index(server);
+    const conflicts = [];
+    const mergedItems = new Map();
+
+    new Set([...localItems.keys(), ...serverItems.keys()]).forEach((id) => {
+        const localItem = localItems.get(id);
+        const serverItem = serverItems.get(id);
+
+        if (localItem && serverItem) {
+            const result = mergeItem(baseItems.get(id), localItem, serverItem);
+            mergedItems.set(id, result.merged);
+            conflicts.push(...result.conflicts);
+        } else if (!baseItems.has(id)) {
+            // Added on one side only
+            mergedItems.set(id, localItem || serverItem);
+        }
+        // Otherwise deleted on the other side
+    });
+
+    const order = mergeOrder(
+        base.map((item) => item.id),
+        local.map((item) => item.id),
+        server.map((item) => item.id),
+        (id) => mergedItems.has(id)
+    );
+
+    return { merged: order.map((id) => mergedItems.get(id)), conflicts };
+}
+
+/**
+ * Merge card checklists item by item
+ */
+export function mergeChecklists(base, local, server) {
+    return mergeById(base, local, server, (baseList, localList, serverList) => {
+        const name = `checklist "${serverList.title}"`;
+        const { merged, conflicts } = mergeFields(
+            baseList,
+            localList,
+            serverList,
+            ['title'],
+            (field) => `${name} ${field}`
+        );
+        const items = mergeById(
+            baseList?.items,
+            localList.items,
+            serverList.items,
+            (baseItem, localItem, serverItem) =>
+                mergeFields(
+                    baseItem,
+                    localItem,
+                    serverItem,
+                    ['text', 'done'],
+                    (field) => `${name} item "${serverItem.text}" ${field}`
+                )
+        );
+        return {
+            merged: { ...merged, items: items.merged },
+            conflicts: [...conflicts, ...items.conflicts],
+        };
+    });
+}
+
+/**
+ * Merge card comments. Comments are append-mostly and only edited by their
+ * author, so this never reports conflicts: both sides' new comments are kept,
+ * a deletion on either side wins, and of two edits the later one is kept.
+ */
+export function mergeComments(base, local, server) {
+    const { merged } = mergeById(base, local, server, (baseComment, localComment, serverComment) => ({
+        merged: (localComment.editedAt || 0) > (serverComment.editedAt || 0) ?
+            localComment :
+            serverComment,
+        conflicts: [],
+    }));
+    // Threads read oldest first whichever side a comment came from
+    const sorted = [...merged].sort(
+        (a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+    );
+    return { merged: sorted, conflicts: [] };
+}
+
+/**
+ * Merge card list transitions ({ listId, at }). They are only ever appended,
+ * so both sides' entries are kept, oldest first.
+ */
+export function mergeTransitions(local = [], server = []) {
+    const byKey = new Map([...server, ...local].map((entry) => [`${entry.listId}@${entry.at}`, entry]));
+    return [...byKey.values()].sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Merge a board-level registry (labels, members). Entries are matched by id
+ * and merged on `fields`; additions from both sides are kept and a deletion
+ * on either side wins. A field changed differently on both sides is reported
+ * as a conflict of `type` for that entry, and the server copy is used until
+ * it is resolved.
+ * @param {Function} [combine] - (entry, local, server) => entry, applied to merged entries
+ * @returns {Object} - { merged, conflicts } with conflicts shaped like list conflicts
+ */
+function mergeRegistry(base, local, server, type, fields, combine = (entry) => entry) {
+    const conflicts = [];
+    const { merged } = mergeById(base, local, server, (baseEntry, localEntry, serverEntry) => {
+        const result = mergeFields(baseEntry, localEntry, serverEntry, fields);
+        if (result.conflicts.length > 0) {
+            conflicts.push({
+                type,
+                id: serverEntry.id,
+                conflicts: result.conflicts,
+                local: combine(localEntry, localEntry, serverEntry),
+                server: combine(serverEntry, localEntry, serverEntry),
+            });
+            return { merged: combine(serverEntry, localEntry, serverEntry), conflicts: [] };
+        }
+        return { merged: combine(result.merged, localEntry, serverEntry), conflicts: [] };
+    });
+    return { merged, conflicts };
+}
+
+/**
+ * Merge the board label registries. Aliases left by label merges on either
+ * side are combined.
+ */
+export const mergeLabels = (base, local, server) =>
+    mergeRegistry(base, local, server, 'label', ['name', 'color', 'description'], (label, localLabel, serverLabel) => ({
+        ...label,
+        aliases: [...new Set([...(serverLabel.aliases || []), ...(localLabel.aliases || [])])],
+    }));
+
+/**
+ * Merge the board member rosters
+ */
+export const mergeMembers = (base, local, server) =>
+    mergeRegistry(base, local, server, 'member', ['name', 'initials', 'color', 'email']);
+
+/**
+ * Performs three-way merge between base, local, and server versions
+ * @param {Object} base - Original version
+ * @param {Object} local - Local modified version
+ * @param {Object} server - Server version
+ * @returns {Object} - { merged, conflicts }
+ */
+export function threeWayMerge(base, local, server) {
+    const result = mergeVersioned(base, local, server);
+
+    // Moves don't bump versions either: the side that moved the item wins
+    // (the server if both did)
+    if (local.position !== undefined || server.position !== undefined) {
+        const movedLocally = local.position !== base?.position && server.position === base?.position;
+        const position = movedLocally ? local.position : server.position ?? local.position;
+        result.merged = { ...result.merged, position };
+    }
+
+    // Comments don't bump the card version, so they are merged whichever copy won
+    if (local.comments || server.comments) {
+        const comments = mergeComments(base?.comments, local.comments, server.comments);
+        result.merged = { ...result.merged, comments: comments.merged };
+    }
+
+    // Transitions are recorded on moves, so they don't bump the version either
+    if (local.transitions || server.transitions) {
+        result.merged = { ...result.merged, transitions: mergeTransitions(local.transitions, server.transitions) };
+    }
+
+    return result;
+}
+
+function mergeVersioned(base, local, server) {
+    // If versions match, no conflict
+    if (local.version === server.version) {
+        return { merged: local, conflicts: [] };
+    }
+
+    // If server is older, keep local
+    if (server.version < local.version) {
+        return { merged: local, conflicts: [] };
+    }
+
+    // Check each field for conflicts (cards and lists share this path;
+    // fields an entity doesn't have are undefined on all sides)
+    const fields = [
+        'title', 'description', 'labelIds', 'assignees', 'startDate', 'dueDate', 'archived',
+        'wipLimit', 'wipMode', 'agingDays', 'staleDays',
+    ];
+    const { merged, conflicts } = mergeFields(base, local, server, fields);
+
+    // Checklists are merged per checklist and item rather than as one value
+    if (local.checklists || server.checklists) {
+        const checklists = mergeChecklists(base?.checklists, local.checklists, server.checklists);
+        merged.checklists = checklists.merged;
+        conflicts.push(...checklists.conflicts);
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Merge the trash of both sides (see utils/archive.js). An item deleted on
+ * either side has an entry; of two entries for one item the one deleted at
+ * the higher version is kept, then the later delete.
+ * @returns {Map} - `${kind}:${id}` -> entry
+ */
+export function mergeTrash(local = [], server = []) {
+    const entries = new Map();
+    const isNewer = (entry, other) =>
+        entry.version > other.version ||
+        (entry.version === other.version && entry.deletedAt > other.deletedAt);
+    [...server, ...local].forEach((entry) => {
+        const key = `${entry.kind}:${entry.id}`;
+        if (!entries.has(key) || isNewer(entry, entries.get(key))) {
+            entries.set(key, entry);
+        }
+    });
+    return entries;
+}
+
+// Every card of a board by id, with the list it is in
+const indexCards = (board) => {
+    const cards = new Map();
+    Object.entries(board?.cards || {}).forEach(([listId, listCards]) => {
+        listCards.forEach((card) => cards.set(card.id, { listId, card }));
+    });
+    return cards;
+};
+
+/**
+ * Merges entire board state.
+ *
+ * Deletes are never inferred from an item missing on one side: the base is
+ * often stale, so that dropped additions and brought deleted items back.
+ * Instead both sides carry tombstones (trash entries) with the version each
+ * item was deleted at. A copy no newer than its tombstone is deleted; one
+ * restored or edited since is kept and its tombstone dropped. An item on one
+ * side only, without a tombstone, was added there.
+ *
+ * Cards are matched by id across lists, so a card moved to another list on
+ * one side isn't read as a delete plus an add. The side that moved it wins,
+ * the server if both did. A card added or moved into a list deleted on the
+ * other side is reported as a conflict on its `list`. It stays in the list
+ * the other side has it in, or else goes to the trash with the deleted list.
  */
 export function mergeBoardState(baseState, localState, serverState) {
     const conflicts = [];
     const mergedLists = [];
     const mergedCards = {};
+    const trash = mergeTrash(localState.trash, serverState.trash);
+
+    // Whether the item's tombstone covers every copy of it
+    const isDeleted = (kind, ...items) => {
+        const entry = trash.get(`${kind}:${items.find(Boolean).id}`);
+        return Boolean(entry) && items.every((item) => !item || isBuriedBy(entry, item));
+    };
 
     // Merge lists
     const allListIds = new Set([
@@ -66,107 +348,189 @@ export function mergeBoardState(baseState, localState, serverState) {
     ]);
 
     allListIds.forEach((listId) => {
-        const baseList = baseState ? .lists ? .find((l) => l.id === listId);
+        const baseList = baseState?.lists?.find((l) => l.id === listId);
         const localList = localState.lists.find((l) => l.id === listId);
         const serverList = serverState.lists.find((l) => l.id === listId);
 
-        if (!localList && serverList) {
-            // Deleted locally but exists on server - keep deletion
+        if (isDeleted('list', localList, serverList)) {
             return;
         }
 
-        if (localList && !serverList) {
-            // Added locally or deleted on server
-            if (!baseList) {
-                // Added locally, keep it
-                mergedLists.push(localList);
-            }
-            // Deleted on server, respect deletion
+        if (!localList || !serverList) {
+            // Added on one side
+            mergedLists.push(localList || serverList);
             return;
         }
 
-        if (localList && serverList) {
-            const { merged, conflicts: listConflicts } = threeWayMerge(
-                baseList,
-                localList,
-                serverList
-            );
-
-            if (listConflicts.length > 0) {
-                conflicts.push({
-                    type: 'list',
-                    id: listId,
-                    conflicts: listConflicts,
-                    local: localList,
-                    server: serverList,
-                });
-                // Use server version for now, will be resolved in UI
-                mergedLists.push(serverList);
-            } else {
-                mergedLists.push(merged);
-            }
+        const { merged, conflicts: listConflicts } = threeWayMerge(
+            baseList,
+            localList,
+            serverList
+        );
+
+        if (listConflicts.length > 0) {
+            // Whichever copy is picked keeps the merged position
+            const withPosition = (list) =>
+                merged.position !== undefined ? { ...list, position: merged.position } : list;
+            conflicts.push({
+                type: 'list',
+                id: listId,
+                conflicts: listConflicts,
+                local: withPosition(localList),
+                server: withPosition(serverList),
+            });
+            // Use server version for now, will be resolved in UI
+            mergedLists.push(withPosition(serverList));
+        } else {
+            mergedLists.push(merged);
         }
     });
 
     // Merge cards
-    allListIds.forEach((listId) => {
-        const localCards = localState.cards[listId] || [];
-        const serverCards = serverState.cards[listId] || [];
-        const baseCards = baseState ? .cards ? .[listId] || [];
+    mergedLists.forEach(({ id }) => {
+        mergedCards[id] = [];
+    });
+
+    const baseCards = indexCards(baseState);
+    const localCards = indexCards(localState);
+    const serverCards = indexCards(serverState);
+    const place = (entry) => entry && `${entry.listId}@${entry.card.position}`;
+
+    // Where a side has a card, for the conflict report
+    const listTitle = (board, entry) => {
+        if (!entry) {
+            return null;
+        }
+        const title = board.lists.find((list) => list.id === entry.listId)?.title ??
+            trash.get(`list:${entry.listId}`)?.item.title;
+        return mergedCards[entry.listId] ? title : `${title} (deleted)`;
+    };
 
-        const allCardIds = new Set([
-            ...localCards.map((c) => c.id),
-            ...serverCards.map((c) => c.id),
-        ]);
+    // A card whose list was deleted goes to the trash with it. A newer copy
+    // replaces the one the list was deleted with.
+    const trashWithList = (listId, card) => {
+        const key = `list:${listId}`;
+        const entry = trash.get(key);
+        if (!entry) {
+            return;
+        }
+        const cards = entry.cards || [];
+        const kept = cards.find((c) => c.id === card.id);
+        if (!kept || (kept.version ?? 1) < (card.version ?? 1)) {
+            trash.set(key, { ...entry, cards: [...cards.filter((c) => c.id !== card.id), card] });
+        }
+    };
 
-        mergedCards[listId] = [];
+    new Set([...localCards.keys(), ...serverCards.keys()]).forEach((cardId) => {
+        const local = localCards.get(cardId);
+        const server = serverCards.get(cardId);
 
-        allCardIds.forEach((cardId) => {
-            const baseCard = baseCards.find((c) => c.id === cardId);
-            const localCard = localCards.find((c) => c.id === cardId);
-            const serverCard = serverCards.find((c) => c.id === cardId);
+        if (isDeleted('card', local?.card, server?.card)) {
+            return;
+        }
 
-            if (!localCard && serverCard) {
-                // Deleted locally
-                return;
-            }
+        // A card on one side only was added there. The side that moved a
+        // card between lists or within one wins, the server if both did.
+        const base = baseCards.get(cardId);
+        const movedLocally = Boolean(local && server) &&
+            place(local) !== place(base) && place(server) === place(base);
+        const chosen = !server || movedLocally ? local : server;
+        const other = chosen === local ? server : local;
+
+        const { merged, conflicts: cardConflicts } = other ?
+            threeWayMerge(base?.card, local.card, server.card) :
+            { merged: chosen.card, conflicts: [] };
+        // The server copy stands in for a card with field conflicts until
+        // they are resolved
+        const winner = cardConflicts.length > 0 ? server.card : merged;
+        let { listId } = chosen;
+        let position = other ? chosen.card.position ?? merged.position : chosen.card.position;
 
-            if (localCard && !serverCard) {
-                // Added locally or deleted on server
-                if (!baseCard) {
-                    mergedCards[listId].push(localCard);
-                }
+        // Whichever copy is picked keeps both sides' comments and
+        // transitions, and the merged position
+        const withShared = (card) => ({
+            ...card,
+            ...(merged.comments && { comments: merged.comments }),
+            ...(merged.transitions && { transitions: merged.transitions }),
+            ...(position !== undefined && { position }),
+        });
+
+        if (!mergedCards[listId]) {
+            const entry = trash.get(`list:${listId}`);
+            if (entry?.cards?.some((c) => c.id === cardId)) {
+                // It was in the list when the list was deleted, and goes with it
+                trashWithList(listId, withShared(winner));
                 return;
             }
-
-            if (localCard && serverCard) {
-                const { merged, conflicts: cardConflicts } = threeWayMerge(
-                    baseCard,
-                    localCard,
-                    serverCard
-                );
-
-                if (cardConflicts.length > 0) {
-                    conflicts.push({
-                        type: 'card',
-                        listId,
-                        id: cardId,
-                        conflicts: cardConflicts,
-                        local: localCard,
-                        server: serverCard,
-                    });
-                    mergedCards[listId].push(serverCard);
-                } else {
-                    mergedCards[listId].push(merged);
-                }
+            // Added or moved into a list deleted on the other side: the card
+            // stays where the other side has it, or goes to the trash with
+            // the list, and the change is reported rather than lost
+            const listConflict = {
+                field: 'list',
+                base: listTitle(baseState || serverState, base),
+                local: listTitle(localState, local),
+                server: listTitle(serverState, server),
+            };
+            if (other && mergedCards[other.listId]) {
+                listId = other.listId;
+                position = other.card.position;
+            } else {
+                trashWithList(listId, withShared(winner));
+                listId = null;
             }
-        });
+            cardConflicts.unshift(listConflict);
+        }
+
+        const card = withShared(winner);
+        if (cardConflicts.length > 0) {
+            conflicts.push({
+                type: 'card',
+                listId,
+                id: cardId,
+                conflicts: cardConflicts,
+                local: local ? withShared(local.card) : card,
+                server: server ? withShared(server.card) : card,
+            });
+        }
+        if (listId !== null) {
+            mergedCards[listId].push(card);
+        }
+    });
+
+    Object.keys(mergedCards).forEach((listId) => {
+        mergedCards[listId] = sortByPosition(mergedCards[listId]);
     });
 
+    // Registries, then point card references at entries that survived the merge
+    const labels = mergeLabels(baseState?.labels, localState.labels, serverState.labels);
+    const members = mergeMembers(baseState?.members, localState.members, serverState.members);
+    conflicts.push(...labels.conflicts, ...members.conflicts);
+    const cards = mapCardAssignees(
+        mapCardLabelIds(mergedCards, (ids) => resolveLabelIds(labels.merged, ids)),
+        (ids) => resolveMemberIds(members.merged, ids)
+    );
+
+    // Cards and lists are ordered by their merged position keys, so moves on
+    // different devices each land where they were made
+    const lists = sortByPosition(mergedLists);
+
+    // Tombstones of items that are on the board again are done with
+    const onBoard = new Set([
+        ...lists.map((list) => `list:${list.id}`),
+        ...Object.values(cards).flat().map((card) => `card:${card.id}`),
+    ]);
+    const mergedTrash = purgeTrash(
+        [...trash.entries()].filter(([key]) => !onBoard.has(key)).map(([, entry]) => entry),
+        Date.now()
+    );
+
     return {
         merged: {
-            lists: mergedLists,
-            cards: mergedCards,
+            lists,
+            cards,
+            labels: labels.merged,
+            members: members.merged,
+            trash: mergedTrash,
             boardTitle: serverState.boardTitle || localState.boardTitle,
             lastModified: Date.now(),
         },
@@ -0,0 +1,325 @@
+// Inverse patches for optimistic operations
+//
+// A patch records only the entities one action touched, so reverting it
+// leaves every other change (including other in-flight operations) alone.
+import { withPositions, placeByPosition, sortByPosition } from './positionKeys';
+import { findTrashEntry, removeFromTrash } from './archive';
+
+const findCardLocation = (cards, cardId) => {
+    for (const [listId, listCards] of Object.entries(cards)) {
+        const index = listCards.findIndex((card) => card.id === cardId);
+        if (index !== -1) {
+            return { listId, index, card: listCards[index] };
+        }
+    }
+    return null;
+};
+
+const listEntry = (state, listId) => {
+    const index = state.lists.findIndex((list) => list.id === listId);
+    return { kind: 'list', id: listId, before: index === -1 ? null : state.lists[index], index };
+};
+
+// Only the key is recorded, so undoing a move leaves other lists where they are
+const listPositionEntry = (state, listId) => {
+    const list = withPositions(state.lists).find((l) => l.id === listId);
+    return list ? { kind: 'listPosition', id: listId, position: list.position } : null;
+};
+
+const cardEntry = (state, cardId) => {
+    const location = findCardLocation(state.cards, cardId);
+    return {
+        kind: 'card',
+        id: cardId,
+        before: location ? location.card : null,
+        listId: location?.listId,
+        index: location?.index,
+    };
+};
+
+// An entry in a board-level registry (`labels`, `members`)
+const registryEntry = (state, collection, id) => {
+    const items = state[collection] || [];
+    const index = items.findIndex((item) => item.id === id);
+    return { kind: 'registry', collection, id, before: index === -1 ? null : items[index], index };
+};
+
+// One id-array field (`labelIds`, `assignees`) of every card that references `ids`
+const cardFieldEntry = (state, field, ids) => {
+    const before = {};
+    Object.values(state.cards).flat().forEach((card) => {
+        if ((card[field] || []).some((id) => ids.includes(id))) {
+            before[card.id] = card[field];
+        }
+    });
+    return { kind: 'cardField', field, before };
+};
+
+const commentEntry = (state, cardId, commentId) => {
+    const location = findCardLocation(state.cards, cardId);
+    const comments = location?.card.comments || [];
+    const index = comments.findIndex((comment) => comment.id === commentId);
+    return {
+        kind: 'comment',
+        cardId,
+        id: commentId,
+        before: index === -1 ? null : comments[index],
+        index,
+    };
+};
+
+// An item's entry in the trash (`itemKind` is 'card' or 'list')
+const trashEntry = (state, itemKind, id) => ({
+    kind: 'trash',
+    itemKind,
+    id,
+    before: findTrashEntry(state.trash, itemKind, id) ?? null,
+});
+
+const cardPositionEntry = (state, cardId) => {
+    const location = findCardLocation(state.cards, cardId);
+    if (!location) {
+        return null;
+    }
+    const card = withPositions(state.cards[location.listId])[location.index];
+    return {
+        kind: 'cardPosition',
+        id: cardId,
+        listId: location.listId,
+        position: card.position,
+        transitions: card.transitions,
+    };
+};
+
+/**
+ * Build the patch that undoes an action, from the state it is applied to
+ * @param {Object} state - Board state before the action
+ * @param {Object} action - Reducer action; ADD_LIST/ADD_CARD payloads must carry ids
+ * @returns {Array|null} - Patch entries, or null if the action is not revertible
+ */
+export function createInversePatch(state, action) {
+    const payload = action.payload || {};
+
+    switch (action.type) {
+        case 'ADD_LIST':
+        case 'RESTORE_LIST': {
+            const listId = payload.id ?? payload.listId;
+            return [listEntry(state, listId), trashEntry(state, 'list', listId)];
+        }
+        case 'RENAME_LIST':
+        case 'ARCHIVE_LIST':
+        case 'SET_WIP_LIMIT':
+        case 'SET_LIST_AGING':
+            return [listEntry(state, payload.id ?? payload.listId)];
+        case 'REORDER_LIST':
+            // Lists the move was tied with got new keys too
+            return [payload.listId, ...(payload.rebalanced || []).map((entry) => entry.id)]
+                .map((listId) => listPositionEntry(state, listId))
+                .filter(Boolean);
+        case 'DELETE_LIST':
+            return [
+                listEntry(state, payload.listId),
+                { kind: 'listCards', listId: payload.listId, cards: state.cards[payload.listId] || [] },
+                trashEntry(state, 'list', payload.listId),
+            ];
+        case 'ADD_CARD':
+            return [cardEntry(state, payload.card?.id), trashEntry(state, 'card', payload.card?.id)];
+        case 'UPDATE_CARD':
+        case 'ARCHIVE_CARD':
+            return [cardEntry(state, payload.cardId)];
+        case 'DELETE_CARD':
+        case 'RESTORE_CARD':
+            return [cardEntry(state, payload.cardId), trashEntry(state, 'card', payload.cardId)];
+        case 'MOVE_CARD':
+            return [payload.cardId, ...(payload.rebalanced || []).map((entry) => entry.id)]
+                .map((cardId) => cardPositionEntry(state, cardId))
+                .filter(Boolean);
+        case 'REORDER_CARD': {
+            const card = (state.cards[payload.listId] || [])[payload.startIndex];
+            return card ? [cardPositionEntry(state, card.id)] : [];
+        }
+        case 'ADD_LABEL':
+            return [registryEntry(state, 'labels', payload.label?.id)];
+        case 'UPDATE_LABEL':
+            return [registryEntry(state, 'labels', payload.labelId)];
+        case 'DELETE_LABEL':
+            return [
+                registryEntry(state, 'labels', payload.labelId),
+                cardFieldEntry(state, 'labelIds', [payload.labelId]),
+            ];
+        case 'MERGE_LABELS':
+            return [
+                registryEntry(state, 'labels', payload.sourceId),
+                registryEntry(state, 'labels', payload.targetId),
+                cardFieldEntry(state, 'labelIds', [payload.sourceId, payload.targetId]),
+            ];
+        case 'ADD_MEMBER':
+            return [registryEntry(state, 'members', payload.member?.id)];
+        case 'UPDATE_MEMBER':
+            return [registryEntry(state, 'members', payload.memberId)];
+        case 'DELETE_MEMBER':
+            return [
+                registryEntry(state, 'members', payload.memberId),
+                cardFieldEntry(state, 'assignees', [payload.memberId]),
+            ];
+        case 'ADD_COMMENT':
+            return [commentEntry(state, payload.cardId, payload.comment?.id)];
+        case 'UPDATE_COMMENT':
+        case 'DELETE_COMMENT':
+            return [commentEntry(state, payload.cardId, payload.commentId)];
+        default:
+            return null;
+    }
+}
+
+const insertAt = (items, index, item) => {
+    const next = [...items];
+    next.splice(Math.min(Math.max(index, 0), next.length), 0, item);
+    return next;
+};
+
+const hasPosition = (item) => typeof item.position === 'string';
+
+// Put a list or card back by its position key, or at its old index when the
+// items have no keys
+const restoreAt = (items, index, item) =>
+    hasPosition(item) && items.every(hasPosition) ?
+        placeByPosition(items, item) :
+        insertAt(items, index, item);
+
+const removeCard = (cards, cardId) => {
+    const location = findCardLocation(cards, cardId);
+    if (!location) {
+        return { cards, removed: null };
+    }
+    return {
+        cards: {
+            ...cards,
+            [location.listId]: cards[location.listId].filter((card) => card.id !== cardId),
+        },
+        removed: location.card,
+    };
+};
+
+const applyEntry = (board, entry) => {
+    switch (entry.kind) {
+        case 'list': {
+            const lists = board.lists.filter((list) => list.id !== entry.id);
+            if (!entry.before) {
+                // Undo an add: drop the list along with any cards added to it
+                const cards = { ...board.cards };
+                delete cards[entry.id];
+                return { ...board, lists, cards };
+            }
+            return { ...board, lists: restoreAt(lists, entry.index, entry.before) };
+        }
+        case 'listPosition': {
+            const lists = withPositions(board.lists);
+            const list = lists.find((l) => l.id === entry.id);
+            return list ?
+                { ...board, lists: placeByPosition(lists, { ...list, position: entry.position }) } :
+                board;
+        }
+        case 'listCards': {
+            // Cards moved into the list since it was deleted stay where they are
+            const existing = board.cards[entry.listId] || [];
+            const restored = entry.cards.filter((card) => !findCardLocation(board.cards, card.id));
+            const cards = [...restored, ...existing];
+            return {
+                ...board,
+                cards: {
+                    ...board.cards,
+                    [entry.listId]: sortByPosition(cards),
+                },
+            };
+        }
+        case 'card': {
+            const { cards } = removeCard(board.cards, entry.id);
+            if (!entry.before) {
+                return { ...board, cards };
+            }
+            // The list may have been deleted since; the card cannot go back then
+            if (!cards[entry.listId]) {
+                return { ...board, cards };
+            }
+            return {
+                ...board,
+                cards: {
+                    ...cards,
+                    [entry.listId]: restoreAt(cards[entry.listId], entry.index, entry.before),
+                },
+            };
+        }
+        case 'cardPosition': {
+            // Move the card's current version back, keeping later edits to it
+            // but not the list entry the move recorded
+            const { cards, removed } = removeCard(board.cards, entry.id);
+            if (!removed || !cards[entry.listId]) {
+                return board;
+            }
+            return {
+                ...board,
+                cards: {
+                    ...cards,
+                    [entry.listId]: placeByPosition(
+                        withPositions(cards[entry.listId]),
+                        { ...removed, position: entry.position, transitions: entry.transitions }
+                    ),
+                },
+            };
+        }
+        case 'trash': {
+            const trash = removeFromTrash(board.trash, entry.itemKind, entry.id);
+            return { ...board, trash: entry.before ? [...trash, entry.before] : trash };
+        }
+        case 'registry': {
+            const items = (board[entry.collection] || []).filter((item) => item.id !== entry.id);
+            return {
+                ...board,
+                [entry.collection]: entry.before ? insertAt(items, entry.index, entry.before) : items,
+            };
+        }
+        case 'cardField':
+            return {
+                ...board,
+                cards: Object.fromEntries(
+                    Object.entries(board.cards).map(([listId, cards]) => [
+                        listId,
+                        cards.map((card) =>
+                            entry.before[card.id] ? { ...card, [entry.field]: entry.before[card.id] } : card
+                        ),
+                    ])
+                ),
+            };
+        case 'comment': {
+            // Only the one comment is restored, so other edits to the card survive
+            const location = findCardLocation(board.cards, entry.cardId);
+            if (!location) {
+                return board;
+            }
+            const others = (location.card.comments || []).filter((comment) => comment.id !== entry.id);
+            const comments = entry.before ? insertAt(others, entry.index, entry.before) : others;
+            return {
+                ...board,
+                cards: {
+                    ...board.cards,
+                    [location.listId]: board.cards[location.listId].map((card) =>
+                        card.id === entry.cardId ? { ...card, comments } : card
+                    ),
+                },
+            };
+        }
+        default:
+            return board;
+    }
+};
+
+/**
+ * Apply an inverse patch to the current board
+ * @param {Object} state - Current board state
+ * @param {Array} patch - Entries from createInversePatch
+ * @returns {Object} - Board with the patched entities restored
+ */
+export function applyInversePatch(state, patch) {
+    return (patch || []).reduce(applyEntry, state);
+}
@@ -0,0 +1,302 @@
+// Sortable position keys (fractional indexing) for lists and cards
+//
+// Every list and card carries a `position` string. Items are ordered by
+// comparing keys as plain strings, and a key can always be generated between
+// two others, so moving an item only ever changes that item's key. Keys have
+// an integer part (a length-prefixed head, 'a0'..'az', 'b00'..) and an
+// optional base-62 fraction that never ends in '0'.
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const ZERO = DIGITS[0];
+const SMALLEST_INTEGER = 'A' + ZERO.repeat(26);
+
+// Key between two fractions (a < b, b null for "no upper bound")
+function midpoint(a, b) {
+    if (b !== null && a >= b) {
+        throw new Error(`Position ${a} is not before ${b}`);
+    }
+    if (b) {
+        // Keep the common prefix and split the rest
+        let n = 0;
+        while ((a[n] || ZERO) === b[n]) {
+            n++;
+        }
+        if (n > 0) {
+            return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+        }
+    }
+    const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+    const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+    if (digitB - digitA > 1) {
+        return DIGITS[Math.round((digitA + digitB) / 2)];
+    }
+    if (b && b.length > 1) {
+        return b.slice(0, 1);
+    }
+    return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+function integerLength(head) {
+    if (head >= 'a' && head <= 'z') {
+        return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+    }
+    if (head >= 'A' && head <= 'Z') {
+        return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+    }
+    throw new Error(`Invalid position key head: ${head}`);
+}
+
+function integerPart(key) {
+    const length = integerLength(key[0]);
+    if (length > key.length) {
+        throw new Error(`Invalid position key: ${key}`);
+    }
+    return key.slice(0, length);
+}
+
+function assertKey(key) {
+    if (typeof key !== 'string' || !key || key === SMALLEST_INTEGER) {
+        throw new Error(`Invalid position key: ${key}`);
+    }
+    const integer = integerPart(key);
+    if (key.length > integer.length && key.slice(-1) === ZERO) {
+        throw new Error(`Invalid position key: ${key}`);
+    }
+}
+
+// Next or previous integer part, or null past the largest/smallest one
+function stepInteger(integer, delta) {
+    const [head, ...digits] = integer.split('');
+    const [wrapFrom, wrapTo] = delta > 0 ? [DIGITS.length, ZERO] : [-1, DIGITS.slice(-1)];
+    let carry = true;
+    for (let i = digits.length - 1; carry && i >= 0; i--) {
+        const digit = DIGITS.indexOf(digits[i]) + delta;
+        if (digit === wrapFrom) {
+            digits[i] = wrapTo;
+        } else {
+            digits[i] = DIGITS[digit];
+            carry = false;
+        }
+    }
+    if (!carry) {
+        return head + digits.join('');
+    }
+    if (delta > 0) {
+        if (head === 'Z') return 'a' + ZERO;
+        if (head === 'z') return null;
+    } else {
+        if (head === 'a') return 'Z' + DIGITS.slice(-1);
+        if (head === 'A') return null;
+    }
+    // The head changes the length of the integer part
+    const nextHead = String.fromCharCode(head.charCodeAt(0) + delta);
+    const grows = delta > 0 ? nextHead > 'a' : nextHead < 'Z';
+    if (grows) {
+        digits.push(wrapTo);
+    } else {
+        digits.pop();
+    }
+    return nextHead + digits.join('');
+}
+
+/**
+ * Generate a key that sorts between two keys
+ * @param {string|null} before - Key to follow, or null for the start
+ * @param {string|null} after - Key to precede, or null for the end
+ * @returns {string}
+ * @throws {Error} If a key is invalid or `before` doesn't sort before `after`
+ */
+export function keyBetween(before, after) {
+    if (before !== null) assertKey(before);
+    if (after !== null) assertKey(after);
+    if (before !== null && after !== null && before >= after) {
+        throw new Error(`Position ${before} is not before ${after}`);
+    }
+
+    if (before === null) {
+        if (after === null) {
+            return 'a' + ZERO;
+        }
+        const integer = integerPart(after);
+        const fraction = after.slice(integer.length);
+        if (integer === SMALLEST_INTEGER) {
+            return integer + midpoint('', fraction);
+        }
+        if (integer < after) {
+            return integer;
+        }
+        const previous = stepInteger(integer, -1);
+        if (previous === null) {
+            throw new Error('No position key before the smallest one');
+        }
+        return previous;
+    }
+
+    const integer = integerPart(before);
+    const fraction = before.slice(integer.length);
+    if (after === null) {
+        const next = stepInteger(integer, 1);
+        return next === null ? integer + midpoint(fraction, null) : next;
+    }
+
+    const afterInteger = integerPart(after);
+    if (integer === afterInteger) {
+        return integer + midpoint(fraction, after.slice(afterInteger.length));
+    }
+    const next = stepInteger(integer, 1);
+    if (next === null) {
+        throw new Error('No position key after the largest one');
+    }
+    return next < after ? next : integer + midpoint(fraction, null);
+}
+
+/**
+ * Generate `count` ascending keys between two keys
+ * @param {string|null} before
+ * @param {string|null} after
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+export function keysBetween(before, after, count) {
+    if (count <= 0) {
+        return [];
+    }
+    if (count === 1) {
+        return [keyBetween(before, after)];
+    }
+    if (after === null) {
+        const keys = [];
+        let key = before;
+        for (let i = 0; i < count; i++) {
+            key = keyBetween(key, null);
+            keys.push(key);
+        }
+        return keys;
+    }
+    if (before === null) {
+        const keys = [];
+        let key = after;
+        for (let i = 0; i < count; i++) {
+            key = keyBetween(null, key);
+            keys.push(key);
+        }
+        return keys.reverse();
+    }
+    // Split around a middle key to keep the keys short
+    const half = Math.floor(count / 2);
+    const middle = keyBetween(before, after);
+    return [
+        ...keysBetween(before, middle, half),
+        middle,
+        ...keysBetween(middle, after, count - half - 1),
+    ];
+}
+
+/**
+ * Sort comparator for items with a `position`. Two devices can pick the same
+ * key for different items, so ties are broken by id.
+ */
+export const comparePositions = (a, b) => {
+    if (a.position !== b.position) {
+        return a.position < b.position ? -1 : 1;
+    }
+    if (a.id === b.id) {
+        return 0;
+    }
+    return String(a.id) < String(b.id) ? -1 : 1;
+};
+
+/**
+ * Items in position order; the same array when it is already sorted, or when
+ * some item has no key (their array order is all there is to go by)
+ * @param {Array} items
+ * @returns {Array}
+ */
+export function sortByPosition(items) {
+    if (!items.every((item) => typeof item.position === 'string')) {
+        return items;
+    }
+    const sorted = items.every((item, index) => index === 0 || comparePositions(items[index - 1], item) <= 0);
+    return sorted ? items : [...items].sort(comparePositions);
+}
+
+/**
+ * Give every item a key in its current order, unless all of them have one
+ * already (boards saved before keys existed, or items built by hand)
+ * @param {Array} items
+ * @returns {Array}
+ */
+export function withPositions(items) {
+    if (items.every((item) => typeof item.position === 'string')) {
+        return items;
+    }
+    const keys = keysBetween(null, null, items.length);
+    return items.map((item, index) => ({ ...item, position: keys[index] }));
+}
+
+/**
+ * Keys that place an item at `index` among the other items. Neighbours that
+ * share a key (two devices picked the same one, the tie broken by id) leave
+ * no room in between, so the tied items after the slot get new keys as well.
+ * @param {Array} items - Items in position order
+ * @param {number} index - Target index, counted without the item itself
+ * @param {string} [itemId] - Id of the item being moved, if it is in `items`
+ * @returns {Object} - { position, rebalanced: [{ id, position }] }
+ */
+export function placeAtIndex(items, index, itemId) {
+    const others = withPositions(items).filter((item) => item.id !== itemId);
+    const to = Math.max(0, Math.min(index, others.length));
+    const before = others[to - 1]?.position ?? null;
+    const after = others[to]?.position ?? null;
+    if (before === null || before !== after) {
+        return { position: keyBetween(before, after), rebalanced: [] };
+    }
+    const tied = others.slice(to).filter((item) => item.position === before);
+    const [position, ...keys] = keysBetween(before, others[to + tied.length]?.position ?? null, tied.length + 1);
+    return {
+        position,
+        rebalanced: tied.map((item, i) => ({ id: item.id, position: keys[i] })),
+    };
+}
+
+/**
+ * Key that places an item at `index` among the other items. Only the item
+ * itself moves, so inside a tied run it lands after the run; use
+ * placeAtIndex() where the tied items can be given new keys too.
+ * @param {Array} items - Items in position order
+ * @param {number} index - Target index, counted without the item itself
+ * @param {string} [itemId] - Id of the item being moved, if it is in `items`
+ * @returns {string}
+ */
+export function positionForIndex(items, index, itemId) {
+    return placeAtIndex(items, index, itemId).position;
+}
+
+/**
+ * Give items the keys a placeAtIndex() rebalance handed out
+ * @param {Array} items - Items in position order
+ * @param {Array} [rebalanced] - [{ id, position }]
+ * @returns {Array} - Items in position order
+ */
+export function withRebalanced(items, rebalanced = []) {
+    if (rebalanced.length === 0) {
+        return items;
+    }
+    const keys = new Map(rebalanced.map(({ id, position }) => [id, position]));
+    return sortByPosition(
+        items.map((item) => (keys.has(item.id) ? { ...item, position: keys.get(item.id) } : item))
+    );
+}
+
+/**
+ * Put an item in its place by `position`, replacing any item with its id
+ * @param {Array} items - Items in position order
+ * @param {Object} item - Item with a `position`
+ * @returns {Array}
+ */
+export function placeByPosition(items, item) {
+    const others = items.filter((other) => other.id !== item.id);
+    const index = others.findIndex((other) => comparePositions(item, other) < 0);
+    others.splice(index === -1 ? others.length : index, 0, item);
+    return others;
+}
@@ -0,0 +1,216 @@
+// Persisted board schema versioning and migrations
+import { createLabelFromTag, findLabelByName } from './labels';
+import { keysBetween } from './positionKeys';
+import { DEFAULT_AGING_DAYS, DEFAULT_STALE_DAYS } from './aging';
+
+class SchemaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchemaError';
+    }
+}
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply `fn` to every card, keeping the list structure
+const mapCards = (board, fn) => ({
+    ...board,
+    cards: Object.fromEntries(
+        Object.entries(board.cards || {}).map(([listId, cards]) => [listId, cards.map(fn)])
+    ),
+});
+
+/**
+ * Migrations keyed by the schema version they upgrade a board *to*.
+ * Each one receives a board at the previous version and returns the
+ * upgraded board; `schemaVersion` is set by migrateBoard.
+ * Boards saved before versioning existed are treated as version 0.
+ */
+const MIGRATIONS = {
+    // v1: fill fields added after the first release (version, timestamps, defaults)
+    1: (board) => {
+        const now = Date.now();
+        const lists = board.lists.map((list, index) => ({
+            // Early seed data used `name` instead of `title`
+            title: list.name ?? '',
+            order: index,
+            archived: false,
+            createdAt: now,
+            ...list,
+            lastModifiedAt: list.lastModifiedAt ?? list.createdAt ?? now,
+            version: list.version ?? 1,
+        }));
+
+        const cards = {};
+        const listIds = new Set([...lists.map((list) => list.id), ...Object.keys(board.cards || {})]);
+        listIds.forEach((listId) => {
+            cards[listId] = (board.cards?.[listId] || []).map((card) => ({
+                description: '',
+                tags: [],
+                createdAt: now,
+                ...card,
+                lastModifiedAt: card.lastModifiedAt ?? card.createdAt ?? now,
+                version: card.version ?? 1,
+            }));
+        });
+
+        return { ...board, lists, cards };
+    },
+
+    // v2: cards gain an optional due date (timestamp in ms, null when unset)
+    2: (board) => mapCards(board, (card) => ({ dueDate: null, ...card })),
+
+    // v3: cards gain checklists
+    3: (board) => mapCards(board, (card) => ({ checklists: [], ...card })),
+
+    // v4: cards gain a comment thread
+    4: (board) => mapCards(board, (card) => ({ comments: [], ...card })),
+
+    // v5: free-text tags become references into a board label registry.
+    // Tags that differ only in case or spacing share one label.
+    5: (board) => {
+        const labels = [...(board.labels || [])];
+        const migrated = mapCards(board, (card) => {
+            const next = { ...card, labelIds: [...(card.labelIds || [])] };
+            const tags = (card.tags || []).filter((tag) => typeof tag === 'string' && tag.trim());
+            tags.forEach((tag) => {
+                let label = findLabelByName(labels, tag);
+                if (!label) {
+                    label = createLabelFromTag(tag);
+                    labels.push(label);
+                }
+                if (!next.labelIds.includes(label.id)) {
+                    next.labelIds.push(label.id);
+                }
+            });
+            delete next.tags;
+            return next;
+        });
+        return { ...migrated, labels };
+    },
+
+    // v6: a board member roster, and card assignees referencing it
+    6: (board) => ({
+        ...mapCards(board, (card) => ({ assignees: [], ...card })),
+        members: board.members || [],
+    }),
+
+    // v7: lists gain a work-in-progress limit (off by default)
+    7: (board) => ({
+        ...board,
+        lists: board.lists.map((list) => ({ wipLimit: null, wipMode: 'off', ...list })),
+    }),
+
+    // v8: lists and cards get sortable position keys in their current order,
+    // replacing the list `order` index
+    8: (board) => {
+        const withKeys = (items) => {
+            const keys = keysBetween(null, null, items.length);
+            return items.map((item, index) => {
+                const next = { ...item, position: keys[index] };
+                delete next.order;
+                return next;
+            });
+        };
+        return {
+            ...board,
+            lists: withKeys(board.lists),
+            cards: Object.fromEntries(
+                Object.entries(board.cards || {}).map(([listId, cards]) => [listId, withKeys(cards)])
+            ),
+        };
+    },
+
+    // v9: cards gain an optional start date for the timeline (ms, null when unset)
+    9: (board) => mapCards(board, (card) => ({ startDate: null, ...card })),
+
+    // v10: cards record when they enter a list. Earlier moves weren't kept,
+    // so existing cards start with one entry for their current list.
+    10: (board) => ({
+        ...board,
+        cards: Object.fromEntries(
+            Object.entries(board.cards || {}).map(([listId, cards]) => [
+                listId,
+                cards.map((card) => ({ transitions: [{ listId, at: card.createdAt ?? Date.now() }], ...card })),
+            ])
+        ),
+    }),
+
+    // v11: lists gain card aging thresholds, in days (null turns a level off)
+    11: (board) => ({
+        ...board,
+        lists: board.lists.map((list) => ({
+            agingDays: DEFAULT_AGING_DAYS,
+            staleDays: DEFAULT_STALE_DAYS,
+            ...list,
+        })),
+    }),
+
+    // v12: cards can be archived, and deleted cards and lists go to a trash
+    12: (board) => ({
+        ...mapCards(board, (card) => ({ archived: false, ...card })),
+        trash: board.trash ?? [],
+    }),
+
+    // v13: trash entries record the version their item was deleted at
+    13: (board) => ({
+        ...board,
+        trash: board.trash.map((entry) => ({ version: entry.item.version ?? 1, ...entry })),
+    }),
+};
+
+export const SCHEMA_VERSION = 13;
+
+/**
+ * Check the structure every schema version shares
+ * @param {*} board - Parsed board data
+ * @throws {SchemaError} If the data cannot be a board
+ */
+export function assertBoardShape(board) {
+    if (!isPlainObject(board)) {
+        throw new SchemaError('Board data is not an object');
+    }
+    if (!Array.isArray(board.lists)) {
+        throw new SchemaError('Board lists are missing');
+    }
+    if (board.lists.some((list) => !isPlainObject(list) || list.id === undefined)) {
+        throw new SchemaError('Board contains an invalid list');
+    }
+    if (board.cards !== undefined) {
+        if (!isPlainObject(board.cards)) {
+            throw new SchemaError('Board cards are not an object');
+        }
+        const invalidCards = Object.values(board.cards).some(
+            (cards) =>
+                !Array.isArray(cards) ||
+                cards.some((card) => !isPlainObject(card) || card.id === undefined)
+        );
+        if (invalidCards) {
+            throw new SchemaError('Board contains an invalid card');
+        }
+    }
+}
+
+/**
+ * Upgrade a persisted board to the current schema, one version at a time
+ * @param {Object} board - Board data at any earlier schema version
+ * @returns {Object} - Board at SCHEMA_VERSION
+ * @throws {SchemaError} If the data is corrupt or from a newer app version
+ */
+export function migrateBoard(board) {
+    assertBoardShape(board);
+
+    const fromVersion = board.schemaVersion ?? 0;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0 || fromVersion > SCHEMA_VERSION) {
+        throw new SchemaError(`Unsupported schema version: ${fromVersion}`);
+    }
+
+    let migrated = board;
+    for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+        migrated = { ...MIGRATIONS[version](migrated), schemaVersion: version };
+    }
+    return migrated;
+}
+
+export { SchemaError };
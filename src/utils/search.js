@@ -0,0 +1,226 @@
+// Full-text card search
+//
+// The index maps each card id to { listId, labelIds, fields, text }: the
+// lowercased text of the searchable fields (title, description, label names
+// and comment bodies) and all of them joined, so a search is one substring
+// check per term and card. The reducer keeps the index in `state.searchIndex`
+// and updates it per action (updateSearchIndex), so only the cards an action
+// touched are re-read. The index is never mutated; updates return a new Map.
+import { getCardLabels } from './labels';
+
+export const SEARCH_FIELDS = ['title', 'description', 'labels', 'comments'];
+
+const normalize = (text) => (text || '').toLowerCase();
+
+/**
+ * Split a query into lowercased terms. "Quoted phrases" stay one term.
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+export function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+        const term = normalize((match[1] ?? match[2]).trim());
+        if (term && !terms.includes(term)) {
+            terms.push(term);
+        }
+    }
+    return terms;
+}
+
+/**
+ * The searchable text of a card, lowercased, by field
+ * @param {Object} card
+ * @param {Array} labels - Board label registry
+ * @returns {Object} - { title, description, labels, comments }
+ */
+export function getSearchFields(card, labels) {
+    return {
+        title: normalize(card.title),
+        description: normalize(card.description),
+        labels: normalize(getCardLabels(labels, card.labelIds).map((label) => label.name).join('\n')),
+        comments: normalize((card.comments || []).map((comment) => comment.body).join('\n')),
+    };
+}
+
+const indexEntry = (card, listId, labels) => {
+    const fields = getSearchFields(card, labels);
+    return {
+        listId,
+        labelIds: card.labelIds || [],
+        fields,
+        text: SEARCH_FIELDS.map((field) => fields[field]).join('\n'),
+    };
+};
+
+/**
+ * Index every card of a board, leaving out archived ones
+ * @param {Object} board - { cards, labels }
+ * @returns {Map} - cardId -> entry
+ */
+export function buildSearchIndex(board) {
+    const index = new Map();
+    Object.entries(board.cards || {}).forEach(([listId, cards]) => {
+        cards
+            .filter((card) => !card.archived)
+            .forEach((card) => index.set(card.id, indexEntry(card, listId, board.labels)));
+    });
+    return index;
+}
+
+const findCard = (board, cardId, listIds) => {
+    for (const listId of [...listIds, ...Object.keys(board.cards)]) {
+        const card = (board.cards[listId] || []).find((c) => c.id === cardId);
+        if (card) {
+            return { listId, card };
+        }
+    }
+    return null;
+};
+
+// Re-read the given cards from the board, dropping ids that are gone or archived
+const reindexCards = (index, board, cardIds, listIds = []) => {
+    const next = new Map(index);
+    cardIds.forEach((cardId) => {
+        const location = findCard(board, cardId, [...listIds, index.get(cardId)?.listId].filter(Boolean));
+        if (location && !location.card.archived) {
+            next.set(cardId, indexEntry(location.card, location.listId, board.labels));
+        } else {
+            next.delete(cardId);
+        }
+    });
+    return next;
+};
+
+// Cards whose index entry references any of the label ids
+const cardsWithLabels = (index, labelIds) =>
+    [...index.entries()]
+        .filter(([, entry]) => entry.labelIds.some((id) => labelIds.includes(id)))
+        .map(([cardId]) => cardId);
+
+/**
+ * Bring the index up to date after a reducer action
+ * @param {Map|undefined} index - Index for the board before the action
+ * @param {Object} action - Reducer action
+ * @param {Object} board - Board after the action
+ * @returns {Map}
+ */
+export function updateSearchIndex(index, action, board) {
+    if (!index) {
+        return buildSearchIndex(board);
+    }
+    const payload = action.payload || {};
+
+    switch (action.type) {
+        case 'ADD_CARD': {
+            // Without an id up front, the reducer generated one: re-read the list
+            const cardIds = payload.card?.id ?
+                [payload.card.id] :
+                (board.cards[payload.listId] || []).map((card) => card.id);
+            return reindexCards(index, board, cardIds, [payload.listId]);
+        }
+        case 'UPDATE_CARD':
+        case 'ARCHIVE_CARD':
+        case 'RESTORE_CARD':
+        case 'ADD_COMMENT':
+        case 'UPDATE_COMMENT':
+        case 'DELETE_COMMENT':
+            return reindexCards(index, board, [payload.cardId], [payload.listId]);
+        case 'MOVE_CARD':
+            return reindexCards(index, board, [payload.cardId], [payload.destinationListId]);
+        case 'DELETE_CARD': {
+            const next = new Map(index);
+            next.delete(payload.cardId);
+            return next;
+        }
+        case 'DELETE_LIST':
+            return new Map([...index].filter(([, entry]) => entry.listId !== payload.listId));
+        case 'UPDATE_LABEL':
+            return reindexCards(index, board, cardsWithLabels(index, [payload.labelId]));
+        case 'DELETE_LABEL':
+            return reindexCards(index, board, cardsWithLabels(index, [payload.labelId]));
+        case 'MERGE_LABELS':
+            return reindexCards(index, board, cardsWithLabels(index, [payload.sourceId, payload.targetId]));
+        // Card text and labels are untouched
+        case 'ADD_LIST':
+        case 'REORDER_CARD':
+        case 'DELETE_MEMBER':
+            return index;
+        // Loads, merges and rollbacks can change anything
+        default:
+            return buildSearchIndex(board);
+    }
+}
+
+/**
+ * Find the cards matching every term of a query
+ * @param {Map} index - From buildSearchIndex/updateSearchIndex
+ * @param {string} query
+ * @returns {Object|null} - { total, byList: Map<listId, Set<cardId>> }, or null for an empty query
+ */
+export function searchCards(index, query) {
+    const terms = parseSearchTerms(query);
+    if (terms.length === 0) {
+        return null;
+    }
+    const byList = new Map();
+    let total = 0;
+    index.forEach((entry, cardId) => {
+        if (!terms.every((term) => entry.text.includes(term))) {
+            return;
+        }
+        if (!byList.has(entry.listId)) {
+            byList.set(entry.listId, new Set());
+        }
+        byList.get(entry.listId).add(cardId);
+        total++;
+    });
+    return { total, byList };
+}
+
+/**
+ * Fields of a card that contain a term of the query
+ * @param {Object} card
+ * @param {Array} labels - Board label registry
+ * @param {string} query
+ * @returns {Array<string>} - Names from SEARCH_FIELDS
+ */
+export function getMatchedFields(card, labels, query) {
+    const terms = parseSearchTerms(query);
+    const fields = getSearchFields(card, labels);
+    return SEARCH_FIELDS.filter((field) => terms.some((term) => fields[field].includes(term)));
+}
+
+/**
+ * Split text into plain and matched parts for highlighting
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<Object>} - [{ text, match, offset }], offset being where the part starts
+ */
+export function splitMatches(text, query) {
+    const source = text || '';
+    const lower = normalize(source);
+    const terms = parseSearchTerms(query);
+    // Mark every character covered by a term, then group runs
+    const marked = new Array(source.length).fill(false);
+    terms.forEach((term) => {
+        let from = lower.indexOf(term);
+        while (from !== -1) {
+            marked.fill(true, from, from + term.length);
+            from = lower.indexOf(term, from + term.length);
+        }
+    });
+
+    const parts = [];
+    for (let i = 0; i < source.length; i++) {
+        const last = parts[parts.length - 1];
+        if (last && last.match === marked[i]) {
+            last.text += source[i];
+        } else {
+            parts.push({ text: source[i], match: marked[i], offset: i });
+        }
+    }
+    return parts;
+}
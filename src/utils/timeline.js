@@ -0,0 +1,171 @@
+// Timeline (Gantt) layout helpers. A card's bar runs from the day of its start
+// date through the day of its due date; a card with only one of the two is a
+// one-day bar.
+import { getCardLabels } from './labels';
+import { startOfDay, addDays } from './calendar';
+import { activeCards } from './archive';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Zoom levels: the width of a day, and which days get a tick on the scale
+export const TIMELINE_ZOOMS = {
+    day: { label: 'Day', dayWidth: 40 },
+    week: { label: 'Week', dayWidth: 12 },
+    month: { label: 'Month', dayWidth: 4 },
+};
+
+export const TIMELINE_GROUPS = {
+    list: 'List',
+    label: 'Label',
+};
+
+// Empty days kept either side of the cards, so edges can be dragged outward
+const PADDING_DAYS = { day: 3, week: 7, month: 30 };
+
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * The dates a card's bar covers
+ * @param {Object} card
+ * @returns {Object|null} - { start, end } timestamps, or null for a card with no dates
+ */
+export function getCardSpan(card) {
+    const start = isSet(card.startDate) ? card.startDate : card.dueDate;
+    const end = isSet(card.dueDate) ? card.dueDate : card.startDate;
+    if (!isSet(start)) {
+        return null;
+    }
+    return { start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+// Whole days between two local midnights; rounded so DST changes don't count
+export const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// Step a timestamp by whole days, keeping its time of day
+export function shiftDays(timestamp, days) {
+    const date = new Date(timestamp);
+    date.setDate(date.getDate() + days);
+    return date.getTime();
+}
+
+/**
+ * The card updates for dragging one edge of its bar by whole days. The
+ * start edge sets startDate and the end edge sets dueDate; an edge stops at
+ * the other one's day.
+ * @param {Object} card
+ * @param {string} edge - 'start' | 'end'
+ * @param {number} days - Negative moves earlier
+ * @returns {Object|null} - Updates for UPDATE_CARD, or null when nothing changes
+ */
+export function resizeCardSpan(card, edge, days) {
+    const span = getCardSpan(card);
+    if (!span) {
+        return null;
+    }
+    const length = daysBetween(span.start, span.end);
+    const step = edge === 'start' ? Math.min(days, length) : Math.max(days, -length);
+    if (step === 0) {
+        return null;
+    }
+    return edge === 'start' ?
+        { startDate: Math.min(shiftDays(span.start, step), span.end) } :
+        { dueDate: Math.max(shiftDays(span.end, step), span.start) };
+}
+
+/**
+ * Timeline rows grouped by list or by label. Cards with several labels show
+ * in each label's group; unlabelled cards share a final group.
+ * @param {Object} board - { lists, cards, labels }
+ * @param {string} groupBy - Key of TIMELINE_GROUPS
+ * @param {Function|null} include - (card, list) => boolean, or null for all cards
+ * @returns {Object} - { groups: [{ id, title, color, items: [{ card, list, start, end }] }], undatedCount }.
+ *   Items are sorted by start; empty groups are left out.
+ */
+export function getTimelineGroups(board, groupBy, include = null) {
+    const groups = new Map();
+    const addItem = (id, title, color, item) => {
+        if (!groups.has(id)) {
+            groups.set(id, { id, title, color, items: [] });
+        }
+        groups.get(id).items.push(item);
+    };
+
+    if (groupBy === 'label') {
+        (board.labels || []).forEach((label) => groups.set(label.id, { ...label, title: label.name, items: [] }));
+    }
+
+    let undatedCount = 0;
+    board.lists
+        .filter((list) => !list.archived)
+        .forEach((list) => {
+            activeCards(board.cards[list.id]).forEach((card) => {
+                if (include && !include(card, list)) {
+                    return;
+                }
+                const span = getCardSpan(card);
+                if (!span) {
+                    undatedCount++;
+                    return;
+                }
+                const item = { card, list, ...span };
+                if (groupBy !== 'label') {
+                    addItem(list.id, list.title, null, item);
+                    return;
+                }
+                const labels = getCardLabels(board.labels, card.labelIds);
+                if (labels.length === 0) {
+                    addItem(null, 'No label', null, item);
+                }
+                labels.forEach((label) => addItem(label.id, label.name, label.color, item));
+            });
+        });
+
+    // The unlabelled group goes last whatever order it was first seen in
+    const ordered = [...groups.values()].sort((a, b) => Number(a.id === null) - Number(b.id === null));
+    ordered.forEach((group) => group.items.sort((a, b) => a.start - b.start || a.end - b.end));
+    return { groups: ordered.filter((group) => group.items.length > 0), undatedCount };
+}
+
+/**
+ * The days the timeline spans: every bar plus padding, and always today
+ * @param {Array} groups - From getTimelineGroups
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @param {number} now
+ * @returns {Object} - { start, days } where start is a local midnight
+ */
+export function getTimelineRange(groups, zoom, now) {
+    let first = now;
+    let last = now;
+    groups.forEach((group) =>
+        group.items.forEach((item) => {
+            first = Math.min(first, item.start);
+            last = Math.max(last, item.end);
+        })
+    );
+    const padding = PADDING_DAYS[zoom] ?? PADDING_DAYS.day;
+    const start = addDays(first, -padding);
+    return { start, days: daysBetween(start, last) + padding + 1 };
+}
+
+/**
+ * Labelled ticks for the timeline scale: every day, every week's Sunday, or
+ * every month's first day, depending on the zoom
+ * @param {Object} range - From getTimelineRange
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @returns {Array} - [{ day, offset, label }] where offset counts days from range.start
+ */
+export function getTimelineTicks(range, zoom) {
+    const ticks = [];
+    for (let offset = 0; offset < range.days; offset++) {
+        const day = addDays(range.start, offset);
+        const date = new Date(day);
+        if (zoom === 'day') {
+            ticks.push({ day, offset, label: date.toLocaleDateString(undefined, { day: 'numeric', weekday: 'narrow' }) });
+        } else if (zoom === 'week' && date.getDay() === 0) {
+            ticks.push({ day, offset, label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) });
+        } else if (zoom === 'month' && date.getDate() === 1) {
+            ticks.push({ day, offset, label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+        }
+    }
+    return ticks;
+}
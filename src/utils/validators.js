@@ -1,4 +1,5 @@
 // Validation utility functions
+import { findLabelByName } from './labels';
 
 // Validate card title
 export const validateCardTitle = (title) => {
@@ -28,16 +29,159 @@ export const validateListTitle = (title) => {
     return { valid: true };
 };
 
-// Validate tag
-export const validateTag = (tag) => {
-    if (!tag || typeof tag !== 'string') {
-        return { valid: false, error: 'Tag is required' };
+// Validate label name. Names are unique ignoring case and spacing;
+// pass the label being renamed as `exceptId` so it doesn't clash with itself.
+export const validateLabelName = (name, labels = [], exceptId = null) => {
+    if (!name || typeof name !== 'string') {
+        return { valid: false, error: 'Label name is required' };
     }
-    if (tag.trim().length === 0) {
-        return { valid: false, error: 'Tag cannot be empty' };
+    if (name.trim().length === 0) {
+        return { valid: false, error: 'Label name cannot be empty' };
     }
-    if (tag.length > 50) {
-        return { valid: false, error: 'Tag must be less than 50 characters' };
+    if (name.length > 50) {
+        return { valid: false, error: 'Label name must be less than 50 characters' };
+    }
+    const existing = findLabelByName(labels, name);
+    if (existing && existing.id !== exceptId) {
+        return { valid: false, error: `Label '${existing.name}' already exists` };
+    }
+    return { valid: true };
+};
+
+// Validate label color (#rrggbb)
+export const validateLabelColor = (color) => {
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+        return { valid: false, error: 'Label color must be a hex color like #1d4ed8' };
+    }
+    return { valid: true };
+};
+
+// Validate member display name
+export const validateMemberName = (name) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return { valid: false, error: 'Member name cannot be empty' };
+    }
+    if (name.length > 100) {
+        return { valid: false, error: 'Member name must be less than 100 characters' };
+    }
+    return { valid: true };
+};
+
+// Validate avatar initials (1-3 letters or digits)
+export const validateMemberInitials = (initials) => {
+    if (typeof initials !== 'string' || !/^[\p{L}\p{N}]{1,3}$/u.test(initials.trim())) {
+        return { valid: false, error: 'Initials must be 1 to 3 letters or digits' };
+    }
+    return { valid: true };
+};
+
+// Validate an optional email address
+export const validateEmail = (email) => {
+    if (!email || email.trim().length === 0) {
+        return { valid: true };
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        return { valid: false, error: 'Email address is not valid' };
+    }
+    return { valid: true };
+};
+
+// Validate a list's WIP limit (whole number of cards)
+export const validateWipLimit = (limit) => {
+    if (!Number.isInteger(limit) || limit < 1) {
+        return { valid: false, error: 'WIP limit must be a whole number of at least 1' };
+    }
+    if (limit > 999) {
+        return { valid: false, error: 'WIP limit must be less than 1000' };
+    }
+    return { valid: true };
+};
+
+// Validate a list's card aging thresholds (whole days, null when off)
+export const validateAgingThresholds = (agingDays, staleDays) => {
+    for (const [days, name] of [[agingDays, 'Fade after'], [staleDays, 'Stale after']]) {
+        if (days !== null && (!Number.isInteger(days) || days < 1 || days > 365)) {
+            return { valid: false, error: `${name} must be a whole number of days from 1 to 365` };
+        }
+    }
+    if (agingDays !== null && staleDays !== null && agingDays >= staleDays) {
+        return { valid: false, error: 'Cards must start to fade before they go stale' };
+    }
+    return { valid: true };
+};
+
+// Validate a saved view name
+export const validateViewName = (name) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return { valid: false, error: 'View name cannot be empty' };
+    }
+    if (name.length > 50) {
+        return { valid: false, error: 'View name must be less than 50 characters' };
+    }
+    return { valid: true };
+};
+
+// Validate a card date (ms timestamp, or null to clear it); `name` starts the error
+const validateCardDate = (timestamp, name) => {
+    if (timestamp === null || timestamp === undefined) {
+        return { valid: true };
+    }
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) {
+        return { valid: false, error: `${name} is not a valid date` };
+    }
+    const year = new Date(timestamp).getFullYear();
+    if (year < 1970 || year > 9999) {
+        return { valid: false, error: `${name} must be between 1970 and 9999` };
+    }
+    return { valid: true };
+};
+
+// Validate due date (ms timestamp, or null to clear it)
+export const validateDueDate = (dueDate) => validateCardDate(dueDate, 'Due date');
+
+// Validate start date (ms timestamp, or null to clear it)
+export const validateStartDate = (startDate) => validateCardDate(startDate, 'Start date');
+
+// Validate that a card doesn't end before it starts; either date may be unset
+export const validateDateRange = (startDate, dueDate) => {
+    if (startDate === null || startDate === undefined || dueDate === null || dueDate === undefined) {
+        return { valid: true };
+    }
+    if (startDate > dueDate) {
+        return { valid: false, error: 'Start date must be on or before the due date' };
+    }
+    return { valid: true };
+};
+
+// Validate checklist title
+export const validateChecklistTitle = (title) => {
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+        return { valid: false, error: 'Checklist title cannot be empty' };
+    }
+    if (title.length > 100) {
+        return { valid: false, error: 'Checklist title must be less than 100 characters' };
+    }
+    return { valid: true };
+};
+
+// Validate checklist item text
+export const validateChecklistItem = (text) => {
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+        return { valid: false, error: 'Checklist item cannot be empty' };
+    }
+    if (text.length > 200) {
+        return { valid: false, error: 'Checklist item must be less than 200 characters' };
+    }
+    return { valid: true };
+};
+
+// Validate comment body (markdown source)
+export const validateComment = (body) => {
+    if (!body || typeof body !== 'string' || body.trim().length === 0) {
+        return { valid: false, error: 'Comment cannot be empty' };
+    }
+    if (body.length > 5000) {
+        return { valid: false, error: 'Comment must be less than 5000 characters' };
     }
     return { valid: true };
-};
\ No newline at end of file
+};
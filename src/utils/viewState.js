@@ -0,0 +1,112 @@
+// Board view state: the layout, the filter query, how cards are sorted and
+// which lists are collapsed. The active view lives in the URL query string
+// (?layout=table&filter=tag%3Abug&sort=due&collapsed=list-1,list-2) so a link
+// opens the same view; saved views store the same shape under a name.
+
+// Ways to lay the board out, in switcher order
+export const LAYOUTS = {
+    board: 'Board',
+    table: 'Table',
+    calendar: 'Calendar',
+    timeline: 'Timeline',
+    analytics: 'Analytics',
+};
+
+// Card sorts, in menu order. 'position' is the manual order set by dragging.
+export const CARD_SORTS = {
+    position: 'Manual order',
+    due: 'Due date',
+    title: 'Title',
+    created: 'Newest first',
+};
+
+export const DEFAULT_VIEW = Object.freeze({ layout: 'board', filter: '', sort: 'position', collapsed: [] });
+
+/**
+ * Read a view from a URL query string. Missing or unknown values fall back
+ * to DEFAULT_VIEW.
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} - { layout, filter, sort, collapsed }
+ */
+export function parseViewQuery(search) {
+    const params = new URLSearchParams(search || '');
+    const layout = params.get('layout');
+    const sort = params.get('sort');
+    const collapsed = (params.get('collapsed') || '').split(',').filter(Boolean);
+    return {
+        layout: Object.keys(LAYOUTS).includes(layout) ? layout : DEFAULT_VIEW.layout,
+        filter: params.get('filter') || DEFAULT_VIEW.filter,
+        sort: Object.keys(CARD_SORTS).includes(sort) ? sort : DEFAULT_VIEW.sort,
+        collapsed: [...new Set(collapsed)],
+    };
+}
+
+/**
+ * Write a view as a URL query string, leaving out default values
+ * @param {Object} view
+ * @returns {string} - '?…', or '' for the default view
+ */
+export function toViewQuery(view) {
+    const params = new URLSearchParams();
+    if (view.layout && view.layout !== DEFAULT_VIEW.layout) {
+        params.set('layout', view.layout);
+    }
+    if (view.filter) {
+        params.set('filter', view.filter);
+    }
+    if (view.sort && view.sort !== DEFAULT_VIEW.sort) {
+        params.set('sort', view.sort);
+    }
+    if (view.collapsed?.length) {
+        params.set('collapsed', view.collapsed.join(','));
+    }
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Whether two views show the board the same way. Collapsed lists compare
+ * as a set; views saved before layouts existed are board views.
+ */
+export function isSameView(a, b) {
+    const collapsedA = a.collapsed || [];
+    const collapsedB = new Set(b.collapsed || []);
+    return (a.layout || DEFAULT_VIEW.layout) === (b.layout || DEFAULT_VIEW.layout) &&
+        (a.filter || '') === (b.filter || '') &&
+        (a.sort || DEFAULT_VIEW.sort) === (b.sort || DEFAULT_VIEW.sort) &&
+        collapsedA.length === collapsedB.size &&
+        collapsedA.every((listId) => collapsedB.has(listId));
+}
+
+// Collapse a list, or expand it if it is collapsed
+export const toggleCollapsed = (collapsed, listId) =>
+    collapsed.includes(listId) ? collapsed.filter((id) => id !== listId) : [...collapsed, listId];
+
+const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+
+// Cards missing the sorted field go last, in manual order
+const missingLast = (compare, field) => (a, b) => {
+    const hasA = a[field] !== null && a[field] !== undefined;
+    const hasB = b[field] !== null && b[field] !== undefined;
+    if (hasA !== hasB) {
+        return hasA ? -1 : 1;
+    }
+    return hasA ? compare(a, b) : 0;
+};
+
+const COMPARATORS = {
+    due: missingLast((a, b) => a.dueDate - b.dueDate, 'dueDate'),
+    title: byTitle,
+    created: missingLast((a, b) => b.createdAt - a.createdAt, 'createdAt'),
+};
+
+/**
+ * Cards in a list's display order for a sort. Ties keep the manual order.
+ * @param {Array} cards - Cards in position order
+ * @param {string} sort - Key of CARD_SORTS
+ * @returns {Array} - The same array for the manual order
+ */
+export function sortCards(cards, sort) {
+    const compare = COMPARATORS[sort];
+    return compare ? [...cards].sort(compare) : cards;
+}
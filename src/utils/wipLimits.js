@@ -0,0 +1,82 @@
+// Work-in-progress limits per list
+//
+// list.wipLimit: positive integer, or null for no limit
+// list.wipMode: 'off' | 'warn' | 'block'
+//   warn  - the column is highlighted while it holds more cards than the limit
+//   block - cards can't be added or moved into a list that is at its limit
+// Archived cards don't count towards the limit.
+import { activeCards } from './archive';
+
+export const WIP_MODES = {
+    OFF: 'off',
+    WARN: 'warn',
+    BLOCK: 'block',
+};
+
+const isLimited = (list) =>
+    Boolean(list) && list.wipMode !== undefined && list.wipMode !== WIP_MODES.OFF &&
+    Number.isInteger(list.wipLimit) && list.wipLimit > 0;
+
+/**
+ * Where a list stands against its WIP limit
+ * @param {Object} list - List with wipLimit / wipMode
+ * @param {number} count - Cards currently in the list
+ * @returns {Object} - { limited, limit, mode, isFull, isOver }
+ */
+export function getWipStatus(list, count) {
+    if (!isLimited(list)) {
+        return { limited: false, limit: null, mode: WIP_MODES.OFF, isFull: false, isOver: false };
+    }
+    return {
+        limited: true,
+        limit: list.wipLimit,
+        mode: list.wipMode,
+        isFull: count >= list.wipLimit,
+        isOver: count > list.wipLimit,
+    };
+}
+
+/**
+ * Check whether a card may enter a list. Only lists in block mode refuse;
+ * a card already in the list (a reorder) is always allowed.
+ * @param {Object} state - Board state
+ * @param {string} listId - Destination list
+ * @param {string} [cardId] - Card being added or moved
+ * @returns {Object} - { valid, error }
+ */
+export function checkWipLimit(state, listId, cardId) {
+    const list = state.lists.find((l) => l.id === listId);
+    const cards = activeCards(state.cards[listId]);
+    if (cardId && cards.some((card) => card.id === cardId)) {
+        return { valid: true };
+    }
+
+    const status = getWipStatus(list, cards.length);
+    if (status.mode === WIP_MODES.BLOCK && status.isFull) {
+        return {
+            valid: false,
+            error: `'${list.title}' is at its WIP limit of ${status.limit} ${status.limit === 1 ? 'card' : 'cards'}. Finish or move a card out first.`,
+        };
+    }
+    return { valid: true };
+}
+
+/**
+ * The WIP limit check for a board action, if it adds a card to a list
+ * @param {Object} state - Board state before the action
+ * @param {Object} action - Reducer action
+ * @returns {Object} - { valid, error }
+ */
+export function checkWipLimitForAction(state, action) {
+    const payload = action.payload || {};
+    switch (action.type) {
+        case 'ADD_CARD':
+            return checkWipLimit(state, payload.listId, payload.card?.id);
+        case 'MOVE_CARD':
+            return checkWipLimit(state, payload.destinationListId, payload.cardId);
+        case 'RESTORE_CARD':
+            return checkWipLimit(state, payload.listId, payload.cardId);
+        default:
+            return { valid: true };
+    }
+}